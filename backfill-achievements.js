@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars from config.env file
+dotenv.config({ path: './config.env' });
+
+const WorkoutLog = require('./models/WorkoutLog');
+const achievementService = require('./services/achievementService');
+const personalRecordService = require('./services/personalRecordService');
+
+// Achievements used to be recomputed on every request; they are now stored and
+// updated from workout-log hooks. This awards what existing athletes already earned.
+// PR-based achievements read PersonalRecords, so those are backfilled first.
+async function backfillAchievements() {
+  try {
+    console.log('Starting achievement backfill...');
+    console.log('Connecting to MongoDB...');
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    console.log('Connected to MongoDB');
+
+    const athleteIds = await WorkoutLog.distinct('athleteId');
+    console.log(`Found ${athleteIds.length} athletes with workout logs`);
+
+    let awardedCount = 0;
+    let recordCount = 0;
+
+    for (const athleteId of athleteIds) {
+      // Oldest first, so each log is compared with the records set before it.
+      // No notifications: these were earned in the past
+      let records = 0;
+      const logs = WorkoutLog.find({ athleteId }).sort({ completedAt: 1 }).lean().cursor();
+      for await (const log of logs) {
+        records += (await personalRecordService.recordPersonalRecords(log, { notify: false })).length;
+      }
+      recordCount += records;
+
+      const awarded = await achievementService.evaluateAchievements(athleteId, { notify: false });
+      awardedCount += awarded.length;
+      console.log(`- ${athleteId}: ${records} personal records, ${awarded.length} achievements awarded`);
+    }
+
+    console.log('\nBackfill Summary:');
+    console.log(`Recorded ${recordCount} personal records and awarded ${awardedCount} achievements to ${athleteIds.length} athletes`);
+
+  } catch (error) {
+    console.error('Error during backfill:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Only run the backfill if the file is executed directly
+if (require.main === module) {
+  backfillAchievements()
+    .then(() => console.log('Backfill script completed'))
+    .catch(err => console.error('Backfill script failed:', err));
+}
+
+module.exports = backfillAchievements;
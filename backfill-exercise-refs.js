@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars from config.env file
+dotenv.config({ path: './config.env' });
+
+const Exercise = require('./models/Exercise');
+const Regimen = require('./models/Regimen');
+const RegimenTemplate = require('./models/RegimenTemplate');
+const WorkoutLog = require('./models/WorkoutLog');
+const exerciseService = require('./services/exerciseService');
+
+// Exercises written before the library existed are free text. This links the ones
+// whose names match a library entry ("BB Squat", "back squats" -> Back Squat);
+// names that don't match stay as they are.
+async function backfillExerciseRefs() {
+  try {
+    console.log('Starting exercise link backfill...');
+    console.log('Connecting to MongoDB...');
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    console.log('Connected to MongoDB');
+
+    const library = await Exercise.find().lean();
+    // Global entries plus the given coach's private ones
+    const libraryFor = (coachId) => library.filter(exercise =>
+      !exercise.owner || (coachId && exercise.owner.toString() === coachId.toString()));
+
+    let regimenCount = 0;
+    for (const Model of [Regimen, RegimenTemplate]) {
+      const plans = await Model.find();
+      for (const plan of plans) {
+        const exercises = [
+          ...(plan.days || []),
+          ...(plan.phases || []).flatMap(phase => phase.weeks.flatMap(week => week.days))
+        ].flatMap(day => day.exercises);
+        const linked = await exerciseService.linkExerciseRefs(exercises, [], libraryFor(plan.createdBy));
+        if (linked > 0) {
+          // Direct save: linking isn't a plan change, so no revision or notification
+          await plan.save({ validateBeforeSave: false });
+          regimenCount += 1;
+          console.log(`- ${Model.modelName} ${plan._id}: ${linked} exercises linked`);
+        }
+      }
+    }
+
+    let logCount = 0;
+    // Logs reference regimens by _id or by their string id
+    const regimenOwners = new Map();
+    (await Regimen.find().select('id createdBy').lean()).forEach(regimen => {
+      regimenOwners.set(regimen._id.toString(), regimen.createdBy);
+      if (regimen.id) regimenOwners.set(regimen.id, regimen.createdBy);
+    });
+    const logs = await WorkoutLog.find({ 'exercises.0': { $exists: true } });
+    for (const log of logs) {
+      const owner = log.regimenId ? regimenOwners.get(log.regimenId) : null;
+      const linked = await exerciseService.linkExerciseRefs(log.exercises, [], libraryFor(owner));
+      if (linked > 0) {
+        await WorkoutLog.updateOne({ _id: log._id }, { exercises: log.exercises });
+        logCount += 1;
+      }
+    }
+
+    console.log('\nBackfill Summary:');
+    console.log(`Linked exercises in ${regimenCount} regimens/templates and ${logCount} workout logs`);
+
+  } catch (error) {
+    console.error('Error during backfill:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Only run the backfill if the file is executed directly
+if (require.main === module) {
+  backfillExerciseRefs()
+    .then(() => console.log('Backfill script completed'))
+    .catch(err => console.error('Backfill script failed:', err));
+}
+
+module.exports = backfillExerciseRefs;
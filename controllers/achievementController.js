@@ -1,4 +1,5 @@
 const achievementService = require('../services/achievementService');
+const personalRecordService = require('../services/personalRecordService');
 const catchAsync = require('../utils/catchAsync');
 
 /**
@@ -9,7 +10,7 @@ const catchAsync = require('../utils/catchAsync');
 const getMyAchievements = catchAsync(async (req, res, next) => {
   const userId = req.user._id; // Assuming user ID is attached by auth middleware
   
-  const earnedAchievements = await achievementService.calculateUserAchievements(userId);
+  const earnedAchievements = await achievementService.fetchUserAchievements(userId);
   
   res.status(200).json({
     status: 'success',
@@ -20,6 +21,62 @@ const getMyAchievements = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get the logged-in athlete's personal records, grouped by exercise
+ * @route   GET /api/achievements/prs
+ * @access  Private (User must be logged in)
+ */
+const getMyPersonalRecords = catchAsync(async (req, res, next) => {
+  const records = await personalRecordService.fetchPersonalRecords(req.user._id, {
+    exercise: req.query.exercise
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: records.length,
+    data: {
+      personalRecords: records,
+    },
+  });
+});
+
+/**
+ * @desc    Get all achievements earned by a specific user
+ * @route   GET /api/achievements/user/:userId
+ * @access  Private (Coach of the user, or admin)
+ */
+const getUserAchievements = catchAsync(async (req, res, next) => {
+  const earnedAchievements = await achievementService.fetchAchievementsForUser(req.params.userId, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    results: earnedAchievements.length,
+    data: {
+      achievements: earnedAchievements,
+    },
+  });
+});
+
+/**
+ * @desc    List every achievement definition and its criteria
+ * @route   GET /api/achievements
+ * @access  Private (Coach or admin)
+ */
+const getAllAchievementsDefinitions = catchAsync(async (req, res, next) => {
+  const definitions = achievementService.listAchievementDefinitions();
+
+  res.status(200).json({
+    status: 'success',
+    results: definitions.length,
+    data: {
+      definitions,
+    },
+  });
+});
+
 module.exports = {
   getMyAchievements,
+  getMyPersonalRecords,
+  getUserAchievements,
+  getAllAchievementsDefinitions,
 }; 
\ No newline at end of file
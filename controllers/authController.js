@@ -8,7 +8,13 @@ const mongoose = require('mongoose');
 const Regimen = require('../models/Regimen');
 const Notification = require('../models/Notification');
 const authService = require('../services/authService');
-const { createSendToken } = require('../utils/authUtils');
+const groupService = require('../services/groupService');
+const regimenService = require('../services/regimenService');
+const mediaService = require('../services/mediaService');
+const connectionRequestService = require('../services/connectionRequestService');
+const invitationService = require('../services/invitationService');
+const { createSendSession, setSessionCookies, clearSessionCookies } = require('../utils/authUtils');
+const sessionService = require('../services/sessionService');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -154,8 +160,8 @@ exports.login = catchAsync(async (req, res, next) => {
       return next(new AppError('Incorrect email or password', 401));
     }
 
-    // 3) If everything ok, send token to client
-    createSendToken(user, 200, res);
+    // 3) If everything ok, start a session and send its tokens to the client
+    await createSendSession(user, 200, req, res);
   } catch (error) {
     next(error);
   }
@@ -278,8 +284,10 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   user.resetPasswordExpires = undefined;
   await user.save();
 
-  // Create and send token
-  createSendToken(user, 200, req, res);
+  // Log out every device (whoever asked for the reset may not be the only one
+  // holding the old password), then start a fresh session here
+  await sessionService.revokeAllSessions(user._id);
+  await createSendSession(user, 200, req, res);
 });
 
 // @desc    Update password
@@ -298,8 +306,9 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  // Create and send token
-  createSendToken(user, 200, req, res);
+  // Log out all sessions, including this one, and replace it with a new session
+  await sessionService.revokeAllSessions(user._id);
+  await createSendSession(user, 200, req, res);
 });
 
 // @desc    Update user details
@@ -362,6 +371,13 @@ exports.deleteAccount = catchAsync(async (req, res, next) => {
     
     // 4. Delete all regimens
     await Regimen.deleteMany({ createdBy: userId });
+    await mediaService.removeMedia(regimens.flatMap(regimen => regimen.exerciseMedia));
+
+    // 4b. Leave regimens shared by other coaches
+    await Regimen.updateMany(
+      { 'collaborators.user': userId },
+      { $pull: { collaborators: { user: userId } } }
+    );
 
     // 5. Delete all notifications
     await Notification.deleteMany({ user: userId });
@@ -385,15 +401,108 @@ exports.deleteAccount = catchAsync(async (req, res, next) => {
 // @desc    Logout user
 // @route   GET /api/auth/logout
 // @access  Private
-exports.logout = (req, res) => {
-  // Clear JWT cookie
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+exports.logout = catchAsync(async (req, res, next) => {
+  // Revoke the session server-side so its refresh and access tokens stop working
+  const session = await sessionService.findSessionByRefreshToken(
+    req.cookies.refreshToken || req.body?.refreshToken
+  );
+  if (session) {
+    await sessionService.revokeSession(session._id, session.user, 'logout');
+  } else {
+    // No refresh token: fall back to the session named in the access token
+    const accessToken = req.headers.authorization?.startsWith('Bearer')
+      ? req.headers.authorization.split(' ')[1]
+      : req.cookies.jwt;
+    try {
+      const decoded = jwt.verify(accessToken, process.env.JWT_SECRET);
+      if (decoded.sid) {
+        await sessionService.revokeSession(decoded.sid, decoded.id, 'logout');
+      }
+    } catch (error) {
+      // Missing or expired access token: nothing to revoke
+    }
+  }
+
+  // Clear auth cookies
+  clearSessionCookies(res);
 
   res.status(200).json({ status: 'success' });
-};
+});
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh-token
+// @access  Public (requires a valid refresh token)
+exports.refreshToken = catchAsync(async (req, res, next) => {
+  const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+  try {
+    const { user, session, newAccessToken, newRefreshToken } = await authService.refreshAccessToken(refreshToken, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
+    setSessionCookies(res, { accessToken: newAccessToken, refreshToken: newRefreshToken, session });
+
+    res.status(200).json({
+      status: 'success',
+      token: newAccessToken,
+      refreshToken: newRefreshToken,
+      data: {
+        user
+      }
+    });
+  } catch (error) {
+    // Don't leave a dead refresh token in the browser
+    clearSessionCookies(res);
+    return next(error);
+  }
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const sessions = await sessionService.fetchActiveSessions(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions
+    }
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeMySession = catchAsync(async (req, res, next) => {
+  await sessionService.revokeSession(req.params.id, req.user._id);
+
+  if (req.sessionId && req.sessionId === req.params.id) {
+    clearSessionCookies(res);
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Revoke all of the current user's other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeOtherSessions = catchAsync(async (req, res, next) => {
+  const revokedCount = await sessionService.revokeAllSessions(req.user._id, req.sessionId);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${revokedCount} other session(s) revoked`,
+    data: {
+      revokedCount
+    }
+  });
+});
 
 // @desc    Resend verification email
 // @route   POST /api/auth/resend-verification
@@ -472,8 +581,11 @@ exports.protect = catchAsync(async (req, res, next) => {
       return next(new AppError('You are not logged in', 401));
     }
 
-    // 2) Verify token
+    // 2) Verify token (tokens signed for another purpose are not logins)
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      return next(new AppError('Invalid token. Please log in again.', 401));
+    }
 
     // 3) Check if user still exists
     const user = await User.findById(decoded.id);
@@ -481,8 +593,14 @@ exports.protect = catchAsync(async (req, res, next) => {
       return next(new AppError('User no longer exists', 401));
     }
 
+    // 4) Tokens issued for a session stop working once it is revoked
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+      return next(new AppError('Your session has ended. Please log in again.', 401));
+    }
+
     // Grant access to protected route
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     next(error);
@@ -524,8 +642,7 @@ exports.inviteAthlete = catchAsync(async (req, res, next) => {
   }
 
   // Check if user already exists
-  let athlete = await User.findOne({ email });
-  let isNewUser = false;
+  const athlete = await User.findOne({ email });
 
   if (athlete) {
     // If the athlete is already in the coach's athletes array, return success with a message
@@ -544,156 +661,56 @@ exports.inviteAthlete = catchAsync(async (req, res, next) => {
         }
       });
     }
-    
-    // Initialize coaches array if it doesn't exist
-    if (!athlete.coaches) {
-      athlete.coaches = [];
-    }
-  } else {
-    // Create temporary password for new user
-    const tempPassword = crypto.randomBytes(8).toString('hex');
-    
-    // Create new user with athlete role
-    athlete = await User.create({
-      email,
-      firstName,
-      lastName,
-      password: tempPassword,
-      role: 'athlete',
-      coachId: req.user._id,
-      primaryCoachId: req.user._id,
-      coaches: [req.user._id],
-      isEmailVerified: false // Require email verification
-    });
-    
-    isNewUser = true;
-  }
-
-  // Generate verification token
-  const verificationToken = athlete.generateVerificationToken();
-  
-  // If existing user, update coach references
-  if (!isNewUser) {
-    // For backward compatibility, if no coachId is set, set it
-    if (!athlete.coachId) {
-      athlete.coachId = req.user._id;
-    }
-    
-    // Set primaryCoachId if it's not set
-    if (!athlete.primaryCoachId) {
-      athlete.primaryCoachId = athlete.coachId;
-    }
-    
-    // Add this coach to the coaches array if not already there
-    if (!athlete.coaches.some(id => id.toString() === req.user._id.toString())) {
-      athlete.coaches.push(req.user._id);
-    }
-    
-    await athlete.save({ validateBeforeSave: false });
-  }
-  
-  // Update coach's athletes array if needed
-  const coachNeedsUpdate = !req.user.athletes.some(id => id.equals(athlete._id));
-  if (coachNeedsUpdate) {
-    if (!req.user.athletes) {
-      req.user.athletes = [];
-    }
-    req.user.athletes.push(athlete._id);
-    await req.user.save({ validateBeforeSave: false });
-    
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`Added athlete ${athlete._id} to coach's athletes array`);
-      console.log(`Coach now has ${req.user.athletes.length} athletes`);
-    }
-  }
-
-  // Create verification URL
-  const verificationURL = `${req.protocol}://${req.get('host')}/auth/verify/${verificationToken}`;
-
-  // Create message
-  const message = isNewUser 
-    ? `
-      Hi ${firstName},
-      
-      ${req.user.firstName} ${req.user.lastName} has invited you to join their team on CoachShare.
-      
-      To accept this invitation and verify your account, please click the link below:
-      
-      ${verificationURL}
-      
-      Your temporary password is: ${tempPassword}
-      
-      Please change your password after logging in.
-      
-      If you didn't expect this invitation, please ignore this email.
-    `
-    : `
-      Hi ${athlete.firstName},
-      
-      ${req.user.firstName} ${req.user.lastName} has invited you to join their team on CoachShare.
-      
-      To accept this invitation, please click the link below:
-      
-      ${verificationURL}
-      
-      If you didn't expect this invitation, please ignore this email.
-    `;
-
-  try {
-    // Log verification URL in development mode
-    if (process.env.NODE_ENV === 'development') {
-      console.log('==== INVITATION DETAILS ====');
-      console.log('Verification Token:', verificationToken);
-      console.log('Verification URL:', verificationURL);
-      if (isNewUser) {
-        console.log('Temporary Password:', tempPassword);
-      }
-      console.log('============================');
-    }
 
-    // Send invitation email
-    await sendEmail({
-      email: athlete.email,
-      subject: `${req.user.firstName} ${req.user.lastName} has invited you to CoachShare`,
-      message
+    // Existing athletes join the team only once they accept the request
+    const request = await connectionRequestService.createConnectionRequest(req.user, {
+      athleteId: athlete._id.toString(),
+      message: req.body.message
     });
 
-    console.log(`✅ Invitation sent to ${athlete.email}`);
-    
-    // For development, include verification token in response
-    const devResponse = process.env.NODE_ENV === 'development' 
-      ? { 
-          verificationToken,
-          tempPassword: isNewUser ? tempPassword : undefined
-        } 
-      : {};
-
-    res.status(200).json({
+    return res.status(200).json({
       status: 'success',
-      message: `Invitation sent to ${athlete.email}`,
+      message: `Connection request sent to ${athlete.email}`,
       data: {
         athlete: {
           id: athlete._id,
           email: athlete.email,
           firstName: athlete.firstName,
           lastName: athlete.lastName,
-          isNewUser
-        }
-      },
-      ...devResponse
+          isNewUser: false
+        },
+        request
+      }
     });
-  } catch (error) {
-    console.error('❌ Error sending invitation email:', error);
-    
-    // If email sending fails, reset verification token fields
-    athlete.emailVerificationToken = undefined;
-    athlete.emailVerificationExpires = undefined;
-    await athlete.save({ validateBeforeSave: false });
-
-    return next(
-      new AppError('There was an error sending the invitation email. Try again later.', 500)
-    );
   }
+
+  // No account yet: send a single-use invitation link where they choose their own password
+  const { invitation, invitationURL } = await invitationService.createInvitation(req.user, {
+    email,
+    firstName,
+    lastName,
+    message: req.body.message
+  });
+
+  console.log(`✅ Invitation sent to ${invitation.email}`);
+
+  // For development, include the invitation link in the response
+  const devResponse = process.env.NODE_ENV === 'development' ? { invitationURL } : {};
+
+  res.status(200).json({
+    status: 'success',
+    message: `Invitation sent to ${invitation.email}`,
+    data: {
+      athlete: {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        isNewUser: true
+      },
+      invitation
+    },
+    ...devResponse
+  });
 });
 
 // @desc    Get athletes
@@ -869,6 +886,9 @@ exports.removeAthlete = catchAsync(async (req, res, next) => {
   
   await athlete.save({ validateBeforeSave: false });
 
+  // Take the athlete out of this coach's training groups
+  await groupService.removeAthleteFromCoachGroups(req.user._id, athlete._id);
+
   // Remove athlete from coach's athletes array
   if (req.user.athletes && req.user.athletes.length) {
     req.user.athletes = req.user.athletes.filter(
@@ -892,85 +912,31 @@ exports.removeAthlete = catchAsync(async (req, res, next) => {
 // @desc    Request coach connection
 // @route   POST /api/auth/request-coach
 // @access  Private/Athlete
+// Kept for existing clients; creates a pending request the coach has to accept
+// (see /api/connection-requests).
 exports.requestCoach = catchAsync(async (req, res, next) => {
   // Check if user making request is an athlete
   if (req.user.role !== 'athlete') {
     return next(new AppError('Only athletes can request coach connections', 403));
   }
 
-  const { coachId } = req.body;
+  const { coachId, message } = req.body;
 
   if (!coachId) {
     return next(new AppError('Please provide a coachId', 400));
   }
 
-  // Find the coach
-  const coach = await User.findById(coachId);
-  if (!coach) {
-    return next(new AppError('Coach not found', 404));
-  }
+  const request = await connectionRequestService.createConnectionRequest(req.user, { coachId, message });
+  const coach = request.coach;
 
-  // Check if coach has correct role
-  if (coach.role !== 'coach') {
-    return next(new AppError('The selected user is not a coach', 400));
-  }
-
-  // Check if athlete already has this coach
-  if (req.user.coachId && req.user.coachId.equals(coach._id)) {
-    return res.status(200).json({
-      status: 'success',
-      message: 'You are already connected with this coach',
-      data: {
-        coach: {
-          id: coach._id,
-          firstName: coach.firstName,
-          lastName: coach.lastName,
-          email: coach.email
-        }
-      }
-    });
-  }
-
-  // If athlete already has a different coach, remove that connection
-  if (req.user.coachId) {
-    const previousCoach = await User.findById(req.user.coachId);
-    if (previousCoach) {
-      // Remove athlete from previous coach's athletes array
-      if (previousCoach.athletes && previousCoach.athletes.length) {
-        previousCoach.athletes = previousCoach.athletes.filter(
-          athleteId => !athleteId.equals(req.user._id)
-        );
-        await previousCoach.save({ validateBeforeSave: false });
-        console.log(`Removed athlete ${req.user.firstName} from coach ${previousCoach.firstName}'s team`);
-      }
-    }
-  }
-
-  // Update athlete's coachId
-  req.user.coachId = coach._id;
-  await req.user.save({ validateBeforeSave: false });
-
-  // Add athlete to coach's athletes array if not already there
-  if (!coach.athletes) {
-    coach.athletes = [];
-  }
-
-  if (!coach.athletes.some(id => id.equals(req.user._id))) {
-    coach.athletes.push(req.user._id);
-    await coach.save({ validateBeforeSave: false });
-  }
-
-  // TODO: In a real app, we might implement an approval workflow,
-  // where the coach needs to accept the request.
-  // For simplicity, we're auto-accepting all requests.
-
-  console.log(`Connected athlete ${req.user.firstName} ${req.user.lastName} with coach ${coach.firstName} ${coach.lastName}`);
+  console.log(`Athlete ${req.user.firstName} ${req.user.lastName} requested coach ${coach.firstName} ${coach.lastName}`);
 
   // Return success response
-  res.status(200).json({
+  res.status(201).json({
     status: 'success',
-    message: `You are now connected with coach ${coach.firstName} ${coach.lastName}`,
+    message: `Connection request sent to coach ${coach.firstName} ${coach.lastName}`,
     data: {
+      request,
       coach: {
         id: coach._id,
         firstName: coach.firstName,
@@ -1122,70 +1088,15 @@ exports.assignRegimenBulk = catchAsync(async (req, res, next) => {
 
   console.log(`[Assign Bulk] Coach ${coachId} attempting to assign regimen ${regimenId} to athletes: ${athleteIds}`);
 
-  // Validate input
-  if (!regimenId || !Array.isArray(athleteIds) || athleteIds.length === 0) {
-    return next(new AppError('Regimen ID and a non-empty array of Athlete IDs are required.', 400));
-  }
-
-  // 1. Find the regimen and verify coach created it
-  const regimen = await Regimen.findById(regimenId); // Assuming regimenId is ObjectId
-  if (!regimen) {
-    return next(new AppError('Regimen not found.', 404));
-  }
-  if (regimen.createdBy.toString() !== coachId.toString()) {
-    console.warn(`[Assign Bulk] Failed: Coach ${coachId} does not own regimen ${regimenId}`);
-    return next(new AppError('You can only assign regimens you created.', 403));
-  }
-
-  // 2. Find the athletes and verify they belong to the coach
-  const validAthleteIds = athleteIds.filter(id => mongoose.Types.ObjectId.isValid(id));
-  if (validAthleteIds.length !== athleteIds.length) {
-      console.warn(`[Assign Bulk] Some provided athlete IDs were invalid.`);
-      // Optionally continue with valid ones or return error
-  }
-  
-  const athletes = await User.find({
-    _id: { $in: validAthleteIds },
-    role: 'athlete',
-    coaches: coachId // <<< CRITICAL: Ensure athlete is coached by this coach
-  }).select('_id'); // Select only ID
-
-  const foundAthleteIds = athletes.map(a => a._id.toString());
-  const notFoundOrUnassignedIds = validAthleteIds.filter(id => !foundAthleteIds.includes(id.toString()));
-
-  if (notFoundOrUnassignedIds.length > 0) {
-      console.warn(`[Assign Bulk] Athletes not found or not assigned to coach ${coachId}: ${notFoundOrUnassignedIds.join(', ')}`);
-      // Decide: return error or proceed with found athletes?
-      // Proceeding with found athletes for now.
-      if (foundAthleteIds.length === 0) {
-          return next(new AppError('None of the selected athletes could be found or belong to you.', 400));
-      }
-  }
-
-  console.log(`[Assign Bulk] Valid athletes found: ${foundAthleteIds.length}`);
-
-  // 3. Update Athletes: Add regimenId to each athlete's regimens array
-  // Use $addToSet to avoid duplicates
-  const athleteUpdateResult = await User.updateMany(
-    { _id: { $in: foundAthleteIds } },
-    { $addToSet: { regimens: regimen._id } } 
-  );
-  console.log(`[Assign Bulk] Athlete update result: ${athleteUpdateResult.modifiedCount} modified`);
-
-  // 4. Update Regimen: Add athlete IDs to the regimen's assignedTo array
-  // Use $addToSet to avoid duplicates
-  const regimenUpdateResult = await Regimen.findByIdAndUpdate(
-    regimen._id,
-    { $addToSet: { assignedTo: { $each: foundAthleteIds } } },
-    { new: true } // Optional: return updated doc
-  );
-  console.log(`[Assign Bulk] Regimen assignedTo update result: ${regimenUpdateResult.assignedTo.length} total assigned`);
+  // Ownership, athlete connection checks and updates are handled by the service
+  const { assignedAthleteIds } = await regimenService.assignRegimenToAthletes(regimenId, athleteIds, coachId);
 
+  console.log(`[Assign Bulk] Valid athletes found: ${assignedAthleteIds.length}`);
 
   res.status(200).json({
     status: 'success',
-    message: `Regimen successfully assigned to ${foundAthleteIds.length} athletes.`,
-    assignedAthleteIds: foundAthleteIds
+    message: `Regimen successfully assigned to ${assignedAthleteIds.length} athletes.`,
+    assignedAthleteIds
     // Optionally include notFoundOrUnassignedIds
   });
 });
@@ -0,0 +1,49 @@
+const catchAsync = require('../utils/catchAsync');
+const calendarService = require('../services/calendarService');
+const { buildApiUrl } = require('../utils/urlUtils');
+
+// Public: the .ics document calendar apps subscribe to (the token is the credential)
+exports.getFeed = catchAsync(async (req, res, next) => {
+    const calendar = await calendarService.buildFeedForToken(req.params.token);
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="coachshare.ics"',
+        'Cache-Control': 'private, max-age=900'
+    });
+    res.status(200).send(calendar);
+});
+
+// Whether the logged-in user has a calendar feed
+exports.getMyFeed = catchAsync(async (req, res, next) => {
+    const feed = await calendarService.fetchFeedStatus(req.user._id);
+    res.status(200).json({
+        status: 'success',
+        data: { feed }
+    });
+});
+
+// Create or rotate the feed; the URL is only returned here
+exports.createMyFeed = catchAsync(async (req, res, next) => {
+    const token = await calendarService.rotateFeedToken(req.user._id);
+    const feedURL = buildApiUrl(`/api/calendar/feed/${token}.ics`, req);
+    res.status(201).json({
+        status: 'success',
+        message: 'Calendar feed created. Any previous feed link no longer works.',
+        data: {
+            feed: {
+                enabled: true,
+                url: feedURL,
+                webcalUrl: feedURL.replace(/^https?:/, 'webcal:')
+            }
+        }
+    });
+});
+
+// Turn the feed off
+exports.deleteMyFeed = catchAsync(async (req, res, next) => {
+    await calendarService.disableFeed(req.user._id);
+    res.status(204).json({
+        status: 'success',
+        data: null
+    });
+});
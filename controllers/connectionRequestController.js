@@ -0,0 +1,49 @@
+const catchAsync = require('../utils/catchAsync');
+const connectionRequestService = require('../services/connectionRequestService');
+
+// List the logged-in user's connection requests (?status=pending&direction=incoming|outgoing)
+exports.getMyConnectionRequests = catchAsync(async (req, res, next) => {
+    const requests = await connectionRequestService.fetchConnectionRequests(req.user, req.query);
+    res.status(200).json({
+        status: 'success',
+        results: requests.length,
+        data: { requests }
+    });
+});
+
+// Send a request: athletes pass coachId, coaches pass athleteId
+exports.createConnectionRequest = catchAsync(async (req, res, next) => {
+    console.log(`Controller: Creating connection request from ${req.user.role} ${req.user.email}`);
+    const request = await connectionRequestService.createConnectionRequest(req.user, req.body);
+    res.status(201).json({
+        status: 'success',
+        data: { request }
+    });
+});
+
+// Accept a request sent to the logged-in user
+exports.acceptConnectionRequest = catchAsync(async (req, res, next) => {
+    const request = await connectionRequestService.acceptConnectionRequest(req.params.id, req.user);
+    res.status(200).json({
+        status: 'success',
+        data: { request }
+    });
+});
+
+// Decline a request sent to the logged-in user
+exports.declineConnectionRequest = catchAsync(async (req, res, next) => {
+    const request = await connectionRequestService.declineConnectionRequest(req.params.id, req.user);
+    res.status(200).json({
+        status: 'success',
+        data: { request }
+    });
+});
+
+// Withdraw a request the logged-in user sent
+exports.withdrawConnectionRequest = catchAsync(async (req, res, next) => {
+    const request = await connectionRequestService.withdrawConnectionRequest(req.params.id, req.user);
+    res.status(200).json({
+        status: 'success',
+        data: { request }
+    });
+});
@@ -0,0 +1,67 @@
+const catchAsync = require('../utils/catchAsync');
+const conversationService = require('../services/conversationService');
+
+// List the logged-in user's conversations
+exports.getMyConversations = catchAsync(async (req, res, next) => {
+    const conversations = await conversationService.fetchConversations(req.user._id);
+    res.status(200).json({
+        status: 'success',
+        results: conversations.length,
+        data: { conversations }
+    });
+});
+
+// Start a conversation (returns the existing one for a direct pair)
+exports.createConversation = catchAsync(async (req, res, next) => {
+    const { conversation, created } = await conversationService.createConversation(req.user, req.body);
+    res.status(created ? 201 : 200).json({
+        status: 'success',
+        data: { conversation }
+    });
+});
+
+// Get one conversation
+exports.getConversation = catchAsync(async (req, res, next) => {
+    const conversation = await conversationService.fetchConversation(req.params.id, req.user._id);
+    res.status(200).json({
+        status: 'success',
+        data: { conversation }
+    });
+});
+
+// Page through message history (?before=<nextCursor>&limit=30)
+exports.getMessages = catchAsync(async (req, res, next) => {
+    const { messages, hasMore, nextCursor, readState } =
+        await conversationService.fetchMessages(req.params.id, req.user._id, req.query);
+    res.status(200).json({
+        status: 'success',
+        results: messages.length,
+        hasMore,
+        nextCursor,
+        data: { messages, readState }
+    });
+});
+
+// Send a message (JSON, or multipart with "attachments" files)
+exports.sendMessage = catchAsync(async (req, res, next) => {
+    const message = await conversationService.sendMessage(req.params.id, req.user, req.body, req.files);
+    res.status(201).json({
+        status: 'success',
+        data: { message }
+    });
+});
+
+// Mark the conversation as read (read receipt)
+exports.markAsRead = catchAsync(async (req, res, next) => {
+    const receipt = await conversationService.markAsRead(req.params.id, req.user._id);
+    res.status(200).json({
+        status: 'success',
+        data: { receipt }
+    });
+});
+
+// Download an attachment (participants only): redirects to a short-lived signed URL
+exports.getAttachment = catchAsync(async (req, res, next) => {
+    const url = await conversationService.getAttachmentUrl(req.params.id, req.params.filename, req.user._id);
+    res.redirect(302, url);
+});
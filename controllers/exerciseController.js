@@ -0,0 +1,62 @@
+const catchAsync = require('../utils/catchAsync');
+const exerciseService = require('../services/exerciseService');
+
+// Search the exercise library (global entries plus the user's or their coaches' own)
+exports.getExercises = catchAsync(async (req, res, next) => {
+    const { exercises, total, page } = await exerciseService.fetchExercises(req.user, req.query);
+    res.status(200).json({
+        status: 'success',
+        results: exercises.length,
+        total,
+        page,
+        data: { exercises }
+    });
+});
+
+// Suggest the library entry for a free-text name (?name=BB Squat)
+exports.matchExercise = catchAsync(async (req, res, next) => {
+    const match = await exerciseService.matchExercise(req.query.name, req.user);
+    res.status(200).json({
+        status: 'success',
+        data: {
+            exercise: match ? match.exercise : null,
+            score: match ? match.score : null
+        }
+    });
+});
+
+// Get one exercise
+exports.getExercise = catchAsync(async (req, res, next) => {
+    const exercise = await exerciseService.fetchExercise(req.params.id, req.user);
+    res.status(200).json({
+        status: 'success',
+        data: { exercise }
+    });
+});
+
+// Add a private exercise (coaches) or a global one (admins)
+exports.createExercise = catchAsync(async (req, res, next) => {
+    const exercise = await exerciseService.createExercise(req.user, req.body);
+    res.status(201).json({
+        status: 'success',
+        data: { exercise }
+    });
+});
+
+// Update an exercise the user owns
+exports.updateExercise = catchAsync(async (req, res, next) => {
+    const exercise = await exerciseService.updateExercise(req.params.id, req.user, req.body);
+    res.status(200).json({
+        status: 'success',
+        data: { exercise }
+    });
+});
+
+// Delete an exercise the user owns (linked regimen and log exercises keep their names)
+exports.deleteExercise = catchAsync(async (req, res, next) => {
+    await exerciseService.deleteExercise(req.params.id, req.user);
+    res.status(204).json({
+        status: 'success',
+        data: null
+    });
+});
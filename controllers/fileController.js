@@ -0,0 +1,14 @@
+const catchAsync = require('../utils/catchAsync');
+const storageService = require('../services/storageService');
+
+// Public: serves a locally stored file from a signed, time-limited URL
+// (the signature is the authorization; see storageService.getDownloadUrl)
+exports.downloadFile = catchAsync(async (req, res, next) => {
+    const { filePath, originalName, mimeType } = storageService.resolveSignedDownload(req.query);
+    if (mimeType) res.type(mimeType);
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(originalName)}`);
+    // Signed links are handed to <img>/<video> tags on the client's origin
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.sendFile(filePath);
+});
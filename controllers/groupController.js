@@ -0,0 +1,104 @@
+const catchAsync = require('../utils/catchAsync');
+const groupService = require('../services/groupService');
+const workoutLogService = require('../services/workoutLogService');
+
+// List the coach's training groups
+exports.getMyGroups = catchAsync(async (req, res, next) => {
+    const groups = await groupService.fetchGroups(req.user._id);
+    res.status(200).json({
+        status: 'success',
+        results: groups.length,
+        data: { groups }
+    });
+});
+
+// Create a group (optionally with memberIds)
+exports.createGroup = catchAsync(async (req, res, next) => {
+    const group = await groupService.createGroup(req.user._id, req.body);
+    res.status(201).json({
+        status: 'success',
+        data: { group }
+    });
+});
+
+// Get one group with members and regimens
+exports.getGroup = catchAsync(async (req, res, next) => {
+    const group = await groupService.fetchGroup(req.params.id, req.user._id);
+    res.status(200).json({
+        status: 'success',
+        data: { group }
+    });
+});
+
+// Rename a group or change its description
+exports.updateGroup = catchAsync(async (req, res, next) => {
+    const group = await groupService.updateGroup(req.params.id, req.user._id, req.body);
+    res.status(200).json({
+        status: 'success',
+        data: { group }
+    });
+});
+
+// Delete a group (members lose regimens they only had through it)
+exports.deleteGroup = catchAsync(async (req, res, next) => {
+    await groupService.deleteGroup(req.params.id, req.user._id);
+    res.status(204).json({
+        status: 'success',
+        data: null
+    });
+});
+
+// Add athletes to a group ({ athleteIds: [...] })
+exports.addMembers = catchAsync(async (req, res, next) => {
+    const group = await groupService.addMembers(req.params.id, req.user._id, req.body.athleteIds);
+    res.status(200).json({
+        status: 'success',
+        data: { group }
+    });
+});
+
+// Remove an athlete from a group
+exports.removeMember = catchAsync(async (req, res, next) => {
+    const group = await groupService.removeMember(req.params.id, req.user._id, req.params.athleteId);
+    res.status(200).json({
+        status: 'success',
+        data: { group }
+    });
+});
+
+// Assign a regimen to the whole group
+exports.assignRegimen = catchAsync(async (req, res, next) => {
+    const group = await groupService.assignRegimen(req.params.id, req.user._id, req.params.regimenId);
+    res.status(200).json({
+        status: 'success',
+        data: { group }
+    });
+});
+
+// Unassign a regimen from the group
+exports.unassignRegimen = catchAsync(async (req, res, next) => {
+    const group = await groupService.unassignRegimen(req.params.id, req.user._id, req.params.regimenId);
+    res.status(200).json({
+        status: 'success',
+        data: { group }
+    });
+});
+
+// Workout logs of the group's members
+exports.getGroupLogs = catchAsync(async (req, res, next) => {
+    const logs = await workoutLogService.getLogsForGroup(req.params.id, req.user._id);
+    res.status(200).json({
+        status: 'success',
+        results: logs.length,
+        data: { logs }
+    });
+});
+
+// Workout stats of the group's members
+exports.getGroupStats = catchAsync(async (req, res, next) => {
+    const stats = await workoutLogService.getStatsForGroup(req.params.id, req.user._id, req.query);
+    res.status(200).json({
+        status: 'success',
+        data: { stats }
+    });
+});
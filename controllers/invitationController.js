@@ -0,0 +1,64 @@
+const catchAsync = require('../utils/catchAsync');
+const invitationService = require('../services/invitationService');
+const { createSendSession } = require('../utils/authUtils');
+
+// Only expose invitation links in API responses during development
+const devDetails = (invitationURL) =>
+    process.env.NODE_ENV === 'development' ? { invitationURL } : {};
+
+// List the logged-in coach's invitations (?status=pending|accepted|revoked|expired|all)
+exports.getMyInvitations = catchAsync(async (req, res, next) => {
+    const invitations = await invitationService.fetchInvitationsByCoach(req.user._id, req.query);
+    res.status(200).json({
+        status: 'success',
+        results: invitations.length,
+        data: { invitations }
+    });
+});
+
+// Invite someone without an account
+exports.createInvitation = catchAsync(async (req, res, next) => {
+    console.log(`Controller: Coach ${req.user.email} inviting ${req.body.email}`);
+    const { invitation, invitationURL } = await invitationService.createInvitation(req.user, req.body);
+    res.status(201).json({
+        status: 'success',
+        message: `Invitation sent to ${invitation.email}`,
+        data: { invitation },
+        ...devDetails(invitationURL)
+    });
+});
+
+// Resend an invitation with a fresh link
+exports.resendInvitation = catchAsync(async (req, res, next) => {
+    const { invitation, invitationURL } = await invitationService.resendInvitation(req.params.id, req.user);
+    res.status(200).json({
+        status: 'success',
+        message: `Invitation resent to ${invitation.email}`,
+        data: { invitation },
+        ...devDetails(invitationURL)
+    });
+});
+
+// Revoke an invitation
+exports.revokeInvitation = catchAsync(async (req, res, next) => {
+    const invitation = await invitationService.revokeInvitation(req.params.id, req.user._id);
+    res.status(200).json({
+        status: 'success',
+        data: { invitation }
+    });
+});
+
+// Public: show who sent the invitation before the invitee accepts
+exports.getInvitationByToken = catchAsync(async (req, res, next) => {
+    const invitation = await invitationService.previewInvitation(req.params.token);
+    res.status(200).json({
+        status: 'success',
+        data: { invitation }
+    });
+});
+
+// Public: accept an invitation, set a password and log in
+exports.acceptInvitation = catchAsync(async (req, res, next) => {
+    const user = await invitationService.acceptInvitation(req.params.token, req.body);
+    await createSendSession(user, 201, req, res);
+});
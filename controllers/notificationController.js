@@ -1,6 +1,7 @@
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const notificationService = require('../services/notificationService');
+const emailNotificationService = require('../services/emailNotificationService');
 const mongoose = require('mongoose'); // Keep for ID validation if needed in controller
 
 // Create a new notification (Called internally or via specific routes?)
@@ -88,4 +89,15 @@ exports.deleteNotification = catchAsync(async (req, res, next) => {
         status: 'success',
         data: null
     });
-}); 
\ No newline at end of file
+}); 
+
+// Public: unsubscribe link from a notification email (the token identifies the user)
+exports.unsubscribe = catchAsync(async (req, res, next) => {
+    const { preference, description } = await emailNotificationService.unsubscribe(req.params.token);
+
+    res.status(200).json({
+        status: 'success',
+        message: `You will no longer receive emails for ${description}.`,
+        data: { preference }
+    });
+});
@@ -0,0 +1,47 @@
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const paceCalculatorService = require('../services/paceCalculatorService');
+const regimenService = require('../services/regimenService');
+
+// Pull the plan parameters out of the request body, converting numeric fields
+const extractPlanParams = (body) => ({
+    totalDistance: Number(body.totalDistance),
+    targetTime: body.targetTime,
+    effortPercentage: Number(body.effortPercentage),
+    unit: body.unit || 'm',
+    segments: body.segments
+});
+
+// Build a split table and pace summary for a target time and effort
+exports.getPacePlan = catchAsync(async (req, res, next) => {
+    const { totalDistance, targetTime, effortPercentage } = req.body;
+    if (totalDistance === undefined || targetTime === undefined || effortPercentage === undefined) {
+        return next(new AppError('Please provide totalDistance, targetTime and effortPercentage', 400));
+    }
+
+    const plan = await paceCalculatorService.buildPacePlan(extractPlanParams(req.body));
+    res.status(200).json({
+        status: 'success',
+        data: { plan }
+    });
+});
+
+// Generate a plan and store it on a regimen exercise (coach only, ownership check in service)
+exports.attachPacePlan = catchAsync(async (req, res, next) => {
+    const { regimenId, dayId, exerciseId } = req.params;
+    const { totalDistance, targetTime, effortPercentage } = req.body;
+    if (totalDistance === undefined || targetTime === undefined || effortPercentage === undefined) {
+        return next(new AppError('Please provide totalDistance, targetTime and effortPercentage', 400));
+    }
+    console.log(`Controller: Attaching pace plan to exercise ${exerciseId} in regimen ${regimenId} by coach ${req.user.email}`);
+
+    const plan = await paceCalculatorService.buildPacePlan(extractPlanParams(req.body));
+    const exercise = await regimenService.attachPacePlanToExercise(
+        regimenId, dayId, exerciseId, plan, req.user._id
+    );
+
+    res.status(200).json({
+        status: 'success',
+        data: { exercise }
+    });
+});
@@ -0,0 +1,48 @@
+const catchAsync = require('../utils/catchAsync');
+const pushNotificationService = require('../services/pushNotificationService');
+
+// Public: the VAPID key the browser needs for pushManager.subscribe()
+exports.getPublicKey = catchAsync(async (req, res, next) => {
+    const publicKey = pushNotificationService.getPublicKey();
+    res.status(200).json({
+        status: 'success',
+        data: { publicKey }
+    });
+});
+
+// List the logged-in user's registered devices
+exports.getMySubscriptions = catchAsync(async (req, res, next) => {
+    const subscriptions = await pushNotificationService.fetchSubscriptions(req.user._id);
+    res.status(200).json({
+        status: 'success',
+        results: subscriptions.length,
+        data: { subscriptions }
+    });
+});
+
+// Register this device (body: the browser's PushSubscription JSON)
+exports.subscribe = catchAsync(async (req, res, next) => {
+    const subscription = await pushNotificationService.subscribe(req.user._id, req.body, {
+        userAgent: req.get('user-agent')
+    });
+    res.status(201).json({
+        status: 'success',
+        data: {
+            subscription: {
+                _id: subscription._id,
+                endpoint: subscription.endpoint,
+                expirationTime: subscription.expirationTime,
+                createdAt: subscription.createdAt
+            }
+        }
+    });
+});
+
+// Unregister a device (body: { endpoint })
+exports.unsubscribe = catchAsync(async (req, res, next) => {
+    await pushNotificationService.unsubscribe(req.user._id, req.body.endpoint);
+    res.status(204).json({
+        status: 'success',
+        data: null
+    });
+});
@@ -3,6 +3,7 @@ const User = require('../models/User');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const regimenService = require('../services/regimenService');
+const mediaService = require('../services/mediaService');
 
 // Get all regimens for the logged-in coach
 exports.getCoachRegimens = catchAsync(async (req, res, next) => {
@@ -40,6 +41,18 @@ exports.getRegimenById = catchAsync(async (req, res, next) => {
     });
 });
 
+// Get planned volume per week (access control handled by service)
+exports.getRegimenVolume = catchAsync(async (req, res, next) => {
+    const regimenId = req.params.id;
+    console.log(`Controller: Fetching weekly volume for regimen ${regimenId} for user ${req.user.email}`);
+    const weeks = await regimenService.fetchWeeklyVolume(regimenId, req.user);
+    res.status(200).json({
+        status: 'success',
+        results: weeks.length,
+        data: { weeks }
+    });
+});
+
 // Create a new regimen (coach only - checked by route middleware)
 exports.createRegimen = catchAsync(async (req, res, next) => {
     const coachId = req.user._id;
@@ -51,12 +64,15 @@ exports.createRegimen = catchAsync(async (req, res, next) => {
     });
 });
 
-// Update a regimen (coach only, owner check in service)
+// Update a regimen (coach only, role check in service). "silent": true skips athlete notifications.
 exports.updateRegimen = catchAsync(async (req, res, next) => {
     const regimenId = req.params.id;
     const requestingCoachId = req.user._id;
+    const { silent, ...updateData } = req.body;
     console.log(`Controller: Updating regimen ${regimenId} by coach ${req.user.email}`);
-    const updatedRegimen = await regimenService.updateRegimen(regimenId, req.body, requestingCoachId);
+    const updatedRegimen = await regimenService.updateRegimen(regimenId, updateData, requestingCoachId, {
+        silent: silent === true || silent === 'true'
+    });
     res.status(200).json({
         status: 'success',
         data: { regimen: updatedRegimen }
@@ -115,6 +131,103 @@ exports.removeAthlete = catchAsync(async (req, res, next) => {
     });
 });
 
+// List the coaches working on a regimen (creator first)
+exports.getCollaborators = catchAsync(async (req, res, next) => {
+    const collaborators = await regimenService.fetchCollaborators(req.params.id, req.user);
+    res.status(200).json({
+        status: 'success',
+        results: collaborators.length,
+        data: { collaborators }
+    });
+});
+
+// Add a co-coach ({ coachId | email, role }) or change their role (owners only)
+exports.addCollaborator = catchAsync(async (req, res, next) => {
+    const collaborators = await regimenService.addCollaborator(req.params.id, req.user, req.body);
+    res.status(200).json({
+        status: 'success',
+        data: { collaborators }
+    });
+});
+
+// Remove a co-coach (owners only, or a collaborator leaving)
+exports.removeCollaborator = catchAsync(async (req, res, next) => {
+    const removed = await regimenService.removeCollaborator(req.params.id, req.params.coachId, req.user);
+    if (!removed) {
+        return next(new AppError('This coach is not a collaborator on the regimen', 404));
+    }
+    res.status(204).json({
+        status: 'success',
+        data: null
+    });
+});
+
+// List a regimen's revisions (newest first)
+exports.getRevisions = catchAsync(async (req, res, next) => {
+    const { currentRevision, revisions } = await regimenService.fetchRevisions(req.params.id, req.user);
+    res.status(200).json({
+        status: 'success',
+        results: revisions.length,
+        data: { currentRevision, revisions }
+    });
+});
+
+// Get one revision with the plan as it was
+exports.getRevision = catchAsync(async (req, res, next) => {
+    const revision = await regimenService.fetchRevision(req.params.id, req.params.number, req.user);
+    res.status(200).json({
+        status: 'success',
+        data: { revision }
+    });
+});
+
+// Diff two revisions (?from=2&to=5; "to" defaults to the current revision)
+exports.getRevisionDiff = catchAsync(async (req, res, next) => {
+    if (!req.query.from) {
+        return next(new AppError('Please provide the "from" revision', 400));
+    }
+    const diff = await regimenService.diffRevisions(req.params.id, req.query.from, req.query.to, req.user);
+    res.status(200).json({
+        status: 'success',
+        data: { diff }
+    });
+});
+
+// Restore an old revision (saved as a new revision; "silent": true skips athlete notifications)
+exports.restoreRevision = catchAsync(async (req, res, next) => {
+    const regimen = await regimenService.restoreRevision(req.params.id, req.params.number, req.user, {
+        silent: req.body.silent === true || req.body.silent === 'true'
+    });
+    res.status(200).json({
+        status: 'success',
+        data: { regimen }
+    });
+});
+
+// Upload demo images/videos for one of the plan's exercises (multipart "media" files, optional caption)
+exports.addExerciseMedia = catchAsync(async (req, res, next) => {
+    const media = await mediaService.addRegimenMedia(req.params.id, req.params.exerciseId, req.user, req.files, req.body);
+    res.status(201).json({
+        status: 'success',
+        data: { media }
+    });
+});
+
+// Download an exercise media file (anyone who can see the regimen): redirects to a short-lived signed URL
+exports.getExerciseMediaFile = catchAsync(async (req, res, next) => {
+    const url = await mediaService.getRegimenMediaUrl(req.params.id, req.params.filename, req.user);
+    res.redirect(302, url);
+});
+
+// Delete an exercise media file
+exports.deleteExerciseMedia = catchAsync(async (req, res, next) => {
+    await mediaService.deleteRegimenMedia(req.params.id, req.params.filename, req.user);
+    res.status(204).json({
+        status: 'success',
+        data: null
+    });
+});
+
 // Admin delete regimen (Admin only - route check, service handles deletion)
 // Note: The service deleteRegimen handles admin permission via role check
 exports.adminDeleteRegimen = catchAsync(async (req, res, next) => {
@@ -0,0 +1,85 @@
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const regimenTemplateService = require('../services/regimenTemplateService');
+
+// Get all templates for the logged-in coach
+exports.getMyTemplates = catchAsync(async (req, res, next) => {
+    console.log(`Controller: Fetching regimen templates for coach ${req.user.email}`);
+    const templates = await regimenTemplateService.fetchTemplatesByCoach(req.user._id);
+    res.status(200).json({
+        status: 'success',
+        results: templates.length,
+        data: { templates }
+    });
+});
+
+// Get a single template (ownership check in service)
+exports.getTemplate = catchAsync(async (req, res, next) => {
+    const template = await regimenTemplateService.fetchTemplateById(req.params.id, req.user._id);
+    res.status(200).json({
+        status: 'success',
+        data: { template }
+    });
+});
+
+// Create a new template
+exports.createTemplate = catchAsync(async (req, res, next) => {
+    console.log(`Controller: Creating regimen template for coach ${req.user.email}`);
+    const template = await regimenTemplateService.createTemplate(req.body, req.user._id);
+    res.status(201).json({
+        status: 'success',
+        data: { template }
+    });
+});
+
+// Create a template from one of the coach's existing regimens
+exports.createTemplateFromRegimen = catchAsync(async (req, res, next) => {
+    const { regimenId } = req.params;
+    console.log(`Controller: Creating template from regimen ${regimenId} for coach ${req.user.email}`);
+    const template = await regimenTemplateService.createTemplateFromRegimen(regimenId, req.body, req.user._id);
+    res.status(201).json({
+        status: 'success',
+        data: { template }
+    });
+});
+
+// Update a template (ownership check in service)
+exports.updateTemplate = catchAsync(async (req, res, next) => {
+    console.log(`Controller: Updating regimen template ${req.params.id} by coach ${req.user.email}`);
+    const template = await regimenTemplateService.updateTemplate(req.params.id, req.body, req.user._id);
+    res.status(200).json({
+        status: 'success',
+        data: { template }
+    });
+});
+
+// Delete a template (ownership check in service)
+exports.deleteTemplate = catchAsync(async (req, res, next) => {
+    console.log(`Controller: Deleting regimen template ${req.params.id} by coach ${req.user.email}`);
+    await regimenTemplateService.deleteTemplate(req.params.id, req.user._id);
+    res.status(204).json({
+        status: 'success',
+        data: null
+    });
+});
+
+// Clone a template into a dated regimen and assign it to athletes
+exports.materializeTemplate = catchAsync(async (req, res, next) => {
+    const { startDate, athleteIds, name } = req.body;
+    if (!startDate) {
+        return next(new AppError('Please provide the startDate in the request body', 400));
+    }
+    console.log(`Controller: Materializing template ${req.params.id} by coach ${req.user.email}`);
+
+    const { regimen, assignedAthleteIds, skippedAthleteIds } = await regimenTemplateService.materializeTemplate(
+        req.params.id,
+        { startDate, athleteIds, name },
+        req.user._id
+    );
+
+    res.status(201).json({
+        status: 'success',
+        message: `Regimen "${regimen.name}" created and assigned to ${assignedAthleteIds.length} athletes.`,
+        data: { regimen, assignedAthleteIds, skippedAthleteIds }
+    });
+});
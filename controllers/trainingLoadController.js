@@ -0,0 +1,21 @@
+const catchAsync = require('../utils/catchAsync');
+const trainingLoadService = require('../services/trainingLoadService');
+
+// Load overview of the coach's athletes (?from=YYYY-MM-DD&to=YYYY-MM-DD), high-risk ACWR first
+exports.getTeamLoad = catchAsync(async (req, res, next) => {
+    const { from, to, athletes, flaggedCount } = await trainingLoadService.fetchTeamLoad(req.user, req.query);
+    res.status(200).json({
+        status: 'success',
+        results: athletes.length,
+        data: { from, to, flaggedCount, athletes }
+    });
+});
+
+// Daily and weekly load, ACWR, monotony and strain of one athlete (?from=&to=)
+exports.getAthleteLoad = catchAsync(async (req, res, next) => {
+    const load = await trainingLoadService.fetchAthleteLoad(req.user, req.params.athleteId, req.query);
+    res.status(200).json({
+        status: 'success',
+        data: { load }
+    });
+});
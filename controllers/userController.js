@@ -2,6 +2,9 @@ const User = require('../models/User');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const userService = require('../services/userService');
+const storageService = require('../services/storageService');
+const { detectFileMimeType } = require('../utils/mimeSniffer');
+const { buildApiUrl } = require('../utils/urlUtils');
 const mongoose = require('mongoose');
 
 // --- Utility to filter object fields ---
@@ -13,6 +16,12 @@ const filterObj = (obj, ...allowedFields) => {
   return newObj;
 };
 
+// --- Stored file name of an avatar uploaded here (null for external URLs) ---
+const avatarFilename = (avatarUrl) => {
+  const match = /\/api\/users\/avatar\/([^/?#]+)$/.exec(avatarUrl || '');
+  return match ? match[1] : null;
+};
+
 // --- Controller Functions ---
 
 // Get basic details for multiple users by ID
@@ -141,9 +150,27 @@ exports.uploadAvatar = catchAsync(async (req, res, next) => {
     return next(new AppError('Please upload an image file', 400));
   }
 
-  // Store the full URL in the database
-  const avatarUrl = `http://localhost:8000/api/users/avatar/${req.file.filename}`;
-  const updatedUser = await User.findByIdAndUpdate(
+  // Check the contents, not just the type the browser declared
+  const mimeType = await detectFileMimeType(req.file.path);
+  if (!mimeType || !mimeType.startsWith('image/')) {
+    storageService.discardUploads([req.file]);
+    return next(new AppError('Please upload an image file', 400));
+  }
+
+  try {
+    await storageService.storeFile(req.file, {
+      folder: 'avatars',
+      purpose: 'avatar',
+      owner: req.user._id,
+      contentType: mimeType
+    });
+  } catch (error) {
+    storageService.discardUploads([req.file]);
+    throw error;
+  }
+
+  const avatarUrl = buildApiUrl(`/api/users/avatar/${req.file.filename}`, req);
+  await User.findByIdAndUpdate(
     req.user._id,
     { avatarUrl },
     {
@@ -152,6 +179,12 @@ exports.uploadAvatar = catchAsync(async (req, res, next) => {
     }
   );
 
+  // The previous avatar isn't referenced anymore
+  const previousAvatar = avatarFilename(req.user.avatarUrl);
+  if (previousAvatar && previousAvatar !== req.file.filename) {
+    await storageService.removeFiles([storageService.keyFor('avatars', previousAvatar)]);
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Avatar uploaded successfully',
@@ -161,14 +194,24 @@ exports.uploadAvatar = catchAsync(async (req, res, next) => {
   });
 });
 
+// Public: redirects to a short-lived signed URL for an avatar
+exports.getAvatar = catchAsync(async (req, res, next) => {
+  const url = await storageService.getDownloadUrl(storageService.keyFor('avatars', req.params.filename));
+  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.redirect(302, url);
+});
+
 exports.updateNotificationPreferences = catchAsync(async (req, res, next) => {
   const allowedPreferences = [
     'programAssigned',
     'workoutReminder',
+    'reminderHour',
     'coachMessage',
     'progressUpdate',
     'system',
     'email',
+    'emailFrequency',
+    'digestHour',
     'push'
   ];
 
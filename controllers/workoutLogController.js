@@ -1,4 +1,8 @@
 const workoutLogService = require('../services/workoutLogService');
+const adherenceService = require('../services/adherenceService');
+const workoutLogHooks = require('../services/workoutLogHooks');
+const logCommentService = require('../services/logCommentService');
+const logMediaService = require('../services/logMediaService');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const mongoose = require('mongoose');
@@ -13,10 +17,15 @@ exports.createWorkoutLog = catchAsync(async (req, res, next) => {
   // Call the service function to create the log
   const newLog = await workoutLogService.createWorkoutLog(athleteId, logData);
 
+  // Detect new PRs and achievements
+  const { newPersonalRecords, newAchievements } = await workoutLogHooks.afterSave(newLog);
+
   // Service handles validation and creation. If it returns, it was successful.
   res.status(201).json({
     status: 'success',
-    data: newLog
+    data: newLog,
+    newPersonalRecords,
+    newAchievements
   });
 });
 
@@ -75,7 +84,7 @@ exports.getAthleteWorkoutLogs = catchAsync(async (req, res, next) => {
   });
 });
 
-// Get workout statistics based on logs shared with the coach
+// Get workout statistics for the coach's athletes (optional ?from=&to=, YYYY-MM-DD)
 exports.getWorkoutLogStats = catchAsync(async (req, res, next) => {
   if (req.user.role !== 'coach') {
     return next(new AppError('Only coaches can view workout statistics', 403));
@@ -83,7 +92,7 @@ exports.getWorkoutLogStats = catchAsync(async (req, res, next) => {
   const coachId = req.user._id;
   console.log(`[DEBUG] Getting stats for logs shared with coach: ${req.user.email} (ID: ${coachId})`);
 
-  const statsData = await workoutLogService.getStatsForCoach(coachId);
+  const statsData = await workoutLogService.getStatsForCoach(coachId, req.query);
 
   console.log(`[DEBUG] Stats calculated by service:`, statsData);
 
@@ -111,6 +120,105 @@ exports.getWorkoutLog = catchAsync(async (req, res, next) => {
   });
 });
 
+// Compare a workout log against the prescription of its regimen day
+exports.getWorkoutLogComparison = catchAsync(async (req, res, next) => {
+  // Access checks are handled by the service (same rules as viewing the log)
+  const comparison = await adherenceService.fetchLogComparison(req.params.id, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: comparison
+  });
+});
+
+// Comment threads on a log (?exerciseId=<id> for one exercise entry, 'none' for the log itself)
+exports.getWorkoutLogComments = catchAsync(async (req, res, next) => {
+  const comments = await logCommentService.fetchComments(req.params.id, req.user, req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: comments.length,
+    data: { comments }
+  });
+});
+
+// Comment on a log, an exercise entry (exerciseId) or reply to a comment (parentId)
+exports.addWorkoutLogComment = catchAsync(async (req, res, next) => {
+  const comment = await logCommentService.addComment(req.params.id, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: { comment }
+  });
+});
+
+// Edit your own comment
+exports.updateWorkoutLogComment = catchAsync(async (req, res, next) => {
+  const comment = await logCommentService.updateComment(req.params.id, req.params.commentId, req.user, req.body.text);
+
+  res.status(200).json({
+    status: 'success',
+    data: { comment }
+  });
+});
+
+// Delete your own comment
+exports.deleteWorkoutLogComment = catchAsync(async (req, res, next) => {
+  await logCommentService.deleteComment(req.params.id, req.params.commentId, req.user);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Coach marks a log as reviewed with a verdict and summary
+exports.reviewWorkoutLog = catchAsync(async (req, res, next) => {
+  const review = await logCommentService.reviewLog(req.params.id, req.user, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: { review }
+  });
+});
+
+// Form-check photos and videos on a log
+exports.getWorkoutLogMedia = catchAsync(async (req, res, next) => {
+  const media = await logMediaService.fetchMedia(req.params.id, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    results: media.length,
+    data: { media }
+  });
+});
+
+// Upload media to your own log (multipart "media" files, optional exerciseId and caption)
+exports.addWorkoutLogMedia = catchAsync(async (req, res, next) => {
+  const media = await logMediaService.addMedia(req.params.id, req.user, req.files, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: { media }
+  });
+});
+
+// Download a media file (anyone who can see the log): redirects to a short-lived signed URL
+exports.getWorkoutLogMediaFile = catchAsync(async (req, res, next) => {
+  const url = await logMediaService.getMediaUrl(req.params.id, req.params.filename, req.user);
+  res.redirect(302, url);
+});
+
+// Delete a media file from a log
+exports.deleteWorkoutLogMedia = catchAsync(async (req, res, next) => {
+  await logMediaService.deleteMedia(req.params.id, req.params.filename, req.user);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
 // Update a workout log
 exports.updateWorkoutLog = catchAsync(async (req, res, next) => {
   const logId = req.params.id;
@@ -147,9 +255,14 @@ exports.updateWorkoutLog = catchAsync(async (req, res, next) => {
 
   const updatedLog = await workoutLogService.updateWorkoutLog(logId, filteredUpdateData);
 
+  // Edited sets may change which PRs and achievements this log earns
+  const { newPersonalRecords, newAchievements } = await workoutLogHooks.afterSave(updatedLog);
+
   res.status(200).json({
     status: 'success',
-    data: updatedLog
+    data: updatedLog,
+    newPersonalRecords,
+    newAchievements
   });
 });
 
@@ -169,7 +282,8 @@ exports.deleteWorkoutLog = catchAsync(async (req, res, next) => {
   // For now, let's assume the permissions checked by fetchWorkoutLogById are sufficient for delete.
   // TODO: Revisit delete permissions (maybe only athlete owner?)
 
-  await workoutLogService.deleteWorkoutLog(logId);
+  const deletedLog = await workoutLogService.deleteWorkoutLog(logId);
+  await workoutLogHooks.afterDelete(deletedLog);
   
   res.status(204).json({
     status: 'success',
@@ -181,8 +295,12 @@ exports.deleteWorkoutLog = catchAsync(async (req, res, next) => {
 exports.deleteWorkoutLogsByRegimen = catchAsync(async (req, res, next) => {
   const { regimenId } = req.params;
   
+  if (!mongoose.Types.ObjectId.isValid(regimenId)) {
+    return next(new AppError('Invalid regimen ID format provided.', 400));
+  }
+
   // Find the regimen to verify it exists and check permissions
-  const regimen = await workoutLogService.getRegimen(regimenId);
+  const regimen = await Regimen.findById(regimenId);
   
   if (!regimen) {
     return next(new AppError('Regimen not found', 404));
@@ -190,21 +308,22 @@ exports.deleteWorkoutLogsByRegimen = catchAsync(async (req, res, next) => {
   
   // Check if the user has permission to delete logs for this regimen
   if (req.user.role === 'coach') {
-    // For coaches, check if they created the regimen
-    if (regimen.createdBy.toString() !== req.user._id.toString()) {
-      return next(new AppError('You can only delete logs for regimens you created', 403));
+    // Owners and editors manage the regimen's logs
+    if (!regimen.hasRole(req.user._id, 'editor')) {
+      return next(new AppError('You need editor access to delete logs for this regimen', 403));
     }
   } else {
     // Only coaches can bulk delete logs
     return next(new AppError('Only coaches can delete all logs for a regimen', 403));
   }
   
-  // Delete all workout logs for this regimen
-  const result = await workoutLogService.deleteWorkoutLogsByRegimen(regimenId);
+  // Delete all workout logs for this regimen, then their PRs and achievements
+  const deletedLogs = await workoutLogService.deleteLogsByRegimen(regimenId);
+  await workoutLogHooks.afterBulkDelete(deletedLogs);
   
   res.status(200).json({
     status: 'success',
-    message: `${result.deletedCount} workout logs deleted successfully`,
+    message: `${deletedLogs.length} workout logs deleted successfully`,
     data: null
   });
 });
@@ -213,9 +332,10 @@ exports.deleteWorkoutLogsByRegimen = catchAsync(async (req, res, next) => {
 exports.deleteWorkoutLogsByRegimenId = async (regimenId) => {
   try {
     console.log(`[INTERNAL] Deleting all workout logs for regimen ID: ${regimenId}`);
-    const result = await workoutLogService.deleteWorkoutLogsByRegimen(regimenId);
-    console.log(`[INTERNAL] Successfully deleted ${result.deletedCount} workout logs for regimen ${regimenId}`);
-    return result;
+    const deletedLogs = await workoutLogService.deleteLogsByRegimen(regimenId);
+    await workoutLogHooks.afterBulkDelete(deletedLogs);
+    console.log(`[INTERNAL] Successfully deleted ${deletedLogs.length} workout logs for regimen ${regimenId}`);
+    return { deletedCount: deletedLogs.length };
   } catch (error) {
     console.error(`Error deleting workout logs for regimen ${regimenId}:`, error);
     throw error;
@@ -382,25 +502,25 @@ exports.handleCleanupRequest = catchAsync(async (req, res, next) => {
       });
     }
 
-    // Delete only the orphaned logs
-    const deleteResult = await WorkoutLog.deleteMany({
-      _id: { $in: orphanedLogs.map(log => log._id) }
-    });
+    // Delete only the orphaned logs (with their media), then their PRs and achievements
+    const deletedLogs = await workoutLogService.deleteLogsById(orphanedLogs.map(log => log._id));
+    await workoutLogHooks.afterBulkDelete(deletedLogs);
 
     return res.status(200).json({
       status: 'success',
-      message: `Successfully deleted ${deleteResult.deletedCount} orphaned logs.`,
-      deletedCount: deleteResult.deletedCount
+      message: `Successfully deleted ${deletedLogs.length} orphaned logs.`,
+      deletedCount: deletedLogs.length
     });
   }
 
   // If no specific logs are provided, delete all orphaned logs
-  const result = await workoutLogService.deleteOrphanedLogs();
+  const deletedLogs = await workoutLogService.deleteOrphanedLogs();
+  await workoutLogHooks.afterBulkDelete(deletedLogs);
   
   res.status(200).json({
     status: 'success',
-    message: `Successfully deleted ${result.deletedCount} orphaned logs.`,
-    deletedCount: result.deletedCount
+    message: `Successfully deleted ${deletedLogs.length} orphaned logs.`,
+    deletedCount: deletedLogs.length
   });
 });
 
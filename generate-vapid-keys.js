@@ -0,0 +1,19 @@
+const { generateVapidKeys } = require('./utils/webPush');
+
+// Prints a new VAPID key pair for web push. Generate it once per environment:
+// changing the keys invalidates every existing browser subscription.
+function printVapidKeys() {
+  const { publicKey, privateKey } = generateVapidKeys();
+
+  console.log('Add these to your environment file:\n');
+  console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+  console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
+  console.log('VAPID_SUBJECT=mailto:support@coachshare.com');
+}
+
+// Only run if the file is executed directly
+if (require.main === module) {
+  printVapidKeys();
+}
+
+module.exports = printVapidKeys;
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const catchAsync = require('../utils/catchAsync');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 
 // Protect routes
 exports.protect = catchAsync(async (req, res, next) => {
@@ -43,6 +44,15 @@ exports.protect = catchAsync(async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log('Token verified, user ID:', decoded.id);
 
+    // Tokens signed for another purpose (e.g. links in emails) are not logins
+    if (decoded.purpose) {
+      console.log(`Rejected a "${decoded.purpose}" token used for authentication`);
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Invalid token. Please log in again.'
+      });
+    }
+
     // Check if user still exists
     const currentUser = await User.findById(decoded.id);
     if (!currentUser) {
@@ -53,8 +63,18 @@ exports.protect = catchAsync(async (req, res, next) => {
       });
     }
 
+    // Tokens issued for a session stop working once it is revoked
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+      console.log(`Session ${decoded.sid} is no longer active`);
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Your session has ended. Please log in again.'
+      });
+    }
+
     // GRANT ACCESS TO PROTECTED ROUTE
     req.user = currentUser;
+    req.sessionId = decoded.sid;
     console.log(`User authenticated: ${currentUser.email} (${currentUser._id})`);
     next();
   } catch (error) {
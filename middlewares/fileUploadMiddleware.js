@@ -3,23 +3,25 @@ const path = require('path');
 const crypto = require('crypto');
 const AppError = require('../utils/appError');
 
-// Configure multer storage
+// Every upload lands in uploads/tmp under a random name; the services move the
+// files they keep into the configured storage (see storageService).
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, 'uploads/avatars');
+    cb(null, 'uploads/tmp');
   },
   filename: (req, file, cb) => {
-    // Generate random filename
-    const uniqueSuffix = crypto.randomBytes(16).toString('hex');
-    cb(null, `${uniqueSuffix}-${file.originalname}`);
+    // Random name; the original name is kept in the file's metadata
+    cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
   }
 });
 
+const DEFAULT_ALLOWED_FILE_TYPES = 'image/jpeg,image/png,image/gif,image/webp';
+
 // File filter function
 const fileFilter = (req, file, cb) => {
   // Allowed file types
-  const allowedTypes = process.env.ALLOWED_FILE_TYPES.split(',');
-  
+  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || DEFAULT_ALLOWED_FILE_TYPES).split(',').map(type => type.trim());
+
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
@@ -49,4 +51,76 @@ exports.handleFileUploadError = (err, req, res, next) => {
 
 // Export configured upload middleware
 exports.uploadSingle = upload.single('avatar');
-exports.uploadMultiple = upload.array('files', 5); // Max 5 files 
\ No newline at end of file
+exports.uploadMultiple = upload.array('files', 5); // Max 5 files 
+
+// Message attachments: images, video, audio and PDFs
+const MAX_MESSAGE_ATTACHMENTS = 5;
+const MESSAGE_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB
+
+const messageUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    const allowed = /^(image|video|audio)\//.test(file.mimetype) || file.mimetype === 'application/pdf';
+    if (allowed) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Invalid file type. Attach images, videos, audio or PDFs.', 400), false);
+    }
+  },
+  limits: {
+    fileSize: MESSAGE_ATTACHMENT_SIZE,
+    files: MAX_MESSAGE_ATTACHMENTS
+  }
+});
+
+// Accepts up to 5 files in the "attachments" field; JSON bodies pass straight through
+exports.uploadMessageAttachments = (req, res, next) => {
+  messageUpload.array('attachments', MAX_MESSAGE_ATTACHMENTS)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError('Attachment too large. Maximum size is 10MB.', 400));
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return next(new AppError(`You can attach up to ${MAX_MESSAGE_ATTACHMENTS} files.`, 400));
+      }
+      return next(new AppError('Error uploading attachment.', 400));
+    }
+    next(err);
+  });
+};
+
+// Exercise demo media and workout form checks: images and videos.
+// The declared type is only a first filter; mediaService checks the file contents.
+const MAX_MEDIA_FILES = 5;
+const MEDIA_FILE_SIZE = parseInt(process.env.MAX_MEDIA_FILE_SIZE) || 100 * 1024 * 1024; // 100MB default
+
+const mediaUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (/^(image|video)\//.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new AppError('Invalid file type. Upload images or videos.', 400), false);
+    }
+  },
+  limits: {
+    fileSize: MEDIA_FILE_SIZE,
+    files: MAX_MEDIA_FILES
+  }
+});
+
+// Accepts up to 5 files in the "media" field
+exports.uploadMedia = (req, res, next) => {
+  mediaUpload.array('media', MAX_MEDIA_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError(`File too large. Maximum size is ${Math.round(MEDIA_FILE_SIZE / (1024 * 1024))}MB.`, 400));
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return next(new AppError(`You can upload up to ${MAX_MEDIA_FILES} files at a time.`, 400));
+      }
+      return next(new AppError('Error uploading file.', 400));
+    }
+    next(err);
+  });
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const REQUEST_TTL_DAYS = 14;
+
+// A pending coach-athlete connection. The coaches/athletes arrays on User
+// only change when the receiving side accepts.
+const connectionRequestSchema = new mongoose.Schema({
+  athlete: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A connection request must have an athlete']
+  },
+  coach: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A connection request must have a coach']
+  },
+  // 'athlete' for an athlete asking for a coach, 'coach' for a coach inviting an athlete
+  initiatedBy: {
+    type: String,
+    enum: ['athlete', 'coach'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'withdrawn', 'expired'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000)
+  },
+  respondedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Only one open request per coach-athlete pair
+connectionRequestSchema.index(
+  { athlete: 1, coach: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+connectionRequestSchema.index({ coach: 1, status: 1 });
+connectionRequestSchema.index({ athlete: 1, status: 1 });
+
+const ConnectionRequest = mongoose.model('ConnectionRequest', connectionRequestSchema);
+
+module.exports = ConnectionRequest;
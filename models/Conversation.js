@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A 1:1 ('direct') or group conversation between a coach and their athletes.
+const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['direct', 'group'],
+    required: true
+  },
+  // Groups only
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Conversation name cannot exceed 100 characters']
+  },
+  participants: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sorted participant IDs of a direct conversation, so each pair has only one
+  directKey: String,
+  // When each participant last read the conversation (read receipts)
+  readState: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    lastReadAt: Date
+  }],
+  lastMessage: {
+    text: String,
+    sender: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    sentAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, partialFilterExpression: { type: 'direct' } });
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
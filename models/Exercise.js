@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { normalizeExerciseName } = require('../utils/exerciseMatching');
+
+const MUSCLE_GROUPS = [
+  'chest', 'upper_back', 'lats', 'lower_back', 'shoulders', 'biceps', 'triceps', 'forearms',
+  'core', 'obliques', 'glutes', 'quadriceps', 'hamstrings', 'adductors', 'abductors', 'hip_flexors',
+  'calves', 'neck', 'full_body', 'cardiovascular'
+];
+const EQUIPMENT = [
+  'barbell', 'dumbbell', 'kettlebell', 'trap_bar', 'ez_bar', 'machine', 'smith_machine', 'cable',
+  'band', 'bodyweight', 'pull_up_bar', 'bench', 'box', 'medicine_ball', 'sled', 'rower', 'bike',
+  'ski_erg', 'treadmill', 'track', 'pool', 'other'
+];
+const MOVEMENT_PATTERNS = [
+  'squat', 'hinge', 'lunge', 'horizontal_push', 'vertical_push', 'horizontal_pull', 'vertical_pull',
+  'carry', 'rotation', 'anti_rotation', 'core', 'isolation', 'jump', 'throw', 'olympic_lift',
+  'locomotion', 'conditioning', 'mobility', 'other'
+];
+
+// A canonical exercise in the library. Global entries have no owner; coaches can
+// add private ones that only they and their athletes see.
+const exerciseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Exercise name is required'],
+    trim: true,
+    maxlength: [100, 'Exercise name cannot exceed 100 characters']
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized name and aliases, kept in sync on save, for matching and lookups
+  searchNames: {
+    type: [String],
+    select: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  primaryMuscles: [{
+    type: String,
+    enum: MUSCLE_GROUPS
+  }],
+  secondaryMuscles: [{
+    type: String,
+    enum: MUSCLE_GROUPS
+  }],
+  equipment: [{
+    type: String,
+    enum: EQUIPMENT
+  }],
+  movementPattern: {
+    type: String,
+    enum: MOVEMENT_PATTERNS
+  },
+  // How the exercise is usually prescribed and in which units
+  defaultUnits: {
+    measure: {
+      type: String,
+      enum: ['reps', 'time', 'distance'],
+      default: 'reps'
+    },
+    load: {
+      type: String,
+      enum: ['kg', 'lb'],
+      default: 'kg'
+    },
+    distance: {
+      type: String,
+      enum: ['m', 'km', 'mi'],
+      default: 'm'
+    }
+  },
+  perSide: {
+    type: Boolean,
+    default: false
+  },
+  // Demo media
+  media: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['image', 'video', 'gif'],
+      default: 'video'
+    },
+    url: {
+      type: String,
+      required: [true, 'Media URL is required']
+    },
+    caption: String
+  }],
+  // Null for the global library; the coach's ID for private exercises
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+exerciseSchema.index({ owner: 1, searchNames: 1 });
+exerciseSchema.index({ owner: 1, name: 1 });
+
+exerciseSchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isModified('aliases') || !this.searchNames?.length) {
+    this.searchNames = [...new Set([this.name, ...(this.aliases || [])].map(normalizeExerciseName).filter(Boolean))];
+  }
+  next();
+});
+
+const Exercise = mongoose.model('Exercise', exerciseSchema);
+
+module.exports = Exercise;
+module.exports.MUSCLE_GROUPS = MUSCLE_GROUPS;
+module.exports.EQUIPMENT = EQUIPMENT;
+module.exports.MOVEMENT_PATTERNS = MOVEMENT_PATTERNS;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A coach's training group (squad). Regimens assigned to the group are given to
+// every member, and follow membership changes.
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [100, 'Group name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Group description cannot exceed 500 characters']
+  },
+  coach: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  }],
+  regimens: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Regimen'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+groupSchema.index({ coach: 1, name: 1 }, { unique: true });
+groupSchema.index({ members: 1 });
+groupSchema.index({ regimens: 1 });
+
+const Group = mongoose.model('Group', groupSchema);
+
+module.exports = Group;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const INVITATION_TTL_DAYS = 7;
+
+// An invitation for someone without an account to join a coach's team.
+// Only a hash of the token is stored; the raw token is in the emailed link.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'An invitation must have an email'],
+    lowercase: true,
+    trim: true
+  },
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  coach: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'An invitation must belong to a coach']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: Date,
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One open invitation per coach and email
+invitationSchema.index(
+  { coach: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+invitationSchema.index({ tokenHash: 1 });
+
+invitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issues a fresh token (invalidating any earlier link) and restarts the expiry
+invitationSchema.methods.generateToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000;
+  this.status = 'pending';
+  return token;
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A comment on a workout log, or on one exercise entry of it (exerciseId).
+// Replies point at their parent comment; threads are built when reading.
+const logCommentSchema = new mongoose.Schema({
+  workoutLog: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'WorkoutLog',
+    required: [true, 'A comment must belong to a workout log']
+  },
+  // exerciseLogs[].exerciseId of the entry being discussed; empty for the whole log
+  exerciseId: String,
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'LogComment'
+  },
+  author: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A comment must have an author']
+  },
+  text: {
+    type: String,
+    trim: true,
+    required: [true, 'A comment cannot be empty'],
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  editedAt: Date,
+  // Deleted comments keep their place so replies stay threaded
+  deletedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+logCommentSchema.index({ workoutLog: 1, createdAt: 1 });
+
+const LogComment = mongoose.model('LogComment', logCommentSchema);
+
+module.exports = LogComment;
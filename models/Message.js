@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  // Stored file name under uploads/messages
+  filename: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  url: String
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'A message must belong to a conversation']
+  },
+  sender: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A message must have a sender']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  attachments: [attachmentSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// History is paged newest-first within a conversation
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
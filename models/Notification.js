@@ -13,7 +13,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['program_assigned', 'workout_reminder', 'coach_message', 'progress_update', 'system'],
+    enum: ['program_assigned', 'workout_reminder', 'coach_message', 'progress_update', 'connection_request', 'workout_feedback', 'system'],
     default: 'system'
   },
   user: {
@@ -29,6 +29,12 @@ const notificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Waiting to go out in the user's next email digest
+  emailPending: {
+    type: Boolean,
+    default: false
+  },
+  emailedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -41,7 +47,18 @@ const notificationSchema = new mongoose.Schema({
 // Index for efficient querying
 notificationSchema.index({ user: 1, createdAt: -1 });
 notificationSchema.index({ user: 1, read: 1 });
+notificationSchema.index({ emailPending: 1, user: 1 });
 
 const Notification = mongoose.model('Notification', notificationSchema);
 
-module.exports = Notification; 
\ No newline at end of file
+module.exports = Notification;
+// Which User.notificationPreferences flag controls each type on the email and push channels
+module.exports.PREFERENCE_BY_TYPE = {
+  program_assigned: 'programAssigned',
+  workout_reminder: 'workoutReminder',
+  coach_message: 'coachMessage',
+  progress_update: 'progressUpdate',
+  connection_request: 'system',
+  workout_feedback: 'coachMessage',
+  system: 'system'
+};
\ No newline at end of file
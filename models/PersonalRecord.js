@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One document per record-breaking performance; the latest per
+// athlete/exercise/type/criterion is the current PR, older ones are history.
+const personalRecordSchema = new mongoose.Schema({
+  athleteId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A personal record must belong to an athlete']
+  },
+  exerciseName: {
+    type: String,
+    required: [true, 'A personal record must have an exercise name'],
+    trim: true
+  },
+  // Lower-cased, whitespace-collapsed name used to group records
+  exerciseKey: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['estimated_1rm', 'reps_at_load', 'fastest_time'],
+    required: [true, 'A personal record must have a type']
+  },
+  // What the record is measured at: load in kg for reps_at_load,
+  // distance in metres for fastest_time, 0 for estimated_1rm
+  criterion: {
+    type: Number,
+    default: 0
+  },
+  // kg for estimated_1rm, reps for reps_at_load, seconds for fastest_time
+  value: {
+    type: Number,
+    required: true
+  },
+  // Both common 1RM estimates for estimated_1rm records; value uses Epley
+  estimates: {
+    epley: Number,
+    brzycki: Number
+  },
+  previousValue: {
+    type: Number,
+    default: null
+  },
+  // The set that produced the record, as logged
+  load: Number,
+  loadUnit: {
+    type: String,
+    enum: ['kg', 'lb']
+  },
+  reps: Number,
+  distance: Number,
+  duration: Number,
+  workoutLogId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'WorkoutLog',
+    required: true
+  },
+  achievedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+personalRecordSchema.index({ athleteId: 1, exerciseKey: 1, type: 1, criterion: 1, achievedAt: -1 });
+personalRecordSchema.index({ workoutLogId: 1 });
+
+const PersonalRecord = mongoose.model('PersonalRecord', personalRecordSchema);
+
+module.exports = PersonalRecord;
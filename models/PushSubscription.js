@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A browser/device registered for Web Push. Push services hand out one
+// endpoint per installation, so the endpoint identifies the device.
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A push subscription must belong to a user']
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'A push subscription must have an endpoint'],
+    unique: true
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true
+    },
+    auth: {
+      type: String,
+      required: true
+    }
+  },
+  // Set by some browsers; the subscription stops working after this
+  expirationTime: Date,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSuccessAt: Date,
+  // Consecutive failed deliveries (other than "gone", which removes the subscription)
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+});
+
+pushSubscriptionSchema.index({ user: 1 });
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+module.exports = PushSubscription;
@@ -1,6 +1,72 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// Collaborator roles, from least to most access
+const COLLABORATOR_ROLES = ['viewer', 'editor', 'owner'];
+
+// Schema for pace plans generated by the pace calculator
+const PacePlanSchema = new Schema({
+  unit: {
+    type: String,
+    enum: ['m', 'km', 'mi'],
+    default: 'm'
+  },
+  totalDistance: Number,
+  targetTime: String,
+  effortPercentage: Number,
+  trainingTime: String,
+  pace: {
+    per400m: String,
+    perKm: String,
+    perMile: String
+  },
+  splits: [{
+    _id: false,
+    distance: Number,
+    time: String,
+    clock: String,
+    splitTime: String
+  }],
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Schema for uploaded images and videos (demo clips on regimen exercises,
+// form checks on workout logs). Files live under uploads/media.
+const MediaAttachmentSchema = new Schema({
+  // Stored file name under uploads/media
+  filename: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  // Detected from the file contents, not the client's claim
+  mimeType: String,
+  kind: {
+    type: String,
+    enum: ['image', 'video']
+  },
+  size: Number,
+  // Exercise the file belongs to (optional for workout logs)
+  exerciseId: String,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Caption cannot exceed 300 characters']
+  },
+  uploadedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  url: String
+}, { _id: false });
+
 // Schema for exercises
 const ExerciseSchema = new Schema({
   _id: {
@@ -11,6 +77,11 @@ const ExerciseSchema = new Schema({
     type: String,
     required: [true, 'Exercise name is required']
   },
+  // Exercise library entry this exercise is (optional; the name stays free text)
+  exerciseRef: {
+    type: Schema.Types.ObjectId,
+    ref: 'Exercise'
+  },
   sets: {
     type: Number,
     default: 3
@@ -31,6 +102,16 @@ const ExerciseSchema = new Schema({
     type: String,
     default: ''
   },
+  // Prescribed load per set (optional)
+  load: {
+    type: Number,
+    min: 0
+  },
+  loadUnit: {
+    type: String,
+    enum: ['kg', 'lb'],
+    default: 'kg'
+  },
   restInterval: {
     type: String,
     default: '01:00'
@@ -44,7 +125,8 @@ const ExerciseSchema = new Schema({
   },
   mediaLinks: [{
     url: String
-  }]
+  }],
+  pacePlan: PacePlanSchema
 });
 
 // Schema for days
@@ -69,6 +151,75 @@ const DaySchema = new Schema({
   exercises: [ExerciseSchema]
 });
 
+// Schema for microcycles (training weeks) inside a phase
+const WeekSchema = new Schema({
+  _id: {
+    type: String,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  weekNumber: {
+    type: Number,
+    min: 1
+  },
+  startDate: {
+    type: String
+  },
+  focus: {
+    type: String
+  },
+  days: [DaySchema]
+});
+
+// Schema for mesocycles (base, build, peak, taper...)
+const PhaseSchema = new Schema({
+  _id: {
+    type: String,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  name: {
+    type: String,
+    required: [true, 'Phase name is required']
+  },
+  type: {
+    type: String,
+    enum: ['base', 'build', 'peak', 'taper', 'recovery', 'competition', 'transition'],
+    default: 'base'
+  },
+  startDate: {
+    type: String,
+    required: [true, 'Phase start date is required']
+  },
+  endDate: {
+    type: String,
+    required: [true, 'Phase end date is required']
+  },
+  // Planned weekly volume range, measured in `metric`
+  targetVolume: {
+    metric: {
+      type: String,
+      enum: ['sets', 'reps', 'minutes'],
+      default: 'sets'
+    },
+    min: Number,
+    max: Number
+  },
+  // Planned intensity range on a 1-10 scale
+  targetIntensity: {
+    min: {
+      type: Number,
+      min: 1,
+      max: 10
+    },
+    max: {
+      type: Number,
+      min: 1,
+      max: 10
+    }
+  },
+  notes: String,
+  weeks: [WeekSchema]
+});
+
 // Main Regimen schema
 const RegimenSchema = new Schema({
   id: {
@@ -98,6 +249,40 @@ const RegimenSchema = new Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Co-coaches working on this regimen. The creator is always an owner and is
+  // not listed here.
+  collaborators: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      default: 'editor'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Athletes in assignedTo who only have access through a training group, so
+  // leaving the group (or unassigning it) takes the regimen away again
+  groupAssignees: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Template this regimen was materialized from, if any
+  sourceTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RegimenTemplate'
+  },
   exercises: [{
     name: String,
     sets: Number,
@@ -116,6 +301,16 @@ const RegimenSchema = new Schema({
     type: Date,
     default: Date.now
   },
+  // Current revision number; every change is snapshotted in RegimenRevision
+  revision: {
+    type: Number,
+    default: 1
+  },
+  // Bumped whenever the schedule changes so calendar clients pick up moved days
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
   category: {
     type: String,
     default: 'General'
@@ -127,19 +322,43 @@ const RegimenSchema = new Schema({
     type: String,
     default: 'Intermediate'
   },
-  days: [DaySchema]
+  // Flat list of every training day. When phases are used this is rebuilt
+  // from phases[].weeks[].days so existing consumers keep working.
+  days: [DaySchema],
+  // Macrocycle structure: phases -> weeks -> days
+  phases: [PhaseSchema],
+  // Demo media uploaded for the plan's exercises (matched by exerciseId). Kept
+  // outside days/phases so editing the plan never drops files.
+  exerciseMedia: [MediaAttachmentSchema]
 });
 
 // Add index for faster queries
 RegimenSchema.index({ createdBy: 1 });
 RegimenSchema.index({ assignedTo: 1 });
+RegimenSchema.index({ 'collaborators.user': 1 });
+
+// The coach's role on this regimen ('owner', 'editor', 'viewer'), or null.
+// Works whether or not createdBy/collaborators are populated.
+RegimenSchema.methods.roleFor = function(userId) {
+  if (!userId) return null;
+  const id = userId.toString();
+  const refId = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+  if (refId(this.createdBy) === id) return 'owner';
+  const collaborator = (this.collaborators || []).find(entry => refId(entry.user) === id);
+  return collaborator ? collaborator.role : null;
+};
+
+// Whether the coach has at least the given role on this regimen
+RegimenSchema.methods.hasRole = function(userId, minimumRole) {
+  return COLLABORATOR_ROLES.indexOf(this.roleFor(userId)) >= COLLABORATOR_ROLES.indexOf(minimumRole);
+};
 
 // Add method to check if a user has access to this regimen
 RegimenSchema.methods.hasAccess = async function(userId, userRole) {
   if (userRole === 'coach') {
-    return this.createdBy.equals(userId);
+    return this.roleFor(userId) !== null;
   } else if (userRole === 'athlete') {
-    return this.assignedTo.includes(userId);
+    return this.assignedTo.some(athlete => (athlete._id || athlete).equals(userId));
   }
   return false;
 };
@@ -147,4 +366,9 @@ RegimenSchema.methods.hasAccess = async function(userId, userRole) {
 // Create model from schema
 const Regimen = mongoose.model('Regimen', RegimenSchema);
 
-module.exports = Regimen; 
\ No newline at end of file
+module.exports = Regimen;
+// Shared with the template model so exercises keep the same shape
+module.exports.ExerciseSchema = ExerciseSchema; 
+// Shared with workout logs for form-check uploads
+module.exports.MediaAttachmentSchema = MediaAttachmentSchema;
+module.exports.COLLABORATOR_ROLES = COLLABORATOR_ROLES;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A numbered snapshot of a regimen's plan, taken on every change so logs can be
+// compared with what the athlete was actually given, and old plans restored.
+const regimenRevisionSchema = new mongoose.Schema({
+  regimen: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Regimen',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // The plan as it was: name, dates, days, phases, exercises...
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  // Set when this revision restored an older one
+  restoredFrom: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+regimenRevisionSchema.index({ regimen: 1, number: -1 }, { unique: true });
+
+const RegimenRevision = mongoose.model('RegimenRevision', regimenRevisionSchema);
+
+module.exports = RegimenRevision;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { ExerciseSchema } = require('./Regimen');
+const Schema = mongoose.Schema;
+
+// Schema for template days - positioned by week/day offset instead of a calendar date
+const TemplateDaySchema = new Schema({
+  _id: {
+    type: String,
+    default: () => new mongoose.Types.ObjectId().toString()
+  },
+  name: {
+    type: String,
+    default: 'Workout Day'
+  },
+  // 1-based week of the program ("week 2")
+  week: {
+    type: Number,
+    required: [true, 'Template day week is required'],
+    min: [1, 'Week offsets start at 1']
+  },
+  // 1-based day within the week ("day 3"); day 1 is the program start weekday
+  day: {
+    type: Number,
+    required: [true, 'Template day offset is required'],
+    min: [1, 'Day offsets run from 1 to 7'],
+    max: [7, 'Day offsets run from 1 to 7']
+  },
+  intensity: {
+    type: String,
+    default: 'Medium'
+  },
+  exercises: [ExerciseSchema]
+});
+
+// Main RegimenTemplate schema
+const RegimenTemplateSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  description: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Program length; defaults to the last week used by the days
+  durationWeeks: {
+    type: Number,
+    min: 1
+  },
+  category: {
+    type: String,
+    default: 'General'
+  },
+  sport: {
+    type: String
+  },
+  level: {
+    type: String,
+    default: 'Intermediate'
+  },
+  customIntensities: [{
+    type: String
+  }],
+  days: [TemplateDaySchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RegimenTemplateSchema.index({ createdBy: 1 });
+
+// Make sure the declared duration covers every day in the template
+RegimenTemplateSchema.pre('validate', function(next) {
+  const lastWeek = this.days.reduce((max, day) => Math.max(max, day.week || 0), 0);
+  if (!this.durationWeeks || this.durationWeeks < lastWeek) {
+    this.durationWeeks = Math.max(lastWeek, 1);
+  }
+  next();
+});
+
+const RegimenTemplate = mongoose.model('RegimenTemplate', RegimenTemplateSchema);
+
+module.exports = RegimenTemplate;
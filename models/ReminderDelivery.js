@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One document per reminder sent. The unique index is what stops a restarted
+// (or second) scheduler from sending the same reminder twice.
+const reminderDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  regimenId: {
+    type: String,
+    required: true
+  },
+  dayId: {
+    type: String,
+    required: true
+  },
+  // 'upcoming' on the day itself, 'missed' the day after when nothing was logged
+  kind: {
+    type: String,
+    enum: ['upcoming', 'missed'],
+    required: true
+  },
+  // The training day's date (YYYY-MM-DD)
+  dayDate: String,
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reminderDeliverySchema.index({ user: 1, regimenId: 1, dayId: 1, kind: 1 }, { unique: true });
+// Reminders only look one day back, so old records can go
+reminderDeliverySchema.index({ sentAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const ReminderDelivery = mongoose.model('ReminderDelivery', reminderDeliverySchema);
+
+module.exports = ReminderDelivery;
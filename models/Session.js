@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One document per logged-in device. The refresh token rotates on every use;
+// all tokens issued for a session form one family, so revoking the session
+// revokes the whole family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'A session must belong to a user']
+  },
+  // Hash of the refresh token that is currently valid for this session
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means it leaked
+  usedTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected']
+  }
+});
+
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
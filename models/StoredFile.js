@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Metadata for every uploaded file, whichever storage driver holds the bytes.
+// The key is the file's path within the storage (e.g. "media/3f2a….mp4").
+const storedFileSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'A stored file must have a key'],
+    unique: true
+  },
+  // Which driver stored it ("local" or "s3")
+  driver: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User'
+  },
+  purpose: {
+    type: String,
+    enum: ['avatar', 'message_attachment', 'exercise_media', 'workout_media'],
+    required: [true, 'A stored file must have a purpose']
+  },
+  originalName: String,
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+storedFileSchema.index({ owner: 1, purpose: 1 });
+
+const StoredFile = mongoose.model('StoredFile', storedFileSchema);
+
+module.exports = StoredFile;
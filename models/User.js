@@ -43,6 +43,12 @@ const UserSchema = new mongoose.Schema({
   emailVerificationExpires: Date,
   resetPasswordToken: String,
   resetPasswordExpires: Date,
+  // Secret for the iCalendar subscription URL (hash only; the URL is shown once)
+  calendarFeedTokenHash: {
+    type: String,
+    select: false
+  },
+  calendarFeedCreatedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -101,6 +107,12 @@ const UserSchema = new mongoose.Schema({
     year: String
   }],
   avatarUrl: String,
+  // Bytes of exercise and workout media this user has uploaded (counts against MEDIA_QUOTA_BYTES)
+  mediaStorageUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   socialLinks: {
     website: String,
     linkedin: String,
@@ -109,6 +121,24 @@ const UserSchema = new mongoose.Schema({
     facebook: String,
     youtube: String
   },
+  // IANA time zone (e.g. "Europe/Oslo"); reminders are sent in the user's local time
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: function(value) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: value });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: '{VALUE} is not a valid time zone'
+    }
+  },
+  // Period ("2025-03-03" or "week-2025-03-03") of the last email digest, so it is sent once
+  lastEmailDigest: String,
   notificationPreferences: {
     programAssigned: {
       type: Boolean,
@@ -118,6 +148,13 @@ const UserSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Local hour (0-23) at which workout reminders and missed-session follow-ups go out
+    reminderHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 7
+    },
     coachMessage: {
       type: Boolean,
       default: true
@@ -134,6 +171,19 @@ const UserSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // 'instant' emails each notification; 'daily'/'weekly' batch them into a digest
+    emailFrequency: {
+      type: String,
+      enum: ['instant', 'daily', 'weekly'],
+      default: 'instant'
+    },
+    // Local hour (0-23) at which digests go out (weekly digests on Mondays)
+    digestHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 18
+    },
     push: {
       type: Boolean,
       default: true
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// An achievement a user has earned. Definitions live in achievementService;
+// this only records who earned which one and when.
+const userAchievementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'An achievement must belong to a user']
+  },
+  achievementId: {
+    type: String,
+    required: [true, 'An achievement must reference a definition']
+  },
+  // When the criteria were first met (e.g. the date of the 10th workout)
+  achievedDate: {
+    type: Date,
+    required: true
+  },
+  // When the engine awarded it
+  awardedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userAchievementSchema.index({ user: 1, achievementId: 1 }, { unique: true });
+
+const UserAchievement = mongoose.model('UserAchievement', userAchievementSchema);
+
+module.exports = UserAchievement;
@@ -1,5 +1,56 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { MediaAttachmentSchema } = require('./Regimen');
+
+const setLogSchema = new Schema({
+  setNumber: {
+    type: Number,
+    min: 1
+  },
+  reps: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  load: {
+    type: Number,
+    min: 0
+  },
+  loadUnit: {
+    type: String,
+    enum: ['kg', 'lb'],
+    default: 'kg'
+  },
+  rpe: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  rir: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  tempo: String, // e.g. "3-1-1-0" or "31X0"
+  side: {
+    type: String,
+    enum: ['left', 'right', 'both'],
+    default: 'both'
+  },
+  duration: {
+    type: Number, // in seconds
+    min: 0
+  },
+  distance: {
+    type: Number, // in metres, for timed efforts over a distance
+    min: 0
+  },
+  completed: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+}, { _id: false });
 
 const exerciseLogSchema = new Schema({
   exerciseId: {
@@ -10,6 +61,11 @@ const exerciseLogSchema = new Schema({
     type: String,
     required: [true, 'Exercise name is required']
   },
+  // Exercise library entry, copied from the regimen or matched by name
+  exerciseRef: {
+    type: Schema.Types.ObjectId,
+    ref: 'Exercise'
+  },
   sets: {
     type: Number,
     default: 0
@@ -18,6 +74,8 @@ const exerciseLogSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Legacy single-tuple fields. Kept in sync with setLogs (derived on save)
+  // so older clients still read sensible values.
   weight: {
     type: String
   },
@@ -25,6 +83,10 @@ const exerciseLogSchema = new Schema({
     type: Number, // in seconds
     default: 0
   },
+  rest: {
+    type: Number // actual rest between sets, in seconds
+  },
+  setLogs: [setLogSchema],
   completed: {
     type: Boolean,
     default: false
@@ -43,6 +105,8 @@ const workoutLogSchema = new Schema({
     required: false
   },
   regimenName: String,
+  // Regimen revision the workout was done against
+  regimenRevision: Number,
   dayId: {
     type: String,
     required: [true, 'Day ID is required']
@@ -76,7 +140,26 @@ const workoutLogSchema = new Schema({
   sharedWith: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // Form-check photos and videos, for the whole session or one exercise entry
+  media: [MediaAttachmentSchema],
+  // Coach sign-off on the session
+  review: {
+    verdict: {
+      type: String,
+      enum: ['excellent', 'on_track', 'needs_attention']
+    },
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review summary cannot exceed 1000 characters']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  }
 }, { 
   timestamps: true,
   toJSON: { virtuals: true },
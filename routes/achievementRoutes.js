@@ -10,8 +10,11 @@ router.use(authController.protect);
 // Route for the logged-in user to get their earned achievements
 router.get('/my-achievements', achievementController.getMyAchievements);
 
-// Potential future routes:
-// router.get('/', authController.restrictTo('admin'), achievementController.getAllAchievementsDefinitions); // Admin view
-// router.get('/user/:userId', authController.restrictTo('coach', 'admin'), achievementController.getUserAchievements); // Coach/Admin view
+// Route for the logged-in user to get their personal records (current bests and history)
+router.get('/prs', achievementController.getMyPersonalRecords);
+
+// Coach/Admin views
+router.get('/', authController.restrictTo('coach', 'admin'), achievementController.getAllAchievementsDefinitions);
+router.get('/user/:userId', authController.restrictTo('coach', 'admin'), achievementController.getUserAchievements);
 
 module.exports = router; 
\ No newline at end of file
@@ -4,6 +4,8 @@ const authMiddleware = require('../middleware/authMiddleware');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const { setSessionCookies } = require('../utils/authUtils');
 
 const router = express.Router();
 
@@ -33,15 +35,16 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Start a device session (short-lived access token + rotating refresh token)
+    const tokens = await sessionService.startSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    setSessionCookies(res, tokens);
 
     res.status(201).json({
-      token,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
       user: {
         id: user._id,
         email: user.email,
@@ -72,15 +75,16 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Start a device session (short-lived access token + rotating refresh token)
+    const tokens = await sessionService.startSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    setSessionCookies(res, tokens);
 
     res.json({
-      token,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
       user: {
         id: user._id,
         email: user.email,
@@ -100,6 +104,8 @@ router.post('/resend-verification', authController.resendVerification);
 router.post('/forgot-password', authController.forgotPassword);
 router.patch('/reset-password/:token', authController.resetPassword);
 router.get('/logout', authController.logout);
+// Refresh must work with an expired access token, so it sits before protect
+router.post('/refresh-token', authController.refreshToken);
 
 // Special route - accessible without authentication
 router.get('/link-athlete/:email', async (req, res) => {
@@ -165,44 +171,10 @@ router.get('/link-athlete/:email', async (req, res) => {
 // Protected routes
 router.use(authMiddleware.protect); // All routes after this middleware require authentication
 
-// Add token refresh endpoint
-router.post('/refresh-token', (req, res) => {
-  try {
-    // User is already authenticated through middleware
-    // Generate a new token
-    const token = jwt.sign({ id: req.user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN
-    });
-    
-    // Set cookie options
-    const cookieOptions = {
-      expires: new Date(
-        Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-      ),
-      httpOnly: true,
-      secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
-      sameSite: 'lax',
-      path: '/'
-    };
-    
-    // Send JWT in cookie and response
-    res.cookie('jwt', token, cookieOptions);
-    
-    res.status(200).json({
-      status: 'success',
-      token,
-      data: {
-        user: req.user
-      }
-    });
-  } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to refresh token'
-    });
-  }
-});
+// Active sessions (one per logged-in device)
+router.get('/sessions', authController.getMySessions);
+router.delete('/sessions', authController.revokeOtherSessions);
+router.delete('/sessions/:id', authController.revokeMySession);
 
 // Simple auth check endpoint
 router.get('/check', (req, res) => {
@@ -227,6 +199,9 @@ router.get('/me', async (req, res) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -0,0 +1,18 @@
+const express = require('express');
+const { protect } = require('../middleware/authMiddleware');
+const calendarController = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Public: calendar apps can't log in, so the secret token in the URL authorizes the feed
+router.get('/feed/:token.ics', calendarController.getFeed);
+
+// Managing your own feed link
+router.use(protect);
+
+router.route('/feed')
+  .get(calendarController.getMyFeed)
+  .post(calendarController.createMyFeed)
+  .delete(calendarController.deleteMyFeed);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const connectionRequestController = require('../controllers/connectionRequestController');
+
+const router = express.Router();
+
+// Coach-athlete connection requests (athlete asks for a coach, or coach invites an athlete)
+router.use(protect);
+router.use(restrictTo('athlete', 'coach'));
+
+router.route('/')
+  .get(connectionRequestController.getMyConnectionRequests)
+  .post(connectionRequestController.createConnectionRequest);
+
+router.patch('/:id/accept', connectionRequestController.acceptConnectionRequest);
+router.patch('/:id/decline', connectionRequestController.declineConnectionRequest);
+router.patch('/:id/withdraw', connectionRequestController.withdrawConnectionRequest);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const { protect } = require('../middleware/authMiddleware');
+const { uploadMessageAttachments } = require('../middlewares/fileUploadMiddleware');
+const conversationController = require('../controllers/conversationController');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(conversationController.getMyConversations)
+  .post(conversationController.createConversation);
+
+router.get('/:id', conversationController.getConversation);
+
+router.route('/:id/messages')
+  .get(conversationController.getMessages)
+  .post(uploadMessageAttachments, conversationController.sendMessage);
+
+router.post('/:id/read', conversationController.markAsRead);
+router.get('/:id/attachments/:filename', conversationController.getAttachment);
+
+module.exports = router;
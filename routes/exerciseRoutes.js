@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const exerciseController = require('../controllers/exerciseController');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(exerciseController.getExercises)
+  .post(restrictTo('coach', 'admin'), exerciseController.createExercise);
+
+router.get('/match', exerciseController.matchExercise);
+
+router.route('/:id')
+  .get(exerciseController.getExercise)
+  .patch(restrictTo('coach', 'admin'), exerciseController.updateExercise)
+  .delete(restrictTo('coach', 'admin'), exerciseController.deleteExercise);
+
+module.exports = router;
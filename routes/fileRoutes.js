@@ -0,0 +1,9 @@
+const express = require('express');
+const fileController = require('../controllers/fileController');
+
+const router = express.Router();
+
+// Public: signed download links for locally stored uploads
+router.get('/download', fileController.downloadFile);
+
+module.exports = router;
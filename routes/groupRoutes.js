@@ -0,0 +1,28 @@
+const express = require('express');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const groupController = require('../controllers/groupController');
+
+const router = express.Router();
+
+router.use(protect, restrictTo('coach'));
+
+router.route('/')
+  .get(groupController.getMyGroups)
+  .post(groupController.createGroup);
+
+router.route('/:id')
+  .get(groupController.getGroup)
+  .patch(groupController.updateGroup)
+  .delete(groupController.deleteGroup);
+
+router.post('/:id/members', groupController.addMembers);
+router.delete('/:id/members/:athleteId', groupController.removeMember);
+
+router.route('/:id/regimens/:regimenId')
+  .put(groupController.assignRegimen)
+  .delete(groupController.unassignRegimen);
+
+router.get('/:id/logs', groupController.getGroupLogs);
+router.get('/:id/stats', groupController.getGroupStats);
+
+module.exports = router;
@@ -2,9 +2,20 @@ const express = require('express');
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
 const regimenRoutes = require('./regimenRoutes');
+const regimenTemplateRoutes = require('./regimenTemplateRoutes');
 const workoutLogRoutes = require('./workoutLogRoutes');
 const notificationRoutes = require('./notificationRoutes');
 const achievementRoutes = require('./achievementRoutes');
+const paceRoutes = require('./paceRoutes');
+const connectionRequestRoutes = require('./connectionRequestRoutes');
+const invitationRoutes = require('./invitationRoutes');
+const calendarRoutes = require('./calendarRoutes');
+const pushRoutes = require('./pushRoutes');
+const conversationRoutes = require('./conversationRoutes');
+const groupRoutes = require('./groupRoutes');
+const exerciseRoutes = require('./exerciseRoutes');
+const fileRoutes = require('./fileRoutes');
+const trainingLoadRoutes = require('./trainingLoadRoutes');
 const healthRoutes = require('./healthRoutes');
 
 const router = express.Router();
@@ -13,9 +24,20 @@ const router = express.Router();
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/regimens', regimenRoutes);
+router.use('/regimen-templates', regimenTemplateRoutes);
 router.use('/workout-logs', workoutLogRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/achievements', achievementRoutes);
+router.use('/pace', paceRoutes);
+router.use('/connection-requests', connectionRequestRoutes);
+router.use('/invitations', invitationRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/push', pushRoutes);
+router.use('/conversations', conversationRoutes);
+router.use('/groups', groupRoutes);
+router.use('/exercises', exerciseRoutes);
+router.use('/files', fileRoutes);
+router.use('/training-load', trainingLoadRoutes);
 router.use('/health', healthRoutes);
 
 // Optional: Add a health check or version endpoint for the API root (/api)
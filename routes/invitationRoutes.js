@@ -0,0 +1,23 @@
+const express = require('express');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const invitationController = require('../controllers/invitationController');
+
+const router = express.Router();
+
+// Public: the invitee opens the emailed link and sets their own password
+router.route('/accept/:token')
+  .get(invitationController.getInvitationByToken)
+  .post(invitationController.acceptInvitation);
+
+// Coach management of sent invitations
+router.use(protect);
+router.use(restrictTo('coach'));
+
+router.route('/')
+  .get(invitationController.getMyInvitations)
+  .post(invitationController.createInvitation);
+
+router.post('/:id/resend', invitationController.resendInvitation);
+router.delete('/:id', invitationController.revokeInvitation);
+
+module.exports = router;
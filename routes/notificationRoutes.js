@@ -4,6 +4,9 @@ const authMiddleware = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+// Public: email unsubscribe links work without logging in
+router.post('/unsubscribe/:token', notificationController.unsubscribe);
+
 // Protect all routes after this middleware
 router.use(authMiddleware.protect);
 
@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const paceController = require('../controllers/paceController');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(protect);
+
+// Calculate a split table for a target time and effort percentage
+router.post('/plan', paceController.getPacePlan);
+
+// Attach a calculated plan to an exercise in one of the coach's regimens
+router.post(
+  '/regimens/:regimenId/days/:dayId/exercises/:exerciseId',
+  restrictTo('coach'),
+  paceController.attachPacePlan
+);
+
+module.exports = router;
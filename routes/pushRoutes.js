@@ -0,0 +1,18 @@
+const express = require('express');
+const { protect } = require('../middleware/authMiddleware');
+const pushController = require('../controllers/pushController');
+
+const router = express.Router();
+
+// Public: needed before the browser can subscribe
+router.get('/vapid-public-key', pushController.getPublicKey);
+
+// Device registration for the logged-in user
+router.use(protect);
+
+router.route('/subscriptions')
+  .get(pushController.getMySubscriptions)
+  .post(pushController.subscribe)
+  .delete(pushController.unsubscribe);
+
+module.exports = router;
@@ -3,11 +3,12 @@ const router = express.Router();
 const { protect, restrictTo } = require('../middleware/authMiddleware');
 const regimenController = require('../controllers/regimenController');
 const authController = require('../controllers/authController');
+const { uploadMedia } = require('../middlewares/fileUploadMiddleware');
 
 // Protect all routes
 router.use(protect);
 
-// Coach routes - only accessible by coaches who created the regimens
+// Coach routes - access depends on the coach's role on the regimen (see regimenService)
 router.get('/coach', restrictTo('coach'), regimenController.getCoachRegimens);
 router.post('/', restrictTo('coach'), regimenController.createRegimen);
 router.patch('/:id', restrictTo('coach'), regimenController.updateRegimen);
@@ -15,6 +16,11 @@ router.delete('/:id', restrictTo('coach'), regimenController.deleteRegimen);
 router.post('/:id/assign', restrictTo('coach'), regimenController.assignRegimen);
 router.post('/:id/remove-athlete', restrictTo('coach'), regimenController.removeAthlete);
 
+// Co-coach collaborators (owner, editor, viewer)
+router.get('/:id/collaborators', restrictTo('coach'), regimenController.getCollaborators);
+router.post('/:id/collaborators', restrictTo('coach'), regimenController.addCollaborator);
+router.delete('/:id/collaborators/:coachId', restrictTo('coach'), regimenController.removeCollaborator);
+
 // Athlete routes - only accessible by athletes assigned to the regimens
 router.get('/athlete', restrictTo('athlete'), regimenController.getAthleteRegimens);
 
@@ -94,6 +100,19 @@ router.get('/', (req, res, next) => {
 });
 
 // Shared routes - accessible by both coaches and athletes with proper access checks
+router.get('/:id/volume', regimenController.getRegimenVolume);
+
+// Version history (diff must come before the :number route)
+router.get('/:id/revisions', regimenController.getRevisions);
+router.get('/:id/revisions/diff', regimenController.getRevisionDiff);
+router.get('/:id/revisions/:number', regimenController.getRevision);
+router.post('/:id/revisions/:number/restore', restrictTo('coach'), regimenController.restoreRevision);
+
+// Exercise demo media (listed on the regimen as exerciseMedia)
+router.post('/:id/exercises/:exerciseId/media', restrictTo('coach'), uploadMedia, regimenController.addExerciseMedia);
+router.get('/:id/media/:filename', regimenController.getExerciseMediaFile);
+router.delete('/:id/media/:filename', restrictTo('coach'), regimenController.deleteExerciseMedia);
+
 // This MUST be the last route to avoid capturing 'coach' or 'athlete' as an ID
 router.get('/:id', regimenController.getRegimenById);
 
@@ -0,0 +1,26 @@
+const express = require('express');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const regimenTemplateController = require('../controllers/regimenTemplateController');
+
+const router = express.Router();
+
+// Templates are a coach-only feature
+router.use(protect);
+router.use(restrictTo('coach'));
+
+router.route('/')
+  .get(regimenTemplateController.getMyTemplates)
+  .post(regimenTemplateController.createTemplate);
+
+// Save an existing regimen as a reusable template
+router.post('/from-regimen/:regimenId', regimenTemplateController.createTemplateFromRegimen);
+
+// Clone a template into a dated regimen for a start date and athlete list
+router.post('/:id/materialize', regimenTemplateController.materializeTemplate);
+
+router.route('/:id')
+  .get(regimenTemplateController.getTemplate)
+  .patch(regimenTemplateController.updateTemplate)
+  .delete(regimenTemplateController.deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const trainingLoadController = require('../controllers/trainingLoadController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Session-RPE training load analytics for coaches
+router.use(authController.protect);
+router.use(authController.restrictTo('coach'));
+
+router.get('/', trainingLoadController.getTeamLoad);
+router.get('/athletes/:athleteId', trainingLoadController.getAthleteLoad);
+
+module.exports = router;
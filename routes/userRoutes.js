@@ -1,41 +1,13 @@
 const express = require('express');
 const userController = require('../controllers/userController');
 const authController = require('../controllers/authController');
-const multer = require('multer');
-const path = require('path');
+const fileUploadMiddleware = require('../middlewares/fileUploadMiddleware');
 const authMiddleware = require('../middlewares/authMiddleware');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/avatars')
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname))
-  }
-});
-
-const upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    if (!file.mimetype.startsWith('image/')) {
-      return cb(new Error('Only image files are allowed!'), false);
-    }
-    cb(null, true);
-  }
-});
-
 // Public routes
-router.get('/avatar/:filename', (req, res) => {
-  res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-  res.sendFile(path.join(__dirname, '..', 'uploads', 'avatars', req.params.filename));
-});
+router.get('/avatar/:filename', userController.getAvatar);
 
 // Public routes (if any, e.g., for checking email availability) could go here
 
@@ -54,7 +26,7 @@ router.post('/remove-coach', authController.restrictTo('admin', 'coach'), userCo
 router.get('/me', userController.getMe, userController.getUser);
 
 // Upload profile picture
-router.post('/upload-avatar', upload.single('avatar'), userController.uploadAvatar);
+router.post('/upload-avatar', fileUploadMiddleware.uploadSingle, fileUploadMiddleware.handleFileUploadError, userController.uploadAvatar);
 
 // Update current user profile
 router.patch('/updateMe', userController.updateMe);
@@ -1,6 +1,7 @@
 const express = require('express');
 const workoutLogController = require('../controllers/workoutLogController');
 const authController = require('../controllers/authController');
+const { uploadMedia } = require('../middlewares/fileUploadMiddleware');
 
 const router = express.Router();
 
@@ -48,6 +49,30 @@ router.delete('/cleanup', workoutLogController.handleCleanupRequest);
 // Delete all workout logs for a specific regimen (might be less used now)
 router.delete('/regimen/:regimenId', workoutLogController.deleteWorkoutLogsByRegimen);
 
+// Prescribed-vs-actual comparison for a single log
+router.get('/:id/comparison', workoutLogController.getWorkoutLogComparison);
+
+// Comment threads on a log and its exercise entries
+router.route('/:id/comments')
+  .get(workoutLogController.getWorkoutLogComments)
+  .post(workoutLogController.addWorkoutLogComment);
+
+router.route('/:id/comments/:commentId')
+  .patch(workoutLogController.updateWorkoutLogComment)
+  .delete(workoutLogController.deleteWorkoutLogComment);
+
+// Form-check photos and videos
+router.route('/:id/media')
+  .get(workoutLogController.getWorkoutLogMedia)
+  .post(uploadMedia, workoutLogController.addWorkoutLogMedia);
+
+router.route('/:id/media/:filename')
+  .get(workoutLogController.getWorkoutLogMediaFile)
+  .delete(workoutLogController.deleteWorkoutLogMedia);
+
+// Coach review of a log
+router.put('/:id/review', authController.restrictTo('coach'), workoutLogController.reviewWorkoutLog);
+
 // Routes for specific workout logs (e.g., /:logId)
 // MUST be last to avoid catching specific routes like /cleanup or /debug
 router.route('/:id')
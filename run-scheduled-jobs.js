@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars from config.env file
+dotenv.config({ path: './config.env' });
+
+const scheduler = require('./services/scheduler');
+
+// Runs the scheduled jobs (workout reminders, email digests) once, for hosts
+// where the API doesn't run as a long-lived process (e.g. serverless).
+// Schedule it every 15 minutes with cron.
+async function runScheduledJobs() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const results = await scheduler.runOnce();
+    Object.entries(results).forEach(([name, summary]) => {
+      console.log(`${name}:`, summary || 'failed');
+    });
+
+  } catch (error) {
+    console.error('Error running scheduled jobs:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// Only run if the file is executed directly
+if (require.main === module) {
+  runScheduledJobs();
+}
+
+module.exports = runScheduledJobs;
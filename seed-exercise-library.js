@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars from config.env file
+dotenv.config({ path: './config.env' });
+
+const Exercise = require('./models/Exercise');
+const { normalizeExerciseName } = require('./utils/exerciseMatching');
+
+// Starter global library. Admins can extend it through the API.
+const STARTER_EXERCISES = [
+  { name: 'Back Squat', aliases: ['Barbell Squat', 'Squat'], primaryMuscles: ['quadriceps', 'glutes'], secondaryMuscles: ['adductors', 'lower_back'], equipment: ['barbell'], movementPattern: 'squat' },
+  { name: 'Front Squat', primaryMuscles: ['quadriceps'], secondaryMuscles: ['glutes', 'core'], equipment: ['barbell'], movementPattern: 'squat' },
+  { name: 'Goblet Squat', primaryMuscles: ['quadriceps', 'glutes'], equipment: ['dumbbell', 'kettlebell'], movementPattern: 'squat' },
+  { name: 'Deadlift', aliases: ['Conventional Deadlift'], primaryMuscles: ['hamstrings', 'glutes', 'lower_back'], secondaryMuscles: ['forearms', 'upper_back'], equipment: ['barbell'], movementPattern: 'hinge' },
+  { name: 'Romanian Deadlift', aliases: ['RDL'], primaryMuscles: ['hamstrings', 'glutes'], secondaryMuscles: ['lower_back'], equipment: ['barbell', 'dumbbell'], movementPattern: 'hinge' },
+  { name: 'Hip Thrust', aliases: ['Barbell Hip Thrust'], primaryMuscles: ['glutes'], secondaryMuscles: ['hamstrings'], equipment: ['barbell', 'bench'], movementPattern: 'hinge' },
+  { name: 'Kettlebell Swing', primaryMuscles: ['glutes', 'hamstrings'], secondaryMuscles: ['core'], equipment: ['kettlebell'], movementPattern: 'hinge' },
+  { name: 'Walking Lunge', aliases: ['Lunge'], primaryMuscles: ['quadriceps', 'glutes'], equipment: ['bodyweight', 'dumbbell'], movementPattern: 'lunge', perSide: true },
+  { name: 'Bulgarian Split Squat', aliases: ['Rear Foot Elevated Split Squat'], primaryMuscles: ['quadriceps', 'glutes'], equipment: ['dumbbell', 'bench'], movementPattern: 'lunge', perSide: true },
+  { name: 'Bench Press', aliases: ['Barbell Bench Press', 'Flat Bench'], primaryMuscles: ['chest'], secondaryMuscles: ['triceps', 'shoulders'], equipment: ['barbell', 'bench'], movementPattern: 'horizontal_push' },
+  { name: 'Dumbbell Bench Press', primaryMuscles: ['chest'], secondaryMuscles: ['triceps', 'shoulders'], equipment: ['dumbbell', 'bench'], movementPattern: 'horizontal_push' },
+  { name: 'Push Up', aliases: ['Press Up'], primaryMuscles: ['chest'], secondaryMuscles: ['triceps', 'core'], equipment: ['bodyweight'], movementPattern: 'horizontal_push', defaultUnits: { measure: 'reps', load: 'kg', distance: 'm' } },
+  { name: 'Overhead Press', aliases: ['Military Press', 'Strict Press'], primaryMuscles: ['shoulders'], secondaryMuscles: ['triceps', 'core'], equipment: ['barbell'], movementPattern: 'vertical_push' },
+  { name: 'Barbell Row', aliases: ['Bent Over Row'], primaryMuscles: ['upper_back', 'lats'], secondaryMuscles: ['biceps'], equipment: ['barbell'], movementPattern: 'horizontal_pull' },
+  { name: 'Single Arm Dumbbell Row', aliases: ['Dumbbell Row'], primaryMuscles: ['lats', 'upper_back'], secondaryMuscles: ['biceps'], equipment: ['dumbbell', 'bench'], movementPattern: 'horizontal_pull', perSide: true },
+  { name: 'Pull Up', primaryMuscles: ['lats'], secondaryMuscles: ['biceps', 'upper_back'], equipment: ['pull_up_bar'], movementPattern: 'vertical_pull' },
+  { name: 'Lat Pulldown', primaryMuscles: ['lats'], secondaryMuscles: ['biceps'], equipment: ['cable', 'machine'], movementPattern: 'vertical_pull' },
+  { name: 'Farmer Carry', aliases: ["Farmer's Walk"], primaryMuscles: ['forearms', 'core'], secondaryMuscles: ['upper_back'], equipment: ['dumbbell', 'kettlebell'], movementPattern: 'carry', defaultUnits: { measure: 'distance', load: 'kg', distance: 'm' } },
+  { name: 'Plank', aliases: ['Front Plank'], primaryMuscles: ['core'], equipment: ['bodyweight'], movementPattern: 'anti_rotation', defaultUnits: { measure: 'time', load: 'kg', distance: 'm' } },
+  { name: 'Pallof Press', primaryMuscles: ['core', 'obliques'], equipment: ['cable', 'band'], movementPattern: 'anti_rotation', perSide: true },
+  { name: 'Box Jump', primaryMuscles: ['quadriceps', 'glutes'], secondaryMuscles: ['calves'], equipment: ['box'], movementPattern: 'jump' },
+  { name: 'Power Clean', primaryMuscles: ['full_body'], equipment: ['barbell'], movementPattern: 'olympic_lift' },
+  { name: 'Rowing', aliases: ['Row Erg', 'Erg'], primaryMuscles: ['cardiovascular'], secondaryMuscles: ['upper_back', 'quadriceps'], equipment: ['rower'], movementPattern: 'conditioning', defaultUnits: { measure: 'distance', load: 'kg', distance: 'm' } },
+  { name: 'Easy Run', aliases: ['Recovery Run'], primaryMuscles: ['cardiovascular'], equipment: ['track', 'treadmill'], movementPattern: 'locomotion', defaultUnits: { measure: 'distance', load: 'kg', distance: 'km' } }
+];
+
+// Adds the starter exercises that aren't in the global library yet. Safe to run again.
+async function seedExerciseLibrary() {
+  try {
+    console.log('Seeding exercise library...');
+    console.log('Connecting to MongoDB...');
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    console.log('Connected to MongoDB');
+
+    let createdCount = 0;
+
+    for (const data of STARTER_EXERCISES) {
+      const exists = await Exercise.exists({ owner: null, searchNames: normalizeExerciseName(data.name) });
+      if (exists) {
+        console.log(`- ${data.name}: already in the library`);
+        continue;
+      }
+      await Exercise.create({ ...data, owner: null });
+      createdCount += 1;
+      console.log(`- ${data.name}: added`);
+    }
+
+    console.log('\nSeed Summary:');
+    console.log(`Added ${createdCount} of ${STARTER_EXERCISES.length} starter exercises`);
+
+  } catch (error) {
+    console.error('Error seeding exercise library:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+// Only run the seed if the file is executed directly
+if (require.main === module) {
+  seedExerciseLibrary()
+    .then(() => console.log('Seed script completed'))
+    .catch(err => console.error('Seed script failed:', err));
+}
+
+module.exports = seedExerciseLibrary;
+module.exports.STARTER_EXERCISES = STARTER_EXERCISES;
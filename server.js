@@ -51,6 +51,9 @@ app.use(hpp());
 const fs = require('fs');
 const uploadsDir = path.join(__dirname, 'uploads');
 const avatarsDir = path.join(uploadsDir, 'avatars');
+const messagesDir = path.join(uploadsDir, 'messages');
+const mediaDir = path.join(uploadsDir, 'media');
+const tmpDir = path.join(uploadsDir, 'tmp');
 
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
@@ -58,6 +61,21 @@ if (!fs.existsSync(uploadsDir)) {
 if (!fs.existsSync(avatarsDir)) {
   fs.mkdirSync(avatarsDir);
 }
+if (!fs.existsSync(messagesDir)) {
+  fs.mkdirSync(messagesDir);
+}
+if (!fs.existsSync(mediaDir)) {
+  fs.mkdirSync(mediaDir);
+}
+if (!fs.existsSync(tmpDir)) {
+  fs.mkdirSync(tmpDir);
+}
+
+// Message attachments and exercise/workout media are private; they are served
+// through signed /api/files URLs. Uploads in progress are never served.
+app.use(['/uploads/messages', '/uploads/media', '/uploads/tmp'], (req, res, next) => {
+  next(new AppError(`Can't find ${req.originalUrl} on this server!`, 404));
+});
 
 // Serve static files from uploads directory
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
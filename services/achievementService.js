@@ -1,81 +1,270 @@
+const mongoose = require('mongoose');
 const WorkoutLog = require('../models/WorkoutLog.js');
-const { parseISO, differenceInDays, startOfWeek, endOfWeek } = require('date-fns');
+const Regimen = require('../models/Regimen');
+const User = require('../models/User');
+const UserAchievement = require('../models/UserAchievement');
+const AppError = require('../utils/appError');
+const personalRecordService = require('./personalRecordService');
+const notificationService = require('./notificationService');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Declarative achievement definitions. `criteria.type` picks the evaluator below:
+//   threshold          - `count` of `metric` reached
+//   streak             - workouts on `days` distinct days within `windowDays`
+//   pr                 - `count` personal records (optionally of `recordType`, or only ones that beat a previous record)
+//   program_completion - `count` assigned programs with every day logged
 const ALL_ACHIEVEMENTS = [
-  { id: 'first-workout', title: 'First Step', description: 'Completed your first workout!', iconName: 'Award' },
-  { id: 'milestone-10', title: 'Workout Warrior (10)', description: 'Completed 10 workouts.', iconName: 'Star' },
-  { id: 'milestone-25', title: 'Workout Pro (25)', description: 'Completed 25 workouts.', iconName: 'TrendingUp' },
-  { id: 'consistent-week', title: 'Consistent Week', description: 'Completed workouts on 3+ days in a week.', iconName: 'Calendar' },
-  // TODO: Add more achievement definitions here (e.g., PRs, program completion)
+  { id: 'first-workout', title: 'First Step', description: 'Completed your first workout!', iconName: 'Award', criteria: { type: 'threshold', metric: 'workouts', count: 1 } },
+  { id: 'milestone-10', title: 'Workout Warrior (10)', description: 'Completed 10 workouts.', iconName: 'Star', criteria: { type: 'threshold', metric: 'workouts', count: 10 } },
+  { id: 'milestone-25', title: 'Workout Pro (25)', description: 'Completed 25 workouts.', iconName: 'TrendingUp', criteria: { type: 'threshold', metric: 'workouts', count: 25 } },
+  { id: 'consistent-week', title: 'Consistent Week', description: 'Completed workouts on 3+ days in a week.', iconName: 'Calendar', criteria: { type: 'streak', days: 3, windowDays: 7 } },
+  { id: 'first-pr', title: 'Record Breaker', description: 'Set your first personal record.', iconName: 'Trophy', criteria: { type: 'pr', count: 1 } },
+  { id: 'pr-10', title: 'PR Machine (10)', description: 'Set 10 personal records.', iconName: 'Zap', criteria: { type: 'pr', count: 10 } },
+  { id: 'strength-pr', title: 'Stronger Than Ever', description: 'Beat a previous estimated 1RM.', iconName: 'Dumbbell', criteria: { type: 'pr', count: 1, recordType: 'estimated_1rm', beatsPrevious: true } },
+  { id: 'program-complete', title: 'Finisher', description: 'Logged every day of an assigned program.', iconName: 'CheckCircle', criteria: { type: 'program_completion', count: 1 } },
 ];
 
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Evaluators return the date the criteria were first met, or null if they are not met.
+ * Each receives the definition's criteria and the user's preloaded context.
+ */
+const EVALUATORS = {
+  threshold: ({ metric, count }, context) => {
+    const events = context[metric] || [];
+    return events.length >= count ? events[count - 1].completedAt : null;
+  },
+
+  streak: ({ days, windowDays }, context) => {
+    const workoutDates = context.workouts.map(log => new Date(log.completedAt));
+
+    for (let i = 0; i <= workoutDates.length - days; i++) {
+      // Check the window starting from each workout
+      const windowStart = workoutDates[i];
+      const windowEnd = new Date(windowStart.getTime() + (windowDays - 1) * DAY_MS);
+
+      const uniqueDaysInWindow = new Set();
+      workoutDates.forEach(date => {
+        if (date >= windowStart && date <= windowEnd) {
+          uniqueDaysInWindow.add(toDayKey(date));
+        }
+      });
+
+      if (uniqueDaysInWindow.size >= days) {
+        return windowEnd;
+      }
+    }
+    return null;
+  },
+
+  pr: ({ count, recordType, beatsPrevious }, context) => {
+    const records = context.personalRecords.filter(record =>
+      (!recordType || record.type === recordType) &&
+      (!beatsPrevious || (record.previousValue !== null && record.previousValue !== undefined))
+    );
+    return records.length >= count ? records[count - 1].achievedAt : null;
+  },
+
+  program_completion: ({ count }, context) => {
+    return context.programCompletions.length >= count ? context.programCompletions[count - 1] : null;
+  },
+};
+
 /**
- * Calculates which achievements a user has earned based on their workout logs.
+ * Finds the dates on which the user finished each assigned program (every day logged).
  * @param {string} userId The ID of the user.
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of earned achievement objects.
+ * @param {Array<Object>} logs The user's logs, oldest first.
+ * @returns {Promise<Array<Date>>} Completion dates, oldest first.
  */
-const calculateUserAchievements = async (userId) => {
-  const logs = await WorkoutLog.find({ userId }).select('completedAt').sort({ completedAt: 1 });
+const findProgramCompletions = async (userId, logs) => {
+  const regimens = await Regimen.find({ assignedTo: userId }).select('_id id days._id').lean();
 
-  if (!logs || logs.length === 0) {
-    return [];
-  }
+  const completions = regimens.map(regimen => {
+    const dayIds = (regimen.days || []).map(day => day._id);
+    if (dayIds.length === 0) return null;
 
-  const earnedAchievements = [];
-  const totalWorkouts = logs.length;
-  const firstWorkoutDate = logs[0].completedAt;
+    const regimenIds = [regimen._id.toString(), regimen.id].filter(Boolean);
+    const loggedOn = new Map();
+    logs.forEach(log => {
+      if (regimenIds.includes(log.regimenId) && !loggedOn.has(log.dayId)) {
+        loggedOn.set(log.dayId, log.completedAt);
+      }
+    });
 
-  // Check for 'first-workout'
-  if (totalWorkouts >= 1) {
-    earnedAchievements.push({ ...ALL_ACHIEVEMENTS.find(a => a.id === 'first-workout'), achievedDate: firstWorkoutDate });
-  }
+    if (!dayIds.every(dayId => loggedOn.has(dayId))) return null;
+    return new Date(Math.max(...dayIds.map(dayId => new Date(loggedOn.get(dayId)).getTime())));
+  });
+
+  return completions.filter(Boolean).sort((a, b) => a - b);
+};
+
+/**
+ * Loads everything the evaluators need for one user in a few queries.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Object>} { workouts, personalRecords, programCompletions }
+ */
+const loadContext = async (userId) => {
+  const workouts = await WorkoutLog.find({ athleteId: userId })
+    .select('completedAt regimenId dayId')
+    .sort({ completedAt: 1 })
+    .lean();
+
+  const needsPrograms = ALL_ACHIEVEMENTS.some(a => a.criteria.type === 'program_completion');
+
+  return {
+    workouts,
+    personalRecords: await personalRecordService.fetchRecordDates(userId),
+    programCompletions: needsPrograms ? await findProgramCompletions(userId, workouts) : [],
+  };
+};
 
-  // Check for 'milestone-10'
-  if (totalWorkouts >= 10) {
-    // Use the date of the 10th workout
-    earnedAchievements.push({ ...ALL_ACHIEVEMENTS.find(a => a.id === 'milestone-10'), achievedDate: logs[9].completedAt });
+/**
+ * Works out which achievements a user currently qualifies for, without touching stored awards.
+ * @param {Array<Object>} definitions Achievement definitions.
+ * @param {Object} context The user's context from loadContext.
+ * @returns {Map<string, Date>} Achievement id -> date the criteria were met.
+ */
+const evaluateDefinitions = (definitions, context) => {
+  const earned = new Map();
+  definitions.forEach(definition => {
+    const evaluate = EVALUATORS[definition.criteria.type];
+    if (!evaluate) {
+      console.warn(`Achievement ${definition.id} has unknown criteria type ${definition.criteria.type}`);
+      return;
+    }
+    const achievedDate = evaluate(definition.criteria, context);
+    if (achievedDate) {
+      earned.set(definition.id, achievedDate);
+    }
+  });
+  return earned;
+};
+
+/**
+ * Re-evaluates a user's achievements and syncs the stored awards.
+ * New awards are stored with an awarded timestamp; awards whose criteria no longer hold
+ * (e.g. the qualifying log was deleted) are removed. Called from the workout-log hooks.
+ * @param {string} userId The ID of the user.
+ * @param {Object} [options]
+ * @param {boolean} [options.notify=true] Send a progress_update notification for new awards.
+ * @returns {Promise<Array<Object>>} The newly awarded achievements.
+ */
+const evaluateAchievements = async (userId, { notify = true } = {}) => {
+  const context = await loadContext(userId);
+  const earned = evaluateDefinitions(ALL_ACHIEVEMENTS, context);
+
+  const stored = await UserAchievement.find({ user: userId }).select('achievementId').lean();
+  const storedIds = new Set(stored.map(award => award.achievementId));
+
+  // Revoke awards whose criteria no longer hold
+  const revokedIds = [...storedIds].filter(id => !earned.has(id));
+  if (revokedIds.length > 0) {
+    await UserAchievement.deleteMany({ user: userId, achievementId: { $in: revokedIds } });
   }
 
-  // Check for 'milestone-25'
-  if (totalWorkouts >= 25) {
-    // Use the date of the 25th workout
-    earnedAchievements.push({ ...ALL_ACHIEVEMENTS.find(a => a.id === 'milestone-25'), achievedDate: logs[24].completedAt });
+  const newlyEarned = [...earned.entries()].filter(([id]) => !storedIds.has(id));
+  if (newlyEarned.length === 0) {
+    return [];
   }
 
-  // Check for 'consistent-week'
-  const workoutDates = logs.map(log => parseISO(String(log.completedAt)));
-  let achievedConsistentWeek = false;
-  let consistentWeekDate = null;
-
-  for (let i = 0; i <= workoutDates.length - 3; i++) {
-    // Check any 7-day window starting from each workout
-    const windowStart = workoutDates[i];
-    const windowEnd = new Date(windowStart.getTime() + 6 * 24 * 60 * 60 * 1000); // 6 days after
-    
-    const uniqueDaysInWindow = new Set();
-    workoutDates.forEach(date => {
-      if (date >= windowStart && date <= windowEnd) {
-        uniqueDaysInWindow.add(date.toDateString()); // Add date string to count unique days
-      }
-    });
+  // Upsert so concurrent evaluations can't award the same achievement twice
+  const awardedAt = new Date();
+  const result = await UserAchievement.bulkWrite(newlyEarned.map(([achievementId, achievedDate]) => ({
+    updateOne: {
+      filter: { user: userId, achievementId },
+      update: { $setOnInsert: { achievedDate, awardedAt } },
+      upsert: true,
+    },
+  })));
 
-    if (uniqueDaysInWindow.size >= 3) {
-      achievedConsistentWeek = true;
-      // Mark achieved date as the end of the first successful 7-day window
-      consistentWeekDate = windowEnd;
-      break; // Found one consistent week, no need to check further
+  const upsertedIndexes = Object.keys(result.upsertedIds || {}).map(Number);
+  const awarded = upsertedIndexes.map(index => {
+    const [achievementId, achievedDate] = newlyEarned[index];
+    const definition = ALL_ACHIEVEMENTS.find(a => a.id === achievementId);
+    return { ...definition, achievedDate, awardedAt, achieved: true };
+  });
+
+  if (notify) {
+    for (const achievement of awarded) {
+      try {
+        await notificationService.createNotification({
+          userId,
+          title: `Achievement unlocked: ${achievement.title}`,
+          message: achievement.description,
+          type: 'progress_update',
+          relatedId: achievement.id,
+        });
+      } catch (error) {
+        console.error('Error sending achievement notification:', error);
+      }
     }
   }
 
-  if (achievedConsistentWeek) {
-    earnedAchievements.push({ ...ALL_ACHIEVEMENTS.find(a => a.id === 'consistent-week'), achievedDate: consistentWeekDate });
+  return awarded;
+};
+
+/**
+ * Fetches the achievements stored for a user, oldest first.
+ * @param {string} userId The ID of the user.
+ * @returns {Promise<Array<Object>>} Earned achievement objects with their achieved and awarded dates.
+ */
+const fetchUserAchievements = async (userId) => {
+  const awards = await UserAchievement.find({ user: userId }).sort({ achievedDate: 1 }).lean();
+
+  return awards
+    .map(award => {
+      const definition = ALL_ACHIEVEMENTS.find(a => a.id === award.achievementId);
+      if (!definition) return null; // Definition was retired
+      const { criteria, ...details } = definition;
+      return { ...details, achievedDate: award.achievedDate, awardedAt: award.awardedAt, achieved: true };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Fetches another user's achievements on behalf of a coach or admin.
+ * Coaches may only view athletes they are connected to.
+ * @param {string} userId The ID of the user whose achievements are requested.
+ * @param {Object} requestingUser The user making the request.
+ * @returns {Promise<Array<Object>>} Earned achievement objects.
+ * @throws {AppError} If the ID is invalid, the user does not exist, or the coach is not connected to them.
+ */
+const fetchAchievementsForUser = async (userId, requestingUser) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new AppError('Invalid user ID format provided.', 400);
+  }
+
+  const user = await User.findById(userId).select('coachId coaches primaryCoachId').lean();
+  if (!user) {
+    throw new AppError('User not found', 404);
   }
 
-  // Return only the *earned* achievements, including their achieved date
-  return earnedAchievements.map(ach => ({ ...ach, achieved: true }));
+  if (requestingUser.role === 'coach') {
+    const coachId = requestingUser._id.toString();
+    const isConnected = (user.coaches || []).some(id => id.toString() === coachId) ||
+      (user.coachId && user.coachId.toString() === coachId) ||
+      (user.primaryCoachId && user.primaryCoachId.toString() === coachId);
+    if (!isConnected) {
+      throw new AppError('You can only view achievements of athletes you coach', 403);
+    }
+  }
+
+  return fetchUserAchievements(userId);
 };
 
+/**
+ * Lists all achievement definitions, including their criteria.
+ * @returns {Array<Object>}
+ */
+const listAchievementDefinitions = () => ALL_ACHIEVEMENTS;
+
 module.exports = {
-  calculateUserAchievements,
+  evaluateAchievements,
+  evaluateDefinitions,
+  fetchUserAchievements,
+  fetchAchievementsForUser,
+  listAchievementDefinitions,
   ALL_ACHIEVEMENTS // Export all definitions in case needed elsewhere
-}; 
\ No newline at end of file
+};
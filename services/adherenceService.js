@@ -0,0 +1,184 @@
+// server/services/adherenceService.js
+const Regimen = require('../models/Regimen');
+const RegimenRevision = require('../models/RegimenRevision');
+const AppError = require('../utils/appError');
+const mongoose = require('mongoose');
+const workoutLogService = require('./workoutLogService');
+const { parseDurationToSeconds } = require('../utils/durationUtils');
+
+const KG_PER_LB = 0.45359237;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeName = (name) => (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Parses a logged load ("100", "100kg", "225 lbs" or a number) into a number in the target unit.
+ * @param {string|number} weight - The logged weight.
+ * @param {string} targetUnit - 'kg' or 'lb'.
+ * @returns {number|null} - The load, or null if none was logged.
+ */
+const parseLoad = (weight, targetUnit = 'kg') => {
+    if (typeof weight === 'number') return isNaN(weight) ? null : weight;
+    if (typeof weight !== 'string') return null;
+    const value = parseFloat(weight);
+    if (isNaN(value)) return null;
+    const loggedUnit = /lb/i.test(weight) ? 'lb' : /kg/i.test(weight) ? 'kg' : targetUnit;
+    if (loggedUnit === targetUnit) return value;
+    return round(loggedUnit === 'lb' ? value * KG_PER_LB : value / KG_PER_LB);
+};
+
+/**
+ * Difference between actual and prescribed values, or null if either is missing.
+ */
+const delta = (actual, prescribed) => {
+    if (actual === null || actual === undefined || prescribed === null || prescribed === undefined) return null;
+    return round(actual - prescribed);
+};
+
+const describePrescription = (exercise) => ({
+    sets: exercise.sets ?? 0,
+    reps: exercise.isReps !== false ? (exercise.reps ?? 0) : null,
+    load: exercise.load ?? null,
+    loadUnit: exercise.loadUnit || 'kg',
+    durationSeconds: parseDurationToSeconds(exercise.duration) || null,
+    restSeconds: parseDurationToSeconds(exercise.restInterval) || null,
+    perSide: !!exercise.perSide
+});
+
+const describeActual = (entry, loadUnit) => ({
+    sets: entry.sets ?? 0,
+    reps: entry.reps ?? 0,
+    load: parseLoad(entry.weight, loadUnit),
+    durationSeconds: entry.duration || 0,
+    restSeconds: entry.rest ?? null,
+    completed: !!entry.completed
+});
+
+/**
+ * Compares a regimen day's prescription with a workout log, exercise by exercise.
+ * Log entries are matched on exerciseId first and then on exercise name.
+ * @param {object} day - Regimen day (plain object) with its exercises.
+ * @param {object} log - Workout log (plain object).
+ * @returns {{exercises: Array<object>, summary: object}}
+ */
+exports.compareDayToLog = (day, log) => {
+    const entries = log.exercises || [];
+    const matched = new Set();
+
+    const takeEntry = (exercise) => {
+        const exerciseId = exercise._id?.toString();
+        let index = entries.findIndex((entry, i) => !matched.has(i) && entry.exerciseId === exerciseId);
+        if (index === -1) {
+            index = entries.findIndex((entry, i) => !matched.has(i) && normalizeName(entry.name) === normalizeName(exercise.name));
+        }
+        if (index === -1) return null;
+        matched.add(index);
+        return entries[index];
+    };
+
+    const prescribedResults = (day.exercises || []).map(exercise => {
+        const prescribed = describePrescription(exercise);
+        const entry = takeEntry(exercise);
+        const base = { exerciseId: exercise._id, name: exercise.name, prescribed };
+
+        if (!entry) {
+            return { ...base, status: 'skipped', actual: null, deltas: null };
+        }
+
+        const actual = describeActual(entry, prescribed.loadUnit);
+        const didWork = actual.completed || actual.sets > 0 || actual.reps > 0 || actual.durationSeconds > 0;
+        let status = 'skipped';
+        if (didWork) {
+            status = actual.completed || actual.sets >= prescribed.sets ? 'completed' : 'partial';
+        }
+
+        return {
+            ...base,
+            status,
+            actual,
+            deltas: {
+                sets: delta(actual.sets, prescribed.sets),
+                reps: delta(actual.reps, prescribed.reps),
+                load: delta(actual.load, prescribed.load),
+                durationSeconds: delta(actual.durationSeconds || null, prescribed.durationSeconds),
+                restSeconds: delta(actual.restSeconds, prescribed.restSeconds)
+            }
+        };
+    });
+
+    // Anything left in the log was not part of the prescription
+    const addedResults = entries
+        .filter((entry, i) => !matched.has(i))
+        .map(entry => ({
+            exerciseId: entry.exerciseId,
+            name: entry.name,
+            status: 'added',
+            prescribed: null,
+            actual: describeActual(entry, 'kg'),
+            deltas: null
+        }));
+
+    const countStatus = (status) => prescribedResults.filter(result => result.status === status).length;
+    const prescribedCount = prescribedResults.length;
+    const completedCount = countStatus('completed');
+
+    return {
+        exercises: [...prescribedResults, ...addedResults],
+        summary: {
+            prescribed: prescribedCount,
+            completed: completedCount,
+            partial: countStatus('partial'),
+            skipped: countStatus('skipped'),
+            added: addedResults.length,
+            adherenceRate: prescribedCount > 0 ? Math.round((completedCount / prescribedCount) * 100) : null
+        }
+    };
+};
+
+/**
+ * Joins a workout log to its regimen day and compares prescription and performance.
+ * Logs that recorded a regimen revision are compared with the plan as it was then.
+ * @param {string} logId - The ID of the workout log.
+ * @param {object} requestingUser - The user object making the request.
+ * @returns {Promise<object>} - Comparison with per-exercise deltas and a summary.
+ * @throws {AppError} If the log, regimen or day cannot be found, or the user lacks access.
+ */
+exports.fetchLogComparison = async (logId, requestingUser) => {
+    const log = await workoutLogService.fetchWorkoutLogById(logId, requestingUser._id, requestingUser.role);
+
+    const regimenQuery = mongoose.Types.ObjectId.isValid(log.regimenId)
+        ? { _id: log.regimenId }
+        : { id: log.regimenId };
+    const regimen = await Regimen.findOne(regimenQuery).lean();
+    if (!regimen) {
+        throw new AppError('The regimen for this workout log no longer exists.', 404);
+    }
+
+    let plannedDays = regimen.days || [];
+    let revision = regimen.revision || 1;
+    if (log.regimenRevision && log.regimenRevision !== revision) {
+        const loggedRevision = await RegimenRevision.findOne({ regimen: regimen._id, number: log.regimenRevision }).lean();
+        if (loggedRevision) {
+            plannedDays = loggedRevision.snapshot.days || [];
+            revision = loggedRevision.number;
+        }
+    }
+
+    const day = plannedDays.find(d => d._id === log.dayId);
+    if (!day) {
+        throw new AppError('The regimen day for this workout log no longer exists.', 404);
+    }
+
+    return {
+        logId: log._id,
+        regimenId: regimen._id,
+        regimenName: regimen.name,
+        regimenRevision: revision,
+        dayId: day._id,
+        dayName: day.name,
+        date: day.date,
+        completedAt: log.completedAt,
+        ...exports.compareDayToLog(day, log)
+    };
+};
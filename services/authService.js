@@ -5,6 +5,8 @@ const AppError = require('../utils/appError');
 const { sendEmail } = require('../utils/email'); // Assuming email utility exists
 const Regimen = require('../models/Regimen');
 const Notification = require('../models/Notification');
+const sessionService = require('./sessionService');
+const mediaService = require('./mediaService');
 
 
 /**
@@ -283,7 +285,7 @@ exports.deleteUserAccount = async (userId, userRole) => {
         // 1. Remove coach reference from athletes
         await User.updateMany({ coachId: userId }, { $unset: { coachId: "" } });
         // 2. Find regimens created by coach
-        const regimens = await Regimen.find({ createdBy: userId }).select('_id assignedTo');
+        const regimens = await Regimen.find({ createdBy: userId }).select('_id assignedTo exerciseMedia');
         // 3. Remove regimen references from athletes
         for (const regimen of regimens) {
             if (regimen.assignedTo && regimen.assignedTo.length > 0) {
@@ -295,6 +297,9 @@ exports.deleteUserAccount = async (userId, userRole) => {
         }
         // 4. Delete regimens
         await Regimen.deleteMany({ createdBy: userId });
+        await mediaService.removeMedia(regimens.flatMap(regimen => regimen.exerciseMedia));
+        // 4b. Leave regimens shared by other coaches
+        await Regimen.updateMany({ 'collaborators.user': userId }, { $pull: { collaborators: { user: userId } } });
         // 5. Delete notifications
         await Notification.deleteMany({ user: userId }); // Or recipient: userId depending on schema
         console.log(`Cleanup completed for coach: ${userId}`);
@@ -322,42 +327,19 @@ exports.deleteUserAccount = async (userId, userRole) => {
 };
 
 /**
- * Refreshes the JWT token.
- * Expects a valid refresh token (e.g., from cookie or request body).
- * This is a simplified example; robust refresh token logic is complex.
- * @param {string} refreshToken - The provided refresh token.
- * @returns {Promise<object>} - { user, newAccessToken }
- * @throws {AppError} If refresh token is invalid or user not found.
+ * Refreshes the access token using a refresh token, rotating the refresh token.
+ * Reusing a refresh token that was already rotated out revokes the whole session.
+ * @param {string} refreshToken - The provided refresh token (cookie or request body).
+ * @param {object} [meta] - Request details ({ userAgent, ip }) recorded on the session.
+ * @returns {Promise<object>} - { user, session, newAccessToken, newRefreshToken }
+ * @throws {AppError} If refresh token is invalid, expired, revoked or reused, or the user is gone.
  */
-exports.refreshAccessToken = async (refreshToken) => {
-    if (!refreshToken) {
-        throw new AppError('Refresh token not provided.', 401);
-    }
-
-    // 1. Verify the refresh token (assuming it's a JWT)
-    let decoded;
-    try {
-        decoded = jwt.verify(refreshToken, process.env.REFRESH_JWT_SECRET); // Use a SEPARATE secret for refresh tokens
-    } catch (err) {
-         throw new AppError('Invalid or expired refresh token.', 401);
-    }
-
-    // 2. Find user associated with token
-    const user = await User.findById(decoded.id);
-    if (!user) {
-        throw new AppError('User for refresh token not found.', 401);
-    }
-
-    // 3. Optional: Check against a stored list of valid refresh tokens
-    // (More secure, prevents reuse if token is compromised)
-
-    // 4. Generate a new access token
-    const newAccessToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN
-    });
+exports.refreshAccessToken = async (refreshToken, meta) => {
+    const { user, session, accessToken, refreshToken: newRefreshToken } =
+        await sessionService.rotateRefreshToken(refreshToken, meta);
 
-     // Don't send password back
+    // Don't send password back
     user.password = undefined;
 
-    return { user, newAccessToken };
-}; 
\ No newline at end of file
+    return { user, session, newAccessToken: accessToken, newRefreshToken };
+};
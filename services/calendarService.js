@@ -0,0 +1,235 @@
+// server/services/calendarService.js
+const crypto = require('crypto');
+const Regimen = require('../models/Regimen');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRODUCT_ID = '-//CoachShare//Training Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const fullName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email;
+
+/**
+ * Escapes a value for an iCalendar TEXT property (RFC 5545 §3.3.11).
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeText = (value) =>
+    String(value == null ? '' : value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 octets, continuing with CRLF + space (RFC 5545 §3.1).
+ * Never splits a multi-byte character.
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const char of line) {
+        const octets = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts toward the limit
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Formats a date as an iCalendar DATE (YYYYMMDD), using its UTC calendar day.
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Formats a timestamp as an iCalendar UTC DATE-TIME (YYYYMMDDTHHMMSSZ).
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Summarizes one prescribed exercise, e.g. "Back Squat 5x5 @ 100 kg".
+ * @param {object} exercise - Regimen exercise.
+ * @returns {string}
+ */
+const describeExercise = (exercise) => {
+    let prescription;
+    if (exercise.isReps === false) {
+        prescription = exercise.distance || exercise.duration || '';
+        if (prescription && exercise.sets > 1) prescription = `${exercise.sets}x${prescription}`;
+    } else {
+        prescription = exercise.reps ? `${exercise.sets || 1}x${exercise.reps}` : '';
+    }
+    if (prescription && exercise.perSide) prescription += ' per side';
+    if (exercise.load) prescription += ` @ ${exercise.load} ${exercise.loadUnit || 'kg'}`;
+    return prescription ? `${exercise.name} ${prescription}` : exercise.name;
+};
+
+/**
+ * Builds the VEVENT lines for one training day.
+ * UIDs are stable per regimen day, so when a date moves the client updates the
+ * existing event (SEQUENCE comes from the regimen's calendarSequence).
+ * @param {object} regimen - Regimen (plain object).
+ * @param {object} day - Day from regimen.days.
+ * @param {object} [options]
+ * @param {Array<object>} [options.athletes] - Athletes to name in the event (coach feeds).
+ * @param {Date} [options.now] - DTSTAMP value.
+ * @returns {Array<string>} - Unfolded content lines, or [] if the day has no valid date.
+ */
+const buildDayEvent = (regimen, day, { athletes, now = new Date() } = {}) => {
+    const start = new Date(day.date);
+    if (isNaN(start.getTime())) return [];
+    const end = new Date(start.getTime() + DAY_MS);
+
+    const dayName = day.name || 'Workout Day';
+    let summary = `${dayName} (${regimen.name})`;
+    if (athletes && athletes.length > 0) {
+        summary = `${athletes.map(fullName).join(', ')}: ${summary}`;
+    }
+
+    const exercises = day.exercises || [];
+    const description = [
+        `Intensity: ${day.intensity || 'Medium'}`,
+        ...(exercises.length > 0
+            ? ['', 'Exercises:', ...exercises.map(exercise => `- ${describeExercise(exercise)}`)]
+            : ['', 'No exercises prescribed.'])
+    ].join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${regimen._id}-${day._id}@coachshare`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `DTSTART;VALUE=DATE:${formatDate(start)}`,
+        `DTEND;VALUE=DATE:${formatDate(end)}`,
+        `SEQUENCE:${regimen.calendarSequence || 0}`,
+        ...(regimen.updatedAt ? [`LAST-MODIFIED:${formatDateTime(new Date(regimen.updatedAt))}`] : []),
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `CATEGORIES:${escapeText(day.intensity || 'Medium')}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * Renders regimens as an iCalendar document with one all-day event per training day.
+ * @param {Array<object>} regimens - Regimens (plain objects). Coach feeds pass
+ *   regimens with `assignedTo` populated so athletes are named in each event.
+ * @param {object} options
+ * @param {string} options.calendarName - Shown by calendar apps (X-WR-CALNAME).
+ * @param {boolean} [options.includeAthletes=false] - Prefix events with the assigned athletes.
+ * @param {Date} [options.now]
+ * @returns {string} - The .ics content (CRLF line endings).
+ */
+const buildCalendar = (regimens, { calendarName, includeAthletes = false, now = new Date() }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`
+    ];
+
+    regimens.forEach(regimen => {
+        const athletes = includeAthletes ? (regimen.assignedTo || []) : undefined;
+        (regimen.days || []).forEach(day => {
+            lines.push(...buildDayEvent(regimen, day, { athletes, now }));
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+exports.buildCalendar = buildCalendar;
+
+/**
+ * Creates (or replaces) the user's secret calendar feed token. Any previous feed URL stops working.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<string>} - The raw token; only its hash is stored.
+ */
+exports.rotateFeedToken = async (userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.findByIdAndUpdate(userId, {
+        calendarFeedTokenHash: hashToken(token),
+        calendarFeedCreatedAt: new Date()
+    });
+    return token;
+};
+
+/**
+ * Turns off the user's calendar feed.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<void>}
+ */
+exports.disableFeed = async (userId) => {
+    await User.findByIdAndUpdate(userId, {
+        $unset: { calendarFeedTokenHash: 1, calendarFeedCreatedAt: 1 }
+    });
+};
+
+/**
+ * Reports whether the user has an active feed. The URL itself can't be recovered.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<{enabled: boolean, createdAt: Date|undefined}>}
+ */
+exports.fetchFeedStatus = async (userId) => {
+    const user = await User.findById(userId).select('+calendarFeedTokenHash calendarFeedCreatedAt');
+    if (!user) {
+        throw new AppError('User not found', 404);
+    }
+    return {
+        enabled: !!user.calendarFeedTokenHash,
+        createdAt: user.calendarFeedTokenHash ? user.calendarFeedCreatedAt : undefined
+    };
+};
+
+/**
+ * Builds the calendar behind a feed token. Athletes get every day of every regimen
+ * assigned to them; coaches get the assigned days of the regimens they own or collaborate on.
+ * @param {string} token - Raw feed token from the URL.
+ * @returns {Promise<string>} - The .ics content.
+ * @throws {AppError} 404 if the token is unknown or the feed was disabled.
+ */
+exports.buildFeedForToken = async (token) => {
+    const user = token
+        ? await User.findOne({ calendarFeedTokenHash: hashToken(token) })
+        : null;
+    if (!user) {
+        throw new AppError('Calendar feed not found', 404);
+    }
+
+    if (user.role === 'coach') {
+        const regimens = await Regimen.find({
+            $or: [{ createdBy: user._id }, { 'collaborators.user': user._id }],
+            'assignedTo.0': { $exists: true }
+        })
+            .populate('assignedTo', 'firstName lastName email')
+            .lean();
+        return buildCalendar(regimens, {
+            calendarName: `CoachShare - ${fullName(user)}'s athletes`,
+            includeAthletes: true
+        });
+    }
+
+    const regimens = await Regimen.find({ assignedTo: user._id }).lean();
+    return buildCalendar(regimens, { calendarName: `CoachShare - ${fullName(user)}` });
+};
@@ -0,0 +1,280 @@
+// server/services/connectionRequestService.js
+const ConnectionRequest = require('../models/ConnectionRequest');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const mongoose = require('mongoose');
+const notificationService = require('./notificationService');
+const userService = require('./userService');
+
+const PARTICIPANT_FIELDS = 'firstName lastName email role';
+
+const fullName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email;
+
+/**
+ * Checks whether an athlete is already connected to a coach (current or legacy fields).
+ * @param {object} athlete - Athlete user document.
+ * @param {string} coachId - The coach's ID.
+ * @returns {boolean}
+ */
+const isConnected = (athlete, coachId) => {
+    const id = coachId.toString();
+    return (athlete.coaches || []).some(cId => cId.toString() === id) ||
+        (athlete.coachId && athlete.coachId.toString() === id) ||
+        (athlete.primaryCoachId && athlete.primaryCoachId.toString() === id);
+};
+
+exports.isConnected = isConnected;
+
+/**
+ * Marks pending requests past their expiry date as expired.
+ * @param {object} [filter] - Extra conditions (e.g. one user's requests).
+ * @returns {Promise<void>}
+ */
+const expireStaleRequests = async (filter = {}) => {
+    await ConnectionRequest.updateMany(
+        { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+        { status: 'expired' }
+    );
+};
+
+/**
+ * Sends a notification, logging instead of throwing so the request itself isn't affected.
+ * @param {object} notificationData - Data for notificationService.createNotification.
+ */
+const notify = async (notificationData) => {
+    try {
+        await notificationService.createNotification({ type: 'connection_request', ...notificationData });
+    } catch (error) {
+        console.error('Error sending connection request notification:', error);
+    }
+};
+
+/**
+ * Returns the side ('athlete' or 'coach') the user plays in a request.
+ * @param {object} request - Connection request document.
+ * @param {object} user - The requesting user.
+ * @returns {string|null}
+ */
+const sideOf = (request, user) => {
+    const userId = user._id.toString();
+    if (request.athlete._id.toString() === userId) return 'athlete';
+    if (request.coach._id.toString() === userId) return 'coach';
+    return null;
+};
+
+/**
+ * Creates a connection request from an athlete to a coach, or an invite from a coach to an athlete.
+ * @param {object} requestingUser - The user starting the request (athlete or coach).
+ * @param {object} data
+ * @param {string} [data.coachId] - Target coach (when an athlete is asking).
+ * @param {string} [data.athleteId] - Target athlete (when a coach is inviting).
+ * @param {string} [data.message] - Optional note to the other party.
+ * @returns {Promise<object>} - The created request, populated.
+ * @throws {AppError} If the target is invalid, already connected, or a pending request already exists.
+ */
+exports.createConnectionRequest = async (requestingUser, { coachId, athleteId, message }) => {
+    const initiatedBy = requestingUser.role;
+    if (initiatedBy !== 'athlete' && initiatedBy !== 'coach') {
+        throw new AppError('Only athletes and coaches can send connection requests', 403);
+    }
+
+    const targetId = initiatedBy === 'athlete' ? coachId : athleteId;
+    const targetRole = initiatedBy === 'athlete' ? 'coach' : 'athlete';
+    if (!targetId) {
+        throw new AppError(`Please provide a ${targetRole}Id`, 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        throw new AppError(`Invalid ${targetRole} ID format.`, 400);
+    }
+
+    const target = await User.findById(targetId);
+    if (!target) {
+        throw new AppError(`${targetRole === 'coach' ? 'Coach' : 'Athlete'} not found`, 404);
+    }
+    if (target.role !== targetRole) {
+        throw new AppError(`The selected user is not a ${targetRole}`, 400);
+    }
+
+    const athlete = initiatedBy === 'athlete' ? requestingUser : target;
+    const coach = initiatedBy === 'athlete' ? target : requestingUser;
+
+    if (isConnected(athlete, coach._id)) {
+        throw new AppError('You are already connected', 400);
+    }
+
+    await expireStaleRequests({ athlete: athlete._id, coach: coach._id });
+    const existing = await ConnectionRequest.findOne({ athlete: athlete._id, coach: coach._id, status: 'pending' });
+    if (existing) {
+        const fromOtherSide = existing.initiatedBy !== initiatedBy;
+        throw new AppError(
+            fromOtherSide
+                ? 'They have already sent you a connection request. Accept it instead.'
+                : 'A connection request is already pending',
+            400
+        );
+    }
+
+    const request = await ConnectionRequest.create({
+        athlete: athlete._id,
+        coach: coach._id,
+        initiatedBy,
+        message
+    });
+
+    await notify(initiatedBy === 'athlete'
+        ? {
+            userId: coach._id,
+            title: 'New connection request',
+            message: `${fullName(athlete)} would like you to be their coach.`,
+            relatedId: request._id.toString()
+        }
+        : {
+            userId: athlete._id,
+            title: 'New team invitation',
+            message: `${fullName(coach)} has invited you to join their team.`,
+            relatedId: request._id.toString()
+        });
+
+    return await request.populate('athlete coach', PARTICIPANT_FIELDS);
+};
+
+/**
+ * Lists a user's connection requests.
+ * @param {object} user - The requesting user.
+ * @param {object} queryParams
+ * @param {string} [queryParams.status] - Filter by status (e.g. 'pending').
+ * @param {string} [queryParams.direction] - 'incoming' (sent to the user) or 'outgoing' (sent by the user).
+ * @returns {Promise<Array>} - Requests, newest first.
+ */
+exports.fetchConnectionRequests = async (user, { status, direction } = {}) => {
+    const side = user.role === 'coach' ? 'coach' : 'athlete';
+    const query = { [side]: user._id };
+
+    await expireStaleRequests(query);
+
+    if (status) {
+        query.status = status;
+    }
+    if (direction === 'incoming') {
+        query.initiatedBy = { $ne: side };
+    } else if (direction === 'outgoing') {
+        query.initiatedBy = side;
+    }
+
+    return await ConnectionRequest.find(query)
+        .populate('athlete coach', PARTICIPANT_FIELDS)
+        .sort('-createdAt')
+        .lean();
+};
+
+/**
+ * Loads a pending request the user takes part in, expiring it first if it is stale.
+ * @param {string} requestId - The ID of the request.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<{request: object, side: string}>}
+ * @throws {AppError} If not found, not a participant, or no longer pending.
+ */
+const fetchPendingRequest = async (requestId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        throw new AppError('Invalid connection request ID format.', 400);
+    }
+
+    const request = await ConnectionRequest.findById(requestId).populate('athlete coach', PARTICIPANT_FIELDS);
+    if (!request) {
+        throw new AppError('Connection request not found', 404);
+    }
+
+    const side = sideOf(request, user);
+    if (!side) {
+        throw new AppError('You are not part of this connection request', 403);
+    }
+
+    if (request.status === 'pending' && request.expiresAt <= new Date()) {
+        request.status = 'expired';
+        await request.save();
+    }
+    if (request.status !== 'pending') {
+        throw new AppError(`This connection request is ${request.status}`, 400);
+    }
+
+    return { request, side };
+};
+
+/**
+ * Accepts a pending request. Only the receiving side can accept; the coach is added
+ * alongside any existing coaches (nobody is disconnected).
+ * @param {string} requestId - The ID of the request.
+ * @param {object} user - The user accepting.
+ * @returns {Promise<object>} - The accepted request.
+ * @throws {AppError} If the user is the initiator or the request is not pending.
+ */
+exports.acceptConnectionRequest = async (requestId, user) => {
+    const { request, side } = await fetchPendingRequest(requestId, user);
+    if (side === request.initiatedBy) {
+        throw new AppError('You cannot accept your own connection request', 403);
+    }
+
+    await userService.assignCoach(request.athlete._id, request.coach._id);
+
+    request.status = 'accepted';
+    request.respondedAt = new Date();
+    await request.save();
+
+    const initiator = request.initiatedBy === 'athlete' ? request.athlete : request.coach;
+    await notify({
+        userId: initiator._id,
+        title: 'Connection request accepted',
+        message: `${fullName(user)} accepted your connection request.`,
+        relatedId: request._id.toString()
+    });
+
+    return request;
+};
+
+/**
+ * Declines a pending request. Only the receiving side can decline.
+ * @param {string} requestId - The ID of the request.
+ * @param {object} user - The user declining.
+ * @returns {Promise<object>} - The declined request.
+ * @throws {AppError} If the user is the initiator or the request is not pending.
+ */
+exports.declineConnectionRequest = async (requestId, user) => {
+    const { request, side } = await fetchPendingRequest(requestId, user);
+    if (side === request.initiatedBy) {
+        throw new AppError('You cannot decline your own connection request. Withdraw it instead.', 403);
+    }
+
+    request.status = 'declined';
+    request.respondedAt = new Date();
+    await request.save();
+
+    const initiator = request.initiatedBy === 'athlete' ? request.athlete : request.coach;
+    await notify({
+        userId: initiator._id,
+        title: 'Connection request declined',
+        message: `${fullName(user)} declined your connection request.`,
+        relatedId: request._id.toString()
+    });
+
+    return request;
+};
+
+/**
+ * Withdraws a pending request. Only the initiating side can withdraw.
+ * @param {string} requestId - The ID of the request.
+ * @param {object} user - The user withdrawing.
+ * @returns {Promise<object>} - The withdrawn request.
+ * @throws {AppError} If the user did not send the request or it is not pending.
+ */
+exports.withdrawConnectionRequest = async (requestId, user) => {
+    const { request, side } = await fetchPendingRequest(requestId, user);
+    if (side !== request.initiatedBy) {
+        throw new AppError('Only the sender can withdraw a connection request', 403);
+    }
+
+    request.status = 'withdrawn';
+    request.respondedAt = new Date();
+    await request.save();
+
+    return request;
+};
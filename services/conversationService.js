@@ -0,0 +1,314 @@
+// server/services/conversationService.js
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { isConnected } = require('./connectionRequestService');
+const notificationService = require('./notificationService');
+const storageService = require('./storageService');
+const websocketService = require('./websocketService');
+
+const PARTICIPANT_FIELDS = 'firstName lastName avatarUrl role';
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const PREVIEW_LENGTH = 100;
+
+const fullName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Someone';
+
+const preview = (message) => {
+    if (message.text) {
+        return message.text.length > PREVIEW_LENGTH ? `${message.text.slice(0, PREVIEW_LENGTH - 1)}…` : message.text;
+    }
+    const count = message.attachments.length;
+    return `Sent ${count === 1 ? 'an attachment' : `${count} attachments`}`;
+};
+
+/**
+ * Loads a conversation the user takes part in.
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} userId - The requesting user's ID.
+ * @returns {Promise<object>} - The conversation document.
+ * @throws {AppError} If the ID is invalid, not found, or the user isn't a participant.
+ */
+const fetchParticipantConversation = async (conversationId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+        throw new AppError('Invalid conversation ID format.', 400);
+    }
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+        throw new AppError('Conversation not found', 404);
+    }
+    if (!conversation.participants.some(id => id.toString() === userId.toString())) {
+        throw new AppError('You are not part of this conversation', 403);
+    }
+    return conversation;
+};
+
+/**
+ * Starts a conversation. Coaches can message any of their athletes, one-to-one or
+ * as a group; athletes can message their coaches one-to-one. Starting a direct
+ * conversation that already exists returns the existing one.
+ * @param {object} user - The requesting user.
+ * @param {object} data
+ * @param {Array<string>} data.participantIds - The other participants.
+ * @param {string} [data.name] - Group name; naming a conversation makes it a group.
+ * @returns {Promise<{conversation: object, created: boolean}>}
+ * @throws {AppError} If participants are missing, invalid, or not connected to the user.
+ */
+exports.createConversation = async (user, { participantIds, name } = {}) => {
+    const userId = user._id.toString();
+    const otherIds = [...new Set((Array.isArray(participantIds) ? participantIds : [participantIds])
+        .filter(Boolean)
+        .map(id => id.toString()))]
+        .filter(id => id !== userId);
+
+    if (otherIds.length === 0) {
+        throw new AppError('Please provide at least one participant', 400);
+    }
+    if (otherIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new AppError('Invalid participant ID format.', 400);
+    }
+
+    const type = otherIds.length === 1 && !name ? 'direct' : 'group';
+    if (type === 'group' && user.role !== 'coach') {
+        throw new AppError('Only coaches can start group conversations', 403);
+    }
+
+    const others = await User.find({ _id: { $in: otherIds } });
+    if (others.length !== otherIds.length) {
+        throw new AppError('Participant not found', 404);
+    }
+    others.forEach(other => {
+        const [athlete, coach] = user.role === 'coach' ? [other, user] : [user, other];
+        if (coach.role !== 'coach' || athlete.role !== 'athlete' || !isConnected(athlete, coach._id)) {
+            throw new AppError('You can only message your own coaches and athletes', 403);
+        }
+    });
+
+    const participants = [userId, ...otherIds];
+    const directKey = type === 'direct' ? [...participants].sort().join(':') : undefined;
+    if (directKey) {
+        const existing = await Conversation.findOne({ type: 'direct', directKey });
+        if (existing) {
+            return { conversation: await existing.populate('participants', PARTICIPANT_FIELDS), created: false };
+        }
+    }
+
+    const now = new Date();
+    const conversation = await Conversation.create({
+        type,
+        name: type === 'group' ? name : undefined,
+        participants,
+        createdBy: user._id,
+        directKey,
+        readState: [{ user: user._id, lastReadAt: now }],
+        lastMessageAt: now
+    });
+
+    return { conversation: await conversation.populate('participants', PARTICIPANT_FIELDS), created: true };
+};
+
+/**
+ * Lists the user's conversations, most recently active first, with unread counts.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<Array<object>>}
+ */
+exports.fetchConversations = async (userId) => {
+    const conversations = await Conversation.find({ participants: userId })
+        .populate('participants', PARTICIPANT_FIELDS)
+        .sort('-lastMessageAt')
+        .lean();
+
+    return await Promise.all(conversations.map(async (conversation) => {
+        const own = (conversation.readState || []).find(state => state.user.toString() === userId.toString());
+        const unreadCount = await Message.countDocuments({
+            conversation: conversation._id,
+            sender: { $ne: userId },
+            ...(own && own.lastReadAt && { createdAt: { $gt: own.lastReadAt } })
+        });
+        return { ...conversation, unreadCount };
+    }));
+};
+
+/**
+ * Fetches one conversation the user takes part in.
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} userId - The requesting user's ID.
+ * @returns {Promise<object>}
+ */
+exports.fetchConversation = async (conversationId, userId) => {
+    const conversation = await fetchParticipantConversation(conversationId, userId);
+    return await conversation.populate('participants', PARTICIPANT_FIELDS);
+};
+
+/**
+ * Pages backwards through a conversation's history.
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} userId - The requesting user's ID.
+ * @param {object} [queryParams]
+ * @param {string} [queryParams.before] - Only messages sent before this time (the previous page's nextCursor).
+ * @param {number} [queryParams.limit=30] - Page size (max 100).
+ * @returns {Promise<{messages: Array, hasMore: boolean, nextCursor: string|null, readState: Array}>}
+ *   Messages are oldest first within the page.
+ */
+exports.fetchMessages = async (conversationId, userId, { before, limit } = {}) => {
+    const conversation = await fetchParticipantConversation(conversationId, userId);
+    const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const query = { conversation: conversation._id };
+    if (before) {
+        const beforeDate = new Date(before);
+        if (isNaN(beforeDate.getTime())) {
+            throw new AppError('Invalid "before" cursor.', 400);
+        }
+        query.createdAt = { $lt: beforeDate };
+    }
+
+    const page = await Message.find(query)
+        .sort({ createdAt: -1 })
+        .limit(pageSize + 1)
+        .lean();
+
+    const hasMore = page.length > pageSize;
+    const messages = page.slice(0, pageSize).reverse();
+
+    return {
+        messages,
+        hasMore,
+        nextCursor: hasMore ? messages[0].createdAt.toISOString() : null,
+        readState: conversation.readState
+    };
+};
+
+/**
+ * Sends a message with optional attachments. Participants with an open socket get it
+ * in real time; the others get a `coach_message` notification.
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {object} user - The sender.
+ * @param {object} data
+ * @param {string} [data.text] - Message text.
+ * @param {Array<object>} [files] - Uploaded attachments (multer files).
+ * @returns {Promise<object>} - The created message.
+ * @throws {AppError} If the message is empty or the user isn't a participant.
+ */
+exports.sendMessage = async (conversationId, user, { text } = {}, files = []) => {
+    let message;
+    let conversation;
+    let storedKeys = [];
+    try {
+        conversation = await fetchParticipantConversation(conversationId, user._id);
+        const trimmed = typeof text === 'string' ? text.trim() : '';
+        if (!trimmed && files.length === 0) {
+            throw new AppError('A message needs text or an attachment', 400);
+        }
+
+        const stored = await storageService.storeUploads(files, {
+            folder: 'messages',
+            purpose: 'message_attachment',
+            owner: user._id
+        });
+        storedKeys = stored.map(record => record.key);
+
+        message = await Message.create({
+            conversation: conversation._id,
+            sender: user._id,
+            text: trimmed || undefined,
+            attachments: files.map(file => ({
+                filename: file.filename,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                url: `/api/conversations/${conversation._id}/attachments/${file.filename}`
+            }))
+        });
+    } catch (error) {
+        storageService.discardUploads(files);
+        await storageService.removeFiles(storedKeys);
+        throw error;
+    }
+
+    await exports.markAsRead(conversation._id, user._id, message.createdAt, conversation);
+    await Conversation.updateOne({ _id: conversation._id }, {
+        lastMessage: { text: preview(message), sender: user._id, sentAt: message.createdAt },
+        lastMessageAt: message.createdAt
+    });
+
+    const payload = { conversationId: conversation._id.toString(), message: message.toObject() };
+    const senderId = user._id.toString();
+    for (const participantId of conversation.participants) {
+        websocketService.emitToUser(participantId, 'message:new', payload);
+        if (participantId.toString() === senderId || websocketService.isUserOnline(participantId)) continue;
+
+        try {
+            await notificationService.createNotification({
+                userId: participantId,
+                title: conversation.type === 'group'
+                    ? `${fullName(user)} in ${conversation.name}`
+                    : `New message from ${fullName(user)}`,
+                message: preview(message),
+                type: 'coach_message',
+                relatedId: conversation._id.toString()
+            });
+        } catch (error) {
+            console.error('Error sending message notification:', error);
+        }
+    }
+
+    return message;
+};
+
+/**
+ * Marks a conversation as read by the user and tells the other participants (read receipts).
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} userId - The reader's ID.
+ * @param {Date} [readAt=new Date()]
+ * @param {object} [loadedConversation] - Skips the lookup when the caller already checked access.
+ * @returns {Promise<{conversationId: string, userId: string, lastReadAt: Date}>}
+ */
+exports.markAsRead = async (conversationId, userId, readAt = new Date(), loadedConversation) => {
+    const conversation = loadedConversation || await fetchParticipantConversation(conversationId, userId);
+
+    const updated = await Conversation.updateOne(
+        { _id: conversation._id, 'readState.user': userId },
+        { $set: { 'readState.$.lastReadAt': readAt } }
+    );
+    if (updated.matchedCount === 0) {
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            { $push: { readState: { user: userId, lastReadAt: readAt } } }
+        );
+    }
+
+    const receipt = { conversationId: conversation._id.toString(), userId: userId.toString(), lastReadAt: readAt };
+    conversation.participants
+        .filter(participantId => participantId.toString() !== userId.toString())
+        .forEach(participantId => websocketService.emitToUser(participantId, 'conversation:read', receipt));
+
+    return receipt;
+};
+
+/**
+ * Signed download URL of an attachment, for a participant.
+ * @param {string} conversationId - The ID of the conversation.
+ * @param {string} filename - Stored file name.
+ * @param {string} userId - The requesting user's ID.
+ * @returns {Promise<string>}
+ * @throws {AppError} If the user isn't a participant or the attachment doesn't belong to the conversation.
+ */
+exports.getAttachmentUrl = async (conversationId, filename, userId) => {
+    const conversation = await fetchParticipantConversation(conversationId, userId);
+    const message = await Message.findOne(
+        { conversation: conversation._id, 'attachments.filename': filename },
+        { 'attachments.$': 1 }
+    ).lean();
+    if (!message) {
+        throw new AppError('Attachment not found', 404);
+    }
+
+    const attachment = message.attachments[0];
+    return await storageService.getDownloadUrl(storageService.keyFor('messages', attachment.filename), {
+        filename: attachment.originalName,
+        contentType: attachment.mimeType
+    });
+};
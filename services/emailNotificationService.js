@@ -0,0 +1,223 @@
+// server/services/emailNotificationService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { sendEmail, createNotificationEmail, createDigestEmail } = require('../utils/email');
+const { buildClientUrl } = require('../utils/urlUtils');
+const { localClock } = require('../utils/timeZoneUtils');
+
+const PREFERENCE_LABELS = {
+    programAssigned: 'new program notifications',
+    workoutReminder: 'workout reminders',
+    coachMessage: 'coach messages',
+    progressUpdate: 'progress updates',
+    system: 'account and team notifications',
+    email: 'all notification emails'
+};
+
+const UNSUBSCRIBE_PURPOSE = 'email-unsubscribe';
+const DEFAULT_DIGEST_HOUR = 18;
+const MAX_DIGEST_ITEMS = 50;
+const USER_EMAIL_FIELDS = 'firstName email timezone notificationPreferences lastEmailDigest';
+
+const preferenceFor = (type) => Notification.PREFERENCE_BY_TYPE[type] || 'system';
+
+const unsubscribeSecret = () => {
+    const secret = process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new AppError('Server configuration error', 500);
+    }
+    return secret;
+};
+
+const signUnsubscribe = (userId, preference) => crypto
+    .createHmac('sha256', unsubscribeSecret())
+    .update([UNSUBSCRIBE_PURPOSE, userId, preference].join('\n'))
+    .digest('base64url');
+
+/**
+ * Creates the token behind an unsubscribe link: "<userId>.<preference>.<HMAC>".
+ * It identifies the user and the preference to turn off, so no login is needed,
+ * and it does not expire. It is deliberately not a JWT, so it can never be used
+ * to log in.
+ * @param {string} userId - The user's ID.
+ * @param {string} preference - A notificationPreferences flag, or 'email' for all emails.
+ * @returns {string}
+ */
+const createUnsubscribeToken = (userId, preference) =>
+    `${userId.toString()}.${preference}.${signUnsubscribe(userId.toString(), preference)}`;
+
+exports.createUnsubscribeToken = createUnsubscribeToken;
+
+const unsubscribeUrl = (userId, preference) =>
+    buildClientUrl(`/unsubscribe/${createUnsubscribeToken(userId, preference)}`);
+
+/**
+ * Sends (or queues for the digest) the email for a new notification, following
+ * the recipient's preferences: the `email` switch, the flag for the notification
+ * type, and `emailFrequency`.
+ * @param {object} notification - The created notification document.
+ * @returns {Promise<'sent'|'queued'|'skipped'>}
+ */
+exports.dispatchNotification = async (notification) => {
+    const user = await User.findById(notification.user).select(USER_EMAIL_FIELDS).lean();
+    if (!user || !user.email) return 'skipped';
+
+    const preferences = user.notificationPreferences || {};
+    const preference = preferenceFor(notification.type);
+    if (preferences.email === false || preferences[preference] === false) return 'skipped';
+
+    if (preferences.emailFrequency === 'daily' || preferences.emailFrequency === 'weekly') {
+        await Notification.updateOne({ _id: notification._id }, { emailPending: true });
+        return 'queued';
+    }
+
+    const { html, text } = createNotificationEmail(user, notification, {
+        notificationsUrl: buildClientUrl('/notifications'),
+        unsubscribeUrl: unsubscribeUrl(user._id, preference)
+    });
+    await sendEmail({
+        email: user.email,
+        subject: notification.title,
+        message: text,
+        html
+    });
+    await Notification.updateOne({ _id: notification._id }, { emailedAt: new Date() });
+    return 'sent';
+};
+
+/**
+ * Works out whether a user's digest is due and which period it covers.
+ * Daily digests go out from the user's digest hour; weekly ones on Mondays.
+ * Users who switched back to instant emails get their queued items right away.
+ * @param {object} user - User with timezone and notificationPreferences.
+ * @param {Date} now
+ * @returns {string|null} - The period key (stored in lastEmailDigest), or null if not due.
+ */
+const dueDigestPeriod = (user, now) => {
+    const preferences = user.notificationPreferences || {};
+    if (preferences.emailFrequency !== 'daily' && preferences.emailFrequency !== 'weekly') {
+        return `instant-${now.toISOString()}`;
+    }
+
+    const digestHour = Number.isInteger(preferences.digestHour) ? preferences.digestHour : DEFAULT_DIGEST_HOUR;
+    const { date, hour } = localClock(now, user.timezone);
+    if (hour < digestHour) return null;
+
+    let period = date;
+    if (preferences.emailFrequency === 'weekly') {
+        if (new Date(`${date}T00:00:00Z`).getUTCDay() !== 1) return null;
+        period = `week-${date}`;
+    }
+    return user.lastEmailDigest === period ? null : period;
+};
+
+/**
+ * Sends one user's digest of queued notifications. The period is claimed on the
+ * user first, so restarts or a second instance can't send it twice.
+ * @param {object} user - User (lean) with email fields.
+ * @param {Date} now
+ * @returns {Promise<boolean>} - True if a digest was sent.
+ */
+const sendDigest = async (user, now) => {
+    const preferences = user.notificationPreferences || {};
+    if (preferences.email === false) {
+        // Email was switched off after these were queued
+        await Notification.updateMany({ user: user._id, emailPending: true }, { emailPending: false });
+        return false;
+    }
+
+    const period = dueDigestPeriod(user, now);
+    if (!period) return false;
+
+    const claimed = await User.updateOne(
+        { _id: user._id, lastEmailDigest: { $ne: period } },
+        { lastEmailDigest: period }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    const notifications = await Notification.find({ user: user._id, emailPending: true })
+        .sort('createdAt')
+        .limit(MAX_DIGEST_ITEMS)
+        .lean();
+    const ids = notifications.map(notification => notification._id);
+
+    try {
+        if (notifications.length === 0) return false;
+        await Notification.updateMany({ _id: { $in: ids } }, { emailPending: false, emailedAt: now });
+
+        const { html, text } = createDigestEmail(user, notifications, {
+            period: preferences.emailFrequency,
+            notificationsUrl: buildClientUrl('/notifications'),
+            unsubscribeUrl: unsubscribeUrl(user._id, 'email')
+        });
+        await sendEmail({
+            email: user.email,
+            subject: preferences.emailFrequency === 'weekly' ? 'Your weekly CoachShare digest' : 'Your daily CoachShare digest',
+            message: text,
+            html
+        });
+        return true;
+    } catch (error) {
+        // Put everything back so the next sweep retries
+        await Notification.updateMany({ _id: { $in: ids } }, { emailPending: true, $unset: { emailedAt: 1 } });
+        await User.updateOne({ _id: user._id }, user.lastEmailDigest
+            ? { lastEmailDigest: user.lastEmailDigest }
+            : { $unset: { lastEmailDigest: 1 } });
+        throw error;
+    }
+};
+
+/**
+ * Sends every digest that is due. Safe to run as often as needed.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+exports.runDigestSweep = async (now = new Date()) => {
+    const userIds = await Notification.distinct('user', { emailPending: true });
+    if (userIds.length === 0) return { sent: 0, failed: 0 };
+
+    const users = await User.find({ _id: { $in: userIds } }).select(USER_EMAIL_FIELDS).lean();
+    const summary = { sent: 0, failed: 0 };
+
+    for (const user of users) {
+        try {
+            if (await sendDigest(user, now)) summary.sent += 1;
+        } catch (error) {
+            summary.failed += 1;
+            console.error(`Error sending email digest to user ${user._id}:`, error);
+        }
+    }
+    return summary;
+};
+
+/**
+ * Turns off the preference named in an unsubscribe link.
+ * @param {string} token - Token from the unsubscribe link.
+ * @returns {Promise<{preference: string, description: string}>}
+ * @throws {AppError} 400 if the link is invalid, 404 if the user no longer exists.
+ */
+exports.unsubscribe = async (token) => {
+    const [id, preference, signature, ...rest] = typeof token === 'string' ? token.split('.') : [];
+    const expected = Buffer.from(id && preference ? signUnsubscribe(id, preference) : '');
+    const provided = Buffer.from(signature || '');
+    if (rest.length > 0 || !expected.length || expected.length !== provided.length
+        || !crypto.timingSafeEqual(expected, provided) || !PREFERENCE_LABELS[preference]
+        || !mongoose.Types.ObjectId.isValid(id)) {
+        throw new AppError('This unsubscribe link is invalid', 400);
+    }
+
+    const user = await User.findByIdAndUpdate(id, {
+        $set: { [`notificationPreferences.${preference}`]: false }
+    });
+    if (!user) {
+        throw new AppError('User not found', 404);
+    }
+
+    return {
+        preference,
+        description: PREFERENCE_LABELS[preference]
+    };
+};
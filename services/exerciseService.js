@@ -0,0 +1,289 @@
+// server/services/exerciseService.js
+const mongoose = require('mongoose');
+const Exercise = require('../models/Exercise');
+const Regimen = require('../models/Regimen');
+const WorkoutLog = require('../models/WorkoutLog');
+const AppError = require('../utils/appError');
+const { findBestMatch, nameSimilarity, normalizeExerciseName } = require('../utils/exerciseMatching');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Minimum similarity for a search result when the query isn't part of the name
+const SEARCH_THRESHOLD = 0.5;
+const EDITABLE_FIELDS = [
+    'name', 'aliases', 'description', 'primaryMuscles', 'secondaryMuscles', 'equipment',
+    'movementPattern', 'defaultUnits', 'perSide', 'media'
+];
+
+const pickEditable = (data = {}) => {
+    const picked = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) picked[field] = data[field];
+    });
+    return picked;
+};
+
+/**
+ * Which library owners a user can see: the global library plus their own
+ * private exercises (coaches) or their coaches' (athletes).
+ * @param {object} user - The requesting user.
+ * @returns {object} - Query filter on Exercise.owner.
+ */
+const visibilityFilter = (user) => {
+    if (user.role === 'admin') return {};
+    const owners = user.role === 'coach' ? [user._id] : (user.coaches || []);
+    return { owner: { $in: [null, ...owners] } };
+};
+
+exports.visibilityFilter = visibilityFilter;
+
+/**
+ * Loads an exercise the user can see.
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<object>}
+ * @throws {AppError} If the ID is invalid or the exercise isn't visible to the user.
+ */
+const fetchVisibleExercise = async (exerciseId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(exerciseId)) {
+        throw new AppError('Invalid exercise ID format.', 400);
+    }
+    const exercise = await Exercise.findOne({ _id: exerciseId, ...visibilityFilter(user) });
+    if (!exercise) {
+        throw new AppError('Exercise not found', 404);
+    }
+    return exercise;
+};
+
+/**
+ * Checks that the user may change an exercise: its owner, or an admin for the
+ * global library.
+ * @param {object} exercise
+ * @param {object} user
+ * @throws {AppError} 403 otherwise.
+ */
+const assertCanEdit = (exercise, user) => {
+    const isOwner = exercise.owner && exercise.owner.toString() === user._id.toString();
+    if (!isOwner && user.role !== 'admin') {
+        throw new AppError(exercise.owner
+            ? 'You can only change your own exercises'
+            : 'Only admins can change the global exercise library', 403);
+    }
+};
+
+/**
+ * Searches the exercise library. Text search is fuzzy: "bb squat" finds
+ * "Back Squat" through its "Barbell Squat" alias.
+ * @param {object} user - The requesting user.
+ * @param {object} [queryParams]
+ * @param {string} [queryParams.search] - Name or alias to look for.
+ * @param {string} [queryParams.muscle] - Primary or secondary muscle group.
+ * @param {string} [queryParams.equipment]
+ * @param {string} [queryParams.movementPattern]
+ * @param {string} [queryParams.scope] - 'global', 'custom' (private exercises) or all by default.
+ * @param {number} [queryParams.page=1]
+ * @param {number} [queryParams.limit=50] - Page size (max 200).
+ * @returns {Promise<{exercises: Array, total: number, page: number}>}
+ */
+exports.fetchExercises = async (user, { search, muscle, equipment, movementPattern, scope, page, limit } = {}) => {
+    const query = { ...visibilityFilter(user) };
+    if (scope === 'global') query.owner = null;
+    if (scope === 'custom') query.owner = { ...(query.owner || {}), $ne: null };
+    if (muscle) query.$or = [{ primaryMuscles: muscle }, { secondaryMuscles: muscle }];
+    if (equipment) query.equipment = equipment;
+    if (movementPattern) query.movementPattern = movementPattern;
+
+    let exercises = await Exercise.find(query).sort('name').lean();
+
+    if (search && search.trim()) {
+        const normalizedSearch = normalizeExerciseName(search);
+        exercises = exercises
+            .map(exercise => {
+                const names = [exercise.name, ...(exercise.aliases || [])];
+                const contains = names.some(name => normalizeExerciseName(name).includes(normalizedSearch));
+                const score = Math.max(...names.map(name => nameSimilarity(search, name)));
+                return { exercise, score: contains ? Math.max(score, 0.9) : score };
+            })
+            .filter(result => result.score >= SEARCH_THRESHOLD)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.exercise);
+    }
+
+    const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    return {
+        exercises: exercises.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+        total: exercises.length,
+        page: pageNumber
+    };
+};
+
+/**
+ * Fetches one exercise from the library.
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<object>}
+ */
+exports.fetchExercise = async (exerciseId, user) => {
+    return await fetchVisibleExercise(exerciseId, user);
+};
+
+/**
+ * Adds an exercise. Coaches create private exercises; admins add to the global library.
+ * @param {object} user - The requesting coach or admin.
+ * @param {object} data - Exercise fields (name, aliases, muscles, equipment, ...).
+ * @returns {Promise<object>} - The created exercise.
+ * @throws {AppError} 409 if an exercise with the same name is already visible to the user.
+ */
+exports.createExercise = async (user, data = {}) => {
+    const fields = pickEditable(data);
+    const owner = user.role === 'admin' ? null : user._id;
+
+    const normalizedName = normalizeExerciseName(fields.name);
+    if (normalizedName) {
+        const existing = await Exercise.findOne({
+            owner: { $in: [null, owner] },
+            searchNames: normalizedName
+        }).select('_id name');
+        if (existing) {
+            throw new AppError(`"${existing.name}" is already in the exercise library (${existing._id})`, 409);
+        }
+    }
+
+    return await Exercise.create({ ...fields, owner, createdBy: user._id });
+};
+
+/**
+ * Updates an exercise the user owns (or, for admins, a global one).
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {object} user - The requesting user.
+ * @param {object} data - Fields to change.
+ * @returns {Promise<object>} - The updated exercise.
+ */
+exports.updateExercise = async (exerciseId, user, data = {}) => {
+    const exercise = await fetchVisibleExercise(exerciseId, user);
+    assertCanEdit(exercise, user);
+
+    Object.assign(exercise, pickEditable(data), { updatedAt: new Date() });
+    await exercise.save();
+    return exercise;
+};
+
+/**
+ * Deletes an exercise the user owns (or, for admins, a global one). Regimen and
+ * log exercises linked to it keep their names and lose the link.
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<void>}
+ */
+exports.deleteExercise = async (exerciseId, user) => {
+    const exercise = await fetchVisibleExercise(exerciseId, user);
+    assertCanEdit(exercise, user);
+
+    await Exercise.deleteOne({ _id: exercise._id });
+    const linked = { arrayFilters: [{ 'linked.exerciseRef': exercise._id }] };
+    await Promise.all([
+        Regimen.updateMany(
+            { 'days.exercises.exerciseRef': exercise._id },
+            { $unset: { 'days.$[].exercises.$[linked].exerciseRef': '' } },
+            linked
+        ),
+        Regimen.updateMany(
+            { 'phases.weeks.days.exercises.exerciseRef': exercise._id },
+            { $unset: { 'phases.$[].weeks.$[].days.$[].exercises.$[linked].exerciseRef': '' } },
+            linked
+        ),
+        WorkoutLog.updateMany(
+            { 'exercises.exerciseRef': exercise._id },
+            { $unset: { 'exercises.$[linked].exerciseRef': '' } },
+            linked
+        )
+    ]);
+};
+
+/**
+ * Suggests the library entry for a free-text exercise name.
+ * @param {string} name - Name as typed.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<{exercise: object, score: number}|null>}
+ */
+exports.matchExercise = async (name, user) => {
+    if (!name || !name.trim()) {
+        throw new AppError('Please provide an exercise name to match', 400);
+    }
+    const library = await Exercise.find(visibilityFilter(user)).lean();
+    return findBestMatch(name, library);
+};
+
+/**
+ * Every list of exercises in regimen (or template) data: the flat days and the
+ * days inside phases and weeks.
+ * @param {object} data - Regimen fields.
+ * @returns {Array<object>} - Exercise entries (mutable).
+ */
+const collectPlannedExercises = (data) => {
+    const days = [
+        ...(data.days || []),
+        ...(data.phases || []).flatMap(phase => (phase.weeks || []).flatMap(week => week.days || []))
+    ];
+    return days.flatMap(day => day.exercises || []);
+};
+
+/**
+ * Fills in `exerciseRef` on exercises that don't have one yet by matching their
+ * names against the library visible to the given owners. Unmatched names are left
+ * as free text.
+ * @param {Array<object>} exercises - Exercise entries with `name` (modified in place).
+ * @param {Array<string>} ownerIds - Coaches whose private exercises may be used.
+ * @param {Array<object>} [library] - Preloaded library entries, to avoid a query per call.
+ * @returns {Promise<number>} - Number of exercises linked.
+ */
+const linkExerciseRefs = async (exercises, ownerIds, library) => {
+    const unlinked = exercises.filter(exercise => exercise && exercise.name && !exercise.exerciseRef);
+    if (unlinked.length === 0) return 0;
+
+    const entries = library || await Exercise.find({ owner: { $in: [null, ...ownerIds] } }).lean();
+    let linked = 0;
+    unlinked.forEach(exercise => {
+        const match = findBestMatch(exercise.name, entries);
+        if (match) {
+            exercise.exerciseRef = match.exercise._id;
+            linked += 1;
+        }
+    });
+    return linked;
+};
+
+exports.linkExerciseRefs = linkExerciseRefs;
+
+/**
+ * Links the exercises of regimen data being created or updated to the library.
+ * @param {object} data - Regimen fields (days and/or phases), modified in place.
+ * @param {Array<string>} coachIds - The regimen's owner and the coach saving it.
+ * @returns {Promise<number>}
+ */
+exports.linkRegimenExercises = async (data, coachIds) => {
+    return await linkExerciseRefs(collectPlannedExercises(data), coachIds);
+};
+
+/**
+ * Links the exercises of a workout log: first from the prescribed exercise it
+ * was logged against, then by name.
+ * @param {Array<object>} logExercises - Log exercises (modified in place).
+ * @param {object|null} regimen - The regimen (lean, with days and createdBy), if known.
+ * @param {string} dayId - The regimen day that was logged.
+ * @returns {Promise<number>}
+ */
+exports.linkLogExercises = async (logExercises = [], regimen, dayId) => {
+    const day = regimen ? (regimen.days || []).find(d => d._id === dayId) : null;
+    const prescribed = new Map((day?.exercises || [])
+        .filter(exercise => exercise.exerciseRef)
+        .map(exercise => [exercise._id, exercise.exerciseRef]));
+
+    logExercises.forEach(exercise => {
+        if (!exercise.exerciseRef && prescribed.has(exercise.exerciseId)) {
+            exercise.exerciseRef = prescribed.get(exercise.exerciseId);
+        }
+    });
+    return await linkExerciseRefs(logExercises, regimen?.createdBy ? [regimen.createdBy] : []);
+};
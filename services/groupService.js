@@ -0,0 +1,322 @@
+// server/services/groupService.js
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const Regimen = require('../models/Regimen');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+
+const MEMBER_FIELDS = 'firstName lastName email avatarUrl';
+const REGIMEN_FIELDS = 'id name startDate endDate';
+
+const toIdStrings = (ids) => [...new Set((Array.isArray(ids) ? ids : [ids])
+    .filter(Boolean)
+    .map(id => id.toString()))];
+
+/**
+ * Loads a group owned by the coach.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The requesting coach's ID.
+ * @returns {Promise<object>} - The group document.
+ * @throws {AppError} If the ID is invalid, the group doesn't exist, or it belongs to another coach.
+ */
+const fetchOwnGroup = async (groupId, coachId) => {
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+        throw new AppError('Invalid group ID format.', 400);
+    }
+    const group = await Group.findById(groupId);
+    if (!group) {
+        throw new AppError('Group not found', 404);
+    }
+    if (group.coach.toString() !== coachId.toString()) {
+        throw new AppError('You can only manage your own groups', 403);
+    }
+    return group;
+};
+
+exports.fetchOwnGroup = fetchOwnGroup;
+
+/**
+ * Loads a regimen the coach can assign (owner or editor).
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {string} coachId - The coach's ID.
+ * @returns {Promise<object>}
+ */
+const findOwnRegimen = async (regimenId, coachId) => {
+    let query;
+    if (typeof regimenId === 'string' && regimenId.length > 24) {
+        query = { id: regimenId };
+    } else if (mongoose.Types.ObjectId.isValid(regimenId)) {
+        query = { _id: regimenId };
+    } else {
+        throw new AppError('Invalid regimen ID format provided.', 400);
+    }
+    const regimen = await Regimen.findOne(query).select('_id createdBy collaborators');
+    if (!regimen) {
+        throw new AppError('Regimen not found.', 404);
+    }
+    if (!regimen.hasRole(coachId, 'editor')) {
+        throw new AppError('You need editor access to assign this regimen.', 403);
+    }
+    return regimen;
+};
+
+/**
+ * Checks that every athlete is coached by the coach.
+ * @param {Array<string>} athleteIds - Athlete IDs (deduplicated strings).
+ * @param {string} coachId - The coach's ID.
+ * @throws {AppError} If an ID is invalid or an athlete isn't one of the coach's.
+ */
+const verifyCoachedAthletes = async (athleteIds, coachId) => {
+    if (athleteIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        throw new AppError('Invalid athlete ID format.', 400);
+    }
+    const count = await User.countDocuments({ _id: { $in: athleteIds }, role: 'athlete', coaches: coachId });
+    if (count !== athleteIds.length) {
+        throw new AppError('Groups can only contain your own athletes', 400);
+    }
+};
+
+/**
+ * Gives athletes the group's regimens. Athletes who didn't have a regimen yet are
+ * recorded as group assignees so the access can be taken away again later.
+ * @param {Array<string>} regimenIds - Regimen ObjectIds.
+ * @param {Array<string>} athleteIds - Athlete IDs.
+ */
+const grantRegimens = async (regimenIds, athleteIds) => {
+    if (regimenIds.length === 0 || athleteIds.length === 0) return;
+
+    const regimens = await Regimen.find({ _id: { $in: regimenIds } }).select('assignedTo').lean();
+    for (const regimen of regimens) {
+        const assigned = new Set((regimen.assignedTo || []).map(id => id.toString()));
+        const newIds = athleteIds.filter(id => !assigned.has(id.toString()));
+        if (newIds.length === 0) continue;
+        await Regimen.updateOne({ _id: regimen._id }, {
+            $addToSet: {
+                assignedTo: { $each: newIds },
+                groupAssignees: { $each: newIds }
+            }
+        });
+    }
+
+    await User.updateMany(
+        { _id: { $in: athleteIds } },
+        { $addToSet: { regimens: { $each: regimens.map(regimen => regimen._id) } } }
+    );
+};
+
+/**
+ * Takes group regimens away from athletes, unless they were assigned directly or
+ * another of their groups still carries the regimen.
+ * @param {object} group - The group losing the regimens or members.
+ * @param {Array<string>} regimenIds - Regimen ObjectIds.
+ * @param {Array<string>} athleteIds - Athlete IDs.
+ */
+const revokeRegimens = async (group, regimenIds, athleteIds) => {
+    if (regimenIds.length === 0 || athleteIds.length === 0) return;
+
+    const regimens = await Regimen.find({ _id: { $in: regimenIds } }).select('groupAssignees').lean();
+    for (const regimen of regimens) {
+        const otherGroups = await Group.find({
+            _id: { $ne: group._id },
+            regimens: regimen._id,
+            members: { $in: athleteIds }
+        }).select('members').lean();
+        const covered = new Set(otherGroups.flatMap(other => other.members.map(id => id.toString())));
+        const viaGroup = new Set((regimen.groupAssignees || []).map(id => id.toString()));
+
+        const removeIds = athleteIds
+            .map(id => id.toString())
+            .filter(id => viaGroup.has(id) && !covered.has(id));
+        if (removeIds.length === 0) continue;
+
+        await Regimen.updateOne({ _id: regimen._id }, {
+            $pull: {
+                assignedTo: { $in: removeIds },
+                groupAssignees: { $in: removeIds }
+            }
+        });
+        await User.updateMany({ _id: { $in: removeIds } }, { $pull: { regimens: regimen._id } });
+    }
+};
+
+/**
+ * Creates a training group.
+ * @param {string} coachId - The coach's ID.
+ * @param {object} data
+ * @param {string} data.name - Group name (unique per coach).
+ * @param {string} [data.description]
+ * @param {Array<string>} [data.memberIds] - The coach's athletes to add.
+ * @returns {Promise<object>} - The created group (members populated).
+ * @throws {AppError} If a member isn't one of the coach's athletes.
+ */
+exports.createGroup = async (coachId, { name, description, memberIds } = {}) => {
+    const members = toIdStrings(memberIds);
+    await verifyCoachedAthletes(members, coachId);
+
+    const group = await Group.create({ name, description, coach: coachId, members });
+    return await group.populate('members', MEMBER_FIELDS);
+};
+
+/**
+ * Lists a coach's groups by name.
+ * @param {string} coachId - The coach's ID.
+ * @returns {Promise<Array<object>>} - Groups with memberCount.
+ */
+exports.fetchGroups = async (coachId) => {
+    const groups = await Group.find({ coach: coachId })
+        .populate('regimens', REGIMEN_FIELDS)
+        .sort('name')
+        .lean();
+    return groups.map(group => ({ ...group, memberCount: group.members.length }));
+};
+
+/**
+ * Fetches one of the coach's groups with its members and regimens.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The coach's ID.
+ * @returns {Promise<object>}
+ */
+exports.fetchGroup = async (groupId, coachId) => {
+    const group = await fetchOwnGroup(groupId, coachId);
+    return await group.populate([
+        { path: 'members', select: MEMBER_FIELDS },
+        { path: 'regimens', select: REGIMEN_FIELDS }
+    ]);
+};
+
+/**
+ * Renames a group or changes its description.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The coach's ID.
+ * @param {object} data - { name, description }; membership has its own endpoints.
+ * @returns {Promise<object>}
+ */
+exports.updateGroup = async (groupId, coachId, { name, description } = {}) => {
+    const group = await fetchOwnGroup(groupId, coachId);
+    if (name !== undefined) group.name = name;
+    if (description !== undefined) group.description = description;
+    group.updatedAt = new Date();
+    await group.save();
+    return await group.populate('members', MEMBER_FIELDS);
+};
+
+/**
+ * Deletes a group. Members lose the regimens they only had through it.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The coach's ID.
+ * @returns {Promise<void>}
+ */
+exports.deleteGroup = async (groupId, coachId) => {
+    const group = await fetchOwnGroup(groupId, coachId);
+    await Group.deleteOne({ _id: group._id });
+    await revokeRegimens(group, group.regimens, group.members.map(id => id.toString()));
+};
+
+/**
+ * Adds athletes to a group; they get every regimen assigned to it.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The coach's ID.
+ * @param {Array<string>} athleteIds - The coach's athletes to add.
+ * @returns {Promise<object>} - The updated group (members populated).
+ * @throws {AppError} If no athletes were given or one isn't the coach's.
+ */
+exports.addMembers = async (groupId, coachId, athleteIds) => {
+    const group = await fetchOwnGroup(groupId, coachId);
+    const current = new Set(group.members.map(id => id.toString()));
+    const requested = toIdStrings(athleteIds);
+    if (requested.length === 0) {
+        throw new AppError('Please provide at least one athlete', 400);
+    }
+    await verifyCoachedAthletes(requested, coachId);
+
+    const newIds = requested.filter(id => !current.has(id));
+    if (newIds.length > 0) {
+        group.members.push(...newIds);
+        group.updatedAt = new Date();
+        await group.save();
+        await grantRegimens(group.regimens, newIds);
+    }
+    return await group.populate('members', MEMBER_FIELDS);
+};
+
+/**
+ * Removes an athlete from a group; they lose the regimens they only had through it.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The coach's ID.
+ * @param {string} athleteId - The member to remove.
+ * @returns {Promise<object>} - The updated group (members populated).
+ * @throws {AppError} If the athlete isn't a member.
+ */
+exports.removeMember = async (groupId, coachId, athleteId) => {
+    const group = await fetchOwnGroup(groupId, coachId);
+    if (!group.members.some(id => id.toString() === String(athleteId))) {
+        throw new AppError('This athlete is not in the group', 404);
+    }
+
+    group.members = group.members.filter(id => id.toString() !== String(athleteId));
+    group.updatedAt = new Date();
+    await group.save();
+    await revokeRegimens(group, group.regimens, [String(athleteId)]);
+    return await group.populate('members', MEMBER_FIELDS);
+};
+
+/**
+ * Assigns one of the coach's regimens to a group: every current member gets it now,
+ * and members who join later get it when they join.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The coach's ID.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @returns {Promise<object>} - The updated group (regimens populated).
+ * @throws {AppError} If the regimen doesn't exist or belongs to another coach.
+ */
+exports.assignRegimen = async (groupId, coachId, regimenId) => {
+    const group = await fetchOwnGroup(groupId, coachId);
+    const regimen = await findOwnRegimen(regimenId, coachId);
+
+    if (!group.regimens.some(id => id.equals(regimen._id))) {
+        group.regimens.push(regimen._id);
+        group.updatedAt = new Date();
+        await group.save();
+    }
+    await grantRegimens([regimen._id], group.members.map(id => id.toString()));
+    return await group.populate('regimens', REGIMEN_FIELDS);
+};
+
+/**
+ * Unassigns a regimen from a group. Members keep it only if they were assigned
+ * directly or through another group.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The coach's ID.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @returns {Promise<object>} - The updated group (regimens populated).
+ * @throws {AppError} If the regimen isn't assigned to the group.
+ */
+exports.unassignRegimen = async (groupId, coachId, regimenId) => {
+    const group = await fetchOwnGroup(groupId, coachId);
+    const regimen = await findOwnRegimen(regimenId, coachId);
+    if (!group.regimens.some(id => id.equals(regimen._id))) {
+        throw new AppError('This regimen is not assigned to the group', 404);
+    }
+
+    group.regimens = group.regimens.filter(id => !id.equals(regimen._id));
+    group.updatedAt = new Date();
+    await group.save();
+    await revokeRegimens(group, [regimen._id], group.members.map(id => id.toString()));
+    return await group.populate('regimens', REGIMEN_FIELDS);
+};
+
+/**
+ * Takes an athlete out of all of a coach's groups, e.g. when they stop working
+ * together. The athlete loses the regimens they only had through those groups.
+ * @param {string} coachId - The coach's ID.
+ * @param {string} athleteId - The athlete's ID.
+ * @returns {Promise<number>} - Number of groups the athlete was removed from.
+ */
+exports.removeAthleteFromCoachGroups = async (coachId, athleteId) => {
+    const groups = await Group.find({ coach: coachId, members: athleteId });
+    for (const group of groups) {
+        await Group.updateOne({ _id: group._id }, { $pull: { members: athleteId }, updatedAt: new Date() });
+        await revokeRegimens(group, group.regimens, [athleteId.toString()]);
+    }
+    return groups.length;
+};
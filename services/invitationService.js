@@ -0,0 +1,304 @@
+// server/services/invitationService.js
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const mongoose = require('mongoose');
+const { sendEmail } = require('../utils/email');
+const { buildClientUrl } = require('../utils/urlUtils');
+const userService = require('./userService');
+const notificationService = require('./notificationService');
+
+/**
+ * Marks pending invitations past their expiry date as expired.
+ * @param {object} [filter] - Extra conditions (e.g. one coach's invitations).
+ * @returns {Promise<void>}
+ */
+const expireStaleInvitations = async (filter = {}) => {
+    await Invitation.updateMany(
+        { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+        { status: 'expired', $unset: { tokenHash: 1 } }
+    );
+};
+
+/**
+ * Emails the invitation link.
+ * @param {object} invitation - Invitation document.
+ * @param {string} token - Raw (unhashed) invitation token.
+ * @param {object} coach - The inviting coach.
+ * @returns {Promise<string>} - The invitation URL.
+ */
+const sendInvitationEmail = async (invitation, token, coach) => {
+    const invitationURL = buildClientUrl(`/accept-invitation/${token}`);
+
+    const message = `
+      Hi ${invitation.firstName || 'there'},
+
+      ${coach.firstName} ${coach.lastName} has invited you to join their team on CoachShare.
+      ${invitation.message ? `\n      "${invitation.message}"\n` : ''}
+      To accept this invitation and choose your password, please click the link below:
+
+      ${invitationURL}
+
+      This link can be used once and expires on ${new Date(invitation.expiresAt).toDateString()}.
+
+      If you didn't expect this invitation, please ignore this email.
+    `;
+
+    if (process.env.NODE_ENV === 'development') {
+        console.log('==== INVITATION DETAILS ====\nURL:', invitationURL, '\n============================');
+    }
+
+    await sendEmail({
+        email: invitation.email,
+        subject: `${coach.firstName} ${coach.lastName} has invited you to CoachShare`,
+        message
+    });
+
+    return invitationURL;
+};
+
+/**
+ * Fetches an invitation owned by a coach.
+ * @param {string} invitationId - The ID of the invitation.
+ * @param {string} coachId - The ID of the requesting coach.
+ * @returns {Promise<object>} - The invitation document.
+ * @throws {AppError} If ID invalid, not found, or owned by another coach.
+ */
+const fetchCoachInvitation = async (invitationId, coachId) => {
+    if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+        throw new AppError('Invalid invitation ID format.', 400);
+    }
+    const invitation = await Invitation.findById(invitationId);
+    if (!invitation) {
+        throw new AppError('Invitation not found', 404);
+    }
+    if (invitation.coach.toString() !== coachId.toString()) {
+        throw new AppError('You can only manage invitations you sent', 403);
+    }
+    return invitation;
+};
+
+/**
+ * Looks up a usable invitation by its raw token.
+ * @param {string} token - Raw invitation token from the link.
+ * @returns {Promise<object>} - The pending invitation document (coach populated).
+ * @throws {AppError} If the token is unknown, already used, revoked or expired.
+ */
+const fetchInvitationByToken = async (token) => {
+    const invitation = await Invitation.findOne({ tokenHash: Invitation.hashToken(token || '') })
+        .populate('coach', 'firstName lastName');
+
+    if (!invitation || invitation.status !== 'pending') {
+        throw new AppError('This invitation link is invalid or has already been used', 400);
+    }
+    if (invitation.expiresAt <= new Date()) {
+        invitation.status = 'expired';
+        invitation.tokenHash = undefined;
+        await invitation.save();
+        throw new AppError('This invitation has expired. Ask your coach to resend it.', 400);
+    }
+    return invitation;
+};
+
+/**
+ * Invites someone without an account to a coach's team and emails them a single-use link.
+ * @param {object} coach - The inviting coach (user document).
+ * @param {object} data
+ * @param {string} data.email - Invitee's email.
+ * @param {string} [data.firstName]
+ * @param {string} [data.lastName]
+ * @param {string} [data.message] - Optional note included in the email.
+ * @returns {Promise<{invitation: object, invitationURL: string}>}
+ * @throws {AppError} If the email is missing, already registered, already invited, or the email fails.
+ */
+exports.createInvitation = async (coach, { email, firstName, lastName, message }) => {
+    if (typeof email !== 'string' || !email.trim()) {
+        throw new AppError('Please provide an email address', 400);
+    }
+    const normalizedEmail = email.trim().toLowerCase();
+
+    if (await User.exists({ email: normalizedEmail })) {
+        throw new AppError('This email already has an account. Send a connection request instead.', 400);
+    }
+
+    await expireStaleInvitations({ coach: coach._id, email: normalizedEmail });
+    if (await Invitation.exists({ coach: coach._id, email: normalizedEmail, status: 'pending' })) {
+        throw new AppError('An invitation to this email is already pending. Resend it instead.', 400);
+    }
+
+    const invitation = new Invitation({
+        email: normalizedEmail,
+        firstName,
+        lastName,
+        message,
+        coach: coach._id
+    });
+    const token = invitation.generateToken();
+    invitation.sentCount = 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    try {
+        const invitationURL = await sendInvitationEmail(invitation, token, coach);
+        return { invitation, invitationURL };
+    } catch (error) {
+        console.error('❌ Error sending invitation email:', error);
+        // Don't leave an invitation behind that nobody received
+        await Invitation.deleteOne({ _id: invitation._id });
+        if (error instanceof AppError) throw error;
+        throw new AppError('There was an error sending the invitation email. Try again later.', 500);
+    }
+};
+
+/**
+ * Lists a coach's invitations (pending ones by default).
+ * @param {string} coachId - The ID of the coach.
+ * @param {object} [queryParams]
+ * @param {string} [queryParams.status='pending'] - Status filter, or 'all'.
+ * @returns {Promise<Array>} - Invitations, newest first.
+ */
+exports.fetchInvitationsByCoach = async (coachId, { status = 'pending' } = {}) => {
+    await expireStaleInvitations({ coach: coachId });
+
+    const query = { coach: coachId };
+    if (status !== 'all') {
+        query.status = status;
+    }
+    return await Invitation.find(query).sort('-createdAt').lean();
+};
+
+/**
+ * Resends an invitation with a fresh token and expiry. The previous link stops working.
+ * Expired invitations can be resent; accepted or revoked ones cannot.
+ * @param {string} invitationId - The ID of the invitation.
+ * @param {object} coach - The requesting coach (user document).
+ * @returns {Promise<{invitation: object, invitationURL: string}>}
+ * @throws {AppError} If the invitation can't be resent or the email fails.
+ */
+exports.resendInvitation = async (invitationId, coach) => {
+    const invitation = await fetchCoachInvitation(invitationId, coach._id);
+    if (invitation.status === 'accepted' || invitation.status === 'revoked') {
+        throw new AppError(`This invitation has been ${invitation.status} and can't be resent`, 400);
+    }
+
+    const token = invitation.generateToken();
+    invitation.sentCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+
+    try {
+        const invitationURL = await sendInvitationEmail(invitation, token, coach);
+        return { invitation, invitationURL };
+    } catch (error) {
+        console.error('❌ Error resending invitation email:', error);
+        if (error instanceof AppError) throw error;
+        throw new AppError('There was an error sending the invitation email. Try again later.', 500);
+    }
+};
+
+/**
+ * Revokes a pending invitation so its link can no longer be used.
+ * @param {string} invitationId - The ID of the invitation.
+ * @param {string} coachId - The ID of the requesting coach.
+ * @returns {Promise<object>} - The revoked invitation.
+ * @throws {AppError} If the invitation was already accepted.
+ */
+exports.revokeInvitation = async (invitationId, coachId) => {
+    const invitation = await fetchCoachInvitation(invitationId, coachId);
+    if (invitation.status === 'accepted') {
+        throw new AppError('This invitation has already been accepted', 400);
+    }
+
+    invitation.status = 'revoked';
+    invitation.tokenHash = undefined;
+    await invitation.save();
+    return invitation;
+};
+
+/**
+ * Returns what the invitee needs to see before accepting (no sensitive fields).
+ * @param {string} token - Raw invitation token.
+ * @returns {Promise<object>} - { email, firstName, lastName, coach, expiresAt }
+ */
+exports.previewInvitation = async (token) => {
+    const invitation = await fetchInvitationByToken(token);
+    return {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        message: invitation.message,
+        coach: {
+            firstName: invitation.coach.firstName,
+            lastName: invitation.coach.lastName
+        },
+        expiresAt: invitation.expiresAt
+    };
+};
+
+/**
+ * Accepts an invitation: creates the athlete account with the password they chose
+ * and connects them to the inviting coach. The token can only be used once.
+ * @param {string} token - Raw invitation token.
+ * @param {object} data
+ * @param {string} data.password - The password the invitee chose.
+ * @param {string} [data.firstName] - Overrides the name the coach entered.
+ * @param {string} [data.lastName]
+ * @returns {Promise<object>} - The new user document.
+ * @throws {AppError} If the token is unusable, the password is missing, or the email is already registered.
+ */
+exports.acceptInvitation = async (token, { password, firstName, lastName }) => {
+    const invitation = await fetchInvitationByToken(token);
+
+    if (!password) {
+        throw new AppError('Please choose a password', 400);
+    }
+    if (await User.exists({ email: invitation.email })) {
+        throw new AppError('An account with this email already exists. Please log in instead.', 400);
+    }
+
+    // Claim the token first so a double submit can't create two accounts
+    const claimed = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending' },
+        { status: 'accepted', acceptedAt: new Date(), $unset: { tokenHash: 1 } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new AppError('This invitation link is invalid or has already been used', 400);
+    }
+
+    let user;
+    try {
+        user = await User.create({
+            email: invitation.email,
+            firstName: firstName || invitation.firstName,
+            lastName: lastName || invitation.lastName,
+            password,
+            role: 'athlete',
+            isEmailVerified: true // Following the emailed link proves the address
+        });
+    } catch (error) {
+        // Let the invitee try again with valid details
+        await Invitation.updateOne(
+            { _id: invitation._id },
+            { status: 'pending', $unset: { acceptedAt: 1 }, tokenHash: Invitation.hashToken(token) }
+        );
+        throw error;
+    }
+
+    await userService.assignCoach(user._id.toString(), invitation.coach._id.toString());
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user._id });
+
+    try {
+        await notificationService.createNotification({
+            userId: invitation.coach._id,
+            title: 'Invitation accepted',
+            message: `${user.firstName} ${user.lastName} accepted your invitation and joined your team.`,
+            type: 'connection_request',
+            relatedId: user._id.toString()
+        });
+    } catch (error) {
+        console.error('Error sending invitation accepted notification:', error);
+    }
+
+    return user;
+};
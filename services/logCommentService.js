@@ -0,0 +1,264 @@
+// server/services/logCommentService.js
+const mongoose = require('mongoose');
+const LogComment = require('../models/LogComment');
+const WorkoutLog = require('../models/WorkoutLog');
+const AppError = require('../utils/appError');
+const notificationService = require('./notificationService');
+
+const AUTHOR_FIELDS = 'firstName lastName avatarUrl role';
+const VERDICT_LABELS = {
+    excellent: 'Excellent',
+    on_track: 'On track',
+    needs_attention: 'Needs attention'
+};
+
+const fullName = (user) => `${user.firstName || ''} ${user.lastName || ''}`.trim() || 'Someone';
+
+/**
+ * Loads a workout log the user may discuss: the athlete who owns it, anyone it
+ * is shared with, and the athlete's coaches.
+ * @param {string} logId - The ID of the workout log.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<object>} - The log document (athleteId populated).
+ * @throws {AppError} If the ID is invalid, the log doesn't exist, or access is denied.
+ */
+const fetchAccessibleLog = async (logId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(logId)) {
+        throw new AppError('Invalid workout log ID format.', 400);
+    }
+    const log = await WorkoutLog.findById(logId).populate('athleteId', 'firstName lastName coaches');
+    if (!log) {
+        throw new AppError('Workout log not found', 404);
+    }
+
+    const userId = user._id.toString();
+    const athlete = log.athleteId;
+    const isOwner = athlete && athlete._id.toString() === userId;
+    const isShared = (log.sharedWith || []).some(id => id.toString() === userId);
+    const isCoach = user.role === 'coach' && athlete &&
+        (athlete.coaches || []).some(id => id.toString() === userId);
+    if (!isOwner && !isShared && !isCoach) {
+        throw new AppError('You do not have permission to view this workout log', 403);
+    }
+    return log;
+};
+
+exports.fetchAccessibleLog = fetchAccessibleLog;
+
+/**
+ * Notifies the other party about new feedback, without failing the request.
+ * @param {Array<string>} userIds - Recipients (duplicates and the actor are removed).
+ * @param {object} actor - The user who commented or reviewed.
+ * @param {object} data - { title, message, relatedId }
+ */
+const notifyParticipants = async (userIds, actor, data) => {
+    const recipients = [...new Set(userIds.map(id => id.toString()))]
+        .filter(id => id !== actor._id.toString());
+    for (const userId of recipients) {
+        try {
+            await notificationService.createNotification({ userId, type: 'workout_feedback', ...data });
+        } catch (error) {
+            console.error('Error sending workout feedback notification:', error);
+        }
+    }
+};
+
+/**
+ * Nests replies under their parent comments.
+ * @param {Array<object>} comments - Comments, oldest first.
+ * @returns {Array<object>} - Top-level comments with `replies`.
+ */
+const buildThreads = (comments) => {
+    const byId = new Map(comments.map(comment => [comment._id.toString(), { ...comment, replies: [] }]));
+    const threads = [];
+    byId.forEach(comment => {
+        const parent = comment.parent && byId.get(comment.parent.toString());
+        if (parent) {
+            parent.replies.push(comment);
+        } else {
+            threads.push(comment);
+        }
+    });
+    return threads;
+};
+
+/**
+ * Lists a log's comment threads.
+ * @param {string} logId - The ID of the workout log.
+ * @param {object} user - The requesting user.
+ * @param {object} [queryParams]
+ * @param {string} [queryParams.exerciseId] - Only the threads on one exercise entry ('none' for the log itself).
+ * @returns {Promise<Array<object>>} - Threads, oldest first; deleted comments keep their place without text.
+ */
+exports.fetchComments = async (logId, user, { exerciseId } = {}) => {
+    const log = await fetchAccessibleLog(logId, user);
+
+    const query = { workoutLog: log._id };
+    if (exerciseId === 'none') {
+        query.exerciseId = null;
+    } else if (exerciseId) {
+        query.exerciseId = exerciseId;
+    }
+
+    const comments = await LogComment.find(query)
+        .populate('author', AUTHOR_FIELDS)
+        .sort('createdAt')
+        .lean();
+
+    return buildThreads(comments.map(comment => (
+        comment.deletedAt ? { ...comment, text: undefined, author: undefined } : comment
+    )));
+};
+
+/**
+ * Adds a comment or reply to a log or one of its exercise entries, and notifies
+ * the other party: the athlete when someone else comments, the athlete's coaches
+ * and the people the log is shared with when the athlete comments, and the author
+ * of the comment replied to.
+ * @param {string} logId - The ID of the workout log.
+ * @param {object} user - The commenting user.
+ * @param {object} data
+ * @param {string} data.text - Comment text.
+ * @param {string} [data.exerciseId] - Exercise entry the comment is about.
+ * @param {string} [data.parentId] - Comment being replied to.
+ * @returns {Promise<object>} - The created comment (author populated).
+ * @throws {AppError} If the text is empty, the exercise or parent comment doesn't belong to the log.
+ */
+exports.addComment = async (logId, user, { text, exerciseId, parentId } = {}) => {
+    const log = await fetchAccessibleLog(logId, user);
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new AppError('A comment cannot be empty', 400);
+    }
+
+    let parent = null;
+    if (parentId) {
+        if (!mongoose.Types.ObjectId.isValid(parentId)) {
+            throw new AppError('Invalid comment ID format.', 400);
+        }
+        parent = await LogComment.findOne({ _id: parentId, workoutLog: log._id });
+        if (!parent) {
+            throw new AppError('The comment you are replying to was not found', 404);
+        }
+        // Replies stay on the same exercise entry as their thread
+        exerciseId = parent.exerciseId;
+    } else if (exerciseId && !log.exercises.some(exercise => exercise.exerciseId === exerciseId)) {
+        throw new AppError('This exercise is not part of the workout log', 400);
+    }
+
+    const comment = await LogComment.create({
+        workoutLog: log._id,
+        exerciseId: exerciseId || undefined,
+        parent: parent ? parent._id : undefined,
+        author: user._id,
+        text: text.trim()
+    });
+
+    const athleteId = log.athleteId._id;
+    const isAthlete = athleteId.toString() === user._id.toString();
+    const exercise = exerciseId && log.exercises.find(entry => entry.exerciseId === exerciseId);
+    const subject = exercise ? `${exercise.name} in ${log.dayName || 'your workout'}` : (log.dayName || 'a workout');
+    await notifyParticipants(
+        [
+            ...(isAthlete ? [...(log.sharedWith || []), ...(log.athleteId.coaches || [])] : [athleteId]),
+            ...(parent ? [parent.author] : [])
+        ],
+        user,
+        {
+            title: parent ? 'New reply' : 'New comment',
+            message: `${fullName(user)} commented on ${subject}: "${comment.text.slice(0, 100)}"`,
+            relatedId: log._id.toString()
+        }
+    );
+
+    return await comment.populate('author', AUTHOR_FIELDS);
+};
+
+/**
+ * Fetches a comment the user wrote, on a log they can access.
+ * @param {string} logId
+ * @param {string} commentId
+ * @param {object} user
+ * @returns {Promise<object>}
+ */
+const fetchOwnComment = async (logId, commentId, user) => {
+    const log = await fetchAccessibleLog(logId, user);
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+        throw new AppError('Invalid comment ID format.', 400);
+    }
+    const comment = await LogComment.findOne({ _id: commentId, workoutLog: log._id, deletedAt: null });
+    if (!comment) {
+        throw new AppError('Comment not found', 404);
+    }
+    if (comment.author.toString() !== user._id.toString()) {
+        throw new AppError('You can only change your own comments', 403);
+    }
+    return comment;
+};
+
+/**
+ * Edits the user's own comment.
+ * @param {string} logId - The ID of the workout log.
+ * @param {string} commentId - The ID of the comment.
+ * @param {object} user - The requesting user.
+ * @param {string} text - New text.
+ * @returns {Promise<object>} - The updated comment.
+ */
+exports.updateComment = async (logId, commentId, user, text) => {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new AppError('A comment cannot be empty', 400);
+    }
+    const comment = await fetchOwnComment(logId, commentId, user);
+    comment.text = text.trim();
+    comment.editedAt = new Date();
+    await comment.save();
+    return await comment.populate('author', AUTHOR_FIELDS);
+};
+
+/**
+ * Deletes the user's own comment. Its replies stay in the thread.
+ * @param {string} logId - The ID of the workout log.
+ * @param {string} commentId - The ID of the comment.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<void>}
+ */
+exports.deleteComment = async (logId, commentId, user) => {
+    const comment = await fetchOwnComment(logId, commentId, user);
+    comment.deletedAt = new Date();
+    await comment.save();
+};
+
+/**
+ * Records a coach's review of a log (re-reviewing replaces it) and tells the athlete.
+ * @param {string} logId - The ID of the workout log.
+ * @param {object} coach - The reviewing coach.
+ * @param {object} data
+ * @param {string} data.verdict - 'excellent', 'on_track' or 'needs_attention'.
+ * @param {string} [data.summary] - Short written feedback.
+ * @returns {Promise<object>} - The review.
+ * @throws {AppError} If the user isn't a coach with access, or the verdict is invalid.
+ */
+exports.reviewLog = async (logId, coach, { verdict, summary } = {}) => {
+    if (coach.role !== 'coach') {
+        throw new AppError('Only coaches can review workout logs', 403);
+    }
+    const log = await fetchAccessibleLog(logId, coach);
+    if (!VERDICT_LABELS[verdict]) {
+        throw new AppError(`Verdict must be one of: ${Object.keys(VERDICT_LABELS).join(', ')}`, 400);
+    }
+
+    const review = {
+        verdict,
+        summary,
+        reviewedBy: coach._id,
+        reviewedAt: new Date()
+    };
+    await WorkoutLog.updateOne({ _id: log._id }, { review }, { runValidators: true });
+
+    await notifyParticipants([log.athleteId._id], coach, {
+        title: 'Workout reviewed',
+        message: `${fullName(coach)} reviewed ${log.dayName || 'your workout'}: ${VERDICT_LABELS[verdict]}${summary ? ` - "${summary.slice(0, 100)}"` : ''}`,
+        relatedId: log._id.toString()
+    });
+
+    return review;
+};
@@ -0,0 +1,90 @@
+// server/services/logMediaService.js
+const WorkoutLog = require('../models/WorkoutLog');
+const AppError = require('../utils/appError');
+const mediaService = require('./mediaService');
+const { fetchAccessibleLog } = require('./logCommentService');
+
+/**
+ * Attaches form-check photos or videos to the athlete's own workout log.
+ * @param {string} logId - The ID of the workout log.
+ * @param {object} user - The uploading athlete.
+ * @param {Array<object>} files - Uploaded files (multer files).
+ * @param {object} [data]
+ * @param {string} [data.exerciseId] - Exercise entry the media shows.
+ * @param {string} [data.caption]
+ * @returns {Promise<Array<object>>} - The log's media after the upload.
+ * @throws {AppError} If the user doesn't own the log, the exercise isn't in it, or the files are rejected.
+ */
+exports.addMedia = async (logId, user, files = [], { exerciseId, caption } = {}) => {
+    let log;
+    try {
+        log = await fetchAccessibleLog(logId, user);
+        if (log.athleteId._id.toString() !== user._id.toString()) {
+            throw new AppError('Only the athlete who logged the workout can add media to it', 403);
+        }
+        if (exerciseId && !log.exercises.some(exercise => exercise.exerciseId === exerciseId)) {
+            throw new AppError('This exercise is not part of the workout log', 400);
+        }
+    } catch (error) {
+        mediaService.discardUploads(files);
+        throw error;
+    }
+
+    return await mediaService.storeUploads(
+        files,
+        user._id,
+        { exerciseId, caption, purpose: 'workout_media' },
+        filename => `/api/workout-logs/${log._id}/media/${filename}`,
+        async (attachments) => {
+            const updated = await WorkoutLog.findByIdAndUpdate(
+                log._id,
+                { $push: { media: { $each: attachments } } },
+                { new: true, runValidators: true }
+            ).select('media');
+            return updated.media;
+        }
+    );
+};
+
+/**
+ * Lists a workout log's media for anyone who can see the log.
+ * @param {string} logId - The ID of the workout log.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<Array<object>>}
+ */
+exports.fetchMedia = async (logId, user) => {
+    const log = await fetchAccessibleLog(logId, user);
+    return log.media || [];
+};
+
+/**
+ * Signed download URL of a workout log media file, for someone who can see the log.
+ * @param {string} logId - The ID of the workout log.
+ * @param {string} filename - Stored file name.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<string>}
+ */
+exports.getMediaUrl = async (logId, filename, user) => {
+    const log = await fetchAccessibleLog(logId, user);
+    return await mediaService.downloadUrl(mediaService.findAttachment(log.media, filename));
+};
+
+/**
+ * Deletes a media file from a workout log. The athlete can delete any of the log's
+ * media; others only what they uploaded.
+ * @param {string} logId - The ID of the workout log.
+ * @param {string} filename - Stored file name.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<void>}
+ */
+exports.deleteMedia = async (logId, filename, user) => {
+    const log = await fetchAccessibleLog(logId, user);
+    const attachment = mediaService.findAttachment(log.media, filename);
+    const userId = user._id.toString();
+    if (log.athleteId._id.toString() !== userId && attachment.uploadedBy?.toString() !== userId) {
+        throw new AppError('You can only delete media you uploaded', 403);
+    }
+
+    await WorkoutLog.updateOne({ _id: log._id }, { $pull: { media: { filename } } });
+    await mediaService.removeMedia([attachment]);
+};
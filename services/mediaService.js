@@ -0,0 +1,283 @@
+// server/services/mediaService.js
+const mongoose = require('mongoose');
+const Regimen = require('../models/Regimen');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { detectFileMimeType } = require('../utils/mimeSniffer');
+const storageService = require('./storageService');
+
+// Total bytes of media each user may keep
+const MEDIA_QUOTA_BYTES = parseInt(process.env.MEDIA_QUOTA_BYTES) || 1024 * 1024 * 1024; // 1GB default
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))}MB`;
+
+const discardUploads = storageService.discardUploads;
+
+const mediaKey = (filename) => storageService.keyFor('media', filename);
+
+/**
+ * Counts bytes against a user's quota, atomically.
+ * @param {string} userId
+ * @param {number} bytes
+ * @throws {AppError} 413 if the upload would exceed the quota.
+ */
+const reserveQuota = async (userId, bytes) => {
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            $or: [
+                { mediaStorageUsed: { $exists: false } },
+                { mediaStorageUsed: { $lte: MEDIA_QUOTA_BYTES - bytes } }
+            ]
+        },
+        { $inc: { mediaStorageUsed: bytes } }
+    );
+    if (result.matchedCount === 0) {
+        throw new AppError(`Media storage quota exceeded. Each account can store up to ${formatMegabytes(MEDIA_QUOTA_BYTES)}; delete some files and try again.`, 413);
+    }
+};
+
+/**
+ * Gives bytes back to a user's quota (never below zero).
+ * @param {string} userId
+ * @param {number} bytes
+ */
+const releaseQuota = async (userId, bytes) => {
+    await User.updateOne({ _id: userId }, [
+        { $set: { mediaStorageUsed: { $max: [0, { $subtract: [{ $ifNull: ['$mediaStorageUsed', 0] }, bytes] }] } } }
+    ]);
+};
+
+/**
+ * Checks uploaded files by their contents, counts them against the uploader's quota,
+ * moves them into storage and saves their entries. Nothing is kept if any step fails.
+ * @param {Array<object>} files - Multer files in the upload temp directory.
+ * @param {string} userId - The uploader.
+ * @param {object} fields - Extra attachment fields (exerciseId, caption) and the
+ *   storage purpose ('exercise_media' or 'workout_media').
+ * @param {function} buildUrl - Download URL for a stored file name.
+ * @param {function} push - Saves the attachment entries on their document.
+ * @returns {Promise<*>} - Whatever push returns.
+ * @throws {AppError} 400 if no files were sent or one isn't really an image or video; 413 over quota.
+ */
+const storeUploads = async (files, userId, fields, buildUrl, push) => {
+    let reservedBytes = 0;
+    let storedKeys = [];
+    try {
+        if (!files || files.length === 0) {
+            throw new AppError('Please attach at least one image or video in the "media" field', 400);
+        }
+
+        const attachments = [];
+        for (const file of files) {
+            const mimeType = await detectFileMimeType(file.path);
+            if (!mimeType) {
+                throw new AppError(`"${file.originalname}" is not a supported image or video.`, 400);
+            }
+            attachments.push({
+                filename: file.filename,
+                originalName: file.originalname,
+                mimeType,
+                kind: mimeType.split('/')[0],
+                size: file.size,
+                exerciseId: fields.exerciseId || undefined,
+                caption: fields.caption || undefined,
+                uploadedBy: userId,
+                uploadedAt: new Date(),
+                url: buildUrl(file.filename)
+            });
+        }
+
+        const bytes = attachments.reduce((total, attachment) => total + attachment.size, 0);
+        await reserveQuota(userId, bytes);
+        reservedBytes = bytes;
+
+        const stored = await storageService.storeUploads(files, {
+            folder: 'media',
+            purpose: fields.purpose,
+            owner: userId,
+            contentTypes: attachments.map(attachment => attachment.mimeType)
+        });
+        storedKeys = stored.map(record => record.key);
+        return await push(attachments);
+    } catch (error) {
+        discardUploads(files);
+        await storageService.removeFiles(storedKeys);
+        if (reservedBytes > 0) await releaseQuota(userId, reservedBytes);
+        throw error;
+    }
+};
+
+exports.discardUploads = discardUploads;
+exports.storeUploads = storeUploads;
+
+/**
+ * Deletes stored media files and gives the space back to their uploaders. Errors are
+ * logged, not thrown, so cleanup never fails the request that triggered it.
+ * @param {Array<object>} [attachments] - Media entries from a regimen or workout log.
+ * @returns {Promise<void>}
+ */
+exports.removeMedia = async (attachments = []) => {
+    await storageService.removeFiles(attachments.map(attachment => mediaKey(attachment.filename)));
+
+    const bytesByUploader = new Map();
+    attachments.forEach(attachment => {
+        if (attachment.uploadedBy && attachment.size) {
+            const uploaderId = attachment.uploadedBy.toString();
+            bytesByUploader.set(uploaderId, (bytesByUploader.get(uploaderId) || 0) + attachment.size);
+        }
+    });
+
+    for (const [uploaderId, bytes] of bytesByUploader) {
+        try {
+            await releaseQuota(uploaderId, bytes);
+        } catch (error) {
+            console.error(`Error releasing media quota for ${uploaderId}:`, error);
+        }
+    }
+};
+
+/**
+ * Finds the attachment entry for a stored file name.
+ * @param {Array<object>} media
+ * @param {string} filename
+ * @returns {object}
+ * @throws {AppError} 404 if the file isn't part of the list.
+ */
+const findAttachment = (media = [], filename) => {
+    const attachment = media.find(entry => entry.filename === filename);
+    if (!attachment) {
+        throw new AppError('Media not found', 404);
+    }
+    return attachment;
+};
+
+exports.findAttachment = findAttachment;
+
+/**
+ * A short-lived download URL for a stored attachment.
+ * @param {object} attachment
+ * @returns {Promise<string>}
+ */
+const downloadUrl = (attachment) => storageService.getDownloadUrl(mediaKey(attachment.filename), {
+    filename: attachment.originalName,
+    contentType: attachment.mimeType
+});
+
+exports.downloadUrl = downloadUrl;
+
+/**
+ * Loads a regimen by UUID or ObjectId.
+ * @param {string} regimenId
+ * @returns {Promise<object>}
+ * @throws {AppError} If the ID is invalid or the regimen doesn't exist.
+ */
+const fetchRegimen = async (regimenId) => {
+    let query;
+    if (typeof regimenId === 'string' && regimenId.length > 24) {
+        query = { id: regimenId };
+    } else if (mongoose.Types.ObjectId.isValid(regimenId)) {
+        query = { _id: regimenId };
+    } else {
+        throw new AppError('Invalid regimen ID format provided.', 400);
+    }
+    const regimen = await Regimen.findOne(query);
+    if (!regimen) {
+        throw new AppError('Regimen not found', 404);
+    }
+    return regimen;
+};
+
+const assertCanViewRegimen = (regimen, user) => {
+    const canView = user.role === 'admin'
+        || (user.role === 'coach' && regimen.hasRole(user._id, 'viewer'))
+        || (user.role === 'athlete' && regimen.assignedTo.some(id => id.toString() === user._id.toString()));
+    if (!canView) {
+        throw new AppError('You do not have permission to access this regimen', 403);
+    }
+};
+
+const assertCanEditRegimen = (regimen, user) => {
+    if (!regimen.hasRole(user._id, 'editor')) {
+        throw new AppError('You need editor access to change this regimen\'s media', 403);
+    }
+};
+
+/**
+ * Whether an exercise ID is used anywhere in the plan (flat days or phases).
+ * @param {object} regimen
+ * @param {string} exerciseId
+ * @returns {boolean}
+ */
+const planHasExercise = (regimen, exerciseId) => [
+    ...(regimen.days || []),
+    ...(regimen.phases || []).flatMap(phase => phase.weeks.flatMap(week => week.days))
+].some(day => day.exercises.some(exercise => exercise._id === exerciseId));
+
+/**
+ * Attaches demo images or videos to one of a regimen's exercises.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {string} exerciseId - The exercise's ID within the plan.
+ * @param {object} user - The uploading coach (owner or editor).
+ * @param {Array<object>} files - Uploaded files (multer files).
+ * @param {object} [data]
+ * @param {string} [data.caption]
+ * @returns {Promise<Array<object>>} - The exercise's media after the upload.
+ */
+exports.addRegimenMedia = async (regimenId, exerciseId, user, files = [], { caption } = {}) => {
+    let regimen;
+    try {
+        regimen = await fetchRegimen(regimenId);
+        assertCanEditRegimen(regimen, user);
+        if (!planHasExercise(regimen, exerciseId)) {
+            throw new AppError('This exercise is not part of the regimen', 404);
+        }
+    } catch (error) {
+        discardUploads(files);
+        throw error;
+    }
+
+    return await storeUploads(
+        files,
+        user._id,
+        { exerciseId, caption, purpose: 'exercise_media' },
+        filename => `/api/regimens/${regimen.id}/media/${filename}`,
+        async (attachments) => {
+            const updated = await Regimen.findByIdAndUpdate(
+                regimen._id,
+                { $push: { exerciseMedia: { $each: attachments } } },
+                { new: true, runValidators: true }
+            ).select('exerciseMedia');
+            return updated.exerciseMedia.filter(attachment => attachment.exerciseId === exerciseId);
+        }
+    );
+};
+
+/**
+ * Signed download URL of a regimen media file, for anyone who can see the regimen.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {string} filename - Stored file name.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<string>}
+ */
+exports.getRegimenMediaUrl = async (regimenId, filename, user) => {
+    const regimen = await fetchRegimen(regimenId);
+    assertCanViewRegimen(regimen, user);
+    return await downloadUrl(findAttachment(regimen.exerciseMedia, filename));
+};
+
+/**
+ * Deletes a media file from a regimen.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {string} filename - Stored file name.
+ * @param {object} user - The requesting coach (owner or editor).
+ * @returns {Promise<void>}
+ */
+exports.deleteRegimenMedia = async (regimenId, filename, user) => {
+    const regimen = await fetchRegimen(regimenId);
+    assertCanEditRegimen(regimen, user);
+    const attachment = findAttachment(regimen.exerciseMedia, filename);
+
+    await Regimen.updateOne({ _id: regimen._id }, { $pull: { exerciseMedia: { filename } } });
+    await exports.removeMedia([attachment]);
+};
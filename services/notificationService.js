@@ -4,6 +4,8 @@ const User = require('../models/User');
 const AppError = require('../utils/appError');
 const mongoose = require('mongoose');
 const websocketService = require('./websocketService');
+const emailNotificationService = require('./emailNotificationService');
+const pushNotificationService = require('./pushNotificationService');
 
 /**
  * Creates a new notification for a user.
@@ -42,6 +44,14 @@ exports.createNotification = async (notificationData) => {
         // Don't throw error, as the notification was still created in the database
     }
 
+    // Email and push in the background so callers don't wait on SMTP or push services
+    emailNotificationService.dispatchNotification(notification).catch(error => {
+        console.error('Error sending notification email:', error);
+    });
+    pushNotificationService.dispatchNotification(notification).catch(error => {
+        console.error('Error sending push notification:', error);
+    });
+
     return notification;
 };
 
@@ -57,14 +57,47 @@ const formatSecondsToTime = (totalSeconds) => {
     return totalSeconds.toFixed(2);
 };
 
+
+// Distance units accepted by the calculator, expressed in meters.
+const UNIT_IN_METERS = {
+    m: 1,
+    km: 1000,
+    mi: 1609.344
+};
+
+/**
+ * Formats seconds into a clock string (H:MM:SS.ms or M:SS.ms).
+ * Times under a minute keep the SS.ms format used by formatSecondsToTime.
+ * @param {number} totalSeconds - Time in seconds.
+ * @returns {string} - Formatted time string (e.g., "3:45.20").
+ */
+const formatSecondsToClock = (totalSeconds) => {
+    if (typeof totalSeconds !== 'number' || isNaN(totalSeconds) || totalSeconds < 0) {
+        return "N/A";
+    }
+    // Work in hundredths so rounding never produces "60.00" seconds
+    const hundredths = Math.round(totalSeconds * 100);
+    if (hundredths < 6000) {
+        return formatSecondsToTime(hundredths / 100);
+    }
+    const hours = Math.floor(hundredths / 360000);
+    const minutes = Math.floor((hundredths % 360000) / 6000);
+    const seconds = ((hundredths % 6000) / 100).toFixed(2).padStart(5, '0');
+
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+    }
+    return `${minutes}:${seconds}`;
+};
+
 /**
  * Generates standard segment distances based on the total distance.
  * @param {number} totalDistance - The total distance.
+ * @param {number} [interval=50] - Distance between generated splits (50m for track work).
  * @returns {Array<number>} - Array of segment distances.
  */
-const generateStandardSegments = (totalDistance) => {
+const generateStandardSegments = (totalDistance, interval = 50) => {
     const segments = new Set();
-    const interval = 50; // Generate splits every 50m
 
     // Add intervals up to the total distance
     for (let d = interval; d < totalDistance; d += interval) {
@@ -78,17 +111,52 @@ const generateStandardSegments = (totalDistance) => {
 };
 
 /**
- * Calculates training segment times based on target pace and effort.
- * Segments are generated automatically.
- * @param {number} totalDistance - The total distance of the PB/target race (e.g., 100).
- * @param {string|number} targetTimeString - The target time for the total distance (e.g., "10.10").
- * @param {number} effortPercentage - The desired effort level (e.g., 90).
- * @returns {Promise<Array<{distance: number, time: string}>>} - Array of segments with calculated times.
+ * Validates a custom list of segment distances and normalizes it.
+ * @param {Array<number|string>} segments - Segment distances in the plan's unit.
+ * @param {number} totalDistance - The total distance (segments may not exceed it).
+ * @returns {Array<number>} - Sorted, de-duplicated segments ending at the total distance.
+ * @throws {AppError} If the list is empty or contains invalid distances.
+ */
+const normalizeSegments = (segments, totalDistance) => {
+    if (!Array.isArray(segments) || segments.length === 0) {
+        throw new AppError('Segments must be a non-empty array of distances.', 400);
+    }
+
+    const distances = new Set();
+    segments.forEach(segment => {
+        const distance = typeof segment === 'string' ? parseFloat(segment) : segment;
+        if (typeof distance !== 'number' || isNaN(distance) || distance <= 0) {
+            throw new AppError(`Invalid segment distance: ${segment}.`, 400);
+        }
+        if (distance > totalDistance) {
+            throw new AppError(`Segment distance ${distance} exceeds the total distance of ${totalDistance}.`, 400);
+        }
+        distances.add(distance);
+    });
+    // Always include the total distance so the table finishes at the target
+    distances.add(totalDistance);
+
+    return Array.from(distances).sort((a, b) => a - b);
+};
+
+/**
+ * Builds a full pace plan: split table plus pace per 400m, km and mile.
+ * @param {object} params - Plan parameters.
+ * @param {number} params.totalDistance - Total distance of the target race, in `unit`.
+ * @param {string|number} params.targetTime - Target time for the total distance (e.g., "10.10" or "4:05.00").
+ * @param {number} params.effortPercentage - The desired effort level (e.g., 90).
+ * @param {string} [params.unit='m'] - Distance unit: 'm', 'km' or 'mi'.
+ * @param {Array<number>} [params.segments] - Custom split distances in `unit`. Defaults to standard segments.
+ * @returns {Promise<object>} - The pace plan.
  * @throws {AppError} If inputs are invalid or calculation fails.
  */
-exports.calculatePace = async (totalDistance, targetTimeString, effortPercentage) => {
-    // 1. Validate Inputs (excluding segmentDistances)
-    if (typeof totalDistance !== 'number' || totalDistance <= 0) {
+exports.buildPacePlan = async ({ totalDistance, targetTime, effortPercentage, unit = 'm', segments }) => {
+    // 1. Validate Inputs
+    const metersPerUnit = UNIT_IN_METERS[unit];
+    if (!metersPerUnit) {
+        throw new AppError(`Unit must be one of: ${Object.keys(UNIT_IN_METERS).join(', ')}.`, 400);
+    }
+    if (typeof totalDistance !== 'number' || isNaN(totalDistance) || totalDistance <= 0) {
         throw new AppError('Total distance must be a positive number.', 400);
     }
     if (typeof effortPercentage !== 'number' || effortPercentage <= 0 || effortPercentage > 100) {
@@ -97,7 +165,7 @@ exports.calculatePace = async (totalDistance, targetTimeString, effortPercentage
 
     let targetTimeInSeconds;
     try {
-        targetTimeInSeconds = parseTimeToSeconds(targetTimeString);
+        targetTimeInSeconds = parseTimeToSeconds(targetTime);
     } catch (error) {
         throw new AppError(`Invalid target time: ${error.message}`, 400);
     }
@@ -107,7 +175,8 @@ exports.calculatePace = async (totalDistance, targetTimeString, effortPercentage
     }
 
     // 2. Calculate Target Pace (meters per second)
-    const targetPaceMS = totalDistance / targetTimeInSeconds; // m/s
+    const totalMeters = totalDistance * metersPerUnit;
+    const targetPaceMS = totalMeters / targetTimeInSeconds; // m/s
 
     // 3. Calculate Required Training Pace based on effort
     const trainingPaceMS = targetPaceMS * (effortPercentage / 100); // m/s
@@ -116,18 +185,61 @@ exports.calculatePace = async (totalDistance, targetTimeString, effortPercentage
          throw new AppError('Could not calculate a valid training pace. Check inputs.', 400);
     }
 
-    // 4. Generate Standard Segments
-    const generatedSegmentDistances = generateStandardSegments(totalDistance);
-    console.log("Generated segments:", generatedSegmentDistances); // For debugging
+    // 4. Resolve Segments (custom list, or 50m splits on the track / one split per km or mile)
+    const segmentDistances = segments !== undefined
+        ? normalizeSegments(segments, totalDistance)
+        : generateStandardSegments(totalDistance, unit === 'm' ? 50 : 1);
 
-    // 5. Calculate Time for each Generated Segment
-    const results = generatedSegmentDistances.map(segmentDistance => {
-        const segmentTimeSeconds = segmentDistance / trainingPaceMS;
-        return {
+    // 5. Calculate cumulative and per-segment time for each split
+    let previousSeconds = 0;
+    const splits = segmentDistances.map(segmentDistance => {
+        const segmentTimeSeconds = (segmentDistance * metersPerUnit) / trainingPaceMS;
+        const split = {
             distance: segmentDistance,
-            time: formatSecondsToTime(segmentTimeSeconds)
+            time: formatSecondsToTime(segmentTimeSeconds),
+            clock: formatSecondsToClock(segmentTimeSeconds),
+            splitTime: formatSecondsToClock(segmentTimeSeconds - previousSeconds),
+            seconds: Number(segmentTimeSeconds.toFixed(2))
         };
+        previousSeconds = segmentTimeSeconds;
+        return split;
     });
 
-    return results;
-}; 
\ No newline at end of file
+    return {
+        unit,
+        totalDistance,
+        targetTime: formatSecondsToClock(targetTimeInSeconds),
+        effortPercentage,
+        trainingTime: formatSecondsToClock(totalMeters / trainingPaceMS),
+        pace: {
+            per400m: formatSecondsToClock(400 / trainingPaceMS),
+            perKm: formatSecondsToClock(1000 / trainingPaceMS),
+            perMile: formatSecondsToClock(UNIT_IN_METERS.mi / trainingPaceMS)
+        },
+        segments: segmentDistances,
+        splits
+    };
+};
+
+/**
+ * Calculates training segment times based on target pace and effort.
+ * Segments are generated automatically unless a custom list is provided.
+ * @param {number} totalDistance - The total distance of the PB/target race (e.g., 100).
+ * @param {string|number} targetTimeString - The target time for the total distance (e.g., "10.10").
+ * @param {number} effortPercentage - The desired effort level (e.g., 90).
+ * @param {object} [options] - Optional `unit` ('m', 'km', 'mi') and custom `segments`.
+ * @returns {Promise<Array<{distance: number, time: string}>>} - Array of segments with calculated times.
+ * @throws {AppError} If inputs are invalid or calculation fails.
+ */
+exports.calculatePace = async (totalDistance, targetTimeString, effortPercentage, options = {}) => {
+    const plan = await exports.buildPacePlan({
+        totalDistance,
+        targetTime: targetTimeString,
+        effortPercentage,
+        unit: options.unit,
+        segments: options.segments
+    });
+    return plan.splits;
+};
+
+exports.UNIT_IN_METERS = UNIT_IN_METERS;
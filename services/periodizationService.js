@@ -0,0 +1,312 @@
+// server/services/periodizationService.js
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+const { parseDurationToSeconds } = require('../utils/durationUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Maps the free-text day intensities used by coaches onto a 1-10 scale
+const INTENSITY_SCORES = {
+    'very low': 1,
+    'rest': 1,
+    'recovery': 2,
+    'low': 3,
+    'easy': 3,
+    'light': 3,
+    'medium': 5,
+    'moderate': 5,
+    'high': 7,
+    'hard': 7,
+    'very high': 9,
+    'very hard': 9,
+    'max': 10,
+    'maximal': 10
+};
+
+/**
+ * Converts a date-like value into a UTC day index (days since epoch).
+ * @param {string|Date} value - Date string (e.g. "2024-05-01") or Date.
+ * @returns {number|null} - Day index, or null if the value is not a valid date.
+ */
+const toDayIndex = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / DAY_MS);
+};
+
+/**
+ * Formats a UTC day index as YYYY-MM-DD.
+ * @param {number} dayIndex - Days since epoch.
+ * @returns {string}
+ */
+const formatDayIndex = (dayIndex) => new Date(dayIndex * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Scores a day's intensity on a 1-10 scale.
+ * @param {string|number} intensity - Free-text or numeric intensity.
+ * @returns {number|null} - Score, or null if it cannot be interpreted.
+ */
+exports.scoreIntensity = (intensity) => {
+    if (typeof intensity === 'number') return intensity;
+    if (typeof intensity !== 'string') return null;
+    const key = intensity.trim().toLowerCase();
+    if (INTENSITY_SCORES[key] !== undefined) return INTENSITY_SCORES[key];
+    const numeric = parseFloat(key);
+    return isNaN(numeric) ? null : numeric;
+};
+
+/**
+ * Flattens phases[].weeks[].days into a single list of days.
+ * @param {Array<object>} phases - Phase definitions.
+ * @returns {Array<object>} - Days in phase/week order.
+ */
+exports.flattenPhaseDays = (phases = []) =>
+    phases.flatMap(phase => (phase.weeks || []).flatMap(week => week.days || []));
+
+const newId = () => new mongoose.Types.ObjectId().toString();
+
+/**
+ * Gives items the IDs of the previous items they replace. Items keep an ID that is
+ * already in use; the rest take an unused previous item that `sameItem` pairs them
+ * with, their own ID, or a new one.
+ * @param {Array<object>} items - Incoming items.
+ * @param {Array<object>} previousItems - Items currently stored.
+ * @param {Function} sameItem - (item, previousItem) => whether one replaces the other.
+ * @returns {Array<{item: object, previous: object|undefined, _id: string}>}
+ */
+const matchIds = (items, previousItems, sameItem) => {
+    const previousById = new Map(previousItems.map(previous => [String(previous._id), previous]));
+    const used = new Set();
+    const matches = items.map(item => {
+        const previous = item._id !== undefined ? previousById.get(String(item._id)) : undefined;
+        if (previous) used.add(previous);
+        return { item, previous };
+    });
+    return matches.map(match => {
+        if (!match.previous) {
+            match.previous = previousItems.find(previous => !used.has(previous) && sameItem(match.item, previous));
+            if (match.previous) used.add(match.previous);
+        }
+        const id = match.previous ? match.previous._id : match.item._id;
+        return { ...match, _id: id !== undefined && id !== null ? String(id) : newId() };
+    });
+};
+
+/**
+ * Gives every day and exercise nested in the phases an `_id` before they are
+ * flattened, so the flat days list and the phases share IDs. Days and exercises
+ * already stored on the regimen keep their IDs (workout logs, reminders and
+ * revisions refer to them); ones sent without an ID take the ID of the stored
+ * day on the same date, or stored exercise with the same name.
+ * @param {Array<object>} phases - Phase definitions.
+ * @param {Array<object>} [previousDays=[]] - The regimen's current flat days.
+ * @returns {Array<object>} - Copies of the phases with IDs filled in.
+ */
+exports.assignPhaseIds = (phases = [], previousDays = []) => {
+    const phaseDays = exports.flattenPhaseDays(phases);
+    const dayIds = new Map(matchIds(phaseDays, previousDays, (day, previous) => day.date === previous.date)
+        .map(({ item, previous, _id }) => {
+            const exercises = matchIds(item.exercises || [], (previous && previous.exercises) || [],
+                (exercise, previousExercise) => exercise.name === previousExercise.name)
+                .map(exercise => ({ ...exercise.item, _id: exercise._id }));
+            return [item, { ...item, _id, exercises }];
+        }));
+
+    return phases.map(phase => ({
+        ...phase,
+        weeks: (phase.weeks || []).map(week => ({
+            ...week,
+            days: (week.days || []).map(day => dayIds.get(day))
+        }))
+    }));
+};
+
+/**
+ * Validates the phase structure and returns the flat list of days the regimen should store.
+ * If the phases contain days, the flat list is rebuilt from them; otherwise the given
+ * days are checked against the phase dates.
+ * @param {object} data - Regimen data.
+ * @param {Array<object>} data.phases - Phase definitions.
+ * @param {Array<object>} [data.days] - Flat day list.
+ * @param {string|Date} [data.startDate] - Regimen start date.
+ * @param {string|Date} [data.endDate] - Regimen end date.
+ * @returns {Array<object>} - The days to store on the regimen.
+ * @throws {AppError} If phases overlap, fall outside the regimen, or a day falls outside its phase.
+ */
+exports.resolvePlannedDays = ({ phases = [], days = [], startDate, endDate }) => {
+    const regimenStart = toDayIndex(startDate);
+    const regimenEnd = toDayIndex(endDate);
+
+    // 1. Validate phase ranges
+    const ranges = phases.map(phase => {
+        const start = toDayIndex(phase.startDate);
+        const end = toDayIndex(phase.endDate);
+        if (start === null || end === null) {
+            throw new AppError(`Phase "${phase.name}" needs a valid start and end date.`, 400);
+        }
+        if (start > end) {
+            throw new AppError(`Phase "${phase.name}" ends before it starts.`, 400);
+        }
+        if ((regimenStart !== null && start < regimenStart) || (regimenEnd !== null && end > regimenEnd)) {
+            throw new AppError(`Phase "${phase.name}" falls outside the regimen dates.`, 400);
+        }
+        const { targetVolume, targetIntensity } = phase;
+        if (targetVolume && targetVolume.min > targetVolume.max) {
+            throw new AppError(`Phase "${phase.name}" has a target volume minimum above its maximum.`, 400);
+        }
+        if (targetIntensity && targetIntensity.min > targetIntensity.max) {
+            throw new AppError(`Phase "${phase.name}" has a target intensity minimum above its maximum.`, 400);
+        }
+        return { phase, start, end };
+    });
+
+    // 2. Phases may not overlap
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].start <= sorted[i - 1].end) {
+            throw new AppError(`Phases "${sorted[i - 1].phase.name}" and "${sorted[i].phase.name}" overlap.`, 400);
+        }
+    }
+
+    // 3. Weeks and their days must sit inside their phase
+    ranges.forEach(({ phase, start, end }) => {
+        (phase.weeks || []).forEach((week, index) => {
+            const weekLabel = `week ${week.weekNumber || index + 1} of phase "${phase.name}"`;
+            const weekStart = toDayIndex(week.startDate);
+            if (week.startDate && weekStart === null) {
+                throw new AppError(`The start date of ${weekLabel} is invalid.`, 400);
+            }
+            if (weekStart !== null && (weekStart < start || weekStart > end)) {
+                throw new AppError(`The start date of ${weekLabel} falls outside the phase.`, 400);
+            }
+            (week.days || []).forEach(day => {
+                const dayIndex = toDayIndex(day.date);
+                if (dayIndex === null) {
+                    throw new AppError(`Day "${day.name || day.date}" in ${weekLabel} has an invalid date.`, 400);
+                }
+                if (dayIndex < start || dayIndex > end) {
+                    throw new AppError(`Day ${day.date} in ${weekLabel} falls outside the phase dates.`, 400);
+                }
+                if (weekStart !== null && (dayIndex < weekStart || dayIndex > weekStart + 6)) {
+                    throw new AppError(`Day ${day.date} falls outside ${weekLabel}.`, 400);
+                }
+            });
+        });
+    });
+
+    const phaseDays = exports.flattenPhaseDays(phases);
+    if (phaseDays.length > 0) {
+        return phaseDays;
+    }
+
+    // 4. No nested days: every flat day must fall inside one of the phases
+    if (ranges.length > 0) {
+        days.forEach(day => {
+            const dayIndex = toDayIndex(day.date);
+            const inPhase = ranges.some(({ start, end }) => dayIndex !== null && dayIndex >= start && dayIndex <= end);
+            if (!inPhase) {
+                throw new AppError(`Day ${day.date} does not fall inside any phase.`, 400);
+            }
+        });
+    }
+    return days;
+};
+
+/**
+ * Totals the planned work for a set of days.
+ * @param {Array<object>} days - Days with exercises.
+ * @returns {object} - { days, exercises, sets, reps, minutes, averageIntensity }
+ */
+const summarizeDays = (days) => {
+    const totals = { days: days.length, exercises: 0, sets: 0, reps: 0, minutes: 0, averageIntensity: null };
+    const intensities = [];
+
+    days.forEach(day => {
+        const score = exports.scoreIntensity(day.intensity);
+        if (score !== null) intensities.push(score);
+
+        (day.exercises || []).forEach(exercise => {
+            const sets = exercise.sets || 0;
+            const sides = exercise.perSide ? 2 : 1;
+            totals.exercises += 1;
+            totals.sets += sets;
+            if (exercise.isReps !== false) {
+                totals.reps += sets * (exercise.reps || 0) * sides;
+            } else {
+                totals.minutes += (sets * parseDurationToSeconds(exercise.duration) * sides) / 60;
+            }
+        });
+    });
+
+    totals.minutes = Math.round(totals.minutes * 10) / 10;
+    if (intensities.length > 0) {
+        const average = intensities.reduce((sum, score) => sum + score, 0) / intensities.length;
+        totals.averageIntensity = Math.round(average * 10) / 10;
+    }
+    return totals;
+};
+
+/**
+ * Checks a value against an optional {min, max} range.
+ * @returns {boolean|null} - null when no range is defined or there is no value.
+ */
+const isWithinRange = (value, range) => {
+    if (!range || (range.min === undefined && range.max === undefined) || value === null) return null;
+    if (range.min !== undefined && range.min !== null && value < range.min) return false;
+    if (range.max !== undefined && range.max !== null && value > range.max) return false;
+    return true;
+};
+
+/**
+ * Rolls up planned volume per week for a regimen.
+ * Periodized regimens report each defined week against its phase targets;
+ * regimens without phases are bucketed into 7-day weeks from the start date.
+ * @param {object} regimen - Plain regimen object (e.g. from .lean() or toObject()).
+ * @returns {Array<object>} - One summary per week.
+ */
+exports.calculateWeeklyVolume = (regimen) => {
+    const phases = regimen.phases || [];
+
+    if (phases.length > 0) {
+        return phases.flatMap(phase => (phase.weeks || []).map((week, index) => {
+            const totals = summarizeDays(week.days || []);
+            const metric = phase.targetVolume?.metric || 'sets';
+            return {
+                phaseId: phase._id,
+                phaseName: phase.name,
+                phaseType: phase.type,
+                weekId: week._id,
+                weekNumber: week.weekNumber || index + 1,
+                startDate: week.startDate || null,
+                focus: week.focus,
+                ...totals,
+                targetVolume: phase.targetVolume || null,
+                targetIntensity: phase.targetIntensity || null,
+                volumeWithinTarget: isWithinRange(totals[metric], phase.targetVolume),
+                intensityWithinTarget: isWithinRange(totals.averageIntensity, phase.targetIntensity)
+            };
+        }));
+    }
+
+    // No periodization: group the flat days into weeks from the regimen start
+    const days = regimen.days || [];
+    const dayIndexes = days.map(day => toDayIndex(day.date)).filter(index => index !== null);
+    const origin = toDayIndex(regimen.startDate) ?? (dayIndexes.length ? Math.min(...dayIndexes) : null);
+    if (origin === null) return [];
+
+    const buckets = new Map();
+    days.forEach(day => {
+        const dayIndex = toDayIndex(day.date);
+        if (dayIndex === null) return;
+        const weekNumber = Math.floor((dayIndex - origin) / 7) + 1;
+        if (!buckets.has(weekNumber)) buckets.set(weekNumber, []);
+        buckets.get(weekNumber).push(day);
+    });
+
+    return Array.from(buckets.keys()).sort((a, b) => a - b).map(weekNumber => ({
+        weekNumber,
+        startDate: formatDayIndex(origin + (weekNumber - 1) * 7),
+        ...summarizeDays(buckets.get(weekNumber))
+    }));
+};
@@ -0,0 +1,309 @@
+// server/services/personalRecordService.js
+const PersonalRecord = require('../models/PersonalRecord');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+const workoutLogService = require('./workoutLogService');
+
+const KG_PER_LB = 0.45359237;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeName = (name) => (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const toKg = (load, unit) => (unit === 'lb' ? load * KG_PER_LB : load);
+
+/**
+ * Formats a number of seconds as m:ss (or h:mm:ss).
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatClock = (seconds) => {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Estimates a one-rep max from a set.
+ * @param {number} load - Load lifted.
+ * @param {number} reps - Reps completed.
+ * @param {string} [formula='epley'] - 'epley' or 'brzycki'.
+ * @returns {number|null} - Estimated 1RM in the same unit as the load, or null if it cannot be estimated.
+ */
+exports.estimateOneRepMax = (load, reps, formula = 'epley') => {
+    if (!(load > 0) || !(reps > 0)) return null;
+    if (reps === 1) return round(load);
+    if (formula === 'brzycki') {
+        return reps >= 37 ? null : round((load * 36) / (37 - reps));
+    }
+    return round(load * (1 + reps / 30));
+};
+
+/**
+ * Whether a value beats the current record of the given type.
+ * Fastest times are better when lower; everything else when higher.
+ */
+const isBetter = (type, value, best) => {
+    if (best === null || best === undefined) return true;
+    return type === 'fastest_time' ? value < best : value > best;
+};
+
+/**
+ * Extracts the best performance per exercise/type/criterion from a workout log.
+ * Legacy single-tuple logs are expanded into sets first.
+ * @param {object} log - Workout log (document or plain object).
+ * @returns {Array<object>} - Candidate records (not yet compared with history).
+ */
+exports.extractPerformances = (log) => {
+    const plainLog = workoutLogService.normalizeLogForRead(typeof log.toObject === 'function' ? log.toObject() : log);
+    const best = new Map();
+
+    const consider = (candidate) => {
+        const key = `${candidate.exerciseKey}|${candidate.type}|${candidate.criterion}`;
+        const current = best.get(key);
+        if (!current || isBetter(candidate.type, candidate.value, current.value)) {
+            best.set(key, candidate);
+        }
+    };
+
+    (plainLog.exercises || []).forEach(exercise => {
+        const exerciseKey = normalizeName(exercise.name);
+        if (!exerciseKey) return;
+        const base = { exerciseName: exercise.name.trim(), exerciseKey };
+
+        (exercise.setLogs || []).filter(set => set.completed !== false).forEach(set => {
+            if (set.load > 0 && set.reps > 0) {
+                const loadUnit = set.loadUnit || 'kg';
+                const loadKg = round(toKg(set.load, loadUnit));
+                const performed = { load: set.load, loadUnit, reps: set.reps };
+
+                consider({
+                    ...base,
+                    ...performed,
+                    type: 'estimated_1rm',
+                    criterion: 0,
+                    value: exports.estimateOneRepMax(loadKg, set.reps),
+                    estimates: {
+                        epley: exports.estimateOneRepMax(loadKg, set.reps, 'epley'),
+                        brzycki: exports.estimateOneRepMax(loadKg, set.reps, 'brzycki')
+                    }
+                });
+                consider({ ...base, ...performed, type: 'reps_at_load', criterion: loadKg, value: set.reps });
+            }
+            if (set.distance > 0 && set.duration > 0) {
+                consider({
+                    ...base,
+                    distance: set.distance,
+                    duration: set.duration,
+                    type: 'fastest_time',
+                    criterion: set.distance,
+                    value: set.duration
+                });
+            }
+        });
+    });
+
+    return Array.from(best.values());
+};
+
+/**
+ * Describes a record for notification text, e.g. "Back Squat: 5 reps at 100 kg".
+ * @param {object} record - Personal record.
+ * @returns {string}
+ */
+const describeRecord = (record) => {
+    switch (record.type) {
+        case 'estimated_1rm':
+            return `${record.exerciseName}: estimated 1RM of ${record.value} kg`;
+        case 'reps_at_load':
+            return `${record.exerciseName}: ${record.value} reps at ${record.load} ${record.loadUnit}`;
+        case 'fastest_time':
+            return `${record.exerciseName}: ${record.distance} m in ${formatClock(record.value)}`;
+        default:
+            return record.exerciseName;
+    }
+};
+
+/**
+ * Notifies the athlete and their coaches about newly set records.
+ * @param {string} athleteId - The athlete's ID.
+ * @param {Array<object>} records - The new personal records.
+ * @param {string} workoutLogId - The log that produced them.
+ */
+const notifyNewRecords = async (athleteId, records, workoutLogId) => {
+    const athlete = await User.findById(athleteId).select('firstName lastName coachId coaches primaryCoachId').lean();
+    if (!athlete) return;
+
+    const summary = records.map(describeRecord).join('; ');
+    const title = records.length === 1 ? 'New personal record!' : `${records.length} new personal records!`;
+    const athleteName = `${athlete.firstName || ''} ${athlete.lastName || ''}`.trim() || 'Your athlete';
+
+    const coachIds = new Set(
+        [athlete.coachId, athlete.primaryCoachId, ...(athlete.coaches || [])]
+            .filter(Boolean)
+            .map(id => id.toString())
+    );
+
+    const notifications = [
+        { userId: athleteId, title, message: summary },
+        ...Array.from(coachIds).map(coachId => ({
+            userId: coachId,
+            title: `${athleteName} set ${records.length === 1 ? 'a new personal record' : `${records.length} new personal records`}`,
+            message: summary
+        }))
+    ];
+
+    for (const notification of notifications) {
+        try {
+            await notificationService.createNotification({
+                ...notification,
+                type: 'progress_update',
+                relatedId: workoutLogId.toString()
+            });
+        } catch (error) {
+            console.error(`Error sending personal record notification to ${notification.userId}:`, error);
+            // Keep going: one failed recipient shouldn't block the others
+        }
+    }
+};
+
+const recordKey = (record) => `${record.exerciseKey}|${record.type}|${record.criterion}`;
+
+/**
+ * Compares a workout log against the athlete's record history and stores any new PRs.
+ * Safe to call after edits: the log's earlier records are diffed against what it
+ * produces now. Unchanged records are left in place, records it no longer sets are
+ * removed, and only new or improved records are notified (to the athlete and their
+ * coaches, as progress_update).
+ * @param {object} log - The saved workout log.
+ * @param {object} [options]
+ * @param {boolean} [options.notify=true] - Send notifications (off for backfills).
+ * @returns {Promise<Array<object>>} - The new or improved personal record documents.
+ */
+exports.recordPersonalRecords = async (log, { notify = true } = {}) => {
+    const athleteId = log.athleteId?._id || log.athleteId;
+
+    const existing = new Map(
+        (await PersonalRecord.find({ workoutLogId: log._id }).lean()).map(record => [recordKey(record), record])
+    );
+    const kept = new Set();
+    const newRecords = [];
+
+    for (const candidate of exports.extractPerformances(log)) {
+        if (candidate.value === null) continue;
+
+        // Compare with the best from other logs; this log's own earlier record doesn't count
+        const { exerciseKey, type, criterion } = candidate;
+        const currentBest = await PersonalRecord.findOne({
+            athleteId, exerciseKey, type, criterion, workoutLogId: { $ne: log._id }
+        })
+            .sort(type === 'fastest_time' ? 'value' : '-value')
+            .lean();
+
+        if (currentBest && !isBetter(type, candidate.value, currentBest.value)) continue;
+
+        const fields = {
+            ...candidate,
+            athleteId,
+            previousValue: currentBest ? currentBest.value : null,
+            workoutLogId: log._id,
+            achievedAt: log.completedAt || Date.now()
+        };
+        const previous = existing.get(recordKey(candidate));
+
+        if (!previous) {
+            newRecords.push(await PersonalRecord.create(fields));
+            continue;
+        }
+
+        kept.add(recordKey(candidate));
+        if (previous.value === candidate.value) continue;
+
+        const record = await PersonalRecord.findByIdAndUpdate(previous._id, fields, { new: true });
+        // An edit that lowers the record still updates it, but isn't news
+        if (isBetter(type, candidate.value, previous.value)) {
+            newRecords.push(record);
+        }
+    }
+
+    const dropped = Array.from(existing.entries())
+        .filter(([key]) => !kept.has(key))
+        .map(([, record]) => record._id);
+    if (dropped.length > 0) {
+        await PersonalRecord.deleteMany({ _id: { $in: dropped } });
+    }
+
+    if (notify && newRecords.length > 0) {
+        await notifyNewRecords(athleteId, newRecords, log._id);
+    }
+
+    return newRecords;
+};
+
+/**
+ * Fetches an athlete's personal records grouped by exercise.
+ * @param {string} athleteId - The athlete's ID.
+ * @param {object} [options]
+ * @param {string} [options.exercise] - Only return records for this exercise name.
+ * @returns {Promise<Array<object>>} - [{ exerciseName, current: [...], history: [...] }]
+ */
+exports.fetchPersonalRecords = async (athleteId, { exercise } = {}) => {
+    const query = { athleteId };
+    if (exercise) {
+        query.exerciseKey = normalizeName(exercise);
+    }
+
+    const records = await PersonalRecord.find(query).sort('achievedAt').lean();
+
+    const byExercise = new Map();
+    records.forEach(record => {
+        if (!byExercise.has(record.exerciseKey)) {
+            byExercise.set(record.exerciseKey, { exerciseName: record.exerciseName, current: new Map(), history: [] });
+        }
+        const group = byExercise.get(record.exerciseKey);
+        group.history.push(record);
+
+        const key = `${record.type}|${record.criterion}`;
+        const best = group.current.get(key);
+        if (!best || isBetter(record.type, record.value, best.value)) {
+            group.current.set(key, record);
+        }
+    });
+
+    return Array.from(byExercise.values()).map(group => ({
+        exerciseName: group.exerciseName,
+        current: Array.from(group.current.values()),
+        history: group.history
+    }));
+};
+
+/**
+ * Fetches when each of an athlete's personal records was set, oldest first (used by achievements).
+ * @param {string} athleteId - The athlete's ID.
+ * @returns {Promise<Array<object>>} - Records with achievedAt, type and previousValue.
+ */
+exports.fetchRecordDates = async (athleteId) => {
+    return await PersonalRecord.find({ athleteId }).select('achievedAt type previousValue').sort('achievedAt').lean();
+};
+
+/**
+ * Removes the personal records a workout log produced (used when the log is deleted).
+ * @param {string} workoutLogId - The ID of the deleted log.
+ * @returns {Promise<number>} - Number of records removed.
+ */
+exports.removeRecordsForLog = async (workoutLogId) => {
+    const result = await PersonalRecord.deleteMany({ workoutLogId });
+    return result.deletedCount;
+};
+
+/**
+ * Removes the personal records of several deleted logs at once.
+ * @param {Array<string>} workoutLogIds - IDs of the deleted logs.
+ * @returns {Promise<number>} - Number of records removed.
+ */
+exports.removeRecordsForLogs = async (workoutLogIds) => {
+    const result = await PersonalRecord.deleteMany({ workoutLogId: { $in: workoutLogIds } });
+    return result.deletedCount;
+};
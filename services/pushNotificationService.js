@@ -0,0 +1,219 @@
+// server/services/pushNotificationService.js
+const PushSubscription = require('../models/PushSubscription');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { sendPushMessage } = require('../utils/webPush');
+
+// Subscriptions that keep failing (other than "gone") are dropped after this many attempts
+const MAX_FAILURES = 5;
+const MAX_BODY_LENGTH = 1000;
+
+// Browser push services (Chrome/FCM, Firefox, Edge/WNS, Safari). The server POSTs
+// to subscription endpoints, so they may only point at these hosts (or their
+// subdomains), never at a host a user picks. PUSH_SERVICE_HOSTS adds more, e.g.
+// a local stand-in during development.
+const PUSH_SERVICE_HOSTS = [
+    'fcm.googleapis.com',
+    'android.googleapis.com',
+    'push.services.mozilla.com',
+    'notify.windows.com',
+    'push.apple.com'
+];
+
+let missingKeysLogged = false;
+
+/**
+ * Whether an endpoint URL belongs to a known push service.
+ * @param {URL} url
+ * @returns {boolean}
+ */
+const isPushServiceUrl = (url) => {
+    const host = url.hostname.toLowerCase();
+    const extraHosts = (process.env.PUSH_SERVICE_HOSTS || '')
+        .split(',')
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean);
+    return [...PUSH_SERVICE_HOSTS, ...extraHosts].some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+};
+
+const parseEndpoint = (endpoint) => {
+    try {
+        return new URL(endpoint);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Reads the VAPID configuration from the environment.
+ * @returns {object|null} - { publicKey, privateKey, subject }, or null if push isn't configured.
+ */
+const getVapidDetails = () => {
+    const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+    if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+        if (!missingKeysLogged) {
+            console.warn('VAPID keys are not configured; web push is disabled. Run generate-vapid-keys.js.');
+            missingKeysLogged = true;
+        }
+        return null;
+    }
+    return {
+        publicKey: VAPID_PUBLIC_KEY,
+        privateKey: VAPID_PRIVATE_KEY,
+        subject: VAPID_SUBJECT || 'mailto:support@coachshare.com'
+    };
+};
+
+/**
+ * Returns the VAPID public key the browser needs to subscribe.
+ * @returns {string}
+ * @throws {AppError} 503 if push isn't configured.
+ */
+exports.getPublicKey = () => {
+    const vapid = getVapidDetails();
+    if (!vapid) {
+        throw new AppError('Push notifications are not available', 503);
+    }
+    return vapid.publicKey;
+};
+
+/**
+ * Registers a device for push (the PushSubscription JSON from the browser).
+ * Re-registering an endpoint updates it, including moving it to another account
+ * when someone else logs in on the same browser.
+ * @param {string} userId - The user's ID.
+ * @param {object} subscription - { endpoint, expirationTime, keys: { p256dh, auth } }
+ * @param {object} [meta]
+ * @param {string} [meta.userAgent]
+ * @returns {Promise<object>} - The stored subscription.
+ * @throws {AppError} If the subscription is malformed.
+ */
+exports.subscribe = async (userId, subscription = {}, { userAgent } = {}) => {
+    const { endpoint, expirationTime, keys } = subscription;
+    if (!endpoint || !keys || !keys.p256dh || !keys.auth) {
+        throw new AppError('Please provide a push subscription with an endpoint and keys', 400);
+    }
+
+    const url = parseEndpoint(endpoint);
+    if (!url) {
+        throw new AppError('Invalid push subscription endpoint', 400);
+    }
+    // Plain http is only for local stand-in push services
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && process.env.NODE_ENV !== 'production')) {
+        throw new AppError('Push subscription endpoints must use https', 400);
+    }
+    if (!isPushServiceUrl(url)) {
+        throw new AppError('Push subscription endpoints must belong to a browser push service', 400);
+    }
+
+    return await PushSubscription.findOneAndUpdate(
+        { endpoint },
+        {
+            user: userId,
+            keys: { p256dh: keys.p256dh, auth: keys.auth },
+            expirationTime: expirationTime ? new Date(expirationTime) : undefined,
+            userAgent,
+            failureCount: 0
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Unregisters one of the user's devices.
+ * @param {string} userId - The user's ID.
+ * @param {string} endpoint - The subscription endpoint.
+ * @returns {Promise<void>}
+ * @throws {AppError} If no endpoint was given or it isn't registered for the user.
+ */
+exports.unsubscribe = async (userId, endpoint) => {
+    if (!endpoint) {
+        throw new AppError('Please provide the subscription endpoint', 400);
+    }
+    const result = await PushSubscription.deleteOne({ user: userId, endpoint });
+    if (result.deletedCount === 0) {
+        throw new AppError('Push subscription not found', 404);
+    }
+};
+
+/**
+ * Lists the devices a user has registered for push.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<Array<object>>}
+ */
+exports.fetchSubscriptions = async (userId) => {
+    return await PushSubscription.find({ user: userId })
+        .select('endpoint expirationTime userAgent createdAt lastSuccessAt')
+        .sort('-createdAt')
+        .lean();
+};
+
+/**
+ * Sends a payload to every device of a user. Expired or gone subscriptions
+ * (404/410 from the push service) are removed, as are subscriptions stored
+ * before endpoints were limited to known push services.
+ * @param {string} userId - The user's ID.
+ * @param {object} payload - JSON data for the service worker.
+ * @returns {Promise<{sent: number, removed: number, failed: number}>}
+ */
+exports.sendToUser = async (userId, payload) => {
+    const summary = { sent: 0, removed: 0, failed: 0 };
+    const vapid = getVapidDetails();
+    if (!vapid) return summary;
+
+    const now = new Date();
+    const subscriptions = await PushSubscription.find({ user: userId }).lean();
+
+    await Promise.all(subscriptions.map(async (subscription) => {
+        const url = parseEndpoint(subscription.endpoint);
+        if ((subscription.expirationTime && subscription.expirationTime <= now) || !url || !isPushServiceUrl(url)) {
+            await PushSubscription.deleteOne({ _id: subscription._id });
+            summary.removed += 1;
+            return;
+        }
+
+        try {
+            await sendPushMessage(subscription, JSON.stringify(payload), { vapid });
+            await PushSubscription.updateOne({ _id: subscription._id }, { lastSuccessAt: new Date(), failureCount: 0 });
+            summary.sent += 1;
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410 ||
+                subscription.failureCount + 1 >= MAX_FAILURES) {
+                await PushSubscription.deleteOne({ _id: subscription._id });
+                summary.removed += 1;
+            } else {
+                await PushSubscription.updateOne({ _id: subscription._id }, { $inc: { failureCount: 1 } });
+                summary.failed += 1;
+                console.error(`Error sending push to subscription ${subscription._id}:`, error.message);
+            }
+        }
+    }));
+
+    return summary;
+};
+
+/**
+ * Pushes a new notification to the recipient's devices, following the `push`
+ * switch and the flag for the notification type.
+ * @param {object} notification - The created notification document.
+ * @returns {Promise<object|null>} - Delivery summary, or null if the user opted out.
+ */
+exports.dispatchNotification = async (notification) => {
+    const user = await User.findById(notification.user).select('notificationPreferences').lean();
+    if (!user) return null;
+
+    const preferences = user.notificationPreferences || {};
+    const preference = Notification.PREFERENCE_BY_TYPE[notification.type] || 'system';
+    if (preferences.push === false || preferences[preference] === false) return null;
+
+    const message = notification.message || '';
+    return await exports.sendToUser(notification.user, {
+        title: notification.title,
+        body: message.length > MAX_BODY_LENGTH ? `${message.slice(0, MAX_BODY_LENGTH - 1)}…` : message,
+        type: notification.type,
+        notificationId: notification._id.toString(),
+        relatedId: notification.relatedId,
+        url: '/notifications'
+    });
+};
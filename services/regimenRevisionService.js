@@ -0,0 +1,240 @@
+// server/services/regimenRevisionService.js
+const RegimenRevision = require('../models/RegimenRevision');
+const AppError = require('../utils/appError');
+
+// Regimen fields that make up the plan (and are restored on rollback)
+const SNAPSHOT_FIELDS = [
+    'name', 'description', 'startDate', 'endDate', 'category', 'sport', 'level',
+    'customIntensities', 'exercises', 'days', 'phases'
+];
+const SUMMARY_FIELDS = ['name', 'description', 'startDate', 'endDate', 'category', 'sport', 'level', 'customIntensities'];
+const DAY_FIELDS = ['name', 'date', 'intensity'];
+
+exports.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const changedFields = (before, after, fields) => fields
+    .filter(field => !sameValue(before[field], after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+/**
+ * Copies the plan fields of a regimen into plain JSON.
+ * @param {object} regimen - Regimen document or lean object.
+ * @returns {object}
+ */
+const buildSnapshot = (regimen) => {
+    const source = typeof regimen.toObject === 'function' ? regimen.toObject() : regimen;
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+        if (source[field] !== undefined) snapshot[field] = source[field];
+    });
+    return JSON.parse(JSON.stringify(snapshot));
+};
+
+exports.buildSnapshot = buildSnapshot;
+
+/**
+ * Stores the regimen's current state as its current revision number.
+ * @param {object} regimen - The regimen, already carrying its new `revision`.
+ * @param {string} authorId - Who made the change.
+ * @param {object} [options]
+ * @param {number} [options.restoredFrom] - Revision that was restored, for rollbacks.
+ * @returns {Promise<object>} - The revision document.
+ */
+exports.recordRevision = async (regimen, authorId, { restoredFrom } = {}) => {
+    return await RegimenRevision.create({
+        regimen: regimen._id,
+        number: regimen.revision || 1,
+        snapshot: buildSnapshot(regimen),
+        author: authorId,
+        restoredFrom
+    });
+};
+
+/**
+ * Makes sure the state about to be changed is kept. Regimens from before version
+ * history have no snapshot of their current revision yet.
+ * @param {object} regimen - The regimen before the change.
+ * @returns {Promise<void>}
+ */
+exports.ensureBaseline = async (regimen) => {
+    const number = regimen.revision || 1;
+    const exists = await RegimenRevision.exists({ regimen: regimen._id, number });
+    if (exists) return;
+    try {
+        await RegimenRevision.create({
+            regimen: regimen._id,
+            number,
+            snapshot: buildSnapshot(regimen),
+            author: regimen.createdBy?._id || regimen.createdBy,
+            createdAt: regimen.updatedAt || regimen.createdAt
+        });
+    } catch (error) {
+        // Another request recorded it first
+        if (error.code !== 11000) throw error;
+    }
+};
+
+/**
+ * Lists a regimen's revisions, newest first, without their snapshots.
+ * @param {string} regimenObjectId - The regimen's _id.
+ * @returns {Promise<Array<object>>}
+ */
+exports.fetchRevisions = async (regimenObjectId) => {
+    return await RegimenRevision.find({ regimen: regimenObjectId })
+        .select('-snapshot')
+        .populate('author', 'firstName lastName email')
+        .sort('-number')
+        .lean();
+};
+
+/**
+ * Fetches one revision with its snapshot.
+ * @param {string} regimenObjectId - The regimen's _id.
+ * @param {number|string} number - Revision number.
+ * @returns {Promise<object>}
+ * @throws {AppError} If the number is invalid or the revision doesn't exist.
+ */
+exports.fetchRevision = async (regimenObjectId, number) => {
+    const revisionNumber = parseInt(number, 10);
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+        throw new AppError('Revision must be a positive whole number.', 400);
+    }
+    const revision = await RegimenRevision.findOne({ regimen: regimenObjectId, number: revisionNumber })
+        .populate('author', 'firstName lastName email')
+        .lean();
+    if (!revision) {
+        throw new AppError(`Revision ${revisionNumber} not found.`, 404);
+    }
+    return revision;
+};
+
+/**
+ * Compares two lists of subdocuments matched by _id.
+ * @param {Array<object>} before
+ * @param {Array<object>} after
+ * @param {function} describe - Picks the fields shown for added/removed items.
+ * @param {function} compare - Returns the changes of an item present in both, or null.
+ * @returns {{added: Array, removed: Array, changed: Array}}
+ */
+const diffById = (before = [], after = [], describe, compare) => {
+    const beforeById = new Map(before.map(item => [String(item._id), item]));
+    const afterById = new Map(after.map(item => [String(item._id), item]));
+
+    return {
+        added: after.filter(item => !beforeById.has(String(item._id))).map(describe),
+        removed: before.filter(item => !afterById.has(String(item._id))).map(describe),
+        changed: after
+            .filter(item => beforeById.has(String(item._id)))
+            .map(item => compare(beforeById.get(String(item._id)), item))
+            .filter(Boolean)
+    };
+};
+
+const describeExercise = (exercise) => ({ exerciseId: exercise._id, name: exercise.name });
+const describeDay = (day) => ({ dayId: day._id, name: day.name, date: day.date });
+
+// Linking an exercise to the library doesn't change what the athlete does
+const IGNORED_EXERCISE_FIELDS = ['_id', 'exerciseRef'];
+
+const compareExercises = (before, after) => {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !IGNORED_EXERCISE_FIELDS.includes(field));
+    const changes = changedFields(before, after, fields);
+    return changes.length > 0 ? { ...describeExercise(after), changes } : null;
+};
+
+const compareDays = (before, after) => {
+    const changes = changedFields(before, after, DAY_FIELDS);
+    const exercises = diffById(before.exercises, after.exercises, describeExercise, compareExercises);
+    const exercisesChanged = exercises.added.length + exercises.removed.length + exercises.changed.length > 0;
+    if (changes.length === 0 && !exercisesChanged) return null;
+    return { ...describeDay(after), changes, exercises };
+};
+
+/**
+ * Structured difference between two snapshots: changed top-level fields, and days
+ * and their exercises added, removed or changed (matched by ID).
+ * @param {object} from - Older snapshot.
+ * @param {object} to - Newer snapshot.
+ * @returns {{fields: Array, days: {added: Array, removed: Array, changed: Array}, phasesChanged: boolean}}
+ */
+exports.diffSnapshots = (from, to) => ({
+    fields: changedFields(from, to, SUMMARY_FIELDS),
+    days: diffById(from.days, to.days, describeDay, compareDays),
+    phasesChanged: !sameValue(from.phases, to.phases)
+});
+
+const FIELD_LABELS = {
+    name: 'Name',
+    description: 'Description',
+    startDate: 'Start date',
+    endDate: 'End date',
+    category: 'Category',
+    sport: 'Sport',
+    level: 'Level',
+    customIntensities: 'Intensity options'
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    // Snapshot dates are ISO strings; show the calendar day only
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.slice(0, 10);
+    return Array.isArray(value) ? value.join(', ') : String(value);
+};
+
+const dayLabel = (day) => `${day.name || 'Workout Day'}${day.date ? ` (${day.date})` : ''}`;
+
+/**
+ * Describes one changed exercise, focusing on sets and reps.
+ * @param {object} exercise - Entry from a day's exercises.changed.
+ * @returns {string}
+ */
+const describeExerciseChange = (exercise) => {
+    const byField = Object.fromEntries(exercise.changes.map(change => [change.field, change]));
+    const { sets, reps } = byField;
+    if (sets && reps) return `${exercise.name}: ${sets.from}x${reps.from} -> ${sets.to}x${reps.to}`;
+    if (sets) return `${exercise.name}: sets ${sets.from} -> ${sets.to}`;
+    if (reps) return `${exercise.name}: reps ${reps.from} -> ${reps.to}`;
+    if (byField.name) return `${byField.name.from} renamed to ${byField.name.to}`;
+    return `${exercise.name} updated`;
+};
+
+/**
+ * Turns a snapshot diff into short, readable lines for athletes.
+ * @param {object} diff - Result of diffSnapshots.
+ * @returns {Array<string>} - One line per change; empty if the plan didn't change.
+ */
+exports.summarizeDiff = (diff) => {
+    const lines = diff.fields.map(change => (change.field === 'description'
+        ? 'Description updated'
+        : `${FIELD_LABELS[change.field] || change.field} changed from ${formatValue(change.from)} to ${formatValue(change.to)}`));
+
+    diff.days.added.forEach(day => lines.push(`New session: ${dayLabel(day)}`));
+    diff.days.removed.forEach(day => lines.push(`Removed session: ${dayLabel(day)}`));
+    diff.days.changed.forEach(day => {
+        const name = day.name || 'Workout Day';
+        day.changes.forEach(change => {
+            if (change.field === 'date') {
+                lines.push(`${name} moved from ${formatValue(change.from)} to ${formatValue(change.to)}`);
+            } else if (change.field === 'intensity') {
+                lines.push(`${dayLabel(day)}: intensity ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+            } else {
+                lines.push(`${change.from || 'Workout Day'} (${day.date}) renamed to ${formatValue(change.to)}`);
+            }
+        });
+
+        const parts = [
+            ...day.exercises.added.map(exercise => `added ${exercise.name}`),
+            ...day.exercises.removed.map(exercise => `removed ${exercise.name}`),
+            ...day.exercises.changed.map(describeExerciseChange)
+        ];
+        if (parts.length > 0) lines.push(`${dayLabel(day)}: ${parts.join('; ')}`);
+    });
+
+    if (lines.length === 0 && diff.phasesChanged) {
+        lines.push('Training phases updated');
+    }
+    return lines;
+};
@@ -1,13 +1,54 @@
 // server/services/regimenService.js
 const Regimen = require('../models/Regimen');
 const User = require('../models/User');
+const Group = require('../models/Group');
+const RegimenRevision = require('../models/RegimenRevision');
 const workoutLogService = require('../services/workoutLogService'); // For deleting logs
+const workoutLogHooks = require('./workoutLogHooks');
+const periodizationService = require('./periodizationService');
+const regimenRevisionService = require('./regimenRevisionService');
+const notificationService = require('./notificationService');
+const exerciseService = require('./exerciseService');
+const mediaService = require('./mediaService');
 const AppError = require('../utils/appError');
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid'); // For creating string IDs
 
+// Longer change summaries are cut off with "and N more changes"
+const MAX_CHANGES_IN_NOTIFICATION = 5;
+
+/**
+ * Builds the lookup query for a regimen ID (string UUID or ObjectId).
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @returns {object} - Query object for Regimen.findOne.
+ * @throws {AppError} If the ID format is not recognised.
+ */
+const buildRegimenQuery = (regimenId) => {
+    if (typeof regimenId === 'string' && regimenId.length > 24) {
+        return { id: regimenId };
+    }
+    if (mongoose.Types.ObjectId.isValid(regimenId)) {
+        return { _id: regimenId };
+    }
+    throw new AppError('Invalid regimen ID format provided.', 400);
+};
+
 /**
- * Fetches all regimens created by a specific coach.
+ * Checks that a coach has at least the given collaborator role on a regimen.
+ * @param {object} regimen - The regimen document.
+ * @param {string} coachId - The coach's ID.
+ * @param {string} minimumRole - 'viewer', 'editor' or 'owner'.
+ * @param {string} message - Error message when the role is missing.
+ * @throws {AppError} 403 if the coach's role is insufficient.
+ */
+const assertRegimenRole = (regimen, coachId, minimumRole, message) => {
+    if (!regimen.hasRole(coachId, minimumRole)) {
+        throw new AppError(message, 403);
+    }
+};
+
+/**
+ * Fetches all regimens a coach created or collaborates on.
  * @param {string} coachId - The ID of the coach.
  * @returns {Promise<Array>} - Array of regimen documents.
  */
@@ -18,9 +59,10 @@ exports.fetchRegimensByCoach = async (coachId) => {
     }
     const coachObjectId = new mongoose.Types.ObjectId(coachId.toString());
 
-    return await Regimen.find({ createdBy: coachObjectId })
+    return await Regimen.find({ $or: [{ createdBy: coachObjectId }, { 'collaborators.user': coachObjectId }] })
         .populate('createdBy', 'firstName lastName email _id') // Select needed fields
         .populate('assignedTo', 'firstName lastName email _id')
+        .populate('collaborators.user', 'firstName lastName email _id')
         .sort('-createdAt')
         .lean(); // Use lean for performance
 };
@@ -56,14 +98,16 @@ exports.fetchRegimenByIdWithAccessCheck = async (regimenId, requestingUser) => {
     if (typeof regimenId === 'string' && regimenId.length > 24) { // Basic check for UUID format
          regimen = await Regimen.findOne({ id: regimenId })
             .populate('createdBy', 'firstName lastName email _id')
-            .populate('assignedTo', 'firstName lastName email _id');
+            .populate('assignedTo', 'firstName lastName email _id')
+            .populate('collaborators.user', 'firstName lastName email _id');
     }
 
     // If not found or ID is likely an ObjectId, try finding by _id
     if (!regimen && mongoose.Types.ObjectId.isValid(regimenId)) {
         regimen = await Regimen.findById(regimenId)
             .populate('createdBy', 'firstName lastName email _id')
-            .populate('assignedTo', 'firstName lastName email _id');
+            .populate('assignedTo', 'firstName lastName email _id')
+            .populate('collaborators.user', 'firstName lastName email _id');
     }
 
     if (!regimen) {
@@ -74,10 +118,9 @@ exports.fetchRegimenByIdWithAccessCheck = async (regimenId, requestingUser) => {
     const requestingUserId = requestingUser._id.toString();
 
     if (requestingUser.role === 'coach') {
-        const isCreator = regimen.createdBy?._id?.toString() === requestingUserId;
-        if (!isCreator) {
-            throw new AppError('You do not have permission to access this regimen (not creator)', 403);
-        }
+        // The creator and every collaborator (owner, editor or viewer) can read it
+        assertRegimenRole(regimen, requestingUserId, 'viewer',
+            'You do not have permission to access this regimen (not a collaborator)');
     } else if (requestingUser.role === 'athlete') {
          const isAssigned = regimen.assignedTo?.some(athlete =>
             athlete._id?.toString() === requestingUserId
@@ -110,20 +153,36 @@ exports.createRegimen = async (regimenData, coachId) => {
         updatedAt: new Date(),
         assignedTo: [] // Ensure assignedTo is initialized
     };
+    // Periodized regimens: validate phases and derive the flat days list from them
+    if (Array.isArray(dataToCreate.phases) && dataToCreate.phases.length > 0) {
+        dataToCreate.phases = periodizationService.assignPhaseIds(dataToCreate.phases);
+        dataToCreate.days = periodizationService.resolvePlannedDays(dataToCreate);
+    }
+    delete dataToCreate.revision;
+    delete dataToCreate.collaborators;
+    delete dataToCreate.groupAssignees;
+    delete dataToCreate.exerciseMedia;
+    // Link exercise names to the library where they match
+    await exerciseService.linkRegimenExercises(dataToCreate, [coachId]);
     // Consider adding validation logic here or using Mongoose validation
     const newRegimen = await Regimen.create(dataToCreate);
+    await regimenRevisionService.recordRevision(newRegimen, coachId);
     return newRegimen; // Return Mongoose document
 };
 
 /**
- * Updates an existing regimen.
+ * Updates an existing regimen and records the result as a new revision.
  * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen to update.
  * @param {object} updateData - Data to update (from req.body).
  * @param {string} requestingCoachId - The ID of the coach making the request.
+ * @param {object} [options]
+ * @param {number} [options.restoredFrom] - Revision being restored (set by restoreRevision).
+ * @param {boolean} [options.silent=false] - Don't tell assigned athletes about the change.
  * @returns {Promise<object>} - The updated regimen document.
- * @throws {AppError} If regimen not found, user not creator, or validation fails.
+ * @throws {AppError} If regimen not found, user lacks editor access, validation fails, or
+ *   flat days are sent for a regimen whose phases hold the days.
  */
-exports.updateRegimen = async (regimenId, updateData, requestingCoachId) => {
+exports.updateRegimen = async (regimenId, updateData, requestingCoachId, { restoredFrom, silent = false } = {}) => {
      let query;
      // Determine if searching by UUID or ObjectId
      if (typeof regimenId === 'string' && regimenId.length > 24) {
@@ -134,16 +193,14 @@ exports.updateRegimen = async (regimenId, updateData, requestingCoachId) => {
           throw new AppError('Invalid regimen ID format provided.', 400);
      }
 
-    // Find the regimen first to check ownership
+    // Find the regimen first to check the coach's role
     const regimen = await Regimen.findOne(query).select('+createdBy'); // Ensure createdBy is selected
     if (!regimen) {
         throw new AppError('Regimen not found', 404);
     }
 
-    // Verify ownership
-    if (regimen.createdBy?.toString() !== requestingCoachId.toString()) {
-        throw new AppError('You can only update regimens you created', 403);
-    }
+    // Owners and editors can change the plan
+    assertRegimenRole(regimen, requestingCoachId, 'editor', 'You need editor access to update this regimen');
 
     // Update the regimen
     const dataToUpdate = { ...updateData, updatedAt: Date.now() };
@@ -151,6 +208,41 @@ exports.updateRegimen = async (regimenId, updateData, requestingCoachId) => {
     delete dataToUpdate.id;
     delete dataToUpdate.createdBy;
     delete dataToUpdate.createdAt;
+    // Collaborators, group access, revisions and media have their own endpoints
+    delete dataToUpdate.collaborators;
+    delete dataToUpdate.groupAssignees;
+    delete dataToUpdate.revision;
+    delete dataToUpdate.exerciseMedia;
+
+    // Re-validate the phase structure whenever phases, days or dates change
+    const phases = updateData.phases !== undefined ? updateData.phases : regimen.toObject().phases;
+    // Days nested in phases replace the flat list, so a days-only edit would be lost
+    if (updateData.days !== undefined && updateData.phases === undefined
+        && Array.isArray(phases) && periodizationService.flattenPhaseDays(phases).length > 0) {
+        throw new AppError('This regimen is planned in phases. Edit its days through the phases instead.', 400);
+    }
+    const touchesSchedule = ['phases', 'days', 'startDate', 'endDate'].some(field => updateData[field] !== undefined);
+    if (Array.isArray(phases) && phases.length > 0 && touchesSchedule) {
+        // Rebuilt days keep the IDs that logs, reminders and revisions refer to
+        dataToUpdate.phases = periodizationService.assignPhaseIds(phases, regimen.toObject().days);
+        dataToUpdate.days = periodizationService.resolvePlannedDays({
+            phases: dataToUpdate.phases,
+            days: updateData.days !== undefined ? updateData.days : regimen.toObject().days,
+            startDate: updateData.startDate || regimen.startDate,
+            endDate: updateData.endDate || regimen.endDate
+        });
+    }
+    dataToUpdate.$inc = { revision: 1 };
+    if (touchesSchedule) {
+        // Lets subscribed calendars replace the old events instead of keeping stale dates
+        dataToUpdate.$inc.calendarSequence = 1;
+    }
+    delete dataToUpdate.calendarSequence;
+    await exerciseService.linkRegimenExercises(dataToUpdate, [regimen.createdBy, requestingCoachId]);
+
+    // Keep the version being replaced (regimens from before revision history have none)
+    await regimenRevisionService.ensureBaseline(regimen);
+    const previousSnapshot = regimenRevisionService.buildSnapshot(regimen);
 
     const updatedRegimen = await Regimen.findByIdAndUpdate(regimen._id, dataToUpdate, {
         new: true, // Return the modified document
@@ -162,9 +254,47 @@ exports.updateRegimen = async (regimenId, updateData, requestingCoachId) => {
         throw new AppError('Regimen update failed unexpectedly.', 500);
     }
 
+    await regimenRevisionService.recordRevision(updatedRegimen, requestingCoachId, { restoredFrom });
+    if (!silent) {
+        await notifyAssignedAthletes(updatedRegimen, previousSnapshot);
+    }
     return updatedRegimen;
 };
 
+/**
+ * Tells the regimen's athletes what changed in their plan. Nothing is sent when
+ * the edit didn't change the plan itself.
+ * @param {object} regimen - The updated regimen.
+ * @param {object} previousSnapshot - The plan before the change (regimenRevisionService.buildSnapshot).
+ * @returns {Promise<void>}
+ */
+const notifyAssignedAthletes = async (regimen, previousSnapshot) => {
+    if (!regimen.assignedTo || regimen.assignedTo.length === 0) return;
+
+    const changes = regimenRevisionService.summarizeDiff(
+        regimenRevisionService.diffSnapshots(previousSnapshot, regimenRevisionService.buildSnapshot(regimen))
+    );
+    if (changes.length === 0) return;
+
+    const shown = changes.slice(0, MAX_CHANGES_IN_NOTIFICATION);
+    const more = changes.length - shown.length;
+    const message = `${shown.join('; ')}${more > 0 ? `; and ${more} more change${more === 1 ? '' : 's'}` : ''}.`;
+
+    for (const athleteId of regimen.assignedTo) {
+        try {
+            await notificationService.createNotification({
+                userId: athleteId._id || athleteId,
+                title: `"${regimen.name}" was updated`,
+                message,
+                type: 'program_assigned',
+                relatedId: regimen._id.toString()
+            });
+        } catch (error) {
+            console.error(`Error notifying athlete ${athleteId} about regimen ${regimen._id} changes:`, error);
+        }
+    }
+};
+
 /**
  * Deletes a regimen and associated data (athlete references, workout logs).
  * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
@@ -189,10 +319,10 @@ exports.deleteRegimen = async (regimenId, requestingUserId, requestingUserRole)
     }
 
     // Authorization Check
-    const isCreator = regimen.createdBy?.toString() === requestingUserId.toString();
+    const isOwner = regimen.hasRole(requestingUserId, 'owner');
     const isAdmin = requestingUserRole === 'admin';
 
-    if (!isAdmin && !isCreator) {
+    if (!isAdmin && !isOwner) {
         throw new AppError('You do not have permission to delete this regimen', 403);
     }
 
@@ -210,13 +340,31 @@ exports.deleteRegimen = async (regimenId, requestingUserId, requestingUserRole)
     );
 
     // 3. Clean up associated WorkoutLogs (run concurrently)
-    const deleteLogsPromise = workoutLogService.deleteLogsByRegimen(regimenMongoId.toString());
+    const deleteLogsPromise = workoutLogService.deleteLogsByRegimen(regimenMongoId.toString())
+        .then(async (deletedLogs) => {
+            await workoutLogHooks.afterBulkDelete(deletedLogs);
+            return deletedLogs;
+        });
+
+    // 4. Drop the regimen from training groups it was assigned to
+    const updateGroupsPromise = Group.updateMany(
+        { regimens: regimenMongoId },
+        { $pull: { regimens: regimenMongoId } }
+    );
+
+    // 5. Delete the version history
+    const deleteRevisionsPromise = RegimenRevision.deleteMany({ regimen: regimenMongoId });
+
+    // 6. Delete uploaded exercise media
+    const removeMediaPromise = mediaService.removeMedia(regimen.exerciseMedia);
 
     // Wait for cleanup operations
     try {
-        const [userUpdateResult, logDeleteResult] = await Promise.all([updateUserPromise, deleteLogsPromise]);
+        const [userUpdateResult, logDeleteResult] = await Promise.all([
+            updateUserPromise, deleteLogsPromise, updateGroupsPromise, deleteRevisionsPromise, removeMediaPromise
+        ]);
         console.log(`Service: Removed regimen ${regimenMongoId} reference from ${userUpdateResult.modifiedCount} athletes.`);
-        console.log(`Service: Deleted ${logDeleteResult} workout logs for regimen ${regimenMongoId}.`);
+        console.log(`Service: Deleted ${logDeleteResult.length} workout logs for regimen ${regimenMongoId}.`);
     } catch (cleanupError) {
         console.error(`Service: Error during cleanup for regimen ${regimenMongoId}:`, cleanupError);
         // Log error but don't throw, as regimen is already deleted
@@ -250,9 +398,7 @@ exports.assignRegimenToAthlete = async (regimenId, athleteId, requestingCoachId)
      }
      const regimen = await Regimen.findOne(regimenQuery).select('+createdBy +assignedTo');
      if (!regimen) throw new AppError('Regimen not found.', 404);
-     if (regimen.createdBy?.toString() !== requestingCoachId.toString()) {
-         throw new AppError('You can only assign regimens you created.', 403);
-     }
+     assertRegimenRole(regimen, requestingCoachId, 'editor', 'You need editor access to assign this regimen.');
 
      // 2. Fetch Athlete and check connection to coach
      const athlete = await User.findOne({
@@ -270,6 +416,11 @@ exports.assignRegimenToAthlete = async (regimenId, athleteId, requestingCoachId)
          regimen.assignedTo.push(athlete._id);
          regimenNeedsSave = true;
      }
+     // A direct assignment outlives the athlete's training groups
+     if (regimen.groupAssignees?.some(id => id.equals(athlete._id))) {
+         regimen.groupAssignees = regimen.groupAssignees.filter(id => !id.equals(athlete._id));
+         regimenNeedsSave = true;
+     }
 
      // 4. Update Athlete (add regimen to regimens)
      let athleteNeedsSave = false;
@@ -293,6 +444,74 @@ exports.assignRegimenToAthlete = async (regimenId, athleteId, requestingCoachId)
      return { regimen, athlete };
 };
 
+/**
+ * Assigns a regimen to several athletes at once, skipping athletes the coach does not coach.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {Array<string>} athleteIds - IDs of the athletes to assign.
+ * @param {string} requestingCoachId - The ID of the coach making the assignment.
+ * @returns {Promise<{regimen: object, assignedAthleteIds: Array<string>, skippedAthleteIds: Array<string>}>}
+ * @throws {AppError} If input invalid, regimen not found, coach lacks ownership, or no athlete qualifies.
+ */
+exports.assignRegimenToAthletes = async (regimenId, athleteIds, requestingCoachId) => {
+    if (!regimenId || !Array.isArray(athleteIds) || athleteIds.length === 0) {
+        throw new AppError('Regimen ID and a non-empty array of Athlete IDs are required.', 400);
+    }
+
+    // 1. Find the regimen and verify coach created it
+    const regimen = await Regimen.findOne(buildRegimenQuery(regimenId));
+    if (!regimen) {
+        throw new AppError('Regimen not found.', 404);
+    }
+    if (!regimen.hasRole(requestingCoachId, 'editor')) {
+        console.warn(`[Assign Bulk] Failed: Coach ${requestingCoachId} cannot edit regimen ${regimenId}`);
+        throw new AppError('You need editor access to assign this regimen.', 403);
+    }
+
+    // 2. Find the athletes and verify they belong to the coach
+    const validAthleteIds = athleteIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validAthleteIds.length !== athleteIds.length) {
+        console.warn(`[Assign Bulk] Some provided athlete IDs were invalid.`);
+    }
+
+    const athletes = await User.find({
+        _id: { $in: validAthleteIds },
+        role: 'athlete',
+        coaches: requestingCoachId // Ensure athlete is coached by this coach
+    }).select('_id');
+
+    const assignedAthleteIds = athletes.map(a => a._id.toString());
+    const skippedAthleteIds = athleteIds
+        .map(id => id.toString())
+        .filter(id => !assignedAthleteIds.includes(id));
+
+    if (skippedAthleteIds.length > 0) {
+        console.warn(`[Assign Bulk] Athletes not found or not assigned to coach ${requestingCoachId}: ${skippedAthleteIds.join(', ')}`);
+    }
+    if (assignedAthleteIds.length === 0) {
+        throw new AppError('None of the selected athletes could be found or belong to you.', 400);
+    }
+
+    // 3. Add the regimen to each athlete and the athletes to the regimen ($addToSet avoids duplicates)
+    const athleteUpdateResult = await User.updateMany(
+        { _id: { $in: assignedAthleteIds } },
+        { $addToSet: { regimens: regimen._id } }
+    );
+    console.log(`[Assign Bulk] Athlete update result: ${athleteUpdateResult.modifiedCount} modified`);
+
+    // A direct assignment outlives the athletes' training groups
+    const updatedRegimen = await Regimen.findByIdAndUpdate(
+        regimen._id,
+        {
+            $addToSet: { assignedTo: { $each: assignedAthleteIds } },
+            $pull: { groupAssignees: { $in: assignedAthleteIds } }
+        },
+        { new: true }
+    );
+    console.log(`[Assign Bulk] Regimen assignedTo update result: ${updatedRegimen.assignedTo.length} total assigned`);
+
+    return { regimen: updatedRegimen, assignedAthleteIds, skippedAthleteIds };
+};
+
 /**
  * Removes an athlete from a regimen's assignment list.
  * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
@@ -317,9 +536,7 @@ exports.removeAthleteFromRegimen = async (regimenId, athleteId, requestingCoachI
      }
      const regimen = await Regimen.findOne(regimenQuery).select('+createdBy +assignedTo');
      if (!regimen) throw new AppError('Regimen not found.', 404);
-     if (regimen.createdBy?.toString() !== requestingCoachId.toString()) {
-         throw new AppError('You can only modify regimens you created.', 403);
-     }
+     assertRegimenRole(regimen, requestingCoachId, 'editor', 'You need editor access to modify this regimen.');
 
       // 2. Fetch Athlete (optional, but good for logging/confirmation)
      // const athlete = await User.findById(athleteId).select('email');
@@ -334,6 +551,10 @@ exports.removeAthleteFromRegimen = async (regimenId, athleteId, requestingCoachI
              regimenModified = true;
          }
      }
+     if (regimen.groupAssignees?.some(id => id.equals(athleteId))) {
+         regimen.groupAssignees = regimen.groupAssignees.filter(id => !id.equals(athleteId));
+         regimenModified = true;
+     }
 
      // 4. Update Athlete (remove regimen from regimens)
      // Use update directly on User model for efficiency
@@ -349,4 +570,243 @@ exports.removeAthleteFromRegimen = async (regimenId, athleteId, requestingCoachI
      }
 
      return regimenModified || athleteModified; // Return true if anything changed
-}; 
\ No newline at end of file
+};
+
+/**
+ * Attaches a generated pace plan to an exercise within a regimen day.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {string} dayId - The ID of the day containing the exercise.
+ * @param {string} exerciseId - The ID of the exercise to attach the plan to.
+ * @param {object} pacePlan - Plan produced by paceCalculatorService.buildPacePlan.
+ * @param {string} requestingCoachId - The ID of the coach making the request.
+ * @returns {Promise<object>} - The updated exercise subdocument.
+ * @throws {AppError} If regimen, day or exercise not found, or coach lacks ownership.
+ */
+exports.attachPacePlanToExercise = async (regimenId, dayId, exerciseId, pacePlan, requestingCoachId) => {
+    const regimen = await Regimen.findOne(buildRegimenQuery(regimenId));
+    if (!regimen) throw new AppError('Regimen not found.', 404);
+    assertRegimenRole(regimen, requestingCoachId, 'editor', 'You need editor access to modify this regimen.');
+
+    const day = regimen.days.id(dayId);
+    if (!day) throw new AppError('Day not found in this regimen.', 404);
+    const exercise = day.exercises.id(exerciseId);
+    if (!exercise) throw new AppError('Exercise not found in this day.', 404);
+
+    // Phased regimens rebuild their days from the phases, so the plan goes on the
+    // phase's copy of the exercise too (matched by date and name for regimens whose
+    // phase days predate shared IDs)
+    const phaseDays = periodizationService.flattenPhaseDays(regimen.phases);
+    const phaseDay = phaseDays.find(candidate => candidate._id === day._id)
+        || phaseDays.find(candidate => candidate.date === day.date);
+    const phaseExercise = phaseDay
+        && (phaseDay.exercises.id(exercise._id) || phaseDay.exercises.find(candidate => candidate.name === exercise.name));
+
+    const generatedAt = new Date();
+    [exercise, phaseExercise].filter(Boolean).forEach(target => {
+        target.pacePlan = { ...pacePlan, generatedAt };
+        // Keep the plain exercise fields in sync so older clients still see the target
+        target.distance = `${pacePlan.totalDistance}${pacePlan.unit}`;
+        target.duration = pacePlan.trainingTime;
+    });
+    regimen.updatedAt = Date.now();
+
+    await regimenRevisionService.ensureBaseline(regimen);
+    regimen.revision = (regimen.revision || 1) + 1;
+    await regimen.save();
+    await regimenRevisionService.recordRevision(regimen, requestingCoachId);
+    return exercise;
+};
+
+/**
+ * Calculates planned volume per week for a regimen, with access control.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {object} requestingUser - The user object making the request.
+ * @returns {Promise<Array>} - Weekly volume summaries.
+ * @throws {AppError} If regimen not found or user lacks access.
+ */
+exports.fetchWeeklyVolume = async (regimenId, requestingUser) => {
+    const regimen = await exports.fetchRegimenByIdWithAccessCheck(regimenId, requestingUser);
+    return periodizationService.calculateWeeklyVolume(regimen.toObject());
+};
+
+/**
+ * Lists who works on a regimen: the creator (owner) and the collaborators.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {object} requestingUser - The requesting user.
+ * @returns {Promise<Array<{user: object, role: string, addedAt: Date}>>}
+ * @throws {AppError} If the regimen isn't found or the user has no access.
+ */
+exports.fetchCollaborators = async (regimenId, requestingUser) => {
+    const regimen = await exports.fetchRegimenByIdWithAccessCheck(regimenId, requestingUser);
+    return [
+        { user: regimen.createdBy, role: 'owner', addedAt: regimen.createdAt },
+        ...regimen.collaborators.map(entry => ({ user: entry.user, role: entry.role, addedAt: entry.addedAt }))
+    ];
+};
+
+/**
+ * Adds a co-coach to a regimen (or changes their role if already added) and
+ * lets them know. Only owners can manage collaborators.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {object} requestingCoach - The owner making the change.
+ * @param {object} data
+ * @param {string} [data.coachId] - The coach to add.
+ * @param {string} [data.email] - Alternatively, the coach's email.
+ * @param {string} [data.role='editor'] - 'owner', 'editor' or 'viewer'.
+ * @returns {Promise<Array>} - The updated collaborator list.
+ * @throws {AppError} If the role is invalid, the coach isn't found, or the requester isn't an owner.
+ */
+exports.addCollaborator = async (regimenId, requestingCoach, { coachId, email, role = 'editor' } = {}) => {
+    if (!Regimen.COLLABORATOR_ROLES.includes(role)) {
+        throw new AppError(`Role must be one of: ${Regimen.COLLABORATOR_ROLES.join(', ')}`, 400);
+    }
+    if (!coachId && !email) {
+        throw new AppError('Please provide the coachId or email of the coach to add', 400);
+    }
+    if (coachId && !mongoose.Types.ObjectId.isValid(coachId)) {
+        throw new AppError('Invalid coach ID format.', 400);
+    }
+
+    const regimen = await Regimen.findOne(buildRegimenQuery(regimenId));
+    if (!regimen) throw new AppError('Regimen not found.', 404);
+    assertRegimenRole(regimen, requestingCoach._id, 'owner', 'Only owners can manage collaborators on this regimen.');
+
+    const coach = await User.findOne(coachId ? { _id: coachId } : { email: email.toLowerCase().trim() });
+    if (!coach || coach.role !== 'coach') {
+        throw new AppError('Coach not found.', 404);
+    }
+    if (regimen.createdBy.equals(coach._id)) {
+        throw new AppError('The creator of a regimen is always an owner.', 400);
+    }
+
+    const existing = regimen.collaborators.find(entry => entry.user.equals(coach._id));
+    if (existing) {
+        existing.role = role;
+    } else {
+        regimen.collaborators.push({ user: coach._id, role, addedBy: requestingCoach._id, addedAt: new Date() });
+    }
+    await regimen.save();
+
+    if (!existing) {
+        try {
+            await notificationService.createNotification({
+                userId: coach._id,
+                title: 'Regimen shared with you',
+                message: `${requestingCoach.firstName} ${requestingCoach.lastName} added you to "${regimen.name}" as ${role === 'viewer' ? 'a viewer' : `an ${role}`}.`,
+                type: 'system',
+                relatedId: regimen._id.toString()
+            });
+        } catch (error) {
+            console.error('Error sending collaborator notification:', error);
+        }
+    }
+
+    return await exports.fetchCollaborators(regimen._id, requestingCoach);
+};
+
+/**
+ * Removes a collaborator. Owners can remove anyone except the creator; any
+ * collaborator can remove themselves.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {string} collaboratorId - The coach to remove.
+ * @param {object} requestingCoach - The coach making the change.
+ * @returns {Promise<boolean>} - True if a collaborator was removed.
+ * @throws {AppError} If the regimen isn't found or the requester may not remove them.
+ */
+exports.removeCollaborator = async (regimenId, collaboratorId, requestingCoach) => {
+    const regimen = await Regimen.findOne(buildRegimenQuery(regimenId));
+    if (!regimen) throw new AppError('Regimen not found.', 404);
+
+    const isSelf = collaboratorId.toString() === requestingCoach._id.toString();
+    if (!isSelf) {
+        assertRegimenRole(regimen, requestingCoach._id, 'owner', 'Only owners can manage collaborators on this regimen.');
+    }
+    if (regimen.createdBy.toString() === collaboratorId.toString()) {
+        throw new AppError('The creator of a regimen cannot be removed.', 400);
+    }
+
+    const initialLength = regimen.collaborators.length;
+    regimen.collaborators = regimen.collaborators.filter(entry => entry.user.toString() !== collaboratorId.toString());
+    if (regimen.collaborators.length === initialLength) {
+        return false;
+    }
+    await regimen.save();
+    return true;
+};
+
+/**
+ * Lists a regimen's revisions, newest first.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {object} requestingUser - The requesting user.
+ * @returns {Promise<{currentRevision: number, revisions: Array}>}
+ * @throws {AppError} If regimen not found or user lacks access.
+ */
+exports.fetchRevisions = async (regimenId, requestingUser) => {
+    const regimen = await exports.fetchRegimenByIdWithAccessCheck(regimenId, requestingUser);
+    const revisions = await regimenRevisionService.fetchRevisions(regimen._id);
+    return { currentRevision: regimen.revision || 1, revisions };
+};
+
+/**
+ * Fetches one revision of a regimen, including the plan as it was.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {number|string} number - Revision number.
+ * @param {object} requestingUser - The requesting user.
+ * @returns {Promise<object>}
+ */
+exports.fetchRevision = async (regimenId, number, requestingUser) => {
+    const regimen = await exports.fetchRegimenByIdWithAccessCheck(regimenId, requestingUser);
+    return await regimenRevisionService.fetchRevision(regimen._id, number);
+};
+
+/**
+ * Compares two revisions of a regimen.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {number|string} from - Older revision number.
+ * @param {number|string} [to] - Newer revision number (defaults to the current one).
+ * @param {object} requestingUser - The requesting user.
+ * @returns {Promise<object>} - { from, to, fields, days, phasesChanged }
+ */
+exports.diffRevisions = async (regimenId, from, to, requestingUser) => {
+    const regimen = await exports.fetchRegimenByIdWithAccessCheck(regimenId, requestingUser);
+    const toNumber = to !== undefined ? to : (regimen.revision || 1);
+    const [fromRevision, toRevision] = await Promise.all([
+        regimenRevisionService.fetchRevision(regimen._id, from),
+        regimenRevisionService.fetchRevision(regimen._id, toNumber)
+    ]);
+    return {
+        from: fromRevision.number,
+        to: toRevision.number,
+        ...regimenRevisionService.diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    };
+};
+
+/**
+ * Restores an old revision. The restored plan becomes a new revision, so the
+ * history is kept and the restore itself can be undone.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the regimen.
+ * @param {number|string} number - Revision to restore.
+ * @param {object} requestingCoach - The coach (owner or editor) restoring it.
+ * @param {object} [options]
+ * @param {boolean} [options.silent=false] - Don't tell assigned athletes about the change.
+ * @returns {Promise<object>} - The updated regimen.
+ */
+exports.restoreRevision = async (regimenId, number, requestingCoach, { silent = false } = {}) => {
+    const regimen = await exports.fetchRegimenByIdWithAccessCheck(regimenId, requestingCoach);
+    assertRegimenRole(regimen, requestingCoach._id, 'editor', 'You need editor access to restore this regimen');
+
+    const revision = await regimenRevisionService.fetchRevision(regimen._id, number);
+    const restoredData = {};
+    regimenRevisionService.SNAPSHOT_FIELDS.forEach(field => {
+        // Fields that were empty in the old plan are cleared
+        restoredData[field] = revision.snapshot[field] !== undefined ? revision.snapshot[field] : null;
+    });
+    ['days', 'phases', 'exercises', 'customIntensities'].forEach(field => {
+        if (restoredData[field] === null) restoredData[field] = [];
+    });
+
+    return await exports.updateRegimen(regimen._id, restoredData, requestingCoach._id, {
+        restoredFrom: revision.number,
+        silent
+    });
+};
@@ -0,0 +1,231 @@
+// server/services/regimenTemplateService.js
+const RegimenTemplate = require('../models/RegimenTemplate');
+const Regimen = require('../models/Regimen');
+const RegimenRevision = require('../models/RegimenRevision');
+const AppError = require('../utils/appError');
+const mongoose = require('mongoose');
+const regimenService = require('./regimenService');
+const exerciseService = require('./exerciseService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TEMPLATE_FIELDS = ['name', 'description', 'durationWeeks', 'category', 'sport', 'level', 'customIntensities', 'days'];
+
+/**
+ * Parses a date-like value into a Date at UTC midnight.
+ * @param {string|Date} value - The date to parse.
+ * @returns {Date|null} - The normalized date, or null if invalid.
+ */
+const toUtcMidnight = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Adds a number of days to a UTC date and formats it as YYYY-MM-DD.
+ * @param {Date} start - Start date (UTC midnight).
+ * @param {number} offset - Number of days to add.
+ * @returns {string}
+ */
+const formatOffsetDate = (start, offset) => new Date(start.getTime() + offset * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Removes subdocument IDs so cloned days and exercises get fresh ones.
+ * @param {Array<object>} exercises - Plain exercise objects.
+ * @returns {Array<object>}
+ */
+const cloneExercises = (exercises = []) => exercises.map(({ _id, ...exercise }) => exercise);
+
+/**
+ * Filters an object down to the editable template fields.
+ * @param {object} data - Incoming data.
+ * @returns {object}
+ */
+const pickTemplateFields = (data) => {
+    const picked = {};
+    TEMPLATE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) picked[field] = data[field];
+    });
+    return picked;
+};
+
+/**
+ * Fetches all templates created by a coach.
+ * @param {string} coachId - The ID of the coach.
+ * @returns {Promise<Array>} - Array of template documents.
+ */
+exports.fetchTemplatesByCoach = async (coachId) => {
+    return await RegimenTemplate.find({ createdBy: coachId })
+        .sort('-updatedAt')
+        .lean();
+};
+
+/**
+ * Fetches a single template owned by the requesting coach.
+ * @param {string} templateId - The ID of the template.
+ * @param {string} coachId - The ID of the requesting coach.
+ * @returns {Promise<object>} - The template document.
+ * @throws {AppError} If ID invalid, template not found, or coach is not the owner.
+ */
+exports.fetchTemplateById = async (templateId, coachId) => {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        throw new AppError('Invalid template ID format provided.', 400);
+    }
+    const template = await RegimenTemplate.findById(templateId);
+    if (!template) {
+        throw new AppError('Template not found', 404);
+    }
+    if (template.createdBy.toString() !== coachId.toString()) {
+        throw new AppError('You can only access templates you created', 403);
+    }
+    return template;
+};
+
+/**
+ * Creates a new template.
+ * @param {object} templateData - Template fields (days use week/day offsets).
+ * @param {string} coachId - The ID of the coach creating the template.
+ * @returns {Promise<object>} - The created template document.
+ */
+exports.createTemplate = async (templateData, coachId) => {
+    const fields = pickTemplateFields(templateData);
+    await exerciseService.linkRegimenExercises(fields, [coachId]);
+    return await RegimenTemplate.create({
+        ...fields,
+        createdBy: coachId
+    });
+};
+
+/**
+ * Updates a template owned by the requesting coach.
+ * @param {string} templateId - The ID of the template.
+ * @param {object} updateData - Fields to update.
+ * @param {string} coachId - The ID of the requesting coach.
+ * @returns {Promise<object>} - The updated template document.
+ */
+exports.updateTemplate = async (templateId, updateData, coachId) => {
+    const template = await exports.fetchTemplateById(templateId, coachId);
+    const fields = pickTemplateFields(updateData);
+    await exerciseService.linkRegimenExercises(fields, [coachId]);
+    template.set(fields);
+    template.updatedAt = Date.now();
+    await template.save(); // save() so the duration pre-validate hook runs
+    return template;
+};
+
+/**
+ * Deletes a template owned by the requesting coach.
+ * Regimens already materialized from it are left untouched.
+ * @param {string} templateId - The ID of the template.
+ * @param {string} coachId - The ID of the requesting coach.
+ * @returns {Promise<boolean>}
+ */
+exports.deleteTemplate = async (templateId, coachId) => {
+    const template = await exports.fetchTemplateById(templateId, coachId);
+    await RegimenTemplate.deleteOne({ _id: template._id });
+    return true;
+};
+
+/**
+ * Creates a template from an existing regimen, converting day dates into week/day offsets.
+ * @param {string} regimenId - The ID (UUID or ObjectId) of the source regimen.
+ * @param {object} overrides - Optional template fields (e.g. a new name).
+ * @param {string} coachId - The ID of the requesting coach.
+ * @returns {Promise<object>} - The created template document.
+ * @throws {AppError} If the regimen is not found or not owned by the coach.
+ */
+exports.createTemplateFromRegimen = async (regimenId, overrides, coachId) => {
+    const regimen = await regimenService.fetchRegimenByIdWithAccessCheck(regimenId, { _id: coachId, role: 'coach' });
+    const start = toUtcMidnight(regimen.startDate);
+
+    const days = [];
+    regimen.toObject().days.forEach(day => {
+        const date = toUtcMidnight(day.date);
+        const offset = date ? Math.round((date - start) / DAY_MS) : -1;
+        if (offset < 0) {
+            console.warn(`Service: Skipping day ${day._id} (${day.date}) - not on or after the regimen start date`);
+            return;
+        }
+        days.push({
+            name: day.name,
+            week: Math.floor(offset / 7) + 1,
+            day: (offset % 7) + 1,
+            intensity: day.intensity,
+            exercises: cloneExercises(day.exercises)
+        });
+    });
+
+    const regimenLengthDays = Math.round((toUtcMidnight(regimen.endDate) - start) / DAY_MS) + 1;
+
+    return await exports.createTemplate({
+        name: regimen.name,
+        description: regimen.description,
+        category: regimen.category,
+        sport: regimen.sport,
+        level: regimen.level,
+        customIntensities: regimen.customIntensities,
+        durationWeeks: Math.max(Math.ceil(regimenLengthDays / 7), 1),
+        days,
+        ...pickTemplateFields(overrides || {})
+    }, coachId);
+};
+
+/**
+ * Clones a template into a real regimen starting on a given date and assigns it to athletes.
+ * @param {string} templateId - The ID of the template.
+ * @param {object} options - Materialization options.
+ * @param {string|Date} options.startDate - Calendar date for week 1, day 1.
+ * @param {Array<string>} [options.athleteIds=[]] - Athletes to assign the new regimen to.
+ * @param {string} [options.name] - Name for the new regimen (defaults to the template name).
+ * @param {string} coachId - The ID of the requesting coach.
+ * @returns {Promise<{regimen: object, assignedAthleteIds: Array<string>, skippedAthleteIds: Array<string>}>}
+ * @throws {AppError} If the template is not found, the start date is invalid, or assignment fails.
+ */
+exports.materializeTemplate = async (templateId, { startDate, athleteIds = [], name }, coachId) => {
+    const template = await exports.fetchTemplateById(templateId, coachId);
+    const start = toUtcMidnight(startDate);
+    if (!start) {
+        throw new AppError('A valid startDate is required to materialize a template.', 400);
+    }
+    if (!Array.isArray(athleteIds)) {
+        throw new AppError('athleteIds must be an array.', 400);
+    }
+
+    const templateData = template.toObject();
+    const days = [...templateData.days]
+        .sort((a, b) => (a.week - b.week) || (a.day - b.day))
+        .map(day => ({
+            name: day.name,
+            date: formatOffsetDate(start, (day.week - 1) * 7 + (day.day - 1)),
+            intensity: day.intensity,
+            exercises: cloneExercises(day.exercises)
+        }));
+
+    const regimen = await regimenService.createRegimen({
+        name: name || templateData.name,
+        description: templateData.description,
+        startDate: start,
+        endDate: new Date(start.getTime() + (templateData.durationWeeks * 7 - 1) * DAY_MS),
+        category: templateData.category,
+        sport: templateData.sport,
+        level: templateData.level,
+        customIntensities: templateData.customIntensities,
+        sourceTemplate: template._id,
+        days
+    }, coachId);
+
+    if (athleteIds.length === 0) {
+        return { regimen, assignedAthleteIds: [], skippedAthleteIds: [] };
+    }
+
+    try {
+        // Same flow as POST /api/auth/assign-regimen-bulk
+        return await regimenService.assignRegimenToAthletes(regimen._id.toString(), athleteIds, coachId);
+    } catch (error) {
+        // Don't leave an unassigned copy (or its first revision) behind when assignment fails
+        await Regimen.deleteOne({ _id: regimen._id });
+        await RegimenRevision.deleteMany({ regimen: regimen._id });
+        throw error;
+    }
+};
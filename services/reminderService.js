@@ -0,0 +1,167 @@
+// server/services/reminderService.js
+const Regimen = require('../models/Regimen');
+const User = require('../models/User');
+const WorkoutLog = require('../models/WorkoutLog');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const notificationService = require('./notificationService');
+const { localClock, addDays } = require('../utils/timeZoneUtils');
+
+const DEFAULT_REMINDER_HOUR = 7;
+
+/**
+ * Normalizes a regimen day date ("2025-03-03" or a full ISO string) to YYYY-MM-DD.
+ * @param {string|Date} value
+ * @returns {string|null} - The date key, or null if it isn't a date.
+ */
+const toDateKey = (value) => {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+        return value.slice(0, 10);
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Decides which reminder (if any) is due for one athlete and one training day.
+ * Reminders go out from the athlete's reminder hour on the day itself; the
+ * missed-session follow-up from the same hour on the following day.
+ * @param {object} athlete - User with timezone and notificationPreferences.
+ * @param {string} dayKey - The training day's date (YYYY-MM-DD).
+ * @param {Date} now
+ * @returns {'upcoming'|'missed'|null}
+ */
+const dueReminderKind = (athlete, dayKey, now) => {
+    const preferences = athlete.notificationPreferences || {};
+    if (preferences.workoutReminder === false) return null;
+
+    const reminderHour = Number.isInteger(preferences.reminderHour) ? preferences.reminderHour : DEFAULT_REMINDER_HOUR;
+    const { date, hour } = localClock(now, athlete.timezone);
+    if (hour < reminderHour) return null;
+
+    if (dayKey === date) return 'upcoming';
+    if (dayKey === addDays(date, -1)) return 'missed';
+    return null;
+};
+
+/**
+ * Finds the reminders due right now across all assigned regimens.
+ * Rest days (no exercises) and days the athlete already logged are skipped.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Array<{athlete: object, regimen: object, day: object, dayKey: string, kind: string}>>}
+ */
+exports.findDueReminders = async (now = new Date()) => {
+    // Local "today" ranges from UTC-12 to UTC+14, and follow-ups look one day back
+    const todayUtc = now.toISOString().slice(0, 10);
+    const fromKey = addDays(todayUtc, -2);
+    const toKey = addDays(todayUtc, 2);
+
+    const regimens = await Regimen.find({
+        'assignedTo.0': { $exists: true },
+        days: { $elemMatch: { date: { $gte: fromKey, $lt: toKey } } }
+    })
+        .select('id name days assignedTo')
+        .lean();
+    if (regimens.length === 0) return [];
+
+    const athleteIds = [...new Set(regimens.flatMap(regimen => regimen.assignedTo.map(id => id.toString())))];
+    const athletes = await User.find({ _id: { $in: athleteIds } })
+        .select('firstName timezone notificationPreferences')
+        .lean();
+    const athletesById = new Map(athletes.map(athlete => [athlete._id.toString(), athlete]));
+
+    const due = [];
+    for (const regimen of regimens) {
+        for (const day of regimen.days || []) {
+            const dayKey = toDateKey(day.date);
+            if (!dayKey || dayKey < fromKey || dayKey >= toKey) continue;
+            if (!day.exercises || day.exercises.length === 0) continue;
+
+            for (const athleteId of regimen.assignedTo) {
+                const athlete = athletesById.get(athleteId.toString());
+                if (!athlete) continue;
+                const kind = dueReminderKind(athlete, dayKey, now);
+                if (kind) {
+                    due.push({ athlete, regimen, day, dayKey, kind });
+                }
+            }
+        }
+    }
+
+    // Follow-ups only for sessions that were never logged
+    const result = [];
+    for (const reminder of due) {
+        if (reminder.kind === 'missed' &&
+            await WorkoutLog.exists({ athleteId: reminder.athlete._id, dayId: reminder.day._id })) {
+            continue;
+        }
+        result.push(reminder);
+    }
+    return result;
+};
+
+/**
+ * Records and sends one reminder. The delivery record is written first, so a
+ * reminder that another run (or an earlier run before a restart) already sent is skipped.
+ * @param {object} reminder - An entry from findDueReminders.
+ * @returns {Promise<boolean>} - True if the reminder was sent now.
+ */
+exports.sendReminder = async ({ athlete, regimen, day, dayKey, kind }) => {
+    const delivery = {
+        user: athlete._id,
+        regimenId: regimen._id.toString(),
+        dayId: day._id,
+        kind
+    };
+    try {
+        await ReminderDelivery.create({ ...delivery, dayDate: dayKey });
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+
+    const dayLabel = `${day.name || 'Workout Day'} (${regimen.name})`;
+    const exerciseCount = day.exercises.length;
+    try {
+        await notificationService.createNotification(kind === 'upcoming'
+            ? {
+                userId: athlete._id,
+                title: 'Workout today',
+                message: `Today's session: ${dayLabel} - ${exerciseCount} exercise${exerciseCount === 1 ? '' : 's'}, ${day.intensity || 'Medium'} intensity.`,
+                type: 'workout_reminder',
+                relatedId: regimen.id || regimen._id.toString()
+            }
+            : {
+                userId: athlete._id,
+                title: 'Missed session',
+                message: `You missed yesterday's session: ${dayLabel}. Log it if you trained, or let your coach know.`,
+                type: 'workout_reminder',
+                relatedId: regimen.id || regimen._id.toString()
+            });
+    } catch (error) {
+        // Free the slot so the next run retries
+        await ReminderDelivery.deleteOne(delivery);
+        throw error;
+    }
+    return true;
+};
+
+/**
+ * Sends every reminder that is due. Safe to run as often as needed.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{sent: number, skipped: number, failed: number}>}
+ */
+exports.runReminderSweep = async (now = new Date()) => {
+    const reminders = await exports.findDueReminders(now);
+    const summary = { sent: 0, skipped: 0, failed: 0 };
+
+    for (const reminder of reminders) {
+        try {
+            const sent = await exports.sendReminder(reminder);
+            summary[sent ? 'sent' : 'skipped'] += 1;
+        } catch (error) {
+            summary.failed += 1;
+            console.error(`Error sending ${reminder.kind} reminder for day ${reminder.day._id}:`, error);
+        }
+    }
+    return summary;
+};
@@ -0,0 +1,77 @@
+// server/services/scheduler.js
+const reminderService = require('./reminderService');
+const emailNotificationService = require('./emailNotificationService');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Periodic jobs. Each one is idempotent (duplicates are prevented in the
+// database), so restarts and multiple instances are safe.
+const JOBS = [
+    { name: 'Workout reminders', run: reminderService.runReminderSweep },
+    { name: 'Email digests', run: emailNotificationService.runDigestSweep }
+];
+
+let timer = null;
+let running = false;
+
+/**
+ * Runs every job once, one after the other. A failing job doesn't stop the others.
+ * @returns {Promise<object>} - Summary per job name.
+ */
+const runOnce = async () => {
+    const results = {};
+    for (const job of JOBS) {
+        try {
+            results[job.name] = await job.run();
+            const { sent = 0, failed = 0 } = results[job.name];
+            if (sent > 0 || failed > 0) {
+                console.log(`${job.name}: ${sent} sent, ${failed} failed`);
+            }
+        } catch (error) {
+            console.error(`${job.name} failed:`, error);
+            results[job.name] = null;
+        }
+    }
+    return results;
+};
+
+/**
+ * Runs the jobs unless the previous run is still in progress.
+ * @returns {Promise<object|null>} - The run summary, or null if skipped.
+ */
+const tick = async () => {
+    if (running) return null;
+    running = true;
+    try {
+        return await runOnce();
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Starts running the jobs periodically (SCHEDULER_INTERVAL_MINUTES, default 15).
+ * @returns {void}
+ */
+exports.start = () => {
+    if (timer) return;
+    const minutes = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES, 10) || DEFAULT_INTERVAL_MINUTES;
+    timer = setInterval(tick, minutes * 60 * 1000);
+    // Don't keep the process alive just for scheduled jobs
+    timer.unref();
+    tick();
+    console.log(`Scheduler started (every ${minutes} min)`);
+};
+
+/**
+ * Stops the periodic run.
+ * @returns {void}
+ */
+exports.stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+exports.runOnce = runOnce;
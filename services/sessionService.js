@@ -0,0 +1,194 @@
+// server/services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_USED_TOKEN_HASHES = 50;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () =>
+    new Date(Date.now() + (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30) * DAY_MS);
+
+/**
+ * Signs an access token bound to a session.
+ * @param {string} userId - The user's ID.
+ * @param {string} sessionId - The session's ID (added as the `sid` claim).
+ * @returns {string} - Signed JWT.
+ */
+const signAccessToken = (userId, sessionId) => {
+    if (!process.env.JWT_SECRET) {
+        console.error('JWT_SECRET is not configured');
+        throw new AppError('Server configuration error', 500);
+    }
+    return jwt.sign({ id: userId, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+    });
+};
+
+/**
+ * Starts a new device session for a user (on login).
+ * @param {object} user - The authenticated user.
+ * @param {object} [meta] - Request details for the session list.
+ * @param {string} [meta.userAgent]
+ * @param {string} [meta.ip]
+ * @returns {Promise<{session: object, accessToken: string, refreshToken: string}>}
+ */
+exports.startSession = async (user, { userAgent, ip } = {}) => {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        userAgent,
+        ip,
+        expiresAt: refreshExpiry()
+    });
+
+    return {
+        session,
+        accessToken: signAccessToken(user._id, session._id),
+        refreshToken
+    };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The presented token is retired. If an already-retired token is presented again,
+ * the token was leaked: the whole session (token family) is revoked.
+ * @param {string} refreshToken - The refresh token from the cookie or request body.
+ * @param {object} [meta] - Request details ({ userAgent, ip }).
+ * @returns {Promise<{user: object, session: object, accessToken: string, refreshToken: string}>}
+ * @throws {AppError} 401 if the token is missing, invalid, expired, revoked or reused.
+ */
+exports.rotateRefreshToken = async (refreshToken, { userAgent, ip } = {}) => {
+    if (!refreshToken) {
+        throw new AppError('Refresh token not provided.', 401);
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const newRefreshToken = generateRefreshToken();
+    const now = new Date();
+
+    // Atomic swap: only one request can rotate a given token
+    const session = await Session.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            tokenHash: hashToken(newRefreshToken),
+            $push: { usedTokenHashes: { $each: [tokenHash], $slice: -MAX_USED_TOKEN_HASHES } },
+            lastUsedAt: now,
+            expiresAt: refreshExpiry(),
+            ...(userAgent && { userAgent }),
+            ...(ip && { ip })
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const reusedSession = await Session.findOne({ usedTokenHashes: tokenHash });
+        if (reusedSession) {
+            if (!reusedSession.revokedAt) {
+                reusedSession.revokedAt = now;
+                reusedSession.revokedReason = 'reuse_detected';
+                await reusedSession.save();
+                console.warn(`Refresh token reuse detected for session ${reusedSession._id}; session revoked`);
+            }
+            throw new AppError('This session has been revoked. Please log in again.', 401);
+        }
+        throw new AppError('Invalid or expired refresh token.', 401);
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+        throw new AppError('User for refresh token not found.', 401);
+    }
+
+    return {
+        user,
+        session,
+        accessToken: signAccessToken(user._id, session._id),
+        refreshToken: newRefreshToken
+    };
+};
+
+/**
+ * Checks that a session exists and has not been revoked or expired.
+ * @param {string} sessionId - The session's ID (from the access token `sid` claim).
+ * @returns {Promise<boolean>}
+ */
+exports.isSessionActive = async (sessionId) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    const session = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return !!session;
+};
+
+/**
+ * Finds the session a refresh token belongs to, without rotating it.
+ * @param {string} refreshToken - The refresh token.
+ * @returns {Promise<object|null>} - The session, or null.
+ */
+exports.findSessionByRefreshToken = async (refreshToken) => {
+    if (!refreshToken) return null;
+    return await Session.findOne({ tokenHash: hashToken(refreshToken) });
+};
+
+/**
+ * Lists a user's active sessions, newest activity first.
+ * @param {string} userId - The user's ID.
+ * @param {string} [currentSessionId] - Marks the session making the request.
+ * @returns {Promise<Array<object>>}
+ */
+exports.fetchActiveSessions = async (userId, currentSessionId) => {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort('-lastUsedAt')
+        .lean();
+
+    return sessions.map(session => ({
+        ...session,
+        current: !!currentSessionId && session._id.toString() === currentSessionId.toString()
+    }));
+};
+
+/**
+ * Revokes one of a user's sessions. Its access tokens stop working immediately.
+ * @param {string} sessionId - The session's ID.
+ * @param {string} userId - The owner's ID.
+ * @param {string} [reason='revoked'] - 'logout' or 'revoked'.
+ * @returns {Promise<object>} - The revoked session.
+ * @throws {AppError} If the ID is invalid or the session doesn't belong to the user.
+ */
+exports.revokeSession = async (sessionId, userId, reason = 'revoked') => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw new AppError('Invalid session ID format.', 400);
+    }
+    const session = await Session.findOne({ _id: sessionId, user: userId });
+    if (!session) {
+        throw new AppError('Session not found', 404);
+    }
+    if (!session.revokedAt) {
+        session.revokedAt = new Date();
+        session.revokedReason = reason;
+        await session.save();
+    }
+    return session;
+};
+
+/**
+ * Revokes all of a user's sessions, optionally keeping the current one.
+ * @param {string} userId - The user's ID.
+ * @param {string} [exceptSessionId] - Session to keep.
+ * @returns {Promise<number>} - Number of sessions revoked.
+ */
+exports.revokeAllSessions = async (userId, exceptSessionId) => {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: 'revoked' });
+    return result.modifiedCount;
+};
@@ -0,0 +1,309 @@
+// server/services/storageService.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const StoredFile = require('../models/StoredFile');
+const AppError = require('../utils/appError');
+const { createS3Client } = require('../utils/s3Client');
+
+// Multer writes uploads here; storeFile moves them into the configured storage
+exports.TEMP_DIR = path.join(__dirname, '..', 'uploads', 'tmp');
+
+const DEFAULT_LOCAL_ROOT = path.join(__dirname, '..', 'uploads');
+const DEFAULT_URL_TTL_SECONDS = 300;
+
+const localRoot = () => process.env.STORAGE_LOCAL_ROOT || DEFAULT_LOCAL_ROOT;
+const urlTtlSeconds = () => parseInt(process.env.STORAGE_URL_TTL_SECONDS) || DEFAULT_URL_TTL_SECONDS;
+
+/**
+ * Local disk driver. Keys are paths under the root (uploads/ by default), so files
+ * uploaded before storage drivers existed keep their keys.
+ * @param {string} root
+ * @returns {object}
+ */
+const createLocalDriver = (root) => {
+    const resolvedRoot = path.resolve(root);
+    const resolveKey = (key) => {
+        const filePath = path.resolve(resolvedRoot, key);
+        if (!filePath.startsWith(resolvedRoot + path.sep)) {
+            throw new AppError('Invalid file key', 400);
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+        resolveKey,
+        put: async (key, sourcePath) => {
+            const target = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await fs.promises.rename(sourcePath, target);
+            } catch (error) {
+                // Root on another volume than the temp directory
+                if (error.code !== 'EXDEV') throw error;
+                await fs.promises.copyFile(sourcePath, target);
+                await fs.promises.unlink(sourcePath);
+            }
+        },
+        delete: async (key) => {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+        // Local files are served by /api/files/download with an app-signed URL
+        getSignedUrl: null
+    };
+};
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, ...). Downloads use presigned URLs, so the
+ * bytes never pass through the API.
+ * @returns {object}
+ * @throws {AppError} 500 if the bucket or credentials aren't configured.
+ */
+const createS3Driver = () => {
+    const { S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY } = process.env;
+    if (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+        throw new AppError('S3 storage is not configured. Set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.', 500);
+    }
+    const client = createS3Client({
+        bucket: S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: S3_ACCESS_KEY_ID,
+        secretAccessKey: S3_SECRET_ACCESS_KEY
+    });
+
+    // S3's own status (e.g. 403 for bad credentials) isn't the client's fault
+    const unavailable = (error) => {
+        console.error('S3 storage error:', error);
+        return new AppError('File storage is unavailable. Please try again later.', 502);
+    };
+
+    return {
+        name: 's3',
+        put: async (key, sourcePath, { contentType, size }) => {
+            await client.putObject(key, sourcePath, { contentType, size }).catch(error => {
+                throw unavailable(error);
+            });
+            await fs.promises.unlink(sourcePath);
+        },
+        delete: (key) => client.deleteObject(key).catch(error => {
+            throw unavailable(error);
+        }),
+        getSignedUrl: (key, options) => client.presignGetObject(key, options)
+    };
+};
+
+// Driver factories by STORAGE_DRIVER name
+const DRIVERS = {
+    local: () => createLocalDriver(localRoot()),
+    s3: createS3Driver
+};
+
+/**
+ * Adds (or replaces) a storage driver. A driver is an object with `name`,
+ * `put(key, sourcePath, {contentType, size})`, `delete(key)` and
+ * `getSignedUrl(key, {expiresIn, contentType, contentDisposition})`.
+ * @param {string} name - Value of STORAGE_DRIVER that selects it.
+ * @param {function} factory - Returns the driver.
+ */
+exports.registerDriver = (name, factory) => {
+    DRIVERS[name] = factory;
+};
+
+/**
+ * The driver new uploads go to, from STORAGE_DRIVER (default "local").
+ * @param {string} [name]
+ * @returns {object}
+ * @throws {AppError} 500 for an unknown driver.
+ */
+const getDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+    const factory = DRIVERS[name];
+    if (!factory) {
+        throw new AppError(`Unknown storage driver "${name}"`, 500);
+    }
+    return factory();
+};
+
+exports.getDriver = getDriver;
+
+// Files are read back through the driver that stored them; files from before
+// storage drivers existed have no record and live on local disk.
+const findRecord = (key) => StoredFile.findOne({ key }).select('driver originalName contentType').lean();
+
+/**
+ * Builds a storage key from a folder and an upload's file name.
+ * @param {string} folder - e.g. "avatars", "messages", "media".
+ * @param {string} filename
+ * @returns {string}
+ */
+const keyFor = (folder, filename) => `${folder}/${path.basename(filename)}`;
+
+exports.keyFor = keyFor;
+
+/**
+ * Removes uploaded temp files that won't be kept. Files already moved into
+ * storage are skipped.
+ * @param {Array<object>} [files] - Multer file objects.
+ */
+exports.discardUploads = (files = []) => {
+    files.forEach(file => {
+        fs.unlink(file.path, (err) => {
+            if (err && err.code !== 'ENOENT') console.error(`Error removing upload ${file.path}:`, err);
+        });
+    });
+};
+
+/**
+ * Moves an upload into storage and records its metadata.
+ * @param {object} file - Multer file (in the temp directory).
+ * @param {object} options
+ * @param {string} options.folder - Key prefix.
+ * @param {string} options.purpose - 'avatar', 'message_attachment', 'exercise_media' or 'workout_media'.
+ * @param {string} [options.owner] - The uploading user's ID.
+ * @param {string} [options.contentType] - Detected type; the declared type otherwise.
+ * @returns {Promise<object>} - The StoredFile document.
+ */
+const storeFile = async (file, { folder, purpose, owner, contentType }) => {
+    const driver = getDriver();
+    const key = keyFor(folder, file.filename);
+    const type = contentType || file.mimetype || 'application/octet-stream';
+
+    await driver.put(key, file.path, { contentType: type, size: file.size });
+    try {
+        return await StoredFile.create({
+            key,
+            driver: driver.name,
+            owner,
+            purpose,
+            originalName: file.originalname,
+            contentType: type,
+            size: file.size
+        });
+    } catch (error) {
+        await driver.delete(key).catch(err => console.error(`Error removing stored file ${key}:`, err));
+        throw error;
+    }
+};
+
+exports.storeFile = storeFile;
+
+/**
+ * Deletes a stored file and its metadata. Missing files are not an error.
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+const removeFile = async (key) => {
+    const record = await findRecord(key);
+    await getDriver(record ? record.driver : 'local').delete(key);
+    await StoredFile.deleteOne({ key });
+};
+
+exports.removeFile = removeFile;
+
+/**
+ * Deletes several stored files. Errors are logged, not thrown, so cleanup never
+ * fails the request that triggered it.
+ * @param {Array<string>} [keys]
+ * @returns {Promise<void>}
+ */
+const removeFiles = async (keys = []) => {
+    await Promise.all(keys.map(key => removeFile(key).catch(error => {
+        console.error(`Error removing stored file ${key}:`, error);
+    })));
+};
+
+exports.removeFiles = removeFiles;
+
+/**
+ * Stores several uploads; if one fails, the ones already stored are removed.
+ * @param {Array<object>} files - Multer files.
+ * @param {object} options - As for storeFile, plus:
+ * @param {Array<string>} [options.contentTypes] - Detected type per file.
+ * @returns {Promise<Array<object>>} - StoredFile documents.
+ */
+exports.storeUploads = async (files = [], { contentTypes = [], ...options }) => {
+    const stored = [];
+    try {
+        for (const [index, file] of files.entries()) {
+            stored.push(await storeFile(file, { ...options, contentType: contentTypes[index] }));
+        }
+        return stored;
+    } catch (error) {
+        await removeFiles(stored.map(record => record.key));
+        throw error;
+    }
+};
+
+const signingSecret = () => {
+    const secret = process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new AppError('STORAGE_URL_SECRET is not configured', 500);
+    }
+    return secret;
+};
+
+const signDownload = ({ key, expires, name, type }) => crypto
+    .createHmac('sha256', signingSecret())
+    .update([key, expires, name, type].join('\n'))
+    .digest('base64url');
+
+/**
+ * A time-limited URL anyone holding it can download the file from. S3 files get
+ * a presigned bucket URL; local files an app-signed /api/files/download URL.
+ * @param {string} key
+ * @param {object} [options]
+ * @param {string} [options.filename] - Name offered to the browser (defaults to the original name).
+ * @param {string} [options.contentType] - Defaults to the recorded type.
+ * @param {number} [options.expiresIn] - Seconds (STORAGE_URL_TTL_SECONDS, default 300).
+ * @returns {Promise<string>}
+ */
+exports.getDownloadUrl = async (key, { filename, contentType, expiresIn = urlTtlSeconds() } = {}) => {
+    const record = await findRecord(key);
+    const driver = getDriver(record ? record.driver : 'local');
+    const name = filename || record?.originalName || path.basename(key);
+    const type = contentType || record?.contentType || '';
+
+    if (driver.getSignedUrl) {
+        return await driver.getSignedUrl(key, {
+            expiresIn,
+            contentType: type || undefined,
+            contentDisposition: `inline; filename*=UTF-8''${encodeURIComponent(name)}`
+        });
+    }
+
+    const params = { key, expires: String(Math.floor(Date.now() / 1000) + expiresIn), name, type };
+    const query = new URLSearchParams({ ...params, signature: signDownload(params) });
+    return `${(process.env.API_URL || '').replace(/\/+$/, '')}/api/files/download?${query}`;
+};
+
+/**
+ * Checks an app-signed download URL and resolves the local file it points to.
+ * @param {object} query - The URL's query parameters.
+ * @returns {{filePath: string, originalName: string, mimeType: string}}
+ * @throws {AppError} 403 if the signature is wrong or the link has expired.
+ */
+exports.resolveSignedDownload = ({ key, expires, name = '', type = '', signature } = {}) => {
+    if (typeof key !== 'string' || typeof expires !== 'string' || typeof signature !== 'string') {
+        throw new AppError('This download link is invalid', 403);
+    }
+    const expected = Buffer.from(signDownload({ key, expires, name, type }));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        throw new AppError('This download link is invalid', 403);
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+        throw new AppError('This download link has expired', 403);
+    }
+
+    return {
+        filePath: createLocalDriver(localRoot()).resolveKey(key),
+        originalName: name || path.basename(key),
+        mimeType: type || undefined
+    };
+};
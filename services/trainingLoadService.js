@@ -0,0 +1,313 @@
+// server/services/trainingLoadService.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WorkoutLog = require('../models/WorkoutLog');
+const AppError = require('../utils/appError');
+const { localClock, addDays, startOfWeek, parseDateRange } = require('../utils/timeZoneUtils');
+
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+// EWMA decay per Williams et al. (2017): 2 / (window + 1)
+const ACUTE_LAMBDA = 2 / (ACUTE_DAYS + 1);
+const CHRONIC_LAMBDA = 2 / (CHRONIC_DAYS + 1);
+// Days of load before the range that warm the EWMAs up (the zero seed fades to under 2%)
+const WARM_UP_DAYS = 2 * CHRONIC_DAYS;
+
+const DEFAULT_RANGE_DAYS = 28;
+const MAX_RANGE_DAYS = 366;
+
+// Acute:chronic workload ratio zones (Gabbett, 2016); each zone runs up to `below`
+const ACWR_ZONES = [
+    { zone: 'undertraining', below: 0.8 },
+    { zone: 'optimal', below: 1.3 },
+    { zone: 'caution', below: 1.5 },
+    { zone: 'high_risk', below: Infinity }
+];
+
+const ATHLETE_FIELDS = 'firstName lastName avatarUrl timezone';
+
+const round = (value) => Math.round(value * 100) / 100;
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Session-RPE load (Foster): perceived exertion (rating, 1-10) times minutes.
+ * @param {object} log - Workout log with rating and duration.
+ * @returns {number}
+ */
+const sessionLoad = (log) => (log.rating || 0) * (log.duration || 0);
+
+exports.sessionLoad = sessionLoad;
+
+/**
+ * Which ACWR zone a ratio falls in.
+ * @param {number|null} ratio
+ * @returns {string|null} - 'undertraining', 'optimal', 'caution' or 'high_risk'.
+ */
+const acwrZone = (ratio) => {
+    if (ratio === null || ratio === undefined) return null;
+    return ACWR_ZONES.find(({ below }) => ratio < below).zone;
+};
+
+exports.acwrZone = acwrZone;
+
+/**
+ * Training monotony (mean daily load / its standard deviation) and strain
+ * (total load × monotony) over a run of days, rest days included.
+ * Monotony is undefined when every day carries the same load.
+ * @param {Array<number>} loads - Daily loads.
+ * @returns {{monotony: number|null, strain: number|null}}
+ */
+const monotonyAndStrain = (loads) => {
+    const total = sum(loads);
+    if (loads.length === 0 || total === 0) return { monotony: null, strain: 0 };
+    const mean = total / loads.length;
+    const deviation = Math.sqrt(sum(loads.map(load => (load - mean) ** 2)) / loads.length);
+    if (deviation === 0) return { monotony: null, strain: null };
+    const monotony = mean / deviation;
+    return { monotony: round(monotony), strain: round(total * monotony) };
+};
+
+exports.monotonyAndStrain = monotonyAndStrain;
+
+/**
+ * Reads a from/to query (YYYY-MM-DD, inclusive). Defaults to the 28 days up to today.
+ * @param {object} [query] - { from, to }
+ * @param {string} [timeZone] - Whose "today" the default range ends on.
+ * @returns {{from: string, to: string}}
+ * @throws {AppError} 400 for malformed dates, reversed or overlong ranges.
+ */
+const parseRange = (query, timeZone) => parseDateRange(query, timeZone, {
+    defaultDays: DEFAULT_RANGE_DAYS,
+    maxDays: MAX_RANGE_DAYS
+});
+
+exports.parseRange = parseRange;
+
+/**
+ * Computes an athlete's load metrics for each day and week of a range.
+ *
+ * Rolling ACWR compares the last 7 days' load with the average weekly load of the
+ * last 28; the EWMA version weighs recent days more. Ratios stay null until the
+ * athlete has 28 days of history, since a short chronic window inflates them.
+ *
+ * @param {Array<object>} sessions - { date (YYYY-MM-DD, athlete's local), load }.
+ * @param {object} range
+ * @param {string} range.from
+ * @param {string} range.to
+ * @param {string|null} [range.firstSessionDate] - The athlete's first ever session.
+ * @returns {{daily: Array<object>, weekly: Array<object>, current: object|null, flagged: boolean, highRiskDays: Array<string>}}
+ */
+const computeLoadMetrics = (sessions, { from, to, firstSessionDate = null }) => {
+    const byDate = new Map();
+    sessions.forEach(({ date, load }) => {
+        const day = byDate.get(date) || { load: 0, sessions: 0 };
+        day.load += load;
+        day.sessions += 1;
+        byDate.set(date, day);
+    });
+
+    const historyStart = addDays(from, -WARM_UP_DAYS);
+    const series = [];
+    const loads = [];
+    const daily = [];
+    let ewmaAcute = 0;
+    let ewmaChronic = 0;
+
+    for (let date = historyStart; date <= to; date = addDays(date, 1)) {
+        const { load, sessions: sessionCount } = byDate.get(date) || { load: 0, sessions: 0 };
+        series.push({ date, load, sessions: sessionCount });
+        loads.push(load);
+        ewmaAcute = load * ACUTE_LAMBDA + (1 - ACUTE_LAMBDA) * ewmaAcute;
+        ewmaChronic = load * CHRONIC_LAMBDA + (1 - CHRONIC_LAMBDA) * ewmaChronic;
+        if (date < from) continue;
+
+        const acuteWindow = loads.slice(-ACUTE_DAYS);
+        const acuteLoad = sum(acuteWindow);
+        const chronicLoad = sum(loads.slice(-CHRONIC_DAYS)) / (CHRONIC_DAYS / ACUTE_DAYS);
+        const enoughHistory = !!firstSessionDate && addDays(firstSessionDate, CHRONIC_DAYS - 1) <= date;
+        const acwr = enoughHistory && chronicLoad > 0 ? round(acuteLoad / chronicLoad) : null;
+        const ewmaAcwr = enoughHistory && ewmaChronic > 0 ? round(ewmaAcute / ewmaChronic) : null;
+
+        daily.push({
+            date,
+            load,
+            sessions: sessionCount,
+            acuteLoad,
+            chronicLoad: round(chronicLoad),
+            acwr,
+            zone: acwrZone(acwr),
+            ewmaAcwr,
+            ewmaZone: acwrZone(ewmaAcwr),
+            ...monotonyAndStrain(acuteWindow)
+        });
+    }
+
+    // Monday-to-Sunday weeks overlapping the range; the last one may still be in progress
+    const weekly = [];
+    series.filter(day => day.date >= startOfWeek(from)).forEach(day => {
+        const start = startOfWeek(day.date);
+        let week = weekly[weekly.length - 1];
+        if (!week || week.weekStart !== start) {
+            week = { weekStart: start, weekEnd: addDays(start, 6), dayLoads: [], sessions: 0 };
+            weekly.push(week);
+        }
+        week.dayLoads.push(day.load);
+        week.sessions += day.sessions;
+    });
+
+    const highRiskDays = daily
+        .filter(day => day.zone === 'high_risk' || day.ewmaZone === 'high_risk')
+        .map(day => day.date);
+
+    return {
+        daily,
+        weekly: weekly.map(({ dayLoads, ...week }) => ({
+            ...week,
+            days: dayLoads.length,
+            complete: dayLoads.length === 7,
+            load: sum(dayLoads),
+            ...monotonyAndStrain(dayLoads)
+        })),
+        current: daily[daily.length - 1] || null,
+        flagged: highRiskDays.length > 0,
+        highRiskDays
+    };
+};
+
+exports.computeLoadMetrics = computeLoadMetrics;
+
+/**
+ * The athletes a coach trains (through `coaches` or the legacy `coachId`).
+ * @param {string} coachId
+ * @returns {Promise<Array<object>>}
+ */
+const fetchCoachAthletes = async (coachId) => {
+    return await User.find({
+        role: 'athlete',
+        $or: [{ coaches: coachId }, { coachId }]
+    }).select(ATHLETE_FIELDS).lean();
+};
+
+/**
+ * Loads each athlete's sessions around a range (with warm-up history) and
+ * computes their metrics.
+ * @param {Array<object>} athletes - Lean users with timezone.
+ * @param {{from: string, to: string}} range
+ * @returns {Promise<Map<string, object>>} - Metrics by athlete ID.
+ */
+const computeForAthletes = async (athletes, { from, to }) => {
+    const athleteIds = athletes.map(athlete => athlete._id);
+    // A day's margin either side covers every time zone offset
+    const [logs, firstSessions] = await Promise.all([
+        WorkoutLog.find({
+            athleteId: { $in: athleteIds },
+            completedAt: {
+                $gte: new Date(`${addDays(from, -WARM_UP_DAYS - 1)}T00:00:00Z`),
+                $lt: new Date(`${addDays(to, 2)}T00:00:00Z`)
+            },
+            duration: { $gt: 0 }
+        }).select('athleteId completedAt rating duration').lean(),
+        WorkoutLog.aggregate([
+            { $match: { athleteId: { $in: athleteIds }, duration: { $gt: 0 } } },
+            { $group: { _id: '$athleteId', firstAt: { $min: '$completedAt' } } }
+        ])
+    ]);
+
+    const logsByAthlete = new Map();
+    logs.forEach(log => {
+        const athleteId = log.athleteId.toString();
+        if (!logsByAthlete.has(athleteId)) logsByAthlete.set(athleteId, []);
+        logsByAthlete.get(athleteId).push(log);
+    });
+    const firstByAthlete = new Map(firstSessions.map(entry => [entry._id.toString(), entry.firstAt]));
+
+    const metrics = new Map();
+    athletes.forEach(athlete => {
+        const athleteId = athlete._id.toString();
+        const toLocalDate = (moment) => localClock(new Date(moment), athlete.timezone || 'UTC').date;
+        const sessions = (logsByAthlete.get(athleteId) || []).map(log => ({
+            date: toLocalDate(log.completedAt),
+            load: sessionLoad(log)
+        }));
+        const firstAt = firstByAthlete.get(athleteId);
+        metrics.set(athleteId, computeLoadMetrics(sessions, {
+            from,
+            to,
+            firstSessionDate: firstAt ? toLocalDate(firstAt) : null
+        }));
+    });
+    return metrics;
+};
+
+const describeAthlete = (athlete) => ({
+    _id: athlete._id,
+    firstName: athlete.firstName,
+    lastName: athlete.lastName,
+    avatarUrl: athlete.avatarUrl
+});
+
+/**
+ * Load overview of every athlete a coach trains, high-risk athletes first.
+ * @param {object} coach - The requesting coach.
+ * @param {object} [query] - from/to (YYYY-MM-DD).
+ * @returns {Promise<{from: string, to: string, athletes: Array<object>, flaggedCount: number}>}
+ */
+exports.fetchTeamLoad = async (coach, query = {}) => {
+    const range = parseRange(query, coach.timezone);
+    const athletes = await fetchCoachAthletes(coach._id);
+    if (athletes.length === 0) {
+        return { ...range, athletes: [], flaggedCount: 0 };
+    }
+
+    const metrics = await computeForAthletes(athletes, range);
+    const summaries = athletes.map(athlete => {
+        const { current, daily, flagged, highRiskDays } = metrics.get(athlete._id.toString());
+        return {
+            athlete: describeAthlete(athlete),
+            current,
+            rangeLoad: sum(daily.map(day => day.load)),
+            flagged,
+            highRiskDays
+        };
+    });
+
+    const riskOf = (summary) => Math.max(summary.current?.acwr ?? 0, summary.current?.ewmaAcwr ?? 0);
+    summaries.sort((a, b) => (b.flagged - a.flagged) || (riskOf(b) - riskOf(a)));
+
+    return {
+        ...range,
+        athletes: summaries,
+        flaggedCount: summaries.filter(summary => summary.flagged).length
+    };
+};
+
+/**
+ * Daily and weekly load metrics of one of the coach's athletes.
+ * @param {object} coach - The requesting coach.
+ * @param {string} athleteId - The athlete's ID.
+ * @param {object} [query] - from/to (YYYY-MM-DD).
+ * @returns {Promise<object>} - athlete, range, daily, weekly, current, flagged, highRiskDays.
+ * @throws {AppError} If the ID is invalid or the athlete isn't coached by the coach.
+ */
+exports.fetchAthleteLoad = async (coach, athleteId, query = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(athleteId)) {
+        throw new AppError('Invalid athlete ID format.', 400);
+    }
+    const range = parseRange(query, coach.timezone);
+    const athlete = await User.findOne({
+        _id: athleteId,
+        role: 'athlete',
+        $or: [{ coaches: coach._id }, { coachId: coach._id }]
+    }).select(ATHLETE_FIELDS).lean();
+    if (!athlete) {
+        throw new AppError('You can only view training load for your own athletes', 403);
+    }
+
+    const metrics = await computeForAthletes([athlete], range);
+    return {
+        athlete: describeAthlete(athlete),
+        timezone: athlete.timezone || 'UTC',
+        ...range,
+        ...metrics.get(athlete._id.toString())
+    };
+};
@@ -1,5 +1,6 @@
 // server/services/userService.js
 const User = require('../models/User');
+const groupService = require('./groupService');
 const AppError = require('../utils/appError');
 const mongoose = require('mongoose');
 
@@ -119,7 +120,7 @@ exports.updateUserProfile = async (userId, updateData) => {
     }
 
     // Define fields allowed for self-update
-    const allowedFields = ['firstName', 'lastName', 'email', 'bio', 'experience', 'specialties', 'qualifications', 'avatarUrl', 'socialLinks', 'sport', 'level', 'height', 'weight', 'birthdate'];
+    const allowedFields = ['firstName', 'lastName', 'email', 'bio', 'experience', 'specialties', 'qualifications', 'avatarUrl', 'socialLinks', 'sport', 'level', 'height', 'weight', 'birthdate', 'timezone'];
     const filteredBody = filterObj(updateData, ...allowedFields);
 
     const updatedUser = await User.findByIdAndUpdate(userId, filteredBody, {
@@ -278,6 +279,8 @@ exports.removeCoach = async (athleteId, coachIdToRemove) => {
 
     if (savePromises.length > 0) {
         await Promise.all(savePromises);
+        // The athlete leaves the coach's training groups (and their group regimens)
+        if (athleteModified) await groupService.removeAthleteFromCoachGroups(coachToRemove._id, athlete._id);
         return true; // Indicate modification happened
     }
 
@@ -1,6 +1,8 @@
 const socketIo = require('socket.io');
 const jwt = require('jsonwebtoken');
 const http = require('http');
+const Conversation = require('../models/Conversation');
+const sessionService = require('./sessionService');
 
 let io;
 
@@ -20,7 +22,7 @@ exports.initializeWebSocket = (app) => {
   });
 
   // Socket.io authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) {
       return next(new Error('Authentication error'));
@@ -28,6 +30,13 @@ exports.initializeWebSocket = (app) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.purpose) {
+        return next(new Error('Authentication error'));
+      }
+      // Same rule as HTTP: tokens of a revoked session stop working
+      if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+        return next(new Error('Your session has ended. Please log in again.'));
+      }
       socket.userId = decoded.id;
       next();
     } catch (err) {
@@ -42,6 +51,29 @@ exports.initializeWebSocket = (app) => {
     // Join user's personal room
     socket.join(`user_${socket.userId}`);
 
+    // Typing indicators are relayed to the other participants, never stored
+    const relayTyping = (isTyping) => async ({ conversationId } = {}) => {
+      try {
+        const conversation = await Conversation.findOne({ _id: conversationId, participants: socket.userId })
+          .select('participants')
+          .lean();
+        if (!conversation) return;
+        conversation.participants
+          .filter(participantId => participantId.toString() !== socket.userId)
+          .forEach(participantId => {
+            io.to(`user_${participantId}`).emit('conversation:typing', {
+              conversationId,
+              userId: socket.userId,
+              isTyping
+            });
+          });
+      } catch (err) {
+        console.error('Error relaying typing indicator:', err);
+      }
+    };
+    socket.on('typing:start', relayTyping(true));
+    socket.on('typing:stop', relayTyping(false));
+
     socket.on('disconnect', () => {
       console.log(`User disconnected: ${socket.userId}`);
     });
@@ -62,4 +94,17 @@ exports.sendNotification = (userId, notification) => {
     throw new Error('Socket.io not initialized');
   }
   io.to(`user_${userId}`).emit('notification', notification);
-}; 
\ No newline at end of file
+};
+
+// Emits an event to every socket of a user (no-op when sockets aren't running)
+exports.emitToUser = (userId, event, data) => {
+  if (!io) return;
+  io.to(`user_${userId}`).emit(event, data);
+};
+
+// Whether the user has at least one connected socket
+exports.isUserOnline = (userId) => {
+  if (!io) return false;
+  const room = io.sockets.adapter.rooms.get(`user_${userId}`);
+  return !!room && room.size > 0;
+};
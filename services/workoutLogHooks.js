@@ -0,0 +1,71 @@
+// server/services/workoutLogHooks.js
+const personalRecordService = require('./personalRecordService');
+const achievementService = require('./achievementService');
+
+// Side effects that follow a workout-log change. The log itself is already saved
+// (or deleted) when these run, so failures are logged rather than thrown.
+
+const getAthleteId = (log) => log.athleteId?._id || log.athleteId;
+
+/**
+ * Runs after a workout log is created or updated: records new PRs, then re-evaluates achievements.
+ * @param {object} log - The saved workout log.
+ * @returns {Promise<{newPersonalRecords: Array<object>, newAchievements: Array<object>}>}
+ */
+exports.afterSave = async (log) => {
+    let newPersonalRecords = [];
+    let newAchievements = [];
+
+    try {
+        newPersonalRecords = await personalRecordService.recordPersonalRecords(log);
+    } catch (error) {
+        console.error('Error recording personal records:', error);
+    }
+
+    try {
+        newAchievements = await achievementService.evaluateAchievements(getAthleteId(log));
+    } catch (error) {
+        console.error('Error evaluating achievements:', error);
+    }
+
+    return { newPersonalRecords, newAchievements };
+};
+
+/**
+ * Runs after a workout log is deleted: drops its PRs and re-evaluates achievements.
+ * @param {object} log - The deleted workout log.
+ * @returns {Promise<void>}
+ */
+exports.afterDelete = async (log) => {
+    try {
+        await personalRecordService.removeRecordsForLog(log._id);
+        await achievementService.evaluateAchievements(getAthleteId(log), { notify: false });
+    } catch (error) {
+        console.error('Error cleaning up after workout log deletion:', error);
+    }
+};
+
+/**
+ * Runs after workout logs are deleted in bulk (a regimen's logs, orphaned logs):
+ * drops their PRs and re-evaluates achievements once per affected athlete.
+ * @param {Array<object>} logs - The deleted logs (_id and athleteId).
+ * @returns {Promise<void>}
+ */
+exports.afterBulkDelete = async (logs = []) => {
+    if (logs.length === 0) return;
+
+    try {
+        await personalRecordService.removeRecordsForLogs(logs.map(log => log._id));
+    } catch (error) {
+        console.error('Error removing personal records of deleted workout logs:', error);
+    }
+
+    const athleteIds = new Set(logs.map(log => getAthleteId(log)?.toString()).filter(Boolean));
+    for (const athleteId of athleteIds) {
+        try {
+            await achievementService.evaluateAchievements(athleteId, { notify: false });
+        } catch (error) {
+            console.error(`Error re-evaluating achievements for ${athleteId}:`, error);
+        }
+    }
+};
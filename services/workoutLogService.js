@@ -2,9 +2,241 @@
 const WorkoutLog = require('../models/WorkoutLog');
 const User = require('../models/User');
 const Regimen = require('../models/Regimen');
+const Group = require('../models/Group');
+const LogComment = require('../models/LogComment');
 const AppError = require('../utils/appError');
+const exerciseService = require('./exerciseService');
+const mediaService = require('./mediaService');
+const { addDays, startOfWeek, parseDateRange } = require('../utils/timeZoneUtils');
 const mongoose = require('mongoose');
 
+// Tempo notation: "3-1-1-0", "2-0-2" or compact "31X0"
+const TEMPO_PATTERN = /^([0-9Xx]-){2,3}[0-9Xx]$|^[0-9Xx]{3,4}$/;
+const LOAD_UNITS = ['kg', 'lb'];
+const SIDES = ['left', 'right', 'both'];
+
+// Coach dashboard stats
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 366;
+const RECENT_LOG_COUNT = 5;
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Very Hard'];
+const STATS_ATHLETE_FIELDS = 'firstName lastName avatarUrl';
+
+/**
+ * Converts a numeric input (number or numeric string) into a number.
+ * @param {*} value - The value to convert.
+ * @returns {number|undefined|null} - undefined if not provided, null if not numeric.
+ */
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+
+/**
+ * Finds which exercises of a regimen day are prescribed per side.
+ * @param {string} regimenId - The regimen ID (ObjectId or UUID string).
+ * @param {string} dayId - The day ID within the regimen.
+ * @returns {Promise<Set<string>>} - Exercise IDs and lower-cased names of per-side exercises.
+ */
+const findPerSideExercises = async (regimenId, dayId) => {
+    const perSide = new Set();
+    if (!regimenId) return perSide;
+    const query = mongoose.Types.ObjectId.isValid(regimenId) ? { _id: regimenId } : { id: regimenId };
+    const regimen = await Regimen.findOne(query).select('days').lean();
+    const day = regimen?.days?.find(d => d._id === dayId);
+    (day?.exercises || []).forEach(exercise => {
+        if (exercise.perSide) {
+            perSide.add(exercise._id);
+            perSide.add((exercise.name || '').trim().toLowerCase());
+        }
+    });
+    return perSide;
+};
+
+/**
+ * Looks up the regimen a log is recorded against: its current revision, days
+ * and owner.
+ * @param {string} regimenId - The regimen ID (ObjectId or UUID string).
+ * @returns {Promise<object|null>} - Lean regimen, or null if it doesn't exist.
+ */
+const findLoggedRegimen = async (regimenId) => {
+    const query = mongoose.Types.ObjectId.isValid(regimenId) ? { _id: regimenId } : { id: regimenId };
+    return await Regimen.findOne(query).select('revision days createdBy').lean();
+};
+
+/**
+ * Validates the per-set entries of one exercise log.
+ * @param {object} exercise - Exercise log from the request.
+ * @param {boolean} isPerSide - Whether the prescribed exercise is performed per side.
+ * @returns {Array<object>} - Normalized set entries.
+ * @throws {AppError} If any set entry is invalid.
+ */
+const normalizeSetLogs = (exercise, isPerSide) => {
+    if (!Array.isArray(exercise.setLogs)) {
+        throw new AppError(`setLogs for "${exercise.name}" must be an array.`, 400);
+    }
+
+    return exercise.setLogs.map((set, index) => {
+        const label = `Set ${index + 1} of "${exercise.name}"`;
+        const reps = toNumber(set.reps);
+        const load = toNumber(set.load);
+        const rpe = toNumber(set.rpe);
+        const rir = toNumber(set.rir);
+        const duration = toNumber(set.duration);
+        const distance = toNumber(set.distance);
+        const loadUnit = set.loadUnit || 'kg';
+        const side = set.side || 'both';
+
+        if (reps === null || (reps !== undefined && (reps < 0 || !Number.isInteger(reps)))) {
+            throw new AppError(`${label}: reps must be a whole number of 0 or more.`, 400);
+        }
+        if (load === null || (load !== undefined && load < 0)) {
+            throw new AppError(`${label}: load must be a number of 0 or more.`, 400);
+        }
+        if (!LOAD_UNITS.includes(loadUnit)) {
+            throw new AppError(`${label}: load unit must be one of ${LOAD_UNITS.join(', ')}.`, 400);
+        }
+        if (rpe === null || (rpe !== undefined && (rpe < 1 || rpe > 10 || (rpe * 2) % 1 !== 0))) {
+            throw new AppError(`${label}: RPE must be between 1 and 10 in steps of 0.5.`, 400);
+        }
+        if (rir === null || (rir !== undefined && (rir < 0 || rir > 10))) {
+            throw new AppError(`${label}: RIR must be between 0 and 10.`, 400);
+        }
+        if (set.tempo !== undefined && set.tempo !== '' && !TEMPO_PATTERN.test(String(set.tempo))) {
+            throw new AppError(`${label}: tempo must look like "3-1-1-0" or "31X0".`, 400);
+        }
+        if (duration === null || (duration !== undefined && duration < 0)) {
+            throw new AppError(`${label}: duration must be a number of seconds.`, 400);
+        }
+        if (distance === null || (distance !== undefined && distance < 0)) {
+            throw new AppError(`${label}: distance must be a number of metres.`, 400);
+        }
+        if (!SIDES.includes(side)) {
+            throw new AppError(`${label}: side must be one of ${SIDES.join(', ')}.`, 400);
+        }
+        if (isPerSide && side === 'both') {
+            throw new AppError(`${label}: this exercise is performed per side, so each set needs a side (left or right).`, 400);
+        }
+
+        return {
+            setNumber: toNumber(set.setNumber) || index + 1,
+            reps: reps ?? 0,
+            load,
+            loadUnit,
+            rpe,
+            rir,
+            tempo: set.tempo || undefined,
+            side,
+            duration,
+            distance,
+            completed: set.completed !== false,
+            notes: set.notes
+        };
+    });
+};
+
+/**
+ * Derives the legacy sets/reps/weight tuple from per-set entries.
+ * @param {Array<object>} setLogs - Normalized set entries.
+ * @returns {object} - { sets, reps, weight, duration? }
+ */
+const deriveLegacyFields = (setLogs) => {
+    const legacy = {
+        sets: new Set(setLogs.map(set => set.setNumber)).size,
+        reps: setLogs.reduce((max, set) => Math.max(max, set.reps || 0), 0)
+    };
+    const loaded = setLogs.filter(set => set.load !== undefined);
+    if (loaded.length > 0) {
+        const topSet = loaded.reduce((top, set) => (set.load > top.load ? set : top));
+        legacy.weight = `${topSet.load} ${topSet.loadUnit}`;
+    }
+    const totalDuration = setLogs.reduce((sum, set) => sum + (set.duration || 0), 0);
+    if (totalDuration > 0) legacy.duration = totalDuration;
+    return legacy;
+};
+
+/**
+ * Legacy logs didn't record sides, so their expanded sets read back as 'both'.
+ * When such an exercise is echoed back for a per-side exercise, each set is
+ * recorded for the left and the right side.
+ * @param {object} exercise - Exercise log carrying the setLogsDerived marker.
+ * @returns {object} - The exercise with 'both' sets split into left and right.
+ */
+const splitLegacySides = (exercise) => ({
+    ...exercise,
+    setLogs: exercise.setLogs.flatMap(set => ((set.side || 'both') === 'both'
+        ? [{ ...set, side: 'left' }, { ...set, side: 'right' }]
+        : [set]))
+});
+
+/**
+ * Validates exercise logs and fills the legacy fields from per-set entries.
+ * @param {Array<object>|undefined} exercises - Exercise logs from the request.
+ * @param {string} regimenId - Regimen the log belongs to (used to look up per-side exercises).
+ * @param {string} dayId - Day the log belongs to.
+ * @returns {Promise<Array<object>|undefined>} - Exercises ready to persist (undefined if none given).
+ * @throws {AppError} If the exercises or any set entries are invalid.
+ */
+const prepareExerciseLogs = async (exercises, regimenId, dayId) => {
+    if (exercises === undefined) return undefined;
+    if (!Array.isArray(exercises)) {
+        throw new AppError('Exercises must be an array.', 400);
+    }
+    if (!exercises.some(exercise => Array.isArray(exercise.setLogs) && exercise.setLogs.length > 0)) {
+        return exercises; // Legacy single-tuple logs pass through unchanged
+    }
+
+    const perSideExercises = await findPerSideExercises(regimenId, dayId);
+
+    return exercises.map(exercise => {
+        if (!Array.isArray(exercise.setLogs) || exercise.setLogs.length === 0) {
+            return exercise;
+        }
+        const isPerSide = perSideExercises.has(exercise.exerciseId)
+            || perSideExercises.has((exercise.name || '').trim().toLowerCase());
+        const setLogs = normalizeSetLogs(
+            exercise.setLogsDerived && isPerSide ? splitLegacySides(exercise) : exercise,
+            isPerSide
+        );
+        const { setLogsDerived, ...rest } = exercise; // Drop the read-time marker if echoed back
+        return { ...rest, ...deriveLegacyFields(setLogs), setLogs };
+    });
+};
+
+/**
+ * Expands a legacy single-tuple exercise log into per-set entries.
+ * @param {object} exercise - Exercise log (plain object).
+ * @returns {object} - Exercise log with setLogs populated.
+ */
+const expandLegacyExercise = (exercise) => {
+    if (Array.isArray(exercise.setLogs) && exercise.setLogs.length > 0) {
+        return exercise;
+    }
+    const load = toNumber(exercise.weight);
+    const loadUnit = /lb/i.test(exercise.weight || '') ? 'lb' : 'kg';
+    const setLogs = Array.from({ length: exercise.sets || 0 }, (_, index) => ({
+        setNumber: index + 1,
+        reps: exercise.reps || 0,
+        load: load === null ? undefined : load,
+        loadUnit,
+        side: 'both',
+        completed: !!exercise.completed
+    }));
+    return { ...exercise, setLogs, setLogsDerived: true };
+};
+
+/**
+ * Normalizes a workout log for reading so legacy and per-set logs share one shape.
+ * @param {object} log - Plain workout log object (e.g. from .lean()).
+ * @returns {object} - The log with every exercise carrying setLogs.
+ */
+exports.normalizeLogForRead = (log) => {
+    if (!log) return log;
+    return { ...log, exercises: (log.exercises || []).map(expandLegacyExercise) };
+};
+
 /**
  * Creates a new workout log.
  * @param {string} athleteId - The ID of the athlete creating the log.
@@ -29,6 +261,8 @@ exports.createWorkoutLog = async (athleteId, logData) => {
         regimenId,
         dayId,
         sharedWith = [],
+        regimenRevision, // Always taken from the regimen, never from the client
+        media, // Uploaded through the media endpoints
         ...restOfLogData // Capture other fields
     } = logData;
 
@@ -37,6 +271,12 @@ exports.createWorkoutLog = async (athleteId, logData) => {
         throw new AppError('Regimen ID and Day ID are required', 400);
     }
 
+    // Validate per-set entries and keep the legacy tuple in sync
+    const exercises = await prepareExerciseLogs(restOfLogData.exercises, regimenId, dayId);
+    if (exercises !== undefined) {
+        restOfLogData.exercises = exercises;
+    }
+
     // Validate sharedWith contains valid ObjectIds (Moved from controller)
     const validSharedWith = sharedWith
         .filter(id => mongoose.Types.ObjectId.isValid(id))
@@ -45,10 +285,17 @@ exports.createWorkoutLog = async (athleteId, logData) => {
     // Ensure athlete doesn't share with themselves (Moved from controller)
     const finalSharedWith = validSharedWith.filter(id => !id.equals(athleteId));
 
-    // Create the log
+    // Link exercises to the library: from the prescription first, then by name
+    const regimen = await findLoggedRegimen(regimenId);
+    if (Array.isArray(restOfLogData.exercises)) {
+        await exerciseService.linkLogExercises(restOfLogData.exercises, regimen, dayId);
+    }
+
+    // Create the log against the plan as it is now
     const newLog = await WorkoutLog.create({
         athleteId,
         regimenId,
+        regimenRevision: regimen ? (regimen.revision || 1) : undefined,
         dayId,
         sharedWith: finalSharedWith,
         ...restOfLogData // Spread remaining validated/provided data
@@ -79,7 +326,16 @@ exports.getLogsForCoach = async (coachId, filter = 'myAthletes') => {
     }
     const athleteIds = athletes.map(athlete => athlete._id);
 
-    // 2. Find Workout Logs for those Athletes
+    // 2. Find and format the logs of those athletes
+    return await fetchLogsForAthletes(athleteIds);
+};
+
+/**
+ * Fetches and formats the workout logs of a set of athletes, newest first.
+ * @param {Array<string>} athleteIds - The athletes' IDs.
+ * @returns {Promise<Array>} - Logs with athleteName and athleteProfilePic.
+ */
+const fetchLogsForAthletes = async (athleteIds) => {
     const workoutLogs = await WorkoutLog.find({
         athleteId: { $in: athleteIds }
     })
@@ -87,9 +343,9 @@ exports.getLogsForCoach = async (coachId, filter = 'myAthletes') => {
     .sort({ completedAt: -1 })
     .lean(); // Use lean
 
-    // 3. Process/Format Logs (Example: adding athleteName)
+    // Process/Format Logs (Example: adding athleteName)
     const processedLogs = workoutLogs.map(log => ({
-        ...log,
+        ...exports.normalizeLogForRead(log),
         athleteName: (log.athleteId && typeof log.athleteId === 'object')
                      ? `${log.athleteId.firstName} ${log.athleteId.lastName}`.trim()
                      : 'Unknown Athlete',
@@ -103,81 +359,283 @@ exports.getLogsForCoach = async (coachId, filter = 'myAthletes') => {
 };
 
 /**
- * Calculates workout statistics for a coach's athletes.
+ * Calculates workout statistics for a coach's athletes (through `coaches` or the
+ * legacy `coachId`).
  * @param {string} coachId - The ID of the coach.
- * @returns {Promise<Object>} - Statistics object.
+ * @param {object} [query] - from/to (YYYY-MM-DD, UTC days); defaults to the last 30 days.
+ * @returns {Promise<Object>} - Statistics object (see calculateStatsForAthletes).
  */
-exports.getStatsForCoach = async (coachId) => {
-     const athletes = await User.find({
+exports.getStatsForCoach = async (coachId, query = {}) => {
+    const range = parseDateRange(query, 'UTC', { defaultDays: STATS_DEFAULT_DAYS, maxDays: STATS_MAX_DAYS });
+    const athletes = await User.find({
         role: 'athlete',
-        coachId: coachId
-    }).select('_id').lean();
-
-    const defaultStats = {
-        totalWorkouts: 0,
-        averageRating: 0,
-        averageDuration: 0,
-        completionRate: 0,
-        recentLogs: [],
-        hasData: false
-    };
+        $or: [{ coaches: coachId }, { coachId }]
+    }).select(STATS_ATHLETE_FIELDS).lean();
 
-    if (!athletes || athletes.length === 0) {
-        return defaultStats;
-    }
-    const athleteIds = athletes.map(athlete => athlete._id);
+    return await calculateStatsForAthletes(athletes, range);
+};
 
-    const workoutLogs = await WorkoutLog.find({
-        athleteId: { $in: athleteIds }
-    })
-    .populate('athleteId', 'firstName lastName avatarUrl') // Populate for recent logs
-    .sort({ completedAt: -1 })
-    .lean(); // Use lean for calculations
+const roundStat = (value) => Math.round((value || 0) * 100) / 100;
+
+// Share of a log's exercises marked completed (0 for logs without exercises)
+const COMPLETION_RATIO = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$exercises', []] } }, 0] },
+        {
+            $divide: [
+                { $size: { $filter: { input: '$exercises', as: 'exercise', cond: { $eq: ['$$exercise.completed', true] } } } },
+                { $size: '$exercises' }
+            ]
+        },
+        0
+    ]
+};
 
-    const totalWorkouts = workoutLogs.length;
-    if (totalWorkouts === 0) {
-        return defaultStats;
+// Monday (UTC) of the week a log was completed, as YYYY-MM-DD
+const WEEK_START = {
+    $dateToString: {
+        format: '%Y-%m-%d',
+        date: { $subtract: ['$completedAt', { $multiply: [{ $subtract: [{ $isoDayOfWeek: '$completedAt' }, 1] }, DAY_MS] }] }
     }
+};
 
-    const sumRatings = workoutLogs.reduce((sum, log) => sum + (log.rating || 0), 0);
-    const averageRating = totalWorkouts > 0 ? sumRatings / totalWorkouts : 0;
+// Accumulators shared by every breakdown
+const SUMMARY_FIELDS = {
+    workouts: { $sum: 1 },
+    averageRating: { $avg: { $ifNull: ['$rating', 0] } },
+    averageDuration: { $avg: { $ifNull: ['$duration', 0] } },
+    completion: { $avg: '$completionRatio' }
+};
 
-    const sumDuration = workoutLogs.reduce((sum, log) => sum + (log.duration || 0), 0);
-    const averageDuration = totalWorkouts > 0 ? sumDuration / totalWorkouts : 0;
+const describeSummary = (group = {}) => ({
+    workouts: group.workouts || 0,
+    averageRating: roundStat(group.averageRating),
+    averageDuration: roundStat(group.averageDuration),
+    completionRate: Math.round((group.completion || 0) * 100)
+});
 
-    // Note: Completion rate calculation might need adjustment based on actual data structure
-    const completedExercisesCount = workoutLogs.reduce((sum, log) => {
-        const totalExercises = log.exercises ? log.exercises.length : 0;
-        if (totalExercises === 0) return sum;
-        const completedExercises = log.exercises ? log.exercises.filter(ex => ex.completed).length : 0;
-        return sum + (completedExercises / totalExercises);
-    }, 0);
-    const completionRate = totalWorkouts > 0 ? Math.round((completedExercisesCount / totalWorkouts) * 100) : 0;
+const describeTrend = (current, previous) => ({
+    current,
+    previous,
+    change: roundStat(current - previous),
+    changePercent: previous ? Math.round(((current - previous) / previous) * 100) : null
+});
 
-    const recentLogs = workoutLogs.slice(0, 5).map(log => ({ // Process recent logs similarly
-        ...log,
-        athleteName: (log.athleteId && typeof log.athleteId === 'object')
-                     ? `${log.athleteId.firstName} ${log.athleteId.lastName}`.trim()
-                     : 'Unknown Athlete',
-        athleteProfilePic: (log.athleteId && typeof log.athleteId === 'object')
-                           ? log.athleteId.avatarUrl
-                           : undefined,
-    }));
+const athleteName = (athlete) => (athlete ? `${athlete.firstName || ''} ${athlete.lastName || ''}`.trim() : 'Unknown Athlete');
 
+/**
+ * Calculates workout statistics over a set of athletes' logs in a date window, with
+ * breakdowns by athlete, regimen, week and difficulty and trends against the window
+ * just before. The numbers come from one aggregation over both windows, so only the
+ * five most recent logs are ever loaded.
+ * @param {Array<object>} athletes - Lean athletes (firstName, lastName, avatarUrl).
+ * @param {{from: string, to: string}} range - Inclusive UTC days.
+ * @returns {Promise<Object>} - Statistics object.
+ */
+const calculateStatsForAthletes = async (athletes, { from, to }) => {
+    const days = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+    const previousPeriod = { from: addDays(from, -days), to: addDays(from, -1) };
+    const start = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${addDays(to, 1)}T00:00:00Z`);
+    const athleteIds = athletes.map(athlete => athlete._id);
+
+    let facets = {};
+    let recentLogs = [];
+    if (athleteIds.length > 0) {
+        const currentOnly = { $match: { current: true } };
+        [[facets = {}], recentLogs] = await Promise.all([
+            WorkoutLog.aggregate([
+                {
+                    $match: {
+                        athleteId: { $in: athleteIds },
+                        completedAt: { $gte: new Date(`${previousPeriod.from}T00:00:00Z`), $lt: end }
+                    }
+                },
+                {
+                    $project: {
+                        athleteId: 1,
+                        regimenId: 1,
+                        regimenName: 1,
+                        difficulty: 1,
+                        rating: 1,
+                        duration: 1,
+                        completedAt: 1,
+                        current: { $gte: ['$completedAt', start] },
+                        completionRatio: COMPLETION_RATIO
+                    }
+                },
+                {
+                    $facet: {
+                        totals: [{ $group: { _id: '$current', ...SUMMARY_FIELDS, athletes: { $addToSet: '$athleteId' } } }],
+                        byAthlete: [currentOnly, { $group: { _id: '$athleteId', ...SUMMARY_FIELDS, lastWorkoutAt: { $max: '$completedAt' } } }],
+                        byRegimen: [
+                            currentOnly,
+                            { $group: { _id: '$regimenId', regimenName: { $first: '$regimenName' }, ...SUMMARY_FIELDS, athletes: { $addToSet: '$athleteId' } } },
+                            { $sort: { workouts: -1 } }
+                        ],
+                        byWeek: [currentOnly, { $group: { _id: WEEK_START, ...SUMMARY_FIELDS } }],
+                        byDifficulty: [currentOnly, { $group: { _id: '$difficulty', ...SUMMARY_FIELDS } }]
+                    }
+                }
+            ]),
+            WorkoutLog.find({ athleteId: { $in: athleteIds }, completedAt: { $gte: start, $lt: end } })
+                .sort({ completedAt: -1 })
+                .limit(RECENT_LOG_COUNT)
+                .lean()
+        ]);
+    }
+
+    const totals = facets.totals || [];
+    const current = totals.find(group => group._id === true) || {};
+    const previous = totals.find(group => group._id === false) || {};
+    const currentSummary = describeSummary(current);
+    const previousSummary = describeSummary(previous);
+    const activeAthletes = (current.athletes || []).length;
+
+    const athletesById = new Map(athletes.map(athlete => [athlete._id.toString(), athlete]));
+    const athleteGroups = new Map((facets.byAthlete || []).map(group => [group._id.toString(), group]));
+    const byAthlete = athletes
+        .map(athlete => ({
+            athleteId: athlete._id,
+            athleteName: athleteName(athlete),
+            athleteProfilePic: athlete.avatarUrl,
+            ...describeSummary(athleteGroups.get(athlete._id.toString())),
+            lastWorkoutAt: athleteGroups.get(athlete._id.toString())?.lastWorkoutAt || null
+        }))
+        .sort((a, b) => b.workouts - a.workouts);
+
+    // Every week of the window, including weeks without workouts
+    const weekGroups = new Map((facets.byWeek || []).map(group => [group._id, group]));
+    const byWeek = [];
+    for (let week = startOfWeek(from); week <= to; week = addDays(week, 7)) {
+        byWeek.push({ weekStart: week, ...describeSummary(weekGroups.get(week)) });
+    }
+
+    const difficultyGroups = new Map((facets.byDifficulty || []).map(group => [group._id, group]));
+    const byDifficulty = [...DIFFICULTIES, ...[...difficultyGroups.keys()].filter(key => !DIFFICULTIES.includes(key))]
+        .map(difficulty => ({ difficulty, ...describeSummary(difficultyGroups.get(difficulty)) }));
 
     return {
-        totalWorkouts,
-        averageRating,
-        averageDuration,
-        completionRate,
-        recentLogs,
-        hasData: true
+        from,
+        to,
+        previousPeriod,
+        athleteCount: athletes.length,
+        activeAthletes,
+        totalWorkouts: currentSummary.workouts,
+        averageRating: currentSummary.averageRating,
+        averageDuration: currentSummary.averageDuration,
+        completionRate: currentSummary.completionRate,
+        recentLogs: recentLogs.map(log => {
+            const athlete = athletesById.get(log.athleteId.toString());
+            return {
+                ...log,
+                athleteId: athlete
+                    ? { _id: athlete._id, firstName: athlete.firstName, lastName: athlete.lastName, avatarUrl: athlete.avatarUrl }
+                    : log.athleteId,
+                athleteName: athleteName(athlete),
+                athleteProfilePic: athlete?.avatarUrl
+            };
+        }),
+        hasData: currentSummary.workouts > 0,
+        trends: {
+            totalWorkouts: describeTrend(currentSummary.workouts, previousSummary.workouts),
+            averageRating: describeTrend(currentSummary.averageRating, previousSummary.averageRating),
+            averageDuration: describeTrend(currentSummary.averageDuration, previousSummary.averageDuration),
+            completionRate: describeTrend(currentSummary.completionRate, previousSummary.completionRate),
+            activeAthletes: describeTrend(activeAthletes, (previous.athletes || []).length)
+        },
+        breakdowns: {
+            byAthlete,
+            byRegimen: (facets.byRegimen || []).map(group => ({
+                regimenId: group._id || null,
+                regimenName: group.regimenName || (group._id ? 'Unnamed regimen' : 'No regimen'),
+                athletes: group.athletes.length,
+                ...describeSummary(group)
+            })),
+            byWeek,
+            byDifficulty
+        }
     };
 };
 
 /**
- * Deletes workout logs associated with non-existent regimens.
- * @returns {Promise<number>} - The number of deleted logs.
+ * Loads a coach's training group for the group feeds.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The requesting coach's ID.
+ * @returns {Promise<object>} - The group (lean).
+ * @throws {AppError} If the group doesn't exist or belongs to another coach.
+ */
+const fetchCoachGroup = async (groupId, coachId) => {
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+        throw new AppError('Invalid group ID format.', 400);
+    }
+    const group = await Group.findById(groupId).select('coach members').lean();
+    if (!group) {
+        throw new AppError('Group not found', 404);
+    }
+    if (group.coach.toString() !== coachId.toString()) {
+        throw new AppError('You can only view your own groups', 403);
+    }
+    return group;
+};
+
+/**
+ * Fetches the workout logs of a training group's current members.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The requesting coach's ID.
+ * @returns {Promise<Array>} - Logs, newest first.
+ */
+exports.getLogsForGroup = async (groupId, coachId) => {
+    const group = await fetchCoachGroup(groupId, coachId);
+    if (group.members.length === 0) {
+        return [];
+    }
+    return await fetchLogsForAthletes(group.members);
+};
+
+/**
+ * Calculates workout statistics for a training group's current members.
+ * @param {string} groupId - The ID of the group.
+ * @param {string} coachId - The requesting coach's ID.
+ * @param {object} [query] - from/to (YYYY-MM-DD, UTC days); defaults to the last 30 days.
+ * @returns {Promise<Object>} - Statistics object (same shape as getStatsForCoach).
+ */
+exports.getStatsForGroup = async (groupId, coachId, query = {}) => {
+    const range = parseDateRange(query, 'UTC', { defaultDays: STATS_DEFAULT_DAYS, maxDays: STATS_MAX_DAYS });
+    const group = await fetchCoachGroup(groupId, coachId);
+    const athletes = group.members.length > 0
+        ? await User.find({ _id: { $in: group.members } }).select(STATS_ATHLETE_FIELDS).lean()
+        : [];
+    return await calculateStatsForAthletes(athletes, range);
+};
+
+/**
+ * Deletes the workout logs matching a filter, their comments and uploaded media.
+ * Follow up with workoutLogHooks.afterBulkDelete to drop their PRs and achievements.
+ * @param {object} query - WorkoutLog filter.
+ * @returns {Promise<Array<object>>} - The deleted logs (_id and athleteId).
+ */
+const deleteLogs = async (query) => {
+    const logs = await WorkoutLog.find(query).select('athleteId media').lean();
+    if (logs.length === 0) return [];
+
+    const logIds = logs.map(log => log._id);
+    await WorkoutLog.deleteMany({ _id: { $in: logIds } });
+    await LogComment.deleteMany({ workoutLog: { $in: logIds } });
+    await mediaService.removeMedia(logs.flatMap(log => log.media || []));
+    return logs.map(({ _id, athleteId }) => ({ _id, athleteId }));
+};
+
+/**
+ * Deletes specific workout logs (see deleteLogs).
+ * @param {Array<string>} logIds - IDs of the logs to delete.
+ * @returns {Promise<Array<object>>} - The deleted logs (_id and athleteId).
+ */
+exports.deleteLogsById = async (logIds) => await deleteLogs({ _id: { $in: logIds } });
+
+/**
+ * Deletes workout logs associated with non-existent regimens (see deleteLogs).
+ * @returns {Promise<Array<object>>} - The deleted logs (_id and athleteId).
  */
 exports.deleteOrphanedLogs = async () => {
     console.log('Service: Starting orphaned workout log cleanup...');
@@ -198,23 +656,21 @@ exports.deleteOrphanedLogs = async () => {
 
     if (orphanedRegimenIds.length === 0) {
         console.log('Service: No orphaned logs found to delete.');
-        return 0; 
+        return []; 
     }
 
     console.log(`Service: Preparing to delete logs with regimenId IN [${orphanedRegimenIds.map(id => id?.toString()).join(', ')}]`); // Log before delete
-    const deleteResult = await WorkoutLog.deleteMany({
-        regimenId: { $in: orphanedRegimenIds }
-    });
+    const deletedLogs = await deleteLogs({ regimenId: { $in: orphanedRegimenIds } });
 
-    console.log(`Service: Successfully deleted ${deleteResult.deletedCount} orphaned workout logs.`);
-    return deleteResult.deletedCount;
+    console.log(`Service: Successfully deleted ${deletedLogs.length} orphaned workout logs.`);
+    return deletedLogs;
 };
 
 
 /**
- * Deletes all workout logs for a specific regimen ID.
+ * Deletes all workout logs for a specific regimen ID (see deleteLogs).
  * @param {string} regimenId - The ID of the regimen.
- * @returns {Promise<number>} - The number of deleted logs.
+ * @returns {Promise<Array<object>>} - The deleted logs (_id and athleteId).
  * @throws {AppError} If regimenId is not provided.
  */
 exports.deleteLogsByRegimen = async (regimenId) => {
@@ -223,9 +679,9 @@ exports.deleteLogsByRegimen = async (regimenId) => {
         throw new AppError('Regimen ID is required to delete logs.', 400);
     }
     console.log(`Service: Attempting to delete logs for regimen ID: ${regimenId}`);
-    const result = await WorkoutLog.deleteMany({ regimenId: regimenId });
-    console.log(`Service: Deleted ${result.deletedCount} logs for regimen ID: ${regimenId}`);
-    return result.deletedCount;
+    const deletedLogs = await deleteLogs({ regimenId: regimenId });
+    console.log(`Service: Deleted ${deletedLogs.length} logs for regimen ID: ${regimenId}`);
+    return deletedLogs;
 };
 
 /**
@@ -243,7 +699,7 @@ exports.fetchMyWorkoutLogs = async (athleteId) => {
         .sort({ completedAt: -1 }) // Sort by most recent first
         .lean(); // Use lean for performance if modifications aren't needed
 
-    return logs;
+    return logs.map(exports.normalizeLogForRead);
 };
 
 /**
@@ -272,7 +728,7 @@ exports.fetchWorkoutLogById = async (logId, requestingUserId, requestingUserRole
 
     // Case 1: Requesting user is the athlete who owns the log
     if (requestingUserRole === 'athlete' && athleteOwnerId === requestingUserId.toString()) {
-        return workoutLog;
+        return exports.normalizeLogForRead(workoutLog);
     }
 
     // Case 2: Requesting user is a coach
@@ -282,10 +738,66 @@ exports.fetchWorkoutLogById = async (logId, requestingUserId, requestingUserRole
             coachId => coachId.toString() === requestingUserId.toString()
         );
         if (isCoachAssigned) {
-            return workoutLog;
+            return exports.normalizeLogForRead(workoutLog);
         }
     }
     
     // If none of the above conditions are met, the user is not authorized
     throw new AppError('You do not have permission to view this workout log', 403);
-}; 
\ No newline at end of file
+};
+
+/**
+ * Updates a workout log, validating any per-set entries.
+ * Authorization is expected to be checked by the caller (see fetchWorkoutLogById).
+ * @param {string} logId - The ID of the workout log.
+ * @param {object} updateData - Filtered fields to update.
+ * @returns {Promise<object>} - The updated workout log document.
+ * @throws {AppError} If the log is not found or the exercises are invalid.
+ */
+exports.updateWorkoutLog = async (logId, updateData) => {
+    if (!mongoose.Types.ObjectId.isValid(logId)) {
+        throw new AppError('Invalid workout log ID format.', 400);
+    }
+
+    const existingLog = await WorkoutLog.findById(logId).select('regimenId dayId');
+    if (!existingLog) {
+        throw new AppError('Workout log not found', 404);
+    }
+
+    const dataToUpdate = { ...updateData };
+    // The revision is fixed when the workout is logged; media has its own endpoints
+    delete dataToUpdate.regimenRevision;
+    delete dataToUpdate.media;
+    if (updateData.exercises !== undefined) {
+        dataToUpdate.exercises = await prepareExerciseLogs(updateData.exercises, existingLog.regimenId, existingLog.dayId);
+    }
+
+    const updatedLog = await WorkoutLog.findByIdAndUpdate(logId, dataToUpdate, {
+        new: true,
+        runValidators: true
+    });
+
+    return updatedLog;
+};
+
+/**
+ * Deletes a workout log.
+ * Authorization is expected to be checked by the caller (see fetchWorkoutLogById).
+ * @param {string} logId - The ID of the workout log.
+ * @returns {Promise<object>} - The deleted workout log document.
+ * @throws {AppError} If the ID is invalid or the log is not found.
+ */
+exports.deleteWorkoutLog = async (logId) => {
+    if (!mongoose.Types.ObjectId.isValid(logId)) {
+        throw new AppError('Invalid workout log ID format.', 400);
+    }
+
+    const deletedLog = await WorkoutLog.findByIdAndDelete(logId);
+    if (!deletedLog) {
+        throw new AppError('Workout log not found', 404);
+    }
+    await LogComment.deleteMany({ workoutLog: deletedLog._id });
+    await mediaService.removeMedia(deletedLog.media);
+
+    return deletedLog;
+};
@@ -12,6 +12,8 @@ const userRoutes = require('./routes/userRoutes');
 const coachRoutes = require('./routes/coachRoutes');
 const clientRoutes = require('./routes/clientRoutes');
 const regimenRoutes = require('./routes/regimenRoutes');
+const scheduler = require('./services/scheduler');
+const websocketService = require('./services/websocketService');
 
 // Create Express app
 const app = express();
@@ -122,8 +124,11 @@ const init = async () => {
     
     if (process.env.NODE_ENV !== 'production') {
       const PORT = process.env.PORT || 3000;
-      app.listen(PORT, () => {
+      // Share the HTTP server with socket.io (notifications, messaging)
+      const server = websocketService.initializeWebSocket(app);
+      server.listen(PORT, () => {
         console.log(`Server running on port ${PORT}`);
+        scheduler.start();
       });
     }
   } catch (err) {
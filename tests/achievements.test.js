@@ -0,0 +1,92 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const LogComment = require('../models/LogComment');
+const PersonalRecord = require('../models/PersonalRecord');
+const WorkoutLog = require('../models/WorkoutLog');
+const achievementService = require('../services/achievementService');
+const mediaService = require('../services/mediaService');
+const workoutLogHooks = require('../services/workoutLogHooks');
+const workoutLogService = require('../services/workoutLogService');
+
+const day = (n) => new Date(Date.UTC(2024, 0, n, 12));
+
+const evaluate = (context) => achievementService.evaluateDefinitions(achievementService.ALL_ACHIEVEMENTS, {
+  workouts: [],
+  personalRecords: [],
+  programCompletions: [],
+  ...context
+});
+
+describe('Achievement Service', () => {
+  describe('evaluateDefinitions', () => {
+    it('should award workout thresholds on the date they were reached', () => {
+      const workouts = Array.from({ length: 10 }, (_, i) => ({ completedAt: day(i * 5 + 1) }));
+      const earned = evaluate({ workouts });
+
+      expect(earned.get('first-workout')).toEqual(day(1));
+      expect(earned.get('milestone-10')).toEqual(day(46));
+      expect(earned.has('milestone-25')).toBe(false);
+    });
+
+    it('should award a streak only for enough distinct days inside the window', () => {
+      const sameDay = evaluate({ workouts: [{ completedAt: day(1) }, { completedAt: day(1) }, { completedAt: day(2) }] });
+      expect(sameDay.has('consistent-week')).toBe(false);
+
+      const spread = evaluate({ workouts: [{ completedAt: day(1) }, { completedAt: day(3) }, { completedAt: day(7) }] });
+      expect(spread.get('consistent-week')).toEqual(day(7));
+    });
+
+    it('should award PR and program completion achievements', () => {
+      const earned = evaluate({
+        personalRecords: [
+          { type: 'reps_at_load', achievedAt: day(2), previousValue: null },
+          { type: 'estimated_1rm', achievedAt: day(9), previousValue: 100 }
+        ],
+        programCompletions: [day(20)]
+      });
+
+      expect(earned.get('first-pr')).toEqual(day(2));
+      expect(earned.get('strength-pr')).toEqual(day(9));
+      expect(earned.get('program-complete')).toEqual(day(20));
+      expect(earned.has('pr-10')).toBe(false);
+    });
+  });
+
+  describe('bulk workout log deletion', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should drop the PRs of every deleted log and re-evaluate each athlete once', async () => {
+      const ada = new mongoose.Types.ObjectId();
+      const ben = new mongoose.Types.ObjectId();
+      const logs = [
+        { _id: new mongoose.Types.ObjectId(), athleteId: ada, media: [{ filename: 'a.mp4' }] },
+        { _id: new mongoose.Types.ObjectId(), athleteId: ada },
+        { _id: new mongoose.Types.ObjectId(), athleteId: ben }
+      ];
+      jest.spyOn(WorkoutLog, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve(logs) }) });
+      jest.spyOn(WorkoutLog, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+      jest.spyOn(LogComment, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(mediaService, 'removeMedia').mockResolvedValue();
+      jest.spyOn(PersonalRecord, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      jest.spyOn(achievementService, 'evaluateAchievements').mockResolvedValue([]);
+
+      const deletedLogs = await workoutLogService.deleteLogsByRegimen('regimen-1');
+      expect(WorkoutLog.find).toHaveBeenCalledWith({ regimenId: 'regimen-1' });
+      expect(mediaService.removeMedia).toHaveBeenCalledWith([{ filename: 'a.mp4' }]);
+      expect(LogComment.deleteMany).toHaveBeenCalledWith({ workoutLog: { $in: logs.map(log => log._id) } });
+      expect(deletedLogs).toEqual(logs.map(({ _id, athleteId }) => ({ _id, athleteId })));
+
+      await workoutLogHooks.afterBulkDelete(deletedLogs);
+      expect(PersonalRecord.deleteMany).toHaveBeenCalledWith({ workoutLogId: { $in: logs.map(log => log._id) } });
+      expect(achievementService.evaluateAchievements.mock.calls).toEqual([
+        [ada.toString(), { notify: false }],
+        [ben.toString(), { notify: false }]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const adherenceService = require('../services/adherenceService');
+
+const day = {
+  _id: 'day-1',
+  exercises: [
+    { _id: 'ex-squat', name: 'Back Squat', sets: 5, reps: 5, load: 100, loadUnit: 'kg', restInterval: '02:00' },
+    { _id: 'ex-plank', name: 'Plank', sets: 3, isReps: false, duration: '01:00' },
+    { _id: 'ex-row', name: 'Row', sets: 3, reps: 10 }
+  ]
+};
+
+describe('Adherence Service', () => {
+  describe('compareDayToLog', () => {
+    it('should report deltas for matched exercises', () => {
+      const { exercises } = adherenceService.compareDayToLog(day, {
+        exercises: [
+          { exerciseId: 'ex-squat', name: 'Back Squat', sets: 4, reps: 5, weight: '225 lb', rest: 150, completed: false }
+        ]
+      });
+
+      const squat = exercises.find(e => e.exerciseId === 'ex-squat');
+      expect(squat.status).toBe('partial');
+      expect(squat.deltas.sets).toBe(-1);
+      expect(squat.deltas.reps).toBe(0);
+      expect(squat.deltas.load).toBeCloseTo(2.06, 2);
+      expect(squat.deltas.restSeconds).toBe(30);
+    });
+
+    it('should match by name when the exercise ID is missing', () => {
+      const { exercises } = adherenceService.compareDayToLog(day, {
+        exercises: [{ exerciseId: 'other', name: ' plank ', sets: 3, duration: 50, completed: true }]
+      });
+
+      const plank = exercises.find(e => e.name === 'Plank');
+      expect(plank.status).toBe('completed');
+      expect(plank.deltas.durationSeconds).toBe(-10);
+    });
+
+    it('should flag skipped and added exercises', () => {
+      const { exercises, summary } = adherenceService.compareDayToLog(day, {
+        exercises: [
+          { exerciseId: 'ex-squat', name: 'Back Squat', sets: 5, reps: 5, completed: true },
+          { exerciseId: 'ex-curl', name: 'Curl', sets: 3, reps: 12, completed: true }
+        ]
+      });
+
+      expect(exercises.find(e => e.exerciseId === 'ex-row').status).toBe('skipped');
+      expect(exercises.find(e => e.exerciseId === 'ex-curl').status).toBe('added');
+      expect(summary).toEqual({
+        prescribed: 3,
+        completed: 1,
+        partial: 0,
+        skipped: 2,
+        added: 1,
+        adherenceRate: 33
+      });
+    });
+  });
+});
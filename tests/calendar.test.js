@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Regimen = require('../models/Regimen');
+const User = require('../models/User');
+const calendarService = require('../services/calendarService');
+
+const now = new Date('2025-03-01T08:00:00Z');
+
+const regimen = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Spring Block',
+  calendarSequence: 2,
+  updatedAt: new Date('2025-02-20T10:30:00Z'),
+  days: [{
+    _id: 'day1',
+    name: 'Lower, heavy',
+    date: '2025-03-03',
+    intensity: 'High',
+    exercises: [
+      { name: 'Back Squat', sets: 5, reps: 5, isReps: true, load: 100, loadUnit: 'kg' },
+      { name: 'Split Squat', sets: 3, reps: 8, isReps: true, perSide: true },
+      { name: 'Tempo Run', sets: 1, isReps: false, distance: '3km' }
+    ]
+  }]
+};
+
+// Undo RFC 5545 line folding
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+describe('Calendar Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should publish each training day as an all-day event with a stable UID', () => {
+    const ics = calendarService.buildCalendar([regimen], { calendarName: 'CoachShare - Ada', now });
+    const lines = unfold(ics).split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain(`UID:${regimen._id}-day1@coachshare`);
+    expect(lines).toContain('DTSTART;VALUE=DATE:20250303');
+    expect(lines).toContain('DTEND;VALUE=DATE:20250304');
+    expect(lines).toContain('SEQUENCE:2');
+    expect(lines).toContain('LAST-MODIFIED:20250220T103000Z');
+    expect(lines).toContain('DTSTAMP:20250301T080000Z');
+    expect(lines).toContain('SUMMARY:Lower\\, heavy (Spring Block)');
+    const description = lines.find(line => line.startsWith('DESCRIPTION:'));
+    expect(description).toBe(
+      'DESCRIPTION:Intensity: High\\n\\nExercises:\\n- Back Squat 5x5 @ 100 kg' +
+      '\\n- Split Squat 3x8 per side\\n- Tempo Run 3km'
+    );
+  });
+
+  it('should fold long lines to 75 octets without splitting characters', () => {
+    const longRegimen = { ...regimen, name: 'Ö'.repeat(60) };
+    const ics = calendarService.buildCalendar([longRegimen], { calendarName: 'Feed', now });
+
+    ics.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+    expect(unfold(ics)).toContain(`SUMMARY:Lower\\, heavy (${'Ö'.repeat(60)})`);
+  });
+
+  it('should name the athletes in coach feeds and reject unknown tokens', async () => {
+    jest.spyOn(User, 'findOne')
+      .mockResolvedValueOnce({ _id: 'coach1', role: 'coach', firstName: 'Cole', lastName: 'Coach' })
+      .mockResolvedValueOnce(null);
+    const lean = jest.fn().mockResolvedValue([
+      { ...regimen, assignedTo: [{ firstName: 'Ada', lastName: 'Athlete' }] }
+    ]);
+    const populate = jest.fn().mockReturnValue({ lean });
+    jest.spyOn(Regimen, 'find').mockReturnValue({ populate });
+
+    const ics = unfold(await calendarService.buildFeedForToken('secret'));
+
+    expect(Regimen.find).toHaveBeenCalledWith({
+      $or: [{ createdBy: 'coach1' }, { 'collaborators.user': 'coach1' }],
+      'assignedTo.0': { $exists: true }
+    });
+    expect(User.findOne.mock.calls[0][0].calendarFeedTokenHash).not.toBe('secret');
+    expect(ics).toContain('SUMMARY:Ada Athlete: Lower\\, heavy (Spring Block)');
+    expect(ics).toContain("X-WR-CALNAME:CoachShare - Cole Coach's athletes");
+
+    await expect(calendarService.buildFeedForToken('unknown')).rejects.toThrow('Calendar feed not found');
+  });
+});
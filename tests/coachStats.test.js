@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WorkoutLog = require('../models/WorkoutLog');
+const workoutLogService = require('../services/workoutLogService');
+
+const coachId = new mongoose.Types.ObjectId();
+const ada = { _id: new mongoose.Types.ObjectId(), firstName: 'Ada', lastName: 'Athlete', avatarUrl: '/api/users/ada/avatar' };
+const ben = { _id: new mongoose.Types.ObjectId(), firstName: 'Ben', lastName: 'Bench' };
+
+const chain = (result) => ({ select: () => ({ lean: () => Promise.resolve(result) }) });
+const recentChain = (result) => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(result) }) }) });
+
+describe('Coach Stats', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should aggregate a date window with breakdowns and trends against the previous period', async () => {
+    jest.spyOn(User, 'find').mockReturnValue(chain([ada, ben]));
+    jest.spyOn(WorkoutLog, 'aggregate').mockResolvedValue([{
+      totals: [
+        { _id: true, workouts: 4, averageRating: 7.5, averageDuration: 52.5, completion: 0.875, athletes: [ada._id] },
+        { _id: false, workouts: 2, averageRating: 6, averageDuration: 40, completion: 0.5, athletes: [ada._id, ben._id] }
+      ],
+      byAthlete: [
+        { _id: ada._id, workouts: 4, averageRating: 7.5, averageDuration: 52.5, completion: 0.875, lastWorkoutAt: new Date('2025-03-12T18:00:00Z') }
+      ],
+      byRegimen: [
+        { _id: 'regimen-1', regimenName: 'Strength Block', workouts: 3, averageRating: 8, averageDuration: 60, completion: 1, athletes: [ada._id] },
+        { _id: null, workouts: 1, averageRating: 6, averageDuration: 30, completion: 0.5, athletes: [ada._id] }
+      ],
+      byWeek: [
+        { _id: '2025-03-03', workouts: 3, averageRating: 8, averageDuration: 60, completion: 1 },
+        { _id: '2025-03-10', workouts: 1, averageRating: 6, averageDuration: 30, completion: 0.5 }
+      ],
+      byDifficulty: [{ _id: 'Hard', workouts: 4, averageRating: 7.5, averageDuration: 52.5, completion: 0.875 }]
+    }]);
+    const recentLog = { _id: new mongoose.Types.ObjectId(), athleteId: ada._id, regimenName: 'Strength Block', completedAt: new Date('2025-03-12T18:00:00Z') };
+    jest.spyOn(WorkoutLog, 'find').mockReturnValue(recentChain([recentLog]));
+
+    const stats = await workoutLogService.getStatsForCoach(coachId, { from: '2025-03-01', to: '2025-03-14' });
+
+    expect(User.find).toHaveBeenCalledWith({ role: 'athlete', $or: [{ coaches: coachId }, { coachId }] });
+    // Both windows come from one pipeline; the previous one is the 14 days before
+    const [pipeline] = WorkoutLog.aggregate.mock.calls[0];
+    expect(pipeline[0].$match).toEqual({
+      athleteId: { $in: [ada._id, ben._id] },
+      completedAt: { $gte: new Date('2025-02-15T00:00:00Z'), $lt: new Date('2025-03-15T00:00:00Z') }
+    });
+    expect(WorkoutLog.find).toHaveBeenCalledWith({
+      athleteId: { $in: [ada._id, ben._id] },
+      completedAt: { $gte: new Date('2025-03-01T00:00:00Z'), $lt: new Date('2025-03-15T00:00:00Z') }
+    });
+
+    expect(stats).toEqual(expect.objectContaining({
+      from: '2025-03-01',
+      to: '2025-03-14',
+      previousPeriod: { from: '2025-02-15', to: '2025-02-28' },
+      athleteCount: 2,
+      activeAthletes: 1,
+      totalWorkouts: 4,
+      averageRating: 7.5,
+      averageDuration: 52.5,
+      completionRate: 88,
+      hasData: true
+    }));
+    expect(stats.recentLogs).toEqual([expect.objectContaining({
+      regimenName: 'Strength Block',
+      athleteName: 'Ada Athlete',
+      athleteProfilePic: '/api/users/ada/avatar',
+      athleteId: expect.objectContaining({ _id: ada._id, firstName: 'Ada' })
+    })]);
+
+    expect(stats.trends.totalWorkouts).toEqual({ current: 4, previous: 2, change: 2, changePercent: 100 });
+    expect(stats.trends.completionRate).toEqual({ current: 88, previous: 50, change: 38, changePercent: 76 });
+    expect(stats.trends.activeAthletes).toEqual({ current: 1, previous: 2, change: -1, changePercent: -50 });
+
+    // Athletes, weeks and difficulties without workouts are still listed
+    expect(stats.breakdowns.byAthlete.map(entry => [entry.athleteName, entry.workouts, entry.lastWorkoutAt]))
+      .toEqual([['Ada Athlete', 4, new Date('2025-03-12T18:00:00Z')], ['Ben Bench', 0, null]]);
+    expect(stats.breakdowns.byRegimen.map(entry => [entry.regimenId, entry.regimenName, entry.workouts, entry.athletes]))
+      .toEqual([['regimen-1', 'Strength Block', 3, 1], [null, 'No regimen', 1, 1]]);
+    expect(stats.breakdowns.byWeek.map(entry => [entry.weekStart, entry.workouts]))
+      .toEqual([['2025-02-24', 0], ['2025-03-03', 3], ['2025-03-10', 1]]);
+    expect(stats.breakdowns.byDifficulty.map(entry => [entry.difficulty, entry.workouts]))
+      .toEqual([['Easy', 0], ['Medium', 0], ['Hard', 4], ['Very Hard', 0]]);
+  });
+
+  it('should skip the log queries for a coach without athletes and validate the range', async () => {
+    jest.spyOn(User, 'find').mockReturnValue(chain([]));
+    jest.spyOn(WorkoutLog, 'aggregate');
+    jest.spyOn(WorkoutLog, 'find');
+
+    const stats = await workoutLogService.getStatsForCoach(coachId, { from: '2025-03-01', to: '2025-03-07' });
+
+    expect(WorkoutLog.aggregate).not.toHaveBeenCalled();
+    expect(WorkoutLog.find).not.toHaveBeenCalled();
+    expect(stats).toEqual(expect.objectContaining({ totalWorkouts: 0, recentLogs: [], hasData: false, athleteCount: 0 }));
+    expect(stats.trends.averageRating).toEqual({ current: 0, previous: 0, change: 0, changePercent: null });
+    expect(stats.breakdowns.byWeek).toHaveLength(2);
+
+    await expect(workoutLogService.getStatsForCoach(coachId, { from: '2025-03-08', to: '2025-03-01' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
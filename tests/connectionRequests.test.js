@@ -0,0 +1,90 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const ConnectionRequest = require('../models/ConnectionRequest');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const userService = require('../services/userService');
+const connectionRequestService = require('../services/connectionRequestService');
+
+const athlete = { _id: new mongoose.Types.ObjectId(), role: 'athlete', firstName: 'Ada', lastName: 'Athlete', coaches: [] };
+const coach = { _id: new mongoose.Types.ObjectId(), role: 'coach', firstName: 'Cole', lastName: 'Coach' };
+
+const pendingRequest = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  athlete,
+  coach,
+  initiatedBy: 'athlete',
+  status: 'pending',
+  expiresAt: new Date(Date.now() + 60000),
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const mockFindById = (request) => {
+  jest.spyOn(ConnectionRequest, 'findById').mockReturnValue({ populate: () => Promise.resolve(request) });
+};
+
+describe('Connection Request Service', () => {
+  beforeEach(() => {
+    jest.spyOn(ConnectionRequest, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notificationService.createNotification.mockClear();
+  });
+
+  it('should create a pending request and notify the coach without connecting anyone', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(coach);
+    jest.spyOn(ConnectionRequest, 'findOne').mockResolvedValue(null);
+    const assignSpy = jest.spyOn(userService, 'assignCoach');
+    jest.spyOn(ConnectionRequest, 'create').mockImplementation(data => Promise.resolve({
+      _id: new mongoose.Types.ObjectId(),
+      ...data,
+      populate: function () { return Promise.resolve(this); }
+    }));
+
+    const request = await connectionRequestService.createConnectionRequest(athlete, { coachId: coach._id.toString() });
+
+    expect(request).toMatchObject({ initiatedBy: 'athlete', athlete: athlete._id, coach: coach._id });
+    expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: coach._id,
+      type: 'connection_request'
+    }));
+    expect(assignSpy).not.toHaveBeenCalled();
+  });
+
+  it('should reject a second pending request for the same pair', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(coach);
+    jest.spyOn(ConnectionRequest, 'findOne').mockResolvedValue(pendingRequest());
+
+    await expect(connectionRequestService.createConnectionRequest(athlete, { coachId: coach._id.toString() }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should connect the pair only when the recipient accepts', async () => {
+    const request = pendingRequest();
+    mockFindById(request);
+    const assignSpy = jest.spyOn(userService, 'assignCoach').mockResolvedValue({});
+
+    await expect(connectionRequestService.acceptConnectionRequest(request._id.toString(), athlete))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(assignSpy).not.toHaveBeenCalled();
+
+    const accepted = await connectionRequestService.acceptConnectionRequest(request._id.toString(), coach);
+    expect(accepted.status).toBe('accepted');
+    expect(assignSpy).toHaveBeenCalledWith(athlete._id, coach._id);
+  });
+
+  it('should expire stale requests instead of acting on them', async () => {
+    const request = pendingRequest({ expiresAt: new Date(Date.now() - 1000) });
+    mockFindById(request);
+
+    await expect(connectionRequestService.declineConnectionRequest(request._id.toString(), coach))
+      .rejects.toThrow('This connection request is expired');
+    expect(request.status).toBe('expired');
+  });
+});
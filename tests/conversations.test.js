@@ -0,0 +1,131 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+jest.mock('../services/websocketService', () => ({
+  emitToUser: jest.fn(),
+  isUserOnline: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const websocketService = require('../services/websocketService');
+const conversationService = require('../services/conversationService');
+const storageService = require('../services/storageService');
+
+const coach = { _id: new mongoose.Types.ObjectId(), role: 'coach', firstName: 'Cole', lastName: 'Coach' };
+const athlete = { _id: new mongoose.Types.ObjectId(), role: 'athlete', firstName: 'Ada', lastName: 'Athlete', coaches: [coach._id] };
+const stranger = { _id: new mongoose.Types.ObjectId(), role: 'athlete', firstName: 'Sam', coaches: [] };
+
+const populated = (doc) => ({ ...doc, populate: jest.fn().mockResolvedValue(doc) });
+
+describe('Conversation Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('should only let coaches and their own athletes start conversations', async () => {
+    jest.spyOn(User, 'find').mockResolvedValue([stranger]);
+    await expect(conversationService.createConversation(coach, { participantIds: [stranger._id] }))
+      .rejects.toThrow('You can only message your own coaches and athletes');
+
+    await expect(conversationService.createConversation(athlete, { participantIds: [coach._id], name: 'Team' }))
+      .rejects.toThrow('Only coaches can start group conversations');
+
+    User.find.mockResolvedValue([athlete]);
+    jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Conversation, 'create').mockImplementation(async (data) => populated(data));
+
+    const { conversation, created } = await conversationService.createConversation(coach, { participantIds: [athlete._id] });
+    expect(created).toBe(true);
+    expect(conversation.type).toBe('direct');
+    expect(conversation.directKey).toBe([coach._id.toString(), athlete._id.toString()].sort().join(':'));
+
+    // The same pair reuses the direct conversation
+    Conversation.findOne.mockResolvedValue(populated({ _id: 'existing' }));
+    User.find.mockResolvedValue([coach]);
+    const again = await conversationService.createConversation(athlete, { participantIds: [coach._id] });
+    expect(again).toEqual({ conversation: expect.objectContaining({ _id: 'existing' }), created: false });
+  });
+
+  it('should page history backwards with a cursor and return messages oldest first', async () => {
+    const conversationId = new mongoose.Types.ObjectId();
+    jest.spyOn(Conversation, 'findById').mockResolvedValue({
+      _id: conversationId,
+      participants: [coach._id, athlete._id],
+      readState: []
+    });
+    const newestFirst = [3, 2, 1].map(n => ({ _id: `m${n}`, createdAt: new Date(`2025-03-0${n}T10:00:00Z`) }));
+    const limit = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue(newestFirst) });
+    jest.spyOn(Message, 'find').mockReturnValue({ sort: () => ({ limit }) });
+
+    const page = await conversationService.fetchMessages(conversationId.toString(), athlete._id, {
+      before: '2025-03-04T00:00:00Z',
+      limit: '2'
+    });
+
+    expect(Message.find).toHaveBeenCalledWith({
+      conversation: conversationId,
+      createdAt: { $lt: new Date('2025-03-04T00:00:00Z') }
+    });
+    expect(limit).toHaveBeenCalledWith(3);
+    expect(page.messages.map(m => m._id)).toEqual(['m2', 'm3']);
+    expect(page.hasMore).toBe(true);
+    expect(page.nextCursor).toBe('2025-03-02T10:00:00.000Z');
+
+    await expect(conversationService.fetchMessages(conversationId.toString(), stranger._id))
+      .rejects.toThrow('You are not part of this conversation');
+  });
+
+  it('should deliver messages live and notify offline participants', async () => {
+    const conversationId = new mongoose.Types.ObjectId();
+    const other = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(Conversation, 'findById').mockResolvedValue({
+      _id: conversationId,
+      type: 'group',
+      name: 'Sprinters',
+      participants: [coach._id, athlete._id, other._id]
+    });
+    jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    const createdAt = new Date();
+    jest.spyOn(Message, 'create').mockImplementation(async (data) => ({
+      ...data,
+      createdAt,
+      toObject() { return { ...data, createdAt }; }
+    }));
+    websocketService.isUserOnline.mockImplementation(id => id.toString() === athlete._id.toString());
+    jest.spyOn(storageService, 'storeUploads').mockResolvedValue([{ key: 'messages/abc.jpg' }]);
+
+    const message = await conversationService.sendMessage(conversationId.toString(), coach, { text: '  Great work today  ' }, [
+      { filename: 'abc.jpg', originalname: 'track.jpg', mimetype: 'image/jpeg', size: 1234, path: '/tmp/abc.jpg' }
+    ]);
+
+    expect(message.text).toBe('Great work today');
+    expect(storageService.storeUploads).toHaveBeenCalledWith([expect.objectContaining({ filename: 'abc.jpg' })], {
+      folder: 'messages',
+      purpose: 'message_attachment',
+      owner: coach._id
+    });
+    expect(message.attachments[0]).toEqual(expect.objectContaining({
+      originalName: 'track.jpg',
+      url: `/api/conversations/${conversationId}/attachments/abc.jpg`
+    }));
+    expect(websocketService.emitToUser).toHaveBeenCalledWith(athlete._id, 'message:new', expect.any(Object));
+    expect(websocketService.emitToUser).toHaveBeenCalledWith(other._id, 'message:new', expect.any(Object));
+    expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.createNotification).toHaveBeenCalledWith({
+      userId: other._id,
+      title: 'Cole Coach in Sprinters',
+      message: 'Great work today',
+      type: 'coach_message',
+      relatedId: conversationId.toString()
+    });
+    expect(Conversation.updateOne).toHaveBeenCalledWith(
+      { _id: conversationId, 'readState.user': coach._id },
+      { $set: { 'readState.$.lastReadAt': createdAt } }
+    );
+  });
+});
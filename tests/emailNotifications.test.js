@@ -0,0 +1,149 @@
+jest.mock('../utils/email', () => ({
+  ...jest.requireActual('../utils/email'),
+  sendEmail: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendEmail } = require('../utils/email');
+const emailNotificationService = require('../services/emailNotificationService');
+const { protect } = require('../middleware/authMiddleware');
+
+const leanResult = (value) => ({
+  select: () => ({ lean: jest.fn().mockResolvedValue(value) })
+});
+
+const user = (preferences = {}, extra = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Ada',
+  email: 'ada@example.com',
+  timezone: 'Europe/Oslo',
+  notificationPreferences: { email: true, workoutReminder: true, emailFrequency: 'instant', ...preferences },
+  ...extra
+});
+
+describe('Email Notification Service', () => {
+  const originalEnv = { JWT_SECRET: process.env.JWT_SECRET, CLIENT_URL: process.env.CLIENT_URL };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.CLIENT_URL = 'https://app.example.com';
+    jest.spyOn(Notification, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    Object.assign(process.env, originalEnv);
+    jest.restoreAllMocks();
+    sendEmail.mockReset();
+  });
+
+  it('should email instantly, queue for digests, and respect per-type preferences', async () => {
+    const notification = { _id: 'n1', type: 'workout_reminder', title: 'Workout today', message: 'Upper <body>' };
+
+    jest.spyOn(User, 'findById').mockReturnValueOnce(leanResult(user()));
+    expect(await emailNotificationService.dispatchNotification(notification)).toBe('sent');
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'ada@example.com',
+      subject: 'Workout today'
+    }));
+    expect(sendEmail.mock.calls[0][0].html).toContain('Upper &lt;body&gt;');
+    expect(sendEmail.mock.calls[0][0].message).toContain('https://app.example.com/unsubscribe/');
+
+    User.findById.mockReturnValueOnce(leanResult(user({ emailFrequency: 'daily' })));
+    expect(await emailNotificationService.dispatchNotification(notification)).toBe('queued');
+    expect(Notification.updateOne).toHaveBeenLastCalledWith({ _id: 'n1' }, { emailPending: true });
+
+    User.findById.mockReturnValueOnce(leanResult(user({ workoutReminder: false })));
+    expect(await emailNotificationService.dispatchNotification(notification)).toBe('skipped');
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should send a daily digest once, after the digest hour in the user time zone', async () => {
+    const digestUser = user({ emailFrequency: 'daily', digestHour: 18 }, { lastEmailDigest: '2025-03-02' });
+    jest.spyOn(Notification, 'distinct').mockResolvedValue([digestUser._id]);
+    jest.spyOn(User, 'find').mockReturnValue(leanResult([digestUser]));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Notification, 'find').mockReturnValue({
+      sort: () => ({
+        limit: () => ({
+          lean: jest.fn().mockResolvedValue([
+            { _id: 'n1', title: 'New PR', message: 'Back Squat 140 kg' },
+            { _id: 'n2', title: 'Workout today', message: 'Upper' }
+          ])
+        })
+      })
+    });
+
+    // 16:30 UTC is 17:30 in Oslo: too early
+    expect(await emailNotificationService.runDigestSweep(new Date('2025-03-03T16:30:00Z'))).toEqual({ sent: 0, failed: 0 });
+
+    const now = new Date('2025-03-03T17:30:00Z');
+    expect(await emailNotificationService.runDigestSweep(now)).toEqual({ sent: 1, failed: 0 });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: digestUser._id, lastEmailDigest: { $ne: '2025-03-03' } },
+      { lastEmailDigest: '2025-03-03' }
+    );
+    expect(Notification.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['n1', 'n2'] } },
+      { emailPending: false, emailedAt: now }
+    );
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].subject).toBe('Your daily CoachShare digest');
+    expect(sendEmail.mock.calls[0][0].message).toContain('- New PR: Back Squat 140 kg');
+
+    // Another instance (or a restart) already claimed today's digest
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+    expect(await emailNotificationService.runDigestSweep(now)).toEqual({ sent: 0, failed: 0 });
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('should flip the preference named in an unsubscribe link without logging in', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ _id: userId });
+
+    const token = emailNotificationService.createUnsubscribeToken(userId, 'email');
+    const result = await emailNotificationService.unsubscribe(token);
+
+    expect(result).toEqual({ preference: 'email', description: 'all notification emails' });
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(userId.toString(), {
+      $set: { 'notificationPreferences.email': false }
+    });
+
+    await expect(emailNotificationService.unsubscribe('not-a-token')).rejects.toThrow('This unsubscribe link is invalid');
+    const forged = emailNotificationService.createUnsubscribeToken(userId, 'password');
+    await expect(emailNotificationService.unsubscribe(forged)).rejects.toThrow('This unsubscribe link is invalid');
+    const [id, , signature] = token.split('.');
+    await expect(emailNotificationService.unsubscribe(`${id}.workoutReminder.${signature}`))
+      .rejects.toThrow('This unsubscribe link is invalid');
+    // A correctly signed link for an ID that isn't an ObjectId never reaches the query
+    const notAnId = emailNotificationService.createUnsubscribeToken('not-an-id', 'email');
+    await expect(emailNotificationService.unsubscribe(notAnId)).rejects.toMatchObject({ statusCode: 400 });
+    expect(User.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not accept unsubscribe or other purpose-bound tokens as logins', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const userId = new mongoose.Types.ObjectId();
+    jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, email: 'ada@example.com' });
+
+    const authenticate = async (token) => {
+      const req = { headers: { authorization: `Bearer ${token}` }, cookies: {} };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await protect(req, res, next);
+      return { status: res.status.mock.calls[0]?.[0], next };
+    };
+
+    const unsubscribe = await authenticate(emailNotificationService.createUnsubscribeToken(userId, 'email'));
+    expect(unsubscribe.status).toBe(401);
+    expect(unsubscribe.next).not.toHaveBeenCalled();
+
+    const purposeBound = await authenticate(jwt.sign({ id: userId.toString(), purpose: 'email-unsubscribe' }, 'test-secret'));
+    expect(purposeBound.status).toBe(401);
+    expect(purposeBound.next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Exercise = require('../models/Exercise');
+const exerciseService = require('../services/exerciseService');
+const { DEFAULT_THRESHOLD, normalizeExerciseName, nameSimilarity, findBestMatch } = require('../utils/exerciseMatching');
+
+const coachId = new mongoose.Types.ObjectId();
+const otherCoachId = new mongoose.Types.ObjectId();
+const athlete = { _id: new mongoose.Types.ObjectId(), role: 'athlete', coaches: [coachId] };
+const coach = { _id: coachId, role: 'coach' };
+
+const library = [
+  { _id: new mongoose.Types.ObjectId(), name: 'Back Squat', aliases: ['Barbell Squat'], owner: null },
+  { _id: new mongoose.Types.ObjectId(), name: 'Front Squat', aliases: [], owner: null },
+  { _id: new mongoose.Types.ObjectId(), name: 'Romanian Deadlift', aliases: ['RDL'], owner: null },
+  { _id: new mongoose.Types.ObjectId(), name: 'Bench Press', aliases: [], owner: null },
+  { _id: new mongoose.Types.ObjectId(), name: 'Incline Bench Press', aliases: [], owner: null }
+];
+
+describe('Exercise Library', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should match free-text names onto library entries', () => {
+    expect(normalizeExerciseName('BB Back-Squats')).toBe('barbell back squat');
+
+    ['BB Squat', 'back squats', 'Back Squat', 'squat, back'].forEach(name => {
+      expect(findBestMatch(name, library).exercise.name).toBe('Back Squat');
+    });
+    expect(findBestMatch('rdls', library).exercise.name).toBe('Romanian Deadlift');
+    expect(findBestMatch('bench press', library).exercise.name).toBe('Bench Press');
+    expect(findBestMatch('Nordic Curl', library)).toBeNull();
+  });
+
+  it('should not match exercises that differ by a modifier word', () => {
+    [
+      ['Hack Squat', 'Back Squat'],
+      ['Incline Bench Press', 'Decline Bench Press'],
+      ['Decline Push Up', 'Incline Push Up'],
+      ['Paused Back Squat', 'Back Squat']
+    ].forEach(([a, b]) => {
+      expect(nameSimilarity(a, b)).toBeLessThan(DEFAULT_THRESHOLD);
+    });
+    expect(findBestMatch('Hack Squat', library)).toBeNull();
+    expect(findBestMatch('Decline Bench Press', library)).toBeNull();
+    expect(findBestMatch('incline bench', library)).toBeNull();
+    expect(findBestMatch('Incline Bench Presses', library).exercise.name).toBe('Incline Bench Press');
+
+    // Compounds and typos within a word still match
+    expect(nameSimilarity('Pushup Decline', 'Decline Push-Up')).toBe(1);
+    expect(nameSimilarity('Romainian Deadlift', 'Romanian Deadlift')).toBeGreaterThanOrEqual(DEFAULT_THRESHOLD);
+  });
+
+  it('should show athletes the global library and their coaches\' private exercises', async () => {
+    jest.spyOn(Exercise, 'find').mockReturnValue({
+      sort: () => ({ lean: jest.fn().mockResolvedValue(library) })
+    });
+
+    const { exercises, total } = await exerciseService.fetchExercises(athlete, { search: 'squat' });
+
+    expect(Exercise.find).toHaveBeenCalledWith({ owner: { $in: [null, coachId] } });
+    expect(exercises.map(exercise => exercise.name)).toEqual(expect.arrayContaining(['Back Squat', 'Front Squat']));
+    expect(exercises.map(exercise => exercise.name)).not.toContain('Bench Press');
+    expect(total).toBe(exercises.length);
+  });
+
+  it('should create private exercises for coaches and reject duplicates', async () => {
+    jest.spyOn(Exercise, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    jest.spyOn(Exercise, 'create').mockImplementation(data => Promise.resolve(data));
+
+    const exercise = await exerciseService.createExercise(coach, {
+      name: 'Sled Push', equipment: ['sled'], owner: otherCoachId
+    });
+    expect(exercise.owner).toBe(coachId);
+    expect(exercise.createdBy).toBe(coachId);
+    expect(Exercise.findOne).toHaveBeenCalledWith({ owner: { $in: [null, coachId] }, searchNames: 'sled push' });
+
+    Exercise.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(library[0]) });
+    await expect(exerciseService.createExercise(coach, { name: 'back squats' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
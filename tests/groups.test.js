@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const Regimen = require('../models/Regimen');
+const User = require('../models/User');
+const groupService = require('../services/groupService');
+const workoutLogService = require('../services/workoutLogService');
+
+const coachId = new mongoose.Types.ObjectId();
+const regimenId = new mongoose.Types.ObjectId();
+const [ada, ben, cal] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+const buildGroup = (members) => {
+  const group = new Group({ name: 'Sprinters', coach: coachId, members, regimens: [regimenId] });
+  jest.spyOn(group, 'save').mockResolvedValue(group);
+  jest.spyOn(group, 'populate').mockResolvedValue(group);
+  return group;
+};
+
+const leanResult = (value) => ({ select: () => ({ lean: jest.fn().mockResolvedValue(value) }) });
+
+describe('Training Groups', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should give new members the group regimens, tracking who only has them through the group', async () => {
+    const group = buildGroup([ada]);
+    jest.spyOn(Group, 'findById').mockResolvedValue(group);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(2);
+    // Ben already had the regimen directly
+    jest.spyOn(Regimen, 'find').mockReturnValue(leanResult([{ _id: regimenId, assignedTo: [ada, ben] }]));
+    jest.spyOn(Regimen, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'updateMany').mockResolvedValue({});
+
+    await groupService.addMembers(group._id.toString(), coachId, [ben.toString(), cal.toString()]);
+
+    expect(group.members.map(String)).toEqual([ada, ben, cal].map(String));
+    expect(Regimen.updateOne).toHaveBeenCalledWith({ _id: regimenId }, {
+      $addToSet: {
+        assignedTo: { $each: [cal.toString()] },
+        groupAssignees: { $each: [cal.toString()] }
+      }
+    });
+    expect(User.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [ben.toString(), cal.toString()] } },
+      { $addToSet: { regimens: { $each: [regimenId] } } }
+    );
+
+    User.countDocuments.mockResolvedValue(0);
+    await expect(groupService.addMembers(group._id.toString(), coachId, [new mongoose.Types.ObjectId().toString()]))
+      .rejects.toThrow('Groups can only contain your own athletes');
+  });
+
+  it('should take group regimens away from leaving members unless another group or a direct assignment covers them', async () => {
+    const group = buildGroup([ada, ben, cal]);
+    jest.spyOn(Group, 'findById').mockResolvedValue(group);
+    jest.spyOn(Regimen, 'find').mockReturnValue(leanResult([{ _id: regimenId, groupAssignees: [ada, cal] }]));
+    // Cal is also in another group with the same regimen
+    jest.spyOn(Group, 'find').mockReturnValue(leanResult([{ members: [cal] }]));
+    jest.spyOn(Regimen, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'updateMany').mockResolvedValue({});
+
+    await groupService.removeMember(group._id.toString(), coachId, ada.toString());
+    expect(Regimen.updateOne).toHaveBeenCalledWith({ _id: regimenId }, {
+      $pull: { assignedTo: { $in: [ada.toString()] }, groupAssignees: { $in: [ada.toString()] } }
+    });
+    expect(User.updateMany).toHaveBeenCalledWith({ _id: { $in: [ada.toString()] } }, { $pull: { regimens: regimenId } });
+
+    // Ben was assigned directly and Cal is covered by the other group
+    Regimen.updateOne.mockClear();
+    await groupService.removeMember(group._id.toString(), coachId, ben.toString());
+    await groupService.removeMember(group._id.toString(), coachId, cal.toString());
+    expect(Regimen.updateOne).not.toHaveBeenCalled();
+    expect(group.members).toHaveLength(0);
+  });
+
+  it('should scope group log feeds and stats to the owning coach', async () => {
+    jest.spyOn(Group, 'findById').mockReturnValue(leanResult({ coach: coachId, members: [] }));
+
+    await expect(workoutLogService.getStatsForGroup(new mongoose.Types.ObjectId().toString(), new mongoose.Types.ObjectId()))
+      .rejects.toThrow('You can only view your own groups');
+
+    const stats = await workoutLogService.getStatsForGroup(new mongoose.Types.ObjectId().toString(), coachId);
+    expect(stats).toEqual(expect.objectContaining({ totalWorkouts: 0, hasData: false }));
+    expect(await workoutLogService.getLogsForGroup(new mongoose.Types.ObjectId().toString(), coachId)).toEqual([]);
+  });
+});
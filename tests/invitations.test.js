@@ -0,0 +1,103 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+jest.mock('../utils/email', () => ({
+  sendEmail: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { sendEmail } = require('../utils/email');
+const userService = require('../services/userService');
+const invitationService = require('../services/invitationService');
+const { buildClientUrl } = require('../utils/urlUtils');
+
+const coach = { _id: new mongoose.Types.ObjectId(), firstName: 'Cole', lastName: 'Coach' };
+
+describe('Invitation Service', () => {
+  const originalClientUrl = process.env.CLIENT_URL;
+
+  beforeEach(() => {
+    process.env.CLIENT_URL = 'https://app.example.com/';
+    jest.spyOn(Invitation, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    process.env.CLIENT_URL = originalClientUrl;
+    jest.restoreAllMocks();
+    sendEmail.mockReset();
+  });
+
+  it('should build invitation links from CLIENT_URL', () => {
+    expect(buildClientUrl('/accept-invitation/abc')).toBe('https://app.example.com/accept-invitation/abc');
+    delete process.env.CLIENT_URL;
+    expect(() => buildClientUrl('/x')).toThrow('CLIENT_URL is not configured');
+  });
+
+  it('should email a single-use link without a password and store only the token hash', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(Invitation, 'exists').mockResolvedValue(null);
+    jest.spyOn(Invitation.prototype, 'save').mockResolvedValue();
+
+    const { invitation, invitationURL } = await invitationService.createInvitation(coach, {
+      email: 'New.Athlete@Example.com',
+      firstName: 'Nia'
+    });
+
+    const token = invitationURL.split('/').pop();
+    expect(invitationURL).toBe(`https://app.example.com/accept-invitation/${token}`);
+    expect(invitation.email).toBe('new.athlete@example.com');
+    expect(invitation.tokenHash).toBe(Invitation.hashToken(token));
+    expect(invitation.tokenHash).not.toBe(token);
+    expect(sendEmail.mock.calls[0][0].message).toContain(invitationURL);
+    expect(sendEmail.mock.calls[0][0].message).not.toMatch(/password is/i);
+  });
+
+  it('should refuse to invite an email that already has an account', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: 'existing' });
+
+    await expect(invitationService.createInvitation(coach, { email: 'taken@example.com' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a missing or non-string email', async () => {
+    jest.spyOn(User, 'exists');
+
+    for (const email of [undefined, '  ', 42, ['a@example.com'], { $gt: '' }]) {
+      await expect(invitationService.createInvitation(coach, { email }))
+        .rejects.toThrow('Please provide an email address');
+    }
+    expect(User.exists).not.toHaveBeenCalled();
+  });
+
+  it('should create the athlete with their own password and consume the token', async () => {
+    const invitation = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'nia@example.com',
+      firstName: 'Nia',
+      lastName: 'Athlete',
+      coach,
+      status: 'pending',
+      expiresAt: new Date(Date.now() + 60000)
+    };
+    jest.spyOn(Invitation, 'findOne').mockReturnValue({ populate: () => Promise.resolve(invitation) });
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    const claim = jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValueOnce(invitation).mockResolvedValueOnce(null);
+    jest.spyOn(Invitation, 'updateOne').mockResolvedValue({});
+    const create = jest.spyOn(User, 'create').mockImplementation(data => Promise.resolve({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(userService, 'assignCoach').mockResolvedValue({});
+
+    const user = await invitationService.acceptInvitation('raw-token', { password: 'chosen-password' });
+
+    expect(user).toMatchObject({ email: 'nia@example.com', role: 'athlete', isEmailVerified: true });
+    expect(create.mock.calls[0][0].password).toBe('chosen-password');
+    expect(claim.mock.calls[0][1]).toMatchObject({ status: 'accepted', $unset: { tokenHash: 1 } });
+
+    // A second submit loses the claim
+    await expect(invitationService.acceptInvitation('raw-token', { password: 'chosen-password' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const LogComment = require('../models/LogComment');
+const WorkoutLog = require('../models/WorkoutLog');
+const notificationService = require('../services/notificationService');
+const logCommentService = require('../services/logCommentService');
+const mediaService = require('../services/mediaService');
+const workoutLogService = require('../services/workoutLogService');
+
+const coach = { _id: new mongoose.Types.ObjectId(), role: 'coach', firstName: 'Cole', lastName: 'Coach' };
+const athlete = { _id: new mongoose.Types.ObjectId(), role: 'athlete', firstName: 'Ada', lastName: 'Athlete', coaches: [coach._id] };
+const stranger = { _id: new mongoose.Types.ObjectId(), role: 'coach', firstName: 'Sam' };
+
+const buildLog = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  athleteId: athlete,
+  dayName: 'Lower Body',
+  sharedWith: [],
+  exercises: [{ exerciseId: 'ex-1', name: 'Back Squat' }]
+});
+
+const mockLog = (log) => {
+  jest.spyOn(WorkoutLog, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(log) });
+};
+
+describe('Workout Log Comments', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('should let the athlete\'s coach comment on an exercise entry and notify the athlete', async () => {
+    const log = buildLog();
+    mockLog(log);
+    jest.spyOn(LogComment, 'create').mockImplementation(async (data) => ({
+      ...data,
+      populate: jest.fn().mockResolvedValue(data)
+    }));
+
+    const comment = await logCommentService.addComment(log._id.toString(), coach, { text: '  Great depth\n', exerciseId: 'ex-1' });
+
+    expect(comment).toEqual(expect.objectContaining({ exerciseId: 'ex-1', author: coach._id, text: 'Great depth' }));
+    expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: athlete._id.toString(),
+      type: 'workout_feedback',
+      message: 'Cole Coach commented on Back Squat in Lower Body: "Great depth"'
+    }));
+
+    await expect(logCommentService.addComment(log._id.toString(), coach, { text: 'Hm', exerciseId: 'ex-9' }))
+      .rejects.toThrow('This exercise is not part of the workout log');
+    await expect(logCommentService.addComment(log._id.toString(), stranger, { text: 'Hi' }))
+      .rejects.toThrow('You do not have permission to view this workout log');
+  });
+
+  it('should refuse comment text that is not a non-empty string', async () => {
+    const log = buildLog();
+    mockLog(log);
+    jest.spyOn(LogComment, 'create');
+
+    for (const text of [undefined, '   ', 42, ['Nice'], { text: 'Nice' }]) {
+      await expect(logCommentService.addComment(log._id.toString(), coach, { text }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(logCommentService.updateComment(log._id.toString(), new mongoose.Types.ObjectId().toString(), coach, text))
+        .rejects.toMatchObject({ statusCode: 400 });
+    }
+    expect(LogComment.create).not.toHaveBeenCalled();
+  });
+
+  it('should tell the athlete\'s coaches when the athlete comments on their own log', async () => {
+    const log = buildLog();
+    mockLog(log);
+    jest.spyOn(LogComment, 'create').mockImplementation(async (data) => ({
+      ...data,
+      populate: jest.fn().mockResolvedValue(data)
+    }));
+
+    await logCommentService.addComment(log._id.toString(), athlete, { text: 'Knee felt off on set 3' });
+
+    expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: coach._id.toString(),
+      title: 'New comment'
+    }));
+  });
+
+  it('should delete a log\'s comments along with the log', async () => {
+    const log = { _id: new mongoose.Types.ObjectId(), media: [] };
+    jest.spyOn(WorkoutLog, 'findByIdAndDelete').mockResolvedValue(log);
+    jest.spyOn(LogComment, 'deleteMany').mockResolvedValue({ deletedCount: 4 });
+    jest.spyOn(mediaService, 'removeMedia').mockResolvedValue();
+
+    await workoutLogService.deleteWorkoutLog(log._id.toString());
+
+    expect(LogComment.deleteMany).toHaveBeenCalledWith({ workoutLog: log._id });
+  });
+
+  it('should nest replies under their thread and hide deleted comments', async () => {
+    const log = buildLog();
+    mockLog(log);
+    const root = { _id: new mongoose.Types.ObjectId(), text: 'How did that feel?', author: coach };
+    const reply = { _id: new mongoose.Types.ObjectId(), parent: root._id, text: 'Heavy', author: athlete };
+    const removed = { _id: new mongoose.Types.ObjectId(), text: 'oops', author: athlete, deletedAt: new Date() };
+    const lean = jest.fn().mockResolvedValue([root, reply, removed]);
+    jest.spyOn(LogComment, 'find').mockReturnValue({ populate: () => ({ sort: () => ({ lean }) }) });
+
+    const threads = await logCommentService.fetchComments(log._id.toString(), athlete, { exerciseId: 'none' });
+
+    expect(LogComment.find).toHaveBeenCalledWith({ workoutLog: log._id, exerciseId: null });
+    expect(threads).toHaveLength(2);
+    expect(threads[0].replies.map(r => r.text)).toEqual(['Heavy']);
+    expect(threads[1]).toEqual(expect.objectContaining({ text: undefined, author: undefined }));
+  });
+
+  it('should record a coach review and tell the athlete', async () => {
+    const log = buildLog();
+    mockLog(log);
+    jest.spyOn(WorkoutLog, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(logCommentService.reviewLog(log._id.toString(), coach, { verdict: 'great' }))
+      .rejects.toThrow('Verdict must be one of');
+
+    const review = await logCommentService.reviewLog(log._id.toString(), coach, {
+      verdict: 'needs_attention',
+      summary: 'Watch your knees'
+    });
+
+    expect(review).toEqual(expect.objectContaining({ verdict: 'needs_attention', reviewedBy: coach._id }));
+    expect(WorkoutLog.updateOne).toHaveBeenCalledWith({ _id: log._id }, { review }, { runValidators: true });
+    expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: athlete._id.toString(),
+      title: 'Workout reviewed',
+      message: 'Cole Coach reviewed Lower Body: Needs attention - "Watch your knees"'
+    }));
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const LogComment = require('../models/LogComment');
+const User = require('../models/User');
+const WorkoutLog = require('../models/WorkoutLog');
+const logMediaService = require('../services/logMediaService');
+const storageService = require('../services/storageService');
+const workoutLogService = require('../services/workoutLogService');
+const { detectMimeType } = require('../utils/mimeSniffer');
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+const coach = { _id: new mongoose.Types.ObjectId(), role: 'coach' };
+const athlete = { _id: new mongoose.Types.ObjectId(), role: 'athlete', coaches: [coach._id] };
+const stranger = { _id: new mongoose.Types.ObjectId(), role: 'athlete' };
+
+const buildLog = (media = []) => ({
+  _id: new mongoose.Types.ObjectId(),
+  athleteId: athlete,
+  sharedWith: [],
+  exercises: [{ exerciseId: 'ex-squat', name: 'Back Squat' }],
+  media
+});
+
+const mockLog = (log) => {
+  jest.spyOn(WorkoutLog, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(log) });
+};
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+
+// Writes a fake multer upload to a temp directory
+const writeUpload = (contents, originalname, mimetype) => {
+  const filePath = path.join(uploadDir, `${new mongoose.Types.ObjectId()}-${originalname}`);
+  fs.writeFileSync(filePath, contents);
+  return { path: filePath, filename: path.basename(filePath), originalname, mimetype, size: contents.length };
+};
+
+const waitForUnlink = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Exercise and Workout Media', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  it('should identify images and videos by their contents', () => {
+    expect(detectMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(detectMimeType(PNG_HEADER)).toBe('image/png');
+    expect(detectMimeType(Buffer.from('\0\0\0\x18ftypmp42', 'latin1'))).toBe('video/mp4');
+    expect(detectMimeType(Buffer.from('\0\0\0\x14ftypqt  ', 'latin1'))).toBe('video/quicktime');
+    expect(detectMimeType(Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.from('\x42\x82\x84webm')]))).toBe('video/webm');
+    expect(detectMimeType(Buffer.from('<script>alert(1)</script>'))).toBeNull();
+  });
+
+  it('should store form-check uploads under their detected type and count them against the quota', async () => {
+    const log = buildLog();
+    mockLog(log);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(WorkoutLog, 'findByIdAndUpdate').mockImplementation((id, update) => ({
+      select: jest.fn().mockResolvedValue({ media: update.$push.media.$each })
+    }));
+    jest.spyOn(storageService, 'storeUploads').mockImplementation(async (files) => files.map(file => ({ key: `media/${file.filename}` })));
+    // The client claims a JPEG, the bytes say PNG
+    const upload = writeUpload(PNG_HEADER, 'squat.jpg', 'image/jpeg');
+
+    const media = await logMediaService.addMedia(log._id.toString(), athlete, [upload], {
+      exerciseId: 'ex-squat', caption: 'Depth check'
+    });
+
+    expect(media).toEqual([expect.objectContaining({
+      filename: upload.filename,
+      mimeType: 'image/png',
+      kind: 'image',
+      exerciseId: 'ex-squat',
+      caption: 'Depth check',
+      uploadedBy: athlete._id,
+      url: `/api/workout-logs/${log._id}/media/${upload.filename}`
+    })]);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: athlete._id }),
+      { $inc: { mediaStorageUsed: PNG_HEADER.length } }
+    );
+    expect(storageService.storeUploads).toHaveBeenCalledWith([upload], {
+      folder: 'media',
+      purpose: 'workout_media',
+      owner: athlete._id,
+      contentTypes: ['image/png']
+    });
+  });
+
+  it('should reject disguised files and uploads over the quota, discarding them', async () => {
+    const log = buildLog();
+    mockLog(log);
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+    jest.spyOn(WorkoutLog, 'findByIdAndUpdate');
+    jest.spyOn(storageService, 'storeUploads');
+
+    const disguised = writeUpload(Buffer.from('#!/bin/sh\nrm -rf /\n'), 'photo.png', 'image/png');
+    await expect(logMediaService.addMedia(log._id.toString(), athlete, [disguised]))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const overQuota = writeUpload(PNG_HEADER, 'big.png', 'image/png');
+    await expect(logMediaService.addMedia(log._id.toString(), athlete, [overQuota]))
+      .rejects.toMatchObject({ statusCode: 413 });
+
+    await waitForUnlink();
+    expect(fs.existsSync(disguised.path)).toBe(false);
+    expect(fs.existsSync(overQuota.path)).toBe(false);
+    expect(storageService.storeUploads).not.toHaveBeenCalled();
+    expect(WorkoutLog.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should hand out signed links to people who can see the log and clean files up with it', async () => {
+    const attachment = { filename: 'abc123.mp4', originalName: 'deadlift.mp4', mimeType: 'video/mp4', size: 2048, uploadedBy: athlete._id };
+    const log = buildLog([attachment]);
+    mockLog(log);
+
+    jest.spyOn(storageService, 'getDownloadUrl').mockResolvedValue('/api/files/download?key=media%2Fabc123.mp4');
+    const url = await logMediaService.getMediaUrl(log._id.toString(), 'abc123.mp4', coach);
+    expect(url).toBe('/api/files/download?key=media%2Fabc123.mp4');
+    expect(storageService.getDownloadUrl).toHaveBeenCalledWith('media/abc123.mp4', {
+      filename: 'deadlift.mp4',
+      contentType: 'video/mp4'
+    });
+    await expect(logMediaService.getMediaUrl(log._id.toString(), 'abc123.mp4', stranger))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    jest.spyOn(WorkoutLog, 'findByIdAndDelete').mockResolvedValue(log);
+    jest.spyOn(LogComment, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(storageService, 'removeFiles').mockResolvedValue();
+
+    await workoutLogService.deleteWorkoutLog(log._id.toString());
+
+    expect(storageService.removeFiles).toHaveBeenCalledWith(['media/abc123.mp4']);
+    expect(User.updateOne).toHaveBeenCalledWith({ _id: athlete._id.toString() }, [
+      { $set: { mediaStorageUsed: { $max: [0, { $subtract: [{ $ifNull: ['$mediaStorageUsed', 0] }, 2048] }] } } }
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+const paceCalculatorService = require('../services/paceCalculatorService');
+const AppError = require('../utils/appError');
+
+describe('Pace Calculator Service', () => {
+  describe('calculatePace', () => {
+    it('should generate 50m splits by default', async () => {
+      const splits = await paceCalculatorService.calculatePace(200, '20.00', 100);
+
+      expect(splits.map(s => s.distance)).toEqual([50, 100, 150, 200]);
+      expect(splits[0].time).toBe('5.00');
+      expect(splits[3].time).toBe('20.00');
+    });
+
+    it('should use custom segments when provided', async () => {
+      const splits = await paceCalculatorService.calculatePace(100, '10.00', 90, {
+        segments: [30, 60]
+      });
+
+      expect(splits.map(s => s.distance)).toEqual([30, 60, 100]);
+      expect(splits[2].time).toBe('11.11');
+    });
+
+    it('should reject segments longer than the total distance', async () => {
+      await expect(
+        paceCalculatorService.calculatePace(100, '10.00', 90, { segments: [150] })
+      ).rejects.toBeInstanceOf(AppError);
+    });
+  });
+
+  describe('buildPacePlan', () => {
+    it('should report pace per 400m, km and mile', async () => {
+      const plan = await paceCalculatorService.buildPacePlan({
+        totalDistance: 5,
+        targetTime: '20:00',
+        effortPercentage: 100,
+        unit: 'km'
+      });
+
+      expect(plan.segments).toEqual([1, 2, 3, 4, 5]);
+      expect(plan.pace.perKm).toBe('4:00.00');
+      expect(plan.pace.per400m).toBe('1:36.00');
+      expect(plan.pace.perMile).toBe('6:26.24');
+      expect(plan.splits[1].splitTime).toBe('4:00.00');
+      expect(plan.trainingTime).toBe('20:00.00');
+    });
+
+    it('should support mile distances and hour-long efforts', async () => {
+      const plan = await paceCalculatorService.buildPacePlan({
+        totalDistance: 13.1,
+        targetTime: '90:00',
+        effortPercentage: 80,
+        unit: 'mi'
+      });
+
+      expect(plan.segments[plan.segments.length - 1]).toBe(13.1);
+      expect(plan.trainingTime).toBe('1:52:30.00');
+    });
+
+    it('should reject unknown units', async () => {
+      await expect(
+        paceCalculatorService.buildPacePlan({
+          totalDistance: 100,
+          targetTime: '10.00',
+          effortPercentage: 90,
+          unit: 'yd'
+        })
+      ).rejects.toThrow('Unit must be one of');
+    });
+  });
+});
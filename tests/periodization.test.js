@@ -0,0 +1,212 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Regimen = require('../models/Regimen');
+const exerciseService = require('../services/exerciseService');
+const periodizationService = require('../services/periodizationService');
+const regimenRevisionService = require('../services/regimenRevisionService');
+const regimenService = require('../services/regimenService');
+
+const buildPhases = () => ([
+  {
+    _id: 'phase-base',
+    name: 'Base',
+    type: 'base',
+    startDate: '2024-01-01',
+    endDate: '2024-01-14',
+    targetVolume: { metric: 'sets', min: 10, max: 20 },
+    targetIntensity: { min: 3, max: 6 },
+    weeks: [
+      {
+        _id: 'week-1',
+        weekNumber: 1,
+        startDate: '2024-01-01',
+        days: [
+          {
+            _id: 'day-1',
+            date: '2024-01-01',
+            intensity: 'Medium',
+            exercises: [
+              { name: 'Squat', sets: 4, reps: 5, isReps: true },
+              { name: 'Plank', sets: 3, isReps: false, duration: '01:00' }
+            ]
+          },
+          {
+            _id: 'day-2',
+            date: '2024-01-03',
+            intensity: 'High',
+            exercises: [{ name: 'Lunge', sets: 3, reps: 8, isReps: true, perSide: true }]
+          }
+        ]
+      }
+    ]
+  },
+  {
+    _id: 'phase-peak',
+    name: 'Peak',
+    type: 'peak',
+    startDate: '2024-01-15',
+    endDate: '2024-01-21',
+    weeks: []
+  }
+]);
+
+describe('Periodization Service', () => {
+  describe('resolvePlannedDays', () => {
+    it('should flatten days nested in phases and weeks', () => {
+      const days = periodizationService.resolvePlannedDays({
+        phases: buildPhases(),
+        startDate: '2024-01-01',
+        endDate: '2024-01-31'
+      });
+
+      expect(days.map(day => day._id)).toEqual(['day-1', 'day-2']);
+    });
+
+    it('should reject a day outside its phase', () => {
+      const phases = buildPhases();
+      phases[0].weeks[0].days[1].date = '2024-01-20';
+
+      expect(() => periodizationService.resolvePlannedDays({ phases }))
+        .toThrow('falls outside the phase dates');
+    });
+
+    it('should reject overlapping phases', () => {
+      const phases = buildPhases();
+      phases[1].startDate = '2024-01-10';
+
+      expect(() => periodizationService.resolvePlannedDays({ phases })).toThrow('overlap');
+    });
+
+    it('should check flat days against phase dates when phases have no days', () => {
+      const phases = buildPhases().map(phase => ({ ...phase, weeks: [] }));
+
+      expect(() => periodizationService.resolvePlannedDays({
+        phases,
+        days: [{ date: '2024-02-10', exercises: [] }]
+      })).toThrow('does not fall inside any phase');
+    });
+  });
+
+  describe('calculateWeeklyVolume', () => {
+    it('should roll up each week against its phase targets', () => {
+      const [week] = periodizationService.calculateWeeklyVolume({ phases: buildPhases() });
+
+      expect(week.sets).toBe(10);
+      expect(week.reps).toBe(20 + 48);
+      expect(week.minutes).toBe(3);
+      expect(week.averageIntensity).toBe(6);
+      expect(week.volumeWithinTarget).toBe(true);
+      expect(week.intensityWithinTarget).toBe(true);
+    });
+
+    it('should bucket flat days into weeks from the start date', () => {
+      const weeks = periodizationService.calculateWeeklyVolume({
+        startDate: '2024-01-01',
+        days: [
+          { date: '2024-01-02', exercises: [{ sets: 3, reps: 10 }] },
+          { date: '2024-01-09', exercises: [{ sets: 2, reps: 5 }] }
+        ]
+      });
+
+      expect(weeks.map(week => week.weekNumber)).toEqual([1, 2]);
+      expect(weeks[1].startDate).toBe('2024-01-08');
+      expect(weeks[1].reps).toBe(10);
+    });
+  });
+
+  describe('updateRegimen', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should refuse a days-only edit when the phases hold the days', async () => {
+      const phases = buildPhases();
+      const regimen = {
+        _id: new mongoose.Types.ObjectId(),
+        startDate: '2024-01-01',
+        endDate: '2024-01-21',
+        hasRole: () => true,
+        toObject: () => ({ phases, days: periodizationService.flattenPhaseDays(phases) })
+      };
+      jest.spyOn(Regimen, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(regimen) });
+      jest.spyOn(Regimen, 'findByIdAndUpdate');
+
+      await expect(regimenService.updateRegimen(regimen._id.toString(), {
+        days: [{ date: '2024-01-02', exercises: [{ name: 'Squat', sets: 5, reps: 5 }] }]
+      }, 'coach1')).rejects.toMatchObject({ statusCode: 400 });
+      expect(Regimen.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('day IDs of phased regimens', () => {
+    const coachId = new mongoose.Types.ObjectId();
+    // Phases as a client sends them for a new regimen, without IDs
+    const newPhases = () => buildPhases().map(({ _id, ...phase }) => ({
+      ...phase,
+      weeks: phase.weeks.map(({ _id: weekId, ...week }) => ({
+        ...week,
+        days: week.days.map(({ _id: dayId, ...day }) => ({
+          ...day,
+          exercises: day.exercises.map(exercise => ({ ...exercise }))
+        }))
+      }))
+    }));
+    const ids = (days) => days.map(day => [day._id, day.exercises.map(exercise => exercise._id)]);
+
+    let regimen;
+    beforeEach(async () => {
+      jest.spyOn(exerciseService, 'linkRegimenExercises').mockResolvedValue(0);
+      jest.spyOn(regimenRevisionService, 'recordRevision').mockResolvedValue();
+      jest.spyOn(regimenRevisionService, 'ensureBaseline').mockResolvedValue();
+      jest.spyOn(Regimen, 'create').mockImplementation(async (data) => new Regimen(data));
+      regimen = await regimenService.createRegimen({
+        name: 'Winter Block',
+        startDate: '2024-01-01',
+        endDate: '2024-01-21',
+        phases: newPhases()
+      }, coachId);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should share IDs between the phases and the flat days and keep them across phase edits', async () => {
+      const created = regimen.toObject();
+      expect(ids(created.days)).toEqual(ids(periodizationService.flattenPhaseDays(created.phases)));
+
+      jest.spyOn(Regimen, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(regimen) });
+      jest.spyOn(Regimen, 'findByIdAndUpdate').mockResolvedValue(regimen);
+
+      const editedPhases = created.phases.map(phase => ({ ...phase, name: `${phase.name} (edited)` }));
+      editedPhases[0].weeks[0].days[0].exercises[0].sets = 5;
+      await regimenService.updateRegimen(regimen._id.toString(), { phases: editedPhases }, coachId);
+      // Clients that drop the IDs still map onto the stored days
+      await regimenService.updateRegimen(regimen._id.toString(), { phases: newPhases() }, coachId);
+
+      Regimen.findByIdAndUpdate.mock.calls.forEach(([, update]) => {
+        expect(ids(update.days)).toEqual(ids(created.days));
+        expect(ids(periodizationService.flattenPhaseDays(update.phases))).toEqual(ids(created.days));
+      });
+      expect(Regimen.findByIdAndUpdate.mock.calls[0][1].days[0].exercises[0].sets).toBe(5);
+    });
+
+    it('should attach pace plans to the phase copy of the exercise', async () => {
+      jest.spyOn(Regimen, 'findOne').mockResolvedValue(regimen);
+      jest.spyOn(regimen, 'save').mockResolvedValue(regimen);
+      const [day] = regimen.days;
+
+      await regimenService.attachPacePlanToExercise(regimen.id, day._id, day.exercises[0]._id, {
+        unit: 'm', totalDistance: 400, trainingTime: '01:30'
+      }, coachId);
+
+      const [phaseDay] = periodizationService.flattenPhaseDays(regimen.phases);
+      expect(phaseDay.exercises[0].pacePlan.totalDistance).toBe(400);
+      expect(phaseDay.exercises[0].duration).toBe('01:30');
+      expect(regimen.days[0].exercises[0].pacePlan.totalDistance).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const PersonalRecord = require('../models/PersonalRecord');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const personalRecordService = require('../services/personalRecordService');
+
+describe('Personal Record Service', () => {
+  describe('estimateOneRepMax', () => {
+    it('should estimate with the Epley and Brzycki formulas', () => {
+      expect(personalRecordService.estimateOneRepMax(100, 5)).toBe(116.67);
+      expect(personalRecordService.estimateOneRepMax(100, 5, 'brzycki')).toBe(112.5);
+      expect(personalRecordService.estimateOneRepMax(100, 1)).toBe(100);
+    });
+
+    it('should return null when there is nothing to estimate', () => {
+      expect(personalRecordService.estimateOneRepMax(0, 5)).toBeNull();
+      expect(personalRecordService.estimateOneRepMax(100, 40, 'brzycki')).toBeNull();
+    });
+  });
+
+  describe('extractPerformances', () => {
+    it('should keep the best set per exercise, type and criterion', () => {
+      const performances = personalRecordService.extractPerformances({
+        exercises: [
+          {
+            name: 'Back Squat',
+            setLogs: [
+              { reps: 5, load: 100, loadUnit: 'kg' },
+              { reps: 8, load: 100, loadUnit: 'kg' },
+              { reps: 10, load: 120, loadUnit: 'kg', completed: false }
+            ]
+          },
+          { name: '400m Repeat', setLogs: [{ distance: 400, duration: 75 }, { distance: 400, duration: 72 }] }
+        ]
+      });
+
+      const find = (type) => performances.find(p => p.type === type);
+      expect(find('estimated_1rm')).toMatchObject({ exerciseKey: 'back squat', value: 126.67, reps: 8 });
+      expect(find('reps_at_load')).toMatchObject({ criterion: 100, value: 8 });
+      expect(find('fastest_time')).toMatchObject({ criterion: 400, value: 72 });
+      expect(performances).toHaveLength(3);
+    });
+
+    it('should read legacy single-tuple logs and convert pounds to kilograms', () => {
+      const [oneRepMax, repsAtLoad] = personalRecordService.extractPerformances({
+        exercises: [{ name: 'Deadlift', sets: 1, reps: 1, weight: '225 lbs', completed: true }]
+      });
+
+      expect(oneRepMax).toMatchObject({ type: 'estimated_1rm', value: 102.06, load: 225, loadUnit: 'lb' });
+      expect(repsAtLoad).toMatchObject({ type: 'reps_at_load', criterion: 102.06, value: 1 });
+    });
+  });
+
+  describe('recordPersonalRecords', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      notificationService.createNotification.mockClear();
+    });
+
+    it('should only notify new or improved records when a log is saved again', async () => {
+      const athleteId = new mongoose.Types.ObjectId();
+      const log = {
+        _id: new mongoose.Types.ObjectId(),
+        athleteId,
+        completedAt: new Date('2025-03-01T10:00:00Z'),
+        exercises: [{ name: 'Back Squat', setLogs: [{ reps: 5, load: 100, loadUnit: 'kg' }] }]
+      };
+
+      // Records stored so far, all from this log (no other history)
+      let stored = [];
+      jest.spyOn(PersonalRecord, 'find').mockImplementation(() => ({ lean: () => Promise.resolve(stored) }));
+      jest.spyOn(PersonalRecord, 'findOne').mockReturnValue({ sort: () => ({ lean: () => Promise.resolve(null) }) });
+      jest.spyOn(PersonalRecord, 'create').mockImplementation(async (fields) => {
+        const record = { _id: new mongoose.Types.ObjectId(), ...fields };
+        stored.push(record);
+        return record;
+      });
+      jest.spyOn(PersonalRecord, 'findByIdAndUpdate').mockImplementation(async (id, fields) => {
+        stored = stored.map(record => (record._id === id ? { ...record, ...fields } : record));
+        return stored.find(record => record._id === id);
+      });
+      jest.spyOn(PersonalRecord, 'deleteMany').mockImplementation(async ({ _id }) => {
+        stored = stored.filter(record => !_id.$in.includes(record._id));
+      });
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => ({ lean: () => Promise.resolve({ _id: athleteId, firstName: 'Ada' }) }) });
+
+      expect(await personalRecordService.recordPersonalRecords(log)).toHaveLength(2);
+      expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+      expect(PersonalRecord.findOne).toHaveBeenCalledWith(expect.objectContaining({ workoutLogId: { $ne: log._id } }));
+
+      // Editing the rating or notes leaves the records alone
+      const original = stored.map(record => record._id);
+      expect(await personalRecordService.recordPersonalRecords({ ...log, rating: 9 })).toEqual([]);
+      expect(stored.map(record => record._id)).toEqual(original);
+      expect(PersonalRecord.deleteMany).not.toHaveBeenCalled();
+      expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+
+      // Correcting the load upwards improves the 1RM in place; 5 reps at 110 kg is a
+      // new record and 5 reps at 100 kg is no longer in the log
+      const heavier = { ...log, exercises: [{ name: 'Back Squat', setLogs: [{ reps: 5, load: 110, loadUnit: 'kg' }] }] };
+      const improved = await personalRecordService.recordPersonalRecords(heavier);
+      expect(improved.map(record => record.type).sort()).toEqual(['estimated_1rm', 'reps_at_load']);
+      expect(PersonalRecord.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+      expect(PersonalRecord.create).toHaveBeenCalledTimes(3);
+      expect(notificationService.createNotification).toHaveBeenCalledTimes(2);
+      expect(stored.map(record => `${record.type}@${record.criterion}`).sort())
+        .toEqual(['estimated_1rm@0', 'reps_at_load@110']);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Exercise = require('../models/Exercise');
+const Regimen = require('../models/Regimen');
+const RegimenRevision = require('../models/RegimenRevision');
+const notificationService = require('../services/notificationService');
+const regimenService = require('../services/regimenService');
+const regimenRevisionService = require('../services/regimenRevisionService');
+
+const coachId = new mongoose.Types.ObjectId();
+const athleteIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+const squat = { _id: 'ex-squat', name: 'Back Squat', sets: 3, reps: 5 };
+const lunge = { _id: 'ex-lunge', name: 'Lunge', sets: 3, reps: 10 };
+const monday = { _id: 'day-mon', name: 'Lower', date: '2025-03-03', exercises: [squat, lunge] };
+
+const buildRegimen = (overrides = {}) => new Regimen({
+  id: 'a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d',
+  name: 'Spring Block',
+  startDate: new Date('2025-03-01'),
+  endDate: new Date('2025-04-01'),
+  createdBy: coachId,
+  assignedTo: athleteIds,
+  days: [monday],
+  ...overrides
+});
+
+const changedMonday = {
+  ...monday,
+  date: '2025-03-04',
+  exercises: [{ ...squat, sets: 5, reps: 3 }, { _id: 'ex-rdl', name: 'RDL', sets: 3, reps: 8 }]
+};
+
+describe('Regimen Change Notifications', () => {
+  beforeEach(() => {
+    jest.spyOn(RegimenRevision, 'exists').mockResolvedValue(true);
+    jest.spyOn(RegimenRevision, 'create').mockImplementation(async (data) => data);
+    jest.spyOn(Exercise, 'find').mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('should summarize moved days, added and removed exercises, and sets/reps changes', () => {
+    const diff = regimenRevisionService.diffSnapshots(
+      regimenRevisionService.buildSnapshot(buildRegimen()),
+      regimenRevisionService.buildSnapshot(buildRegimen({ days: [changedMonday] }))
+    );
+
+    expect(regimenRevisionService.summarizeDiff(diff)).toEqual([
+      'Lower moved from 2025-03-03 to 2025-03-04',
+      'Lower (2025-03-04): added RDL; removed Lunge; Back Squat: 3x5 -> 5x3'
+    ]);
+  });
+
+  it('should notify every assigned athlete with the change summary', async () => {
+    const regimen = buildRegimen();
+    jest.spyOn(Regimen, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(regimen) });
+    jest.spyOn(Regimen, 'findByIdAndUpdate').mockResolvedValue(buildRegimen({ _id: regimen._id, days: [changedMonday] }));
+
+    await regimenService.updateRegimen(regimen.id, { days: [changedMonday] }, coachId);
+
+    expect(notificationService.createNotification).toHaveBeenCalledTimes(2);
+    expect(notificationService.createNotification).toHaveBeenCalledWith({
+      userId: athleteIds[1],
+      title: '"Spring Block" was updated',
+      message: 'Lower moved from 2025-03-03 to 2025-03-04; Lower (2025-03-04): added RDL; removed Lunge; Back Squat: 3x5 -> 5x3.',
+      type: 'program_assigned',
+      relatedId: regimen._id.toString()
+    });
+  });
+
+  it('should stay quiet for silent edits and edits that leave the plan unchanged', async () => {
+    const regimen = buildRegimen();
+    jest.spyOn(Regimen, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(regimen) });
+    jest.spyOn(Regimen, 'findByIdAndUpdate').mockResolvedValue(buildRegimen({ _id: regimen._id, days: [changedMonday] }));
+
+    await regimenService.updateRegimen(regimen.id, { days: [changedMonday] }, coachId, { silent: true });
+    expect(notificationService.createNotification).not.toHaveBeenCalled();
+
+    Regimen.findByIdAndUpdate.mockResolvedValue(buildRegimen({ _id: regimen._id }));
+    await regimenService.updateRegimen(regimen.id, { customIntensities: undefined }, coachId);
+    expect(notificationService.createNotification).not.toHaveBeenCalled();
+  });
+});
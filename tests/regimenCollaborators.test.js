@@ -0,0 +1,107 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Regimen = require('../models/Regimen');
+const RegimenRevision = require('../models/RegimenRevision');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const regimenService = require('../services/regimenService');
+const workoutLogService = require('../services/workoutLogService');
+const workoutLogController = require('../controllers/workoutLogController');
+
+const owner = { _id: new mongoose.Types.ObjectId(), role: 'coach', firstName: 'Olive', lastName: 'Owner' };
+const editor = { _id: new mongoose.Types.ObjectId(), role: 'coach', firstName: 'Eddie', lastName: 'Editor' };
+const viewer = { _id: new mongoose.Types.ObjectId(), role: 'coach', firstName: 'Vic', lastName: 'Viewer' };
+
+const buildRegimen = () => {
+  const regimen = new Regimen({
+    id: 'a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d',
+    name: 'Spring Block',
+    startDate: new Date('2025-03-01'),
+    endDate: new Date('2025-04-01'),
+    createdBy: owner._id,
+    collaborators: [
+      { user: editor._id, role: 'editor' },
+      { user: viewer._id, role: 'viewer' }
+    ]
+  });
+  jest.spyOn(regimen, 'save').mockResolvedValue(regimen);
+  return regimen;
+};
+
+describe('Regimen Collaborators', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('should rank collaborator roles with the creator as owner', () => {
+    const regimen = buildRegimen();
+
+    expect(regimen.roleFor(owner._id)).toBe('owner');
+    expect(regimen.roleFor(editor._id)).toBe('editor');
+    expect(regimen.hasRole(editor._id, 'viewer')).toBe(true);
+    expect(regimen.hasRole(editor._id, 'owner')).toBe(false);
+    expect(regimen.hasRole(viewer._id, 'editor')).toBe(false);
+    expect(regimen.hasRole(new mongoose.Types.ObjectId(), 'viewer')).toBe(false);
+  });
+
+  it('should let editors but not viewers update the plan', async () => {
+    const regimen = buildRegimen();
+    jest.spyOn(Regimen, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(regimen) });
+    jest.spyOn(Regimen, 'findByIdAndUpdate').mockResolvedValue(regimen);
+    jest.spyOn(RegimenRevision, 'exists').mockResolvedValue(true);
+    jest.spyOn(RegimenRevision, 'create').mockImplementation(async (data) => data);
+
+    await expect(regimenService.updateRegimen(regimen.id, { name: 'Nope' }, viewer._id))
+      .rejects.toThrow('You need editor access to update this regimen');
+
+    await regimenService.updateRegimen(regimen.id, { name: 'Spring Block v2', collaborators: [] }, editor._id);
+    const [, update] = Regimen.findByIdAndUpdate.mock.calls[0];
+    expect(update.name).toBe('Spring Block v2');
+    expect(update).not.toHaveProperty('collaborators');
+  });
+
+  it('should only let owners add collaborators and notify the added coach', async () => {
+    const regimen = buildRegimen();
+    const newCoach = { _id: new mongoose.Types.ObjectId(), role: 'coach' };
+    jest.spyOn(Regimen, 'findOne').mockResolvedValue(regimen);
+    jest.spyOn(User, 'findOne').mockResolvedValue(newCoach);
+    jest.spyOn(regimenService, 'fetchCollaborators').mockResolvedValue([]);
+
+    await expect(regimenService.addCollaborator(regimen.id, editor, { coachId: newCoach._id.toString() }))
+      .rejects.toThrow('Only owners can manage collaborators on this regimen.');
+
+    await regimenService.addCollaborator(regimen.id, owner, { coachId: newCoach._id.toString(), role: 'viewer' });
+
+    expect(regimen.roleFor(newCoach._id)).toBe('viewer');
+    expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: newCoach._id,
+      message: 'Olive Owner added you to "Spring Block" as a viewer.'
+    }));
+
+    // Collaborators can leave on their own, but nobody removes the creator
+    expect(await regimenService.removeCollaborator(regimen.id, viewer._id.toString(), viewer)).toBe(true);
+    await expect(regimenService.removeCollaborator(regimen.id, owner._id.toString(), owner))
+      .rejects.toThrow('The creator of a regimen cannot be removed.');
+  });
+
+  it('should let editors but not viewers delete a regimen\'s workout logs', async () => {
+    const regimen = buildRegimen();
+    jest.spyOn(Regimen, 'findById').mockResolvedValue(regimen);
+    jest.spyOn(workoutLogService, 'deleteLogsByRegimen').mockResolvedValue([]);
+    const respond = (user) => new Promise((resolve, reject) => {
+      const res = { status: jest.fn().mockReturnThis(), json: resolve };
+      workoutLogController.deleteWorkoutLogsByRegimen({ params: { regimenId: regimen._id.toString() }, user }, res, reject);
+    });
+
+    await expect(respond(viewer)).rejects.toMatchObject({ statusCode: 403 });
+    expect(workoutLogService.deleteLogsByRegimen).not.toHaveBeenCalled();
+
+    const body = await respond(editor);
+    expect(body.message).toBe('0 workout logs deleted successfully');
+    expect(workoutLogService.deleteLogsByRegimen).toHaveBeenCalledWith(regimen._id.toString());
+  });
+});
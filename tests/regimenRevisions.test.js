@@ -0,0 +1,108 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Regimen = require('../models/Regimen');
+const RegimenRevision = require('../models/RegimenRevision');
+const regimenService = require('../services/regimenService');
+const regimenRevisionService = require('../services/regimenRevisionService');
+
+const coachId = new mongoose.Types.ObjectId();
+
+const squat = { _id: 'ex-squat', name: 'Back Squat', sets: 3, reps: 5 };
+const lunge = { _id: 'ex-lunge', name: 'Lunge', sets: 3, reps: 10 };
+const monday = { _id: 'day-mon', name: 'Lower', date: '2025-03-03', intensity: 'Medium', exercises: [squat, lunge] };
+const friday = { _id: 'day-fri', name: 'Upper', date: '2025-03-07', intensity: 'Medium', exercises: [] };
+
+const buildRegimen = (overrides = {}) => {
+  const regimen = new Regimen({
+    id: 'a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d',
+    name: 'Spring Block',
+    startDate: new Date('2025-03-01'),
+    endDate: new Date('2025-04-01'),
+    createdBy: coachId,
+    days: [monday, friday],
+    ...overrides
+  });
+  return regimen;
+};
+
+describe('Regimen Revisions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should diff days and exercises between two snapshots', () => {
+    const before = regimenRevisionService.buildSnapshot(buildRegimen());
+    const after = regimenRevisionService.buildSnapshot(buildRegimen({
+      name: 'Spring Block v2',
+      days: [
+        { ...monday, intensity: 'High', exercises: [{ ...squat, sets: 5 }, { _id: 'ex-rdl', name: 'RDL', sets: 3, reps: 8 }] },
+        { _id: 'day-sat', name: 'Conditioning', date: '2025-03-08', exercises: [] }
+      ]
+    }));
+
+    const diff = regimenRevisionService.diffSnapshots(before, after);
+
+    expect(diff.fields).toEqual([{ field: 'name', from: 'Spring Block', to: 'Spring Block v2' }]);
+    expect(diff.days.added).toEqual([{ dayId: 'day-sat', name: 'Conditioning', date: '2025-03-08' }]);
+    expect(diff.days.removed).toEqual([{ dayId: 'day-fri', name: 'Upper', date: '2025-03-07' }]);
+    expect(diff.days.changed).toHaveLength(1);
+
+    const [changedDay] = diff.days.changed;
+    expect(changedDay.changes).toEqual([{ field: 'intensity', from: 'Medium', to: 'High' }]);
+    expect(changedDay.exercises.added).toEqual([{ exerciseId: 'ex-rdl', name: 'RDL' }]);
+    expect(changedDay.exercises.removed).toEqual([{ exerciseId: 'ex-lunge', name: 'Lunge' }]);
+    expect(changedDay.exercises.changed).toEqual([{
+      exerciseId: 'ex-squat',
+      name: 'Back Squat',
+      changes: [{ field: 'sets', from: 3, to: 5 }]
+    }]);
+  });
+
+  it('should keep the replaced version and snapshot every update as the next revision', async () => {
+    const regimen = buildRegimen({ revision: 3 });
+    const updated = buildRegimen({ _id: regimen._id, name: 'Renamed', revision: 4 });
+    jest.spyOn(Regimen, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(regimen) });
+    jest.spyOn(Regimen, 'findByIdAndUpdate').mockResolvedValue(updated);
+    jest.spyOn(RegimenRevision, 'exists').mockResolvedValue(null);
+    jest.spyOn(RegimenRevision, 'create').mockImplementation(async (data) => data);
+
+    await regimenService.updateRegimen(regimen.id, { name: 'Renamed', revision: 99 }, coachId);
+
+    const [, update] = Regimen.findByIdAndUpdate.mock.calls[0];
+    expect(update.$inc).toEqual({ revision: 1 });
+    expect(update).not.toHaveProperty('revision');
+
+    const created = RegimenRevision.create.mock.calls.map(([data]) => data);
+    // No snapshot existed for revision 3 yet (pre-history regimen), so it's kept first
+    expect(created.map(revision => revision.number)).toEqual([3, 4]);
+    expect(created[0].snapshot.name).toBe('Spring Block');
+    expect(created[1]).toEqual(expect.objectContaining({ author: coachId, restoredFrom: undefined }));
+    expect(created[1].snapshot.name).toBe('Renamed');
+  });
+
+  it('should restore an old revision as a new one', async () => {
+    const regimen = buildRegimen({ revision: 4 });
+    const oldSnapshot = regimenRevisionService.buildSnapshot(buildRegimen({ name: 'Original', days: [monday] }));
+    jest.spyOn(regimenService, 'fetchRegimenByIdWithAccessCheck').mockResolvedValue(regimen);
+    jest.spyOn(RegimenRevision, 'findOne').mockReturnValue({
+      populate: () => ({ lean: jest.fn().mockResolvedValue({ number: 2, snapshot: oldSnapshot }) })
+    });
+    jest.spyOn(regimenService, 'updateRegimen').mockResolvedValue(regimen);
+
+    await regimenService.restoreRevision(regimen.id, '2', { _id: coachId, role: 'coach' });
+
+    const [id, data, authorId, options] = regimenService.updateRegimen.mock.calls[0];
+    expect(id).toBe(regimen._id);
+    expect(data.name).toBe('Original');
+    expect(data.days.map(day => day._id)).toEqual(['day-mon']);
+    expect(data.phases).toEqual([]);
+    expect(authorId).toBe(coachId);
+    expect(options).toEqual({ restoredFrom: 2, silent: false });
+
+    await expect(regimenService.restoreRevision(regimen.id, '2', { _id: new mongoose.Types.ObjectId(), role: 'coach' }))
+      .rejects.toThrow('You need editor access to restore this regimen');
+  });
+});
@@ -0,0 +1,140 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Regimen = require('../models/Regimen');
+const RegimenRevision = require('../models/RegimenRevision');
+const RegimenTemplate = require('../models/RegimenTemplate');
+const AppError = require('../utils/appError');
+const exerciseService = require('../services/exerciseService');
+const regimenService = require('../services/regimenService');
+const regimenTemplateService = require('../services/regimenTemplateService');
+
+const coachId = new mongoose.Types.ObjectId();
+const otherCoachId = new mongoose.Types.ObjectId();
+
+const buildTemplate = (fields = {}) => new RegimenTemplate({
+  name: 'Base Block',
+  createdBy: coachId,
+  durationWeeks: 2,
+  days: [
+    { name: 'Lower', week: 2, day: 1, exercises: [{ name: 'Back Squat', sets: 5, reps: 5 }] },
+    { name: 'Upper', week: 1, day: 3, exercises: [{ name: 'Bench Press', sets: 3, reps: 8 }] }
+  ],
+  ...fields
+});
+
+describe('Regimen Templates', () => {
+  beforeEach(() => {
+    jest.spyOn(exerciseService, 'linkRegimenExercises').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should create, update and delete only the coach\'s own templates', async () => {
+    jest.spyOn(RegimenTemplate, 'create').mockImplementation(async (data) => data);
+    const created = await regimenTemplateService.createTemplate({ name: 'Base Block', createdBy: otherCoachId, days: [] }, coachId);
+    expect(created).toEqual({ name: 'Base Block', days: [], createdBy: coachId });
+
+    await expect(regimenTemplateService.fetchTemplateById('not-an-id', coachId)).rejects.toMatchObject({ statusCode: 400 });
+    jest.spyOn(RegimenTemplate, 'findById').mockResolvedValueOnce(null);
+    await expect(regimenTemplateService.fetchTemplateById(new mongoose.Types.ObjectId().toString(), coachId))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    const template = buildTemplate();
+    RegimenTemplate.findById.mockResolvedValue(template);
+    await expect(regimenTemplateService.fetchTemplateById(template._id.toString(), otherCoachId))
+      .rejects.toThrow('You can only access templates you created');
+
+    jest.spyOn(template, 'save').mockResolvedValue(template);
+    const updated = await regimenTemplateService.updateTemplate(template._id.toString(), { name: 'Peak Block', createdBy: otherCoachId }, coachId);
+    expect(updated.name).toBe('Peak Block');
+    expect(updated.createdBy).toEqual(coachId);
+    expect(template.save).toHaveBeenCalled();
+
+    jest.spyOn(RegimenTemplate, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    await regimenTemplateService.deleteTemplate(template._id.toString(), coachId);
+    expect(RegimenTemplate.deleteOne).toHaveBeenCalledWith({ _id: template._id });
+  });
+
+  it('should turn a regimen\'s dates into week and day offsets', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const days = [
+      { _id: 'd1', name: 'Lower', date: '2025-03-03', exercises: [{ _id: 'e1', name: 'Back Squat' }] },
+      { _id: 'd2', name: 'Upper', date: '2025-03-05T18:00:00Z', exercises: [] },
+      { _id: 'd3', name: 'Lower', date: '2025-03-12', exercises: [] },
+      { _id: 'd0', name: 'Before the start', date: '2025-03-01', exercises: [] }
+    ];
+    jest.spyOn(regimenService, 'fetchRegimenByIdWithAccessCheck').mockResolvedValue({
+      name: 'March Block',
+      startDate: new Date('2025-03-03T00:00:00Z'),
+      endDate: new Date('2025-03-23T00:00:00Z'),
+      toObject: () => ({ days })
+    });
+    jest.spyOn(RegimenTemplate, 'create').mockImplementation(async (data) => data);
+
+    const template = await regimenTemplateService.createTemplateFromRegimen('regimen-1', { name: 'Block Template' }, coachId);
+
+    expect(template.name).toBe('Block Template');
+    expect(template.durationWeeks).toBe(3);
+    expect(template.days.map(day => [day.name, day.week, day.day])).toEqual([
+      ['Lower', 1, 1],
+      ['Upper', 1, 3],
+      ['Lower', 2, 3]
+    ]);
+    expect(template.days[0].exercises).toEqual([{ name: 'Back Squat' }]);
+  });
+
+  it('should materialize a template onto calendar dates and assign it', async () => {
+    const template = buildTemplate();
+    jest.spyOn(RegimenTemplate, 'findById').mockResolvedValue(template);
+    const regimen = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(regimenService, 'createRegimen').mockResolvedValue(regimen);
+    jest.spyOn(regimenService, 'assignRegimenToAthletes').mockResolvedValue({
+      regimen, assignedAthleteIds: ['a1'], skippedAthleteIds: []
+    });
+
+    await expect(regimenTemplateService.materializeTemplate(template._id.toString(), { startDate: 'soon' }, coachId))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const result = await regimenTemplateService.materializeTemplate(
+      template._id.toString(),
+      { startDate: '2025-03-03', athleteIds: ['a1'] },
+      coachId
+    );
+
+    const [data, createdBy] = regimenService.createRegimen.mock.calls[0];
+    expect(createdBy).toBe(coachId);
+    expect(data).toEqual(expect.objectContaining({
+      name: 'Base Block',
+      startDate: new Date('2025-03-03T00:00:00Z'),
+      endDate: new Date('2025-03-16T00:00:00Z'),
+      sourceTemplate: template._id
+    }));
+    expect(data.days.map(day => [day.name, day.date])).toEqual([['Upper', '2025-03-05'], ['Lower', '2025-03-10']]);
+    expect(regimenService.assignRegimenToAthletes).toHaveBeenCalledWith(regimen._id.toString(), ['a1'], coachId);
+    expect(result.assignedAthleteIds).toEqual(['a1']);
+  });
+
+  it('should remove the new regimen and its revision when assignment fails', async () => {
+    const template = buildTemplate();
+    jest.spyOn(RegimenTemplate, 'findById').mockResolvedValue(template);
+    const regimen = { _id: new mongoose.Types.ObjectId() };
+    jest.spyOn(regimenService, 'createRegimen').mockResolvedValue(regimen);
+    jest.spyOn(regimenService, 'assignRegimenToAthletes').mockRejectedValue(new AppError('Athlete not found', 404));
+    jest.spyOn(Regimen, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(RegimenRevision, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    await expect(regimenTemplateService.materializeTemplate(
+      template._id.toString(),
+      { startDate: '2025-03-03', athleteIds: ['missing'] },
+      coachId
+    )).rejects.toThrow('Athlete not found');
+
+    expect(Regimen.deleteOne).toHaveBeenCalledWith({ _id: regimen._id });
+    expect(RegimenRevision.deleteMany).toHaveBeenCalledWith({ regimen: regimen._id });
+  });
+});
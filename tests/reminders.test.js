@@ -0,0 +1,105 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Regimen = require('../models/Regimen');
+const User = require('../models/User');
+const WorkoutLog = require('../models/WorkoutLog');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const notificationService = require('../services/notificationService');
+const reminderService = require('../services/reminderService');
+const { localClock } = require('../utils/timeZoneUtils');
+
+const athlete = {
+  _id: new mongoose.Types.ObjectId(),
+  firstName: 'Ada',
+  timezone: 'America/New_York',
+  notificationPreferences: { workoutReminder: true, reminderHour: 7 }
+};
+
+const exercises = [{ name: 'Back Squat', sets: 5, reps: 5 }];
+const regimen = {
+  _id: new mongoose.Types.ObjectId(),
+  id: 'regimen-uuid',
+  name: 'Spring Block',
+  assignedTo: [athlete._id],
+  days: [
+    { _id: 'yesterday', name: 'Lower', date: '2025-03-02', intensity: 'High', exercises },
+    { _id: 'today', name: 'Upper', date: '2025-03-03', intensity: 'Medium', exercises },
+    { _id: 'rest', name: 'Rest', date: '2025-03-03', exercises: [] },
+    { _id: 'tomorrow', name: 'Run', date: '2025-03-04', exercises }
+  ]
+};
+
+const mockQueries = (users = [athlete]) => {
+  jest.spyOn(Regimen, 'find').mockReturnValue({
+    select: () => ({ lean: jest.fn().mockResolvedValue([regimen]) })
+  });
+  jest.spyOn(User, 'find').mockReturnValue({
+    select: () => ({ lean: jest.fn().mockResolvedValue(users) })
+  });
+};
+
+describe('Reminder Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notificationService.createNotification.mockReset();
+  });
+
+  it('should use the local date and hour of the user time zone', () => {
+    // 03:30 UTC is still the previous evening in New York
+    expect(localClock(new Date('2025-03-03T03:30:00Z'), 'America/New_York'))
+      .toEqual({ date: '2025-03-02', hour: 22 });
+    expect(localClock(new Date('2025-03-03T03:30:00Z'), 'Not/AZone'))
+      .toEqual({ date: '2025-03-03', hour: 3 });
+  });
+
+  it('should remind about today and follow up on yesterday only when nothing was logged', async () => {
+    mockQueries();
+    jest.spyOn(WorkoutLog, 'exists').mockResolvedValue(null);
+
+    // 06:30 in New York: before the reminder hour
+    expect(await reminderService.findDueReminders(new Date('2025-03-03T11:30:00Z'))).toEqual([]);
+
+    // 08:00 in New York
+    const due = await reminderService.findDueReminders(new Date('2025-03-03T13:00:00Z'));
+    expect(due.map(r => [r.day._id, r.kind])).toEqual([['yesterday', 'missed'], ['today', 'upcoming']]);
+    expect(WorkoutLog.exists).toHaveBeenCalledWith({ athleteId: athlete._id, dayId: 'yesterday' });
+
+    WorkoutLog.exists.mockResolvedValue({ _id: 'log' });
+    const afterLogging = await reminderService.findDueReminders(new Date('2025-03-03T13:00:00Z'));
+    expect(afterLogging.map(r => r.day._id)).toEqual(['today']);
+  });
+
+  it('should respect the workout reminder preference', async () => {
+    mockQueries([{ ...athlete, notificationPreferences: { workoutReminder: false } }]);
+    expect(await reminderService.findDueReminders(new Date('2025-03-03T13:00:00Z'))).toEqual([]);
+  });
+
+  it('should not send a reminder that was already delivered', async () => {
+    mockQueries();
+    jest.spyOn(WorkoutLog, 'exists').mockResolvedValue({ _id: 'log' });
+    jest.spyOn(ReminderDelivery, 'create')
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    const now = new Date('2025-03-03T13:00:00Z');
+    expect(await reminderService.runReminderSweep(now)).toEqual({ sent: 1, skipped: 0, failed: 0 });
+    expect(await reminderService.runReminderSweep(now)).toEqual({ sent: 0, skipped: 1, failed: 0 });
+
+    expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+      userId: athlete._id,
+      type: 'workout_reminder',
+      title: 'Workout today',
+      relatedId: 'regimen-uuid'
+    }));
+    expect(ReminderDelivery.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: athlete._id,
+      dayId: 'today',
+      kind: 'upcoming',
+      dayDate: '2025-03-03'
+    }));
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../services/notificationService', () => ({
+  createNotification: jest.fn()
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const authController = require('../controllers/authController');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+describe('Session Service', () => {
+  const originalSecret = process.env.JWT_SECRET;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  afterEach(() => {
+    process.env.JWT_SECRET = originalSecret;
+    jest.restoreAllMocks();
+  });
+
+  it('should store only the refresh token hash and bind the access token to the session', async () => {
+    const create = jest.spyOn(Session, 'create').mockImplementation(data => Promise.resolve({
+      _id: new mongoose.Types.ObjectId(),
+      ...data
+    }));
+
+    const { session, accessToken, refreshToken } = await sessionService.startSession(user, { userAgent: 'jest' });
+
+    expect(create.mock.calls[0][0].tokenHash).toBe(hash(refreshToken));
+    expect(jwt.verify(accessToken, 'test-secret')).toMatchObject({
+      id: user._id.toString(),
+      sid: session._id.toString()
+    });
+  });
+
+  it('should rotate the refresh token and retire the presented one', async () => {
+    const session = { _id: new mongoose.Types.ObjectId(), user: user._id };
+    const rotate = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+    const result = await sessionService.rotateRefreshToken('old-token');
+
+    const [filter, update] = rotate.mock.calls[0];
+    expect(filter).toMatchObject({ tokenHash: hash('old-token'), revokedAt: null });
+    expect(update.tokenHash).toBe(hash(result.refreshToken));
+    expect(update.$push.usedTokenHashes.$each).toEqual([hash('old-token')]);
+    expect(result.refreshToken).not.toBe('old-token');
+  });
+
+  it('should revoke the whole session when a rotated-out token is reused', async () => {
+    const reusedSession = { _id: new mongoose.Types.ObjectId(), revokedAt: undefined, save: jest.fn() };
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    const lookup = jest.spyOn(Session, 'findOne').mockResolvedValue(reusedSession);
+
+    await expect(sessionService.rotateRefreshToken('stolen-token')).rejects.toMatchObject({ statusCode: 401 });
+
+    expect(lookup).toHaveBeenCalledWith({ usedTokenHashes: hash('stolen-token') });
+    expect(reusedSession.revokedReason).toBe('reuse_detected');
+    expect(reusedSession.revokedAt).toBeInstanceOf(Date);
+    expect(reusedSession.save).toHaveBeenCalled();
+  });
+
+  it('should reject unknown refresh tokens without revoking anything', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+    await expect(sessionService.rotateRefreshToken('garbage')).rejects.toThrow('Invalid or expired refresh token.');
+    await expect(sessionService.rotateRefreshToken()).rejects.toThrow('Refresh token not provided.');
+  });
+
+  it('should log out every session and start a new one when the password changes', async () => {
+    const account = {
+      _id: user._id,
+      isPasswordCorrect: jest.fn().mockResolvedValue(true),
+      save: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(User, 'findOne').mockResolvedValue(account);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(account) });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(Session, 'create').mockImplementation(data => Promise.resolve({
+      _id: new mongoose.Types.ObjectId(),
+      ...data
+    }));
+
+    // catchAsync doesn't return the handler's promise; wait for the response instead
+    const respond = (handler, req) => new Promise((resolve, reject) => {
+      const res = { cookie: jest.fn(), status: jest.fn().mockReturnThis(), json: resolve };
+      handler({ get: () => 'jest', ip: '127.0.0.1', cookies: {}, ...req }, res, reject);
+    });
+
+    const reset = await respond(authController.resetPassword, { params: { token: 'reset-token' }, body: { password: 'new-password' } });
+    expect(Session.updateMany).toHaveBeenLastCalledWith(
+      { user: user._id, revokedAt: null },
+      expect.objectContaining({ revokedReason: 'revoked' })
+    );
+    expect(jwt.verify(reset.token, 'test-secret').sid).toBeDefined();
+    expect(reset.refreshToken).toBeDefined();
+
+    const update = await respond(authController.updatePassword, {
+      user: { id: user._id.toString() },
+      body: { currentPassword: 'new-password', newPassword: 'newer-password' }
+    });
+    expect(Session.updateMany).toHaveBeenCalledTimes(2);
+    expect(Session.updateMany.mock.invocationCallOrder[1]).toBeLessThan(Session.create.mock.invocationCallOrder[1]);
+    expect(jwt.verify(update.token, 'test-secret').sid).toBeDefined();
+  });
+});
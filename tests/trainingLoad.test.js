@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WorkoutLog = require('../models/WorkoutLog');
+const trainingLoadService = require('../services/trainingLoadService');
+const { addDays } = require('../utils/timeZoneUtils');
+
+const coach = { _id: new mongoose.Types.ObjectId(), role: 'coach', timezone: 'UTC' };
+
+// One session a day from `start` for `days` days, with the load from loadFor(dayIndex)
+const dailySessions = (start, days, loadFor) => Array.from({ length: days }, (_, i) => ({
+  date: addDays(start, i),
+  load: loadFor(i)
+}));
+
+const chain = (result) => ({ select: () => ({ lean: () => Promise.resolve(result) }) });
+
+describe('Training Load Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should compute session-RPE load, monotony and strain', () => {
+    expect(trainingLoadService.sessionLoad({ rating: 7, duration: 60 })).toBe(420);
+    expect(trainingLoadService.sessionLoad({ rating: 7 })).toBe(0);
+
+    // Hard days with rest in between
+    const { monotony, strain } = trainingLoadService.monotonyAndStrain([600, 0, 600, 0, 600, 0, 0]);
+    expect(monotony).toBeCloseTo(0.87, 2);
+    expect(strain).toBeCloseTo(1558.85, 1);
+    expect(trainingLoadService.monotonyAndStrain([300, 300, 300])).toEqual({ monotony: null, strain: null });
+    expect(trainingLoadService.monotonyAndStrain([0, 0])).toEqual({ monotony: null, strain: 0 });
+  });
+
+  it('should report a steady athlete in the optimal zone and flag a spike', () => {
+    const steady = trainingLoadService.computeLoadMetrics(
+      dailySessions('2025-01-01', 120, () => 300),
+      { from: '2025-04-01', to: '2025-04-30', firstSessionDate: '2025-01-01' }
+    );
+    expect(steady.daily).toHaveLength(30);
+    expect(steady.current).toEqual(expect.objectContaining({
+      date: '2025-04-30', acuteLoad: 2100, chronicLoad: 2100, acwr: 1, zone: 'optimal', ewmaZone: 'optimal'
+    }));
+    expect(steady.current.ewmaAcwr).toBeCloseTo(1, 1);
+    expect(steady.flagged).toBe(false);
+    expect(steady.weekly[0]).toEqual(expect.objectContaining({ weekStart: '2025-03-31', weekEnd: '2025-04-06', days: 7, complete: true, load: 2100, sessions: 7 }));
+    expect(steady.weekly[steady.weekly.length - 1]).toEqual(expect.objectContaining({ weekStart: '2025-04-28', days: 3, complete: false }));
+
+    // Months of easy sessions, then a week at 3.5 times the load
+    const spike = trainingLoadService.computeLoadMetrics(
+      dailySessions('2025-01-01', 112, i => (i < 105 ? 200 : 700)),
+      { from: '2025-04-10', to: '2025-04-22', firstSessionDate: '2025-01-01' }
+    );
+    expect(spike.current).toEqual(expect.objectContaining({ acuteLoad: 4900, chronicLoad: 2275, acwr: 2.15, zone: 'high_risk' }));
+    expect(spike.flagged).toBe(true);
+    expect(spike.highRiskDays).toContain('2025-04-22');
+    expect(spike.highRiskDays).not.toContain('2025-04-10');
+  });
+
+  it('should hold back ratios until there are four weeks of history', () => {
+    const metrics = trainingLoadService.computeLoadMetrics(
+      dailySessions('2025-04-01', 10, () => 500),
+      { from: '2025-04-01', to: '2025-04-10', firstSessionDate: '2025-04-01' }
+    );
+    expect(metrics.current).toEqual(expect.objectContaining({ acuteLoad: 3500, acwr: null, ewmaAcwr: null, zone: null }));
+    expect(metrics.flagged).toBe(false);
+  });
+
+  it('should validate date ranges', () => {
+    expect(trainingLoadService.parseRange({ to: '2025-03-31' })).toEqual({ from: '2025-03-04', to: '2025-03-31' });
+    expect(() => trainingLoadService.parseRange({ from: '2025-02-30' })).toThrow('Dates must be in YYYY-MM-DD format');
+    expect(() => trainingLoadService.parseRange({ from: '2025-04-02', to: '2025-04-01' })).toThrow('"from" must not be after "to"');
+    expect(() => trainingLoadService.parseRange({ from: '2023-01-01', to: '2025-01-01' })).toThrow('at most 366 days');
+  });
+
+  it('should only serve a coach their own athletes, bucketing sessions by the athlete\'s local day', async () => {
+    const athlete = { _id: new mongoose.Types.ObjectId(), firstName: 'Ada', lastName: 'Athlete', timezone: 'America/Los_Angeles' };
+    jest.spyOn(User, 'findOne').mockReturnValueOnce(chain(null));
+    await expect(trainingLoadService.fetchAthleteLoad(coach, athlete._id.toString(), {}))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    User.findOne.mockReturnValueOnce(chain(athlete));
+    jest.spyOn(WorkoutLog, 'find').mockReturnValue(chain([
+      // 9pm on the 9th in Los Angeles
+      { athleteId: athlete._id, completedAt: new Date('2025-03-10T04:00:00Z'), rating: 6, duration: 50 }
+    ]));
+    jest.spyOn(WorkoutLog, 'aggregate').mockResolvedValue([{ _id: athlete._id, firstAt: new Date('2025-03-10T04:00:00Z') }]);
+
+    const load = await trainingLoadService.fetchAthleteLoad(coach, athlete._id.toString(), { from: '2025-03-09', to: '2025-03-10' });
+
+    expect(User.findOne).toHaveBeenLastCalledWith({
+      _id: athlete._id.toString(),
+      role: 'athlete',
+      $or: [{ coaches: coach._id }, { coachId: coach._id }]
+    });
+    expect(load.timezone).toBe('America/Los_Angeles');
+    expect(load.daily.map(day => [day.date, day.load])).toEqual([['2025-03-09', 300], ['2025-03-10', 0]]);
+  });
+
+  it('should list high-risk athletes first in the team overview', async () => {
+    const steady = { _id: new mongoose.Types.ObjectId(), firstName: 'Steady' };
+    const spiking = { _id: new mongoose.Types.ObjectId(), firstName: 'Spiking' };
+    jest.spyOn(User, 'find').mockReturnValue(chain([steady, spiking]));
+
+    const logsFor = (athlete, loadFor) => Array.from({ length: 84 }, (_, i) => ({
+      athleteId: athlete._id,
+      completedAt: new Date(`${addDays('2025-01-07', i)}T12:00:00Z`),
+      rating: 5,
+      duration: loadFor(i) / 5
+    }));
+    jest.spyOn(WorkoutLog, 'find').mockReturnValue(chain([
+      ...logsFor(steady, () => 300),
+      ...logsFor(spiking, i => (i < 77 ? 200 : 800))
+    ]));
+    jest.spyOn(WorkoutLog, 'aggregate').mockResolvedValue([
+      { _id: steady._id, firstAt: new Date('2025-01-07T12:00:00Z') },
+      { _id: spiking._id, firstAt: new Date('2025-01-07T12:00:00Z') }
+    ]);
+
+    const team = await trainingLoadService.fetchTeamLoad(coach, { from: '2025-03-25', to: '2025-03-31' });
+
+    expect(User.find).toHaveBeenCalledWith({ role: 'athlete', $or: [{ coaches: coach._id }, { coachId: coach._id }] });
+    expect(team.flaggedCount).toBe(1);
+    expect(team.athletes.map(entry => [entry.athlete.firstName, entry.flagged])).toEqual([['Spiking', true], ['Steady', false]]);
+    expect(team.athletes[1].rangeLoad).toBe(2100);
+  });
+});
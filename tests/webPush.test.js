@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const http = require('http');
+const PushSubscription = require('../models/PushSubscription');
+const pushNotificationService = require('../services/pushNotificationService');
+const { generateVapidKeys } = require('../utils/webPush');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// A browser's side of a subscription: its key pair and auth secret
+const createUserAgent = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+  return {
+    ecdh,
+    auth,
+    keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: auth.toString('base64url') }
+  };
+};
+
+// Decrypts an aes128gcm body the way the browser would (RFC 8291)
+const decrypt = (body, userAgent) => {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength, body.length - 16);
+  const tag = body.subarray(body.length - 16);
+
+  const sharedSecret = userAgent.ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgent.ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = hmac(hmac(userAgent.auth, sharedSecret), Buffer.concat([keyInfo, Buffer.from([1])]));
+  const prk = hmac(salt, ikm);
+  const contentKey = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(tag);
+  const padded = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return padded.subarray(0, padded.lastIndexOf(2)).toString();
+};
+
+// Checks the VAPID JWT signature with the public key sent in the header
+const verifyVapid = (authorization) => {
+  const [, token, publicKey] = authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+  const [header, claims, signature] = token.split('.');
+  const keyBytes = Buffer.from(publicKey, 'base64url');
+  const key = crypto.createPublicKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: keyBytes.subarray(1, 33).toString('base64url'),
+      y: keyBytes.subarray(33, 65).toString('base64url')
+    }
+  });
+  const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url'));
+  return { valid, publicKey, claims: JSON.parse(Buffer.from(claims, 'base64url').toString()) };
+};
+
+describe('Web Push delivery', () => {
+  const vapid = generateVapidKeys();
+  const received = [];
+  let server;
+  let baseUrl;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    // Local stand-in for a push service: /gone behaves like an expired subscription
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+        res.statusCode = req.url === '/gone' ? 410 : 201;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    process.env.VAPID_PUBLIC_KEY = vapid.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapid.privateKey;
+    process.env.VAPID_SUBJECT = 'mailto:test@example.com';
+    process.env.PUSH_SERVICE_HOSTS = '127.0.0.1';
+    received.length = 0;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  it('should deliver an encrypted, VAPID-signed payload to every device and prune gone ones', async () => {
+    const phone = createUserAgent();
+    const laptop = createUserAgent();
+    jest.spyOn(PushSubscription, 'find').mockReturnValue({
+      lean: jest.fn().mockResolvedValue([
+        { _id: 'phone', endpoint: `${baseUrl}/phone`, keys: phone.keys, failureCount: 0 },
+        { _id: 'laptop', endpoint: `${baseUrl}/gone`, keys: laptop.keys, failureCount: 0 },
+        { _id: 'old', endpoint: `${baseUrl}/old`, keys: laptop.keys, expirationTime: new Date(Date.now() - 1000) },
+        { _id: 'internal', endpoint: 'http://169.254.169.254/latest/meta-data', keys: laptop.keys, failureCount: 0 }
+      ])
+    });
+    jest.spyOn(PushSubscription, 'updateOne').mockResolvedValue({});
+    jest.spyOn(PushSubscription, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const summary = await pushNotificationService.sendToUser('user1', { title: 'Workout today', body: 'Upper' });
+
+    expect(summary).toEqual({ sent: 1, removed: 3, failed: 0 });
+    expect(PushSubscription.deleteOne).toHaveBeenCalledWith({ _id: 'laptop' });
+    expect(PushSubscription.deleteOne).toHaveBeenCalledWith({ _id: 'old' });
+    expect(PushSubscription.deleteOne).toHaveBeenCalledWith({ _id: 'internal' });
+    expect(received.map(request => request.url).sort()).toEqual(['/gone', '/phone']);
+
+    const request = received.find(r => r.url === '/phone');
+    expect(request.headers['content-encoding']).toBe('aes128gcm');
+    expect(request.headers.ttl).toBe('86400');
+    expect(JSON.parse(decrypt(request.body, phone))).toEqual({ title: 'Workout today', body: 'Upper' });
+
+    const { valid, publicKey, claims } = verifyVapid(request.headers.authorization);
+    expect(valid).toBe(true);
+    expect(publicKey).toBe(vapid.publicKey);
+    expect(claims).toEqual(expect.objectContaining({ aud: baseUrl, sub: 'mailto:test@example.com' }));
+  });
+
+  it('should skip delivery when VAPID keys are missing', async () => {
+    delete process.env.VAPID_PUBLIC_KEY;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(PushSubscription, 'find');
+
+    expect(await pushNotificationService.sendToUser('user1', { title: 'x' })).toEqual({ sent: 0, removed: 0, failed: 0 });
+    expect(PushSubscription.find).not.toHaveBeenCalled();
+    expect(() => pushNotificationService.getPublicKey()).toThrow('Push notifications are not available');
+  });
+
+  it('should only accept well-formed https subscriptions in production', async () => {
+    jest.spyOn(PushSubscription, 'findOneAndUpdate').mockResolvedValue({ _id: 'sub' });
+    const keys = createUserAgent().keys;
+    const endpoint = 'https://updates.push.services.mozilla.com/wpush/v2/x';
+
+    await expect(pushNotificationService.subscribe('user1', { endpoint }))
+      .rejects.toThrow('Please provide a push subscription with an endpoint and keys');
+
+    process.env.NODE_ENV = 'production';
+    await expect(pushNotificationService.subscribe('user1', { endpoint: `${baseUrl}/x`, keys }))
+      .rejects.toThrow('Push subscription endpoints must use https');
+
+    await pushNotificationService.subscribe('user1', { endpoint, keys }, { userAgent: 'Firefox' });
+    expect(PushSubscription.findOneAndUpdate).toHaveBeenCalledWith(
+      { endpoint },
+      expect.objectContaining({ user: 'user1', keys, userAgent: 'Firefox', failureCount: 0 }),
+      expect.objectContaining({ upsert: true })
+    );
+  });
+
+  it('should refuse endpoints outside the known push services', async () => {
+    jest.spyOn(PushSubscription, 'findOneAndUpdate').mockResolvedValue({ _id: 'sub' });
+    const keys = createUserAgent().keys;
+    delete process.env.PUSH_SERVICE_HOSTS;
+
+    for (const endpoint of [
+      'https://127.0.0.1/x',
+      'https://169.254.169.254/latest/meta-data',
+      'https://internal.example.com/x',
+      'https://fcm.googleapis.com.attacker.example/x',
+      `${baseUrl}/x`
+    ]) {
+      await expect(pushNotificationService.subscribe('user1', { endpoint, keys }))
+        .rejects.toThrow('Push subscription endpoints must belong to a browser push service');
+    }
+    expect(PushSubscription.findOneAndUpdate).not.toHaveBeenCalled();
+
+    await pushNotificationService.subscribe('user1', { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys });
+    await pushNotificationService.subscribe('user1', { endpoint: 'https://web.push.apple.com/QG1', keys });
+    expect(PushSubscription.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,96 @@
+const Exercise = require('../models/Exercise');
+const WorkoutLog = require('../models/WorkoutLog');
+const Regimen = require('../models/Regimen');
+const workoutLogService = require('../services/workoutLogService');
+
+const athleteId = '507f1f77bcf86cd799439011';
+const regimenId = '507f1f77bcf86cd799439012';
+
+const mockRegimenDay = (exercises) => {
+  jest.spyOn(Regimen, 'findOne').mockReturnValue({
+    select: () => ({ lean: () => Promise.resolve({ days: [{ _id: 'day-1', exercises }] }) })
+  });
+};
+
+describe('Workout Log Service - per-set logging', () => {
+  beforeEach(() => {
+    jest.spyOn(WorkoutLog, 'create').mockImplementation(data => Promise.resolve(data));
+    jest.spyOn(Exercise, 'find').mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+    mockRegimenDay([{ _id: 'ex-lunge', name: 'Lunge', perSide: true }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should derive the legacy tuple from set entries', async () => {
+    const log = await workoutLogService.createWorkoutLog(athleteId, {
+      regimenId,
+      dayId: 'day-1',
+      exercises: [{
+        name: 'Back Squat',
+        setLogs: [
+          { reps: 5, load: '100', rpe: 7.5, tempo: '3-1-1-0' },
+          { reps: 3, load: 110, rir: 1, tempo: '31X0' }
+        ]
+      }]
+    });
+
+    const [squat] = log.exercises;
+    expect(squat.sets).toBe(2);
+    expect(squat.reps).toBe(5);
+    expect(squat.weight).toBe('110 kg');
+    expect(squat.setLogs[0]).toMatchObject({ setNumber: 1, load: 100, loadUnit: 'kg', side: 'both' });
+  });
+
+  it('should reject invalid RPE and tempo values', async () => {
+    await expect(workoutLogService.createWorkoutLog(athleteId, {
+      regimenId,
+      dayId: 'day-1',
+      exercises: [{ name: 'Bench', setLogs: [{ reps: 5, rpe: 11 }] }]
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    await expect(workoutLogService.createWorkoutLog(athleteId, {
+      regimenId,
+      dayId: 'day-1',
+      exercises: [{ name: 'Bench', setLogs: [{ reps: 5, tempo: 'slow' }] }]
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should require a side on every set of a per-side exercise', async () => {
+    await expect(workoutLogService.createWorkoutLog(athleteId, {
+      regimenId,
+      dayId: 'day-1',
+      exercises: [{ exerciseId: 'ex-lunge', name: 'Lunge', setLogs: [{ reps: 8, side: 'left' }, { reps: 8 }] }]
+    })).rejects.toThrow('Set 2 of "Lunge"');
+  });
+
+  it('should expand legacy single-tuple logs when reading', () => {
+    const log = workoutLogService.normalizeLogForRead({
+      exercises: [{ name: 'Row', sets: 3, reps: 10, weight: '135 lbs', completed: true }]
+    });
+
+    const [row] = log.exercises;
+    expect(row.setLogsDerived).toBe(true);
+    expect(row.setLogs).toHaveLength(3);
+    expect(row.setLogs[2]).toMatchObject({ setNumber: 3, reps: 10, load: 135, loadUnit: 'lb' });
+  });
+
+  it('should accept a read legacy per-side log echoed back, and null set entries', async () => {
+    const [lunge] = workoutLogService.normalizeLogForRead({
+      exercises: [{ exerciseId: 'ex-lunge', name: 'Lunge', sets: 2, reps: 8, weight: '20 kg', completed: true }]
+    }).exercises;
+
+    const log = await workoutLogService.createWorkoutLog(athleteId, {
+      regimenId,
+      dayId: 'day-1',
+      exercises: [lunge, { name: 'Plank', sets: 3, setLogs: null }]
+    });
+
+    const [saved, plank] = log.exercises;
+    expect(saved.setLogsDerived).toBeUndefined();
+    expect(saved.sets).toBe(2);
+    expect(saved.setLogs.map(set => `${set.setNumber}${set.side}`)).toEqual(['1left', '1right', '2left', '2right']);
+    expect(plank).toEqual({ name: 'Plank', sets: 3, setLogs: null });
+  });
+});
@@ -1,49 +1,58 @@
-const jwt = require('jsonwebtoken');
-
-// Create and send JWT token
-exports.createSendToken = (user, statusCode, res) => {
-  try {
-    // Check if JWT_SECRET is configured
-    if (!process.env.JWT_SECRET) {
-      console.error('JWT_SECRET is not configured');
-      throw new Error('Server configuration error');
-    }
+const sessionService = require('../services/sessionService');
+
+// The refresh token cookie is only ever sent to the auth endpoints
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Set the access and refresh token cookies for a session
+exports.setSessionCookies = (res, { accessToken, refreshToken, session }) => {
+  const secure = process.env.NODE_ENV === 'production';
+
+  res.cookie('jwt', accessToken, {
+    expires: new Date(
+      Date.now() + (process.env.JWT_COOKIE_EXPIRES_IN || 7) * 24 * 60 * 60 * 1000
+    ),
+    httpOnly: true,
+    secure,
+    sameSite: 'lax',
+    path: '/'
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    expires: session.expiresAt,
+    httpOnly: true,
+    secure,
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH
+  });
+};
 
-    // Create JWT token
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-    });
-
-    // Set cookie options
-    const cookieOptions = {
-      expires: new Date(
-        Date.now() + (process.env.JWT_COOKIE_EXPIRES_IN || 7) * 24 * 60 * 60 * 1000
-      ),
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      path: '/'
-    };
-
-    // Send JWT in cookie
-    res.cookie('jwt', token, cookieOptions);
-
-    // Remove password from output
-    user.password = undefined;
-
-    // Send response with token in both cookie and body
-    res.status(statusCode).json({
-      status: 'success',
-      token, // Include token in response body for frontend storage
-      data: {
-        user
-      }
-    });
-  } catch (error) {
-    console.error('Error creating token:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Error creating authentication token'
-    });
-  }
-}; 
\ No newline at end of file
+// Clear both auth cookies (logout)
+exports.clearSessionCookies = (res) => {
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+};
+
+// Start a device session on login and send its access + refresh tokens
+exports.createSendSession = async (user, statusCode, req, res) => {
+  const tokens = await sessionService.startSession(user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+
+  exports.setSessionCookies(res, tokens);
+
+  // Remove password from output
+  user.password = undefined;
+
+  res.status(statusCode).json({
+    status: 'success',
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken, // For clients that can't use cookies
+    data: {
+      user
+    }
+  });
+};
@@ -0,0 +1,21 @@
+/**
+ * Helpers for the free-text durations stored on regimen exercises
+ * (e.g. duration "00:45" or restInterval "01:30").
+ */
+
+/**
+ * Parses a duration ("45", "01:30", "1:00:00") into seconds.
+ * Numbers are treated as seconds already.
+ *
+ * @param {string|number} duration - Duration value
+ * @returns {number} Duration in seconds (0 if empty or unparseable)
+ */
+const parseDurationToSeconds = (duration) => {
+  if (typeof duration === 'number') return isNaN(duration) ? 0 : duration;
+  if (typeof duration !== 'string' || !duration.trim()) return 0;
+  const parts = duration.trim().split(':').map(part => parseFloat(part));
+  if (parts.some(part => isNaN(part))) return 0;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+module.exports = { parseDurationToSeconds };
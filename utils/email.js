@@ -263,4 +263,135 @@ exports.createPasswordResetEmail = (user, resetUrl) => {
       The CoachShare Team
     `
   };
-}; 
\ No newline at end of file
+}; 
+const escapeHtml = (value) =>
+  String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Shared layout for notification emails (content is already escaped)
+const notificationLayout = (title, content, user, unsubscribeUrl, unsubscribeLabel) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title}</title>
+      <style>
+        body {
+          font-family: Arial, sans-serif;
+          line-height: 1.6;
+          color: #333;
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .container {
+          border: 1px solid #e0e0e0;
+          border-radius: 5px;
+          padding: 20px;
+          margin-top: 20px;
+        }
+        .header {
+          text-align: center;
+          padding-bottom: 20px;
+          border-bottom: 1px solid #e0e0e0;
+          margin-bottom: 20px;
+        }
+        .logo {
+          font-size: 24px;
+          font-weight: bold;
+          color: #4f46e5;
+        }
+        .item {
+          padding: 10px 0;
+          border-bottom: 1px solid #f0f0f0;
+        }
+        .footer {
+          margin-top: 30px;
+          text-align: center;
+          font-size: 12px;
+          color: #777;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">CoachShare</div>
+        </div>
+
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+
+        ${content}
+
+        <div class="footer">
+          <p>CoachShare, Inc.</p>
+          <p>This email was sent to ${escapeHtml(user.email)}</p>
+          <p><a href="${unsubscribeUrl}">${unsubscribeLabel}</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+// Function to create an email for a single notification
+exports.createNotificationEmail = (user, notification, { notificationsUrl, unsubscribeUrl }) => {
+  const content = `
+        <p><strong>${escapeHtml(notification.title)}</strong></p>
+
+        <p>${escapeHtml(notification.message)}</p>
+
+        <p><a href="${notificationsUrl}">View in CoachShare</a></p>
+  `;
+
+  return {
+    html: notificationLayout(escapeHtml(notification.title), content, user, unsubscribeUrl,
+      'Stop emails like this'),
+    text: `
+      Hi ${user.firstName},
+
+      ${notification.title}
+
+      ${notification.message}
+
+      View in CoachShare: ${notificationsUrl}
+
+      Stop emails like this: ${unsubscribeUrl}
+    `
+  };
+};
+
+// Function to create a daily or weekly digest of notifications
+exports.createDigestEmail = (user, notifications, { period, notificationsUrl, unsubscribeUrl }) => {
+  const heading = period === 'weekly' ? 'Your week on CoachShare' : 'Your day on CoachShare';
+  const items = notifications.map(notification => `
+        <div class="item">
+          <strong>${escapeHtml(notification.title)}</strong><br>
+          ${escapeHtml(notification.message)}
+        </div>`).join('');
+  const content = `
+        <p>You have ${notifications.length} new notification${notifications.length === 1 ? '' : 's'}:</p>
+        ${items}
+
+        <p><a href="${notificationsUrl}">View all notifications</a></p>
+  `;
+
+  return {
+    html: notificationLayout(heading, content, user, unsubscribeUrl, 'Unsubscribe from notification emails'),
+    text: `
+      Hi ${user.firstName},
+
+      ${heading}: you have ${notifications.length} new notification${notifications.length === 1 ? '' : 's'}.
+
+${notifications.map(notification => `      - ${notification.title}: ${notification.message}`).join('\n')}
+
+      View all notifications: ${notificationsUrl}
+
+      Unsubscribe from notification emails: ${unsubscribeUrl}
+    `
+  };
+};
@@ -0,0 +1,171 @@
+/**
+ * Fuzzy matching of free-text exercise names ("BB Squat", "back squats") onto
+ * library entries.
+ */
+
+// Common gym shorthand, expanded before comparing
+const ABBREVIATIONS = {
+  bb: 'barbell',
+  db: 'dumbbell',
+  dbs: 'dumbbell',
+  kb: 'kettlebell',
+  kbs: 'kettlebell',
+  ez: 'ez bar',
+  bw: 'bodyweight',
+  sl: 'single leg',
+  sa: 'single arm',
+  rdl: 'romanian deadlift',
+  sldl: 'stiff leg deadlift',
+  ohp: 'overhead press',
+  bp: 'bench press',
+  ghr: 'glute ham raise',
+  hspu: 'handstand push up',
+  t2b: 'toes to bar',
+  btn: 'behind the neck'
+};
+
+// Names this similar (0-1) or more are treated as the same exercise
+const DEFAULT_THRESHOLD = 0.82;
+
+const singularize = (word) => {
+  if (word.length <= 3 || word.endsWith('ss')) return word;
+  if (word.endsWith('sses') || word.endsWith('shes') || word.endsWith('ches')) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Lower-cases, strips punctuation, expands abbreviations and plurals.
+ *
+ * @param {string} name
+ * @returns {string} e.g. "BB Back-Squats" -> "barbell back squat"
+ */
+const normalizeExerciseName = (name) => (name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => ABBREVIATIONS[word] || ABBREVIATIONS[singularize(word)] || singularize(word))
+  .join(' ');
+
+const bigrams = (value) => {
+  const compact = value.replace(/\s+/g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i += 1) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+const dice = (a, b) => {
+  if (a === b) return 1;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (left.length === 0 || right.length === 0) return 0;
+
+  const counts = new Map();
+  left.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let overlap = 0;
+  right.forEach(pair => {
+    const count = counts.get(pair);
+    if (count) {
+      overlap += 1;
+      counts.set(pair, count - 1);
+    }
+  });
+  return (2 * overlap) / (left.length + right.length);
+};
+
+// Words at least this similar count as the same word (typos, "squatt" / "squat")
+const WORD_THRESHOLD = 0.8;
+
+// Highest score for names where a word on one side has no counterpart on the
+// other. Such names are different exercises ("Hack Squat" / "Back Squat",
+// "Incline" / "Decline Bench Press"), so this stays below DEFAULT_THRESHOLD;
+// they still rank in searches.
+const UNPAIRED_WORD_CAP = 0.75;
+
+// Joins adjacent words that the other name writes as one ("pull up" / "pullup")
+const joinCompounds = (words, otherWords) => {
+  const joined = [];
+  for (let i = 0; i < words.length; i += 1) {
+    if (i + 1 < words.length && otherWords.includes(words[i] + words[i + 1])) {
+      joined.push(words[i] + words[i + 1]);
+      i += 1;
+    } else {
+      joined.push(words[i]);
+    }
+  }
+  return joined;
+};
+
+/**
+ * Similarity of two exercise names from 0 to 1, ignoring case, punctuation,
+ * spacing ("pull-up" / "pullup"), plurals, abbreviations and word order.
+ * Names are compared word by word, so one differing word (a modifier such as
+ * "incline" or "hack") keeps them from matching even when the spelling is close.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const nameSimilarity = (a, b) => {
+  const left = normalizeExerciseName(a);
+  const right = normalizeExerciseName(b);
+  if (!left || !right) return 0;
+  if (left === right || left.replace(/\s/g, '') === right.replace(/\s/g, '')) return 1;
+
+  const leftWords = joinCompounds(left.split(' '), right.split(' '));
+  const rightWords = joinCompounds(right.split(' '), leftWords);
+
+  // Pair each word with its closest unpaired counterpart, best pairs first
+  const candidates = [];
+  leftWords.forEach((leftWord, i) => rightWords.forEach((rightWord, j) => {
+    const score = dice(leftWord, rightWord);
+    if (score >= WORD_THRESHOLD) candidates.push({ i, j, score });
+  }));
+  candidates.sort((x, y) => y.score - x.score);
+
+  const pairedLeft = new Set();
+  const pairedRight = new Set();
+  let total = 0;
+  candidates.forEach(({ i, j, score }) => {
+    if (pairedLeft.has(i) || pairedRight.has(j)) return;
+    pairedLeft.add(i);
+    pairedRight.add(j);
+    total += score;
+  });
+
+  const similarity = (2 * total) / (leftWords.length + rightWords.length);
+  const allPaired = pairedLeft.size === leftWords.length && pairedRight.size === rightWords.length;
+  return allPaired ? similarity : Math.min(similarity, UNPAIRED_WORD_CAP);
+};
+
+/**
+ * Finds the library entry whose name or alias best matches a free-text name.
+ *
+ * @param {string} name - Name as typed by a coach or athlete
+ * @param {Array<object>} exercises - Library entries with `name` and `aliases`
+ * @param {number} [threshold=0.82] - Minimum similarity
+ * @returns {{exercise: object, score: number}|null}
+ */
+const findBestMatch = (name, exercises, threshold = DEFAULT_THRESHOLD) => {
+  let best = null;
+  exercises.forEach(exercise => {
+    [exercise.name, ...(exercise.aliases || [])].forEach(candidate => {
+      const score = nameSimilarity(name, candidate);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { exercise, score };
+      }
+    });
+  });
+  return best;
+};
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  normalizeExerciseName,
+  nameSimilarity,
+  findBestMatch
+};
@@ -0,0 +1,72 @@
+/**
+ * Detects a file's real type from its first bytes, so uploads can't pass as an
+ * image or video just by claiming a MIME type.
+ */
+const fs = require('fs');
+
+// Bytes needed to recognise every signature below
+const SNIFF_LENGTH = 64;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+// ISO base media brands (the 4 bytes after "ftyp")
+const FTYP_BRANDS = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  msf1: 'image/heif',
+  avif: 'image/avif',
+  'qt  ': 'video/quicktime',
+  M4V: 'video/x-m4v',
+  'M4V ': 'video/x-m4v',
+  '3gp4': 'video/3gpp',
+  '3gp5': 'video/3gpp'
+};
+
+/**
+ * Identifies an image or video from its leading bytes.
+ *
+ * @param {Buffer} buffer - The start of the file (up to 64 bytes)
+ * @returns {string|null} The detected MIME type, or null if it isn't a known image/video
+ */
+const detectMimeType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'AVI ') return 'video/x-msvideo';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    // Matroska container; WebM declares its doctype early in the header
+    return buffer.includes('webm') ? 'video/webm' : 'video/x-matroska';
+  }
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    return FTYP_BRANDS[brand] || FTYP_BRANDS[brand.trim()] || 'video/mp4';
+  }
+  return null;
+};
+
+/**
+ * Reads the start of a file on disk and identifies it.
+ *
+ * @param {string} filePath
+ * @returns {Promise<string|null>}
+ */
+const detectFileMimeType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+    return detectMimeType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  detectMimeType,
+  detectFileMimeType
+};
@@ -0,0 +1,237 @@
+/**
+ * Minimal S3 client: Signature Version 4 request signing and presigned URLs,
+ * using only Node's crypto and http(s) modules. Works with AWS S3 and
+ * S3-compatible servers such as MinIO (use path-style addressing for those).
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const REQUEST_TIMEOUT_MS = 30000;
+// S3 rejects presigned URLs valid for longer than 7 days
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// RFC 3986 encoding, as SigV4 requires (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+// 2013-05-24T00:00:00.000Z -> 20130524T000000Z
+const toAmzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const canonicalQuery = (query) => Object.keys(query)
+  .map(name => [encodeRfc3986(name), encodeRfc3986(String(query[name]))])
+  .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  .map(([name, value]) => `${name}=${value}`)
+  .join('&');
+
+/**
+ * Computes a SigV4 signature.
+ *
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.path - Encoded request path
+ * @param {object} request.query - Query parameters (not encoded)
+ * @param {object} request.headers - Headers to sign, lower-case names
+ * @param {string} request.payloadHash - Hex SHA-256 of the body, or UNSIGNED-PAYLOAD
+ * @param {object} config - { region, accessKeyId, secretAccessKey }
+ * @param {Date} date
+ * @returns {{signature: string, scope: string, signedHeaders: string}}
+ */
+const computeSignature = ({ method, path, query, headers, payloadHash }, { region, secretAccessKey }, date) => {
+  const amzDate = toAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+  const names = Object.keys(headers).sort();
+  const canonicalHeaders = names.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [method, path, canonicalQuery(query), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+  return { signature: hmac(signingKey, stringToSign).toString('hex'), scope, signedHeaders };
+};
+
+/**
+ * Signs a request with an Authorization header.
+ *
+ * @param {object} request - { method, host, path, query, headers, payloadHash }
+ * @param {object} config - { region, accessKeyId, secretAccessKey }
+ * @param {Date} [date=new Date()]
+ * @returns {object} The headers to send, including Authorization
+ */
+const signRequest = ({ method, host, path, query = {}, headers = {}, payloadHash = UNSIGNED_PAYLOAD }, config, date = new Date()) => {
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': toAmzDate(date)
+  };
+  const { signature, scope, signedHeaders } = computeSignature({ method, path, query, headers: signed, payloadHash }, config, date);
+  return {
+    ...signed,
+    authorization: `${ALGORITHM} Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+/**
+ * Builds a presigned URL anyone can use until it expires.
+ *
+ * @param {object} request - { method, protocol, host, path, query }
+ * @param {object} config - { region, accessKeyId, secretAccessKey }
+ * @param {number} expiresIn - Seconds the URL stays valid
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+const presignUrl = ({ method = 'GET', protocol = 'https:', host, path, query = {} }, config, expiresIn, date = new Date()) => {
+  const amzDate = toAmzDate(date);
+  const signedQuery = {
+    ...query,
+    'X-Amz-Algorithm': ALGORITHM,
+    'X-Amz-Credential': `${config.accessKeyId}/${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': Math.min(Math.max(Math.floor(expiresIn), 1), MAX_PRESIGN_SECONDS),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const { signature } = computeSignature(
+    { method, path, query: signedQuery, headers: { host }, payloadHash: UNSIGNED_PAYLOAD },
+    config,
+    date
+  );
+  return `${protocol}//${host}${path}?${canonicalQuery(signedQuery)}&X-Amz-Signature=${signature}`;
+};
+
+/**
+ * Creates a client for one bucket.
+ *
+ * @param {object} config
+ * @param {string} config.bucket
+ * @param {string} [config.region='us-east-1']
+ * @param {string} [config.endpoint] - e.g. "http://localhost:9000" for MinIO; AWS by default
+ * @param {boolean} [config.forcePathStyle=false] - /bucket/key URLs instead of bucket.host/key
+ * @param {string} config.accessKeyId
+ * @param {string} config.secretAccessKey
+ * @returns {{putObject: function, getObject: function, deleteObject: function, presignGetObject: function}}
+ */
+const createS3Client = (config) => {
+  const region = config.region || 'us-east-1';
+  const credentials = { region, accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey };
+  const endpoint = new URL(config.endpoint || `https://s3.${region}.amazonaws.com`);
+  const transport = endpoint.protocol === 'http:' ? http : https;
+
+  const locate = (key) => (config.forcePathStyle
+    ? { host: endpoint.host, path: `${endpoint.pathname.replace(/\/+$/, '')}/${encodeRfc3986(config.bucket)}/${encodeKey(key)}` }
+    : { host: `${config.bucket}.${endpoint.host}`, path: `/${encodeKey(key)}` });
+
+  // Sends a signed request; resolves with the response for 2xx, rejects with error.statusCode otherwise
+  const send = (method, key, { headers = {}, body } = {}) => {
+    const { host, path } = locate(key);
+    const signedHeaders = signRequest({ method, host, path, headers }, credentials);
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        protocol: endpoint.protocol,
+        hostname: endpoint.hostname,
+        port: endpoint.port,
+        method,
+        path,
+        headers: signedHeaders,
+        timeout: REQUEST_TIMEOUT_MS
+      }, (response) => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve(response);
+          return;
+        }
+        let responseBody = '';
+        response.on('data', chunk => { responseBody += chunk; });
+        response.on('end', () => {
+          const error = new Error(`S3 ${method} ${key} failed with ${response.statusCode}: ${responseBody.slice(0, 500)}`);
+          error.statusCode = response.statusCode;
+          reject(error);
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error(`S3 ${method} ${key} timed out`)));
+      request.on('error', reject);
+
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', (error) => request.destroy(error));
+        body.pipe(request);
+      } else {
+        request.end(body);
+      }
+    });
+  };
+
+  const drain = (response) => new Promise((resolve, reject) => {
+    response.on('error', reject);
+    response.on('end', resolve);
+    response.resume();
+  });
+
+  return {
+    /**
+     * Uploads a file from disk.
+     * @param {string} key
+     * @param {string} filePath
+     * @param {object} options - { contentType, size }
+     */
+    putObject: async (key, filePath, { contentType, size }) => {
+      const response = await send('PUT', key, {
+        headers: {
+          'Content-Type': contentType || 'application/octet-stream',
+          'Content-Length': size
+        },
+        body: fs.createReadStream(filePath)
+      });
+      await drain(response);
+    },
+
+    /**
+     * Downloads an object.
+     * @param {string} key
+     * @returns {Promise<http.IncomingMessage>} Readable response stream
+     */
+    getObject: (key) => send('GET', key),
+
+    /**
+     * Deletes an object (missing objects are not an error in S3).
+     * @param {string} key
+     */
+    deleteObject: async (key) => {
+      const response = await send('DELETE', key);
+      await drain(response);
+    },
+
+    /**
+     * Presigned download URL.
+     * @param {string} key
+     * @param {object} options
+     * @param {number} options.expiresIn - Seconds
+     * @param {string} [options.contentType] - Content-Type S3 should answer with
+     * @param {string} [options.contentDisposition] - Content-Disposition S3 should answer with
+     * @returns {string}
+     */
+    presignGetObject: (key, { expiresIn, contentType, contentDisposition }) => {
+      const { host, path } = locate(key);
+      const query = {};
+      if (contentType) query['response-content-type'] = contentType;
+      if (contentDisposition) query['response-content-disposition'] = contentDisposition;
+      return presignUrl({ protocol: endpoint.protocol, host, path, query }, credentials, expiresIn);
+    }
+  };
+};
+
+module.exports = {
+  UNSIGNED_PAYLOAD,
+  signRequest,
+  presignUrl,
+  createS3Client
+};
@@ -0,0 +1,88 @@
+/**
+ * Helpers for working in a user's local time (User.timezone) without a date library.
+ */
+const AppError = require('./appError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Returns the local calendar date and hour for a moment in a time zone.
+ * Unknown time zones fall back to UTC.
+ *
+ * @param {Date} now - The moment
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {{date: string, hour: number}} Local date (YYYY-MM-DD) and hour (0-23)
+ */
+const localClock = (now, timeZone = 'UTC') => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    });
+  } catch (error) {
+    return localClock(now, 'UTC');
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(now).map(part => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10)
+  };
+};
+
+/**
+ * Adds days to a YYYY-MM-DD date.
+ *
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} The resulting date (YYYY-MM-DD)
+ */
+const addDays = (dateKey, days) =>
+  new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Returns the Monday of the week a date falls in.
+ *
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {string} The week's Monday (YYYY-MM-DD)
+ */
+const startOfWeek = (dateKey) =>
+  addDays(dateKey, -((new Date(`${dateKey}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+const isDateKey = (value) => typeof value === 'string'
+  && DATE_PATTERN.test(value)
+  && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+/**
+ * Reads an inclusive from/to date range (YYYY-MM-DD) from query parameters.
+ * Missing dates default to the `defaultDays` days up to today.
+ *
+ * @param {object} [query] - { from, to }
+ * @param {string} [timeZone='UTC'] - Whose "today" the default range ends on
+ * @param {object} options
+ * @param {number} options.defaultDays - Length of the default range
+ * @param {number} options.maxDays - Longest range allowed
+ * @returns {{from: string, to: string}}
+ * @throws {AppError} 400 for malformed dates, reversed or overlong ranges
+ */
+const parseDateRange = ({ from, to } = {}, timeZone = 'UTC', { defaultDays, maxDays }) => {
+  const end = to || localClock(new Date(), timeZone).date;
+  const start = from || addDays(end, -(defaultDays - 1));
+  if (!isDateKey(start) || !isDateKey(end)) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+  if (start > end) {
+    throw new AppError('"from" must not be after "to"', 400);
+  }
+  if ((Date.parse(end) - Date.parse(start)) / DAY_MS + 1 > maxDays) {
+    throw new AppError(`The date range can cover at most ${maxDays} days`, 400);
+  }
+  return { from: start, to: end };
+};
+
+module.exports = { localClock, addDays, startOfWeek, parseDateRange };
@@ -0,0 +1,33 @@
+const AppError = require('./appError');
+
+/**
+ * Builds a link into the client app from the configured CLIENT_URL.
+ * Links sent by email must not depend on the Host header of the request that triggered them.
+ * @param {string} path - Client route, e.g. "/accept-invitation/abc".
+ * @returns {string} - Absolute URL.
+ * @throws {AppError} If CLIENT_URL is not configured.
+ */
+const buildClientUrl = (path) => {
+  const baseUrl = process.env.CLIENT_URL;
+  if (!baseUrl) {
+    throw new AppError('CLIENT_URL is not configured', 500);
+  }
+  return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Builds a public link to this API, e.g. for calendar subscriptions.
+ * Uses API_URL when configured, otherwise the URL the request came in on.
+ * @param {string} path - API path, e.g. "/api/calendar/feed/abc.ics".
+ * @param {object} req - Express request (fallback for the base URL).
+ * @returns {string} - Absolute URL.
+ */
+const buildApiUrl = (path, req) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+};
+
+module.exports = {
+  buildClientUrl,
+  buildApiUrl
+};
@@ -0,0 +1,158 @@
+/**
+ * Minimal Web Push sender: VAPID authentication (RFC 8292) and aes128gcm
+ * payload encryption (RFC 8291), using only Node's crypto and http(s) modules.
+ */
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const RECORD_SIZE = 4096;
+// Record size minus the AES-GCM tag and the padding delimiter
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - 16 - 1;
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Generates a VAPID key pair (P-256), base64url encoded as browsers expect.
+ *
+ * @returns {{publicKey: string, privateKey: string}}
+ */
+const generateVapidKeys = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(ecdh.getPrivateKey())
+  };
+};
+
+/**
+ * Builds the Authorization header proving the push comes from this server.
+ *
+ * @param {string} endpoint - Push service URL of the subscription
+ * @param {object} vapid - { publicKey, privateKey, subject }
+ * @returns {string} "vapid t=<jwt>, k=<public key>"
+ */
+const createVapidAuthorization = (endpoint, { publicKey, privateKey, subject }) => {
+  const publicKeyBytes = fromBase64Url(publicKey);
+  const key = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: privateKey,
+      x: toBase64Url(publicKeyBytes.subarray(1, 33)),
+      y: toBase64Url(publicKeyBytes.subarray(33, 65))
+    }
+  });
+
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL_SECONDS,
+    sub: subject
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${publicKey}`;
+};
+
+/**
+ * Encrypts a payload for one subscription (single aes128gcm record).
+ *
+ * @param {string|Buffer} payload - Data to send
+ * @param {object} keys - Subscription keys { p256dh, auth } (base64url)
+ * @returns {Buffer} Encrypted body, including the aes128gcm header
+ */
+const encryptPayload = (payload, { p256dh, auth }) => {
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Push payload is too large (${plaintext.length} bytes)`);
+  }
+
+  const userAgentPublicKey = fromBase64Url(p256dh);
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const serverPublicKey = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(userAgentPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  // RFC 8291 §3.4: combine the ECDH secret with the subscription's auth secret
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+  const ikm = hmac(hmac(fromBase64Url(auth), sharedSecret), Buffer.concat([keyInfo, Buffer.from([1])]));
+
+  // RFC 8188 §2.2: derive the content encryption key and nonce
+  const prk = hmac(salt, ikm);
+  const contentKey = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the last (and only) record
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+
+  return Buffer.concat([header, serverPublicKey, ciphertext, cipher.getAuthTag()]);
+};
+
+/**
+ * Delivers a push message to a subscription's push service.
+ *
+ * @param {object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {string|Buffer} payload - Data for the service worker
+ * @param {object} options
+ * @param {object} options.vapid - { publicKey, privateKey, subject }
+ * @param {number} [options.ttl=86400] - Seconds the push service may hold the message
+ * @param {string} [options.urgency='normal'] - very-low | low | normal | high
+ * @returns {Promise<{statusCode: number}>} Resolves on 2xx; rejects with error.statusCode otherwise
+ */
+const sendPushMessage = (subscription, payload, { vapid, ttl = 86400, urgency = 'normal' }) => {
+  const body = encryptPayload(payload, subscription.keys);
+  const url = new URL(subscription.endpoint);
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: {
+        Authorization: createVapidAuthorization(subscription.endpoint, vapid),
+        'Content-Encoding': 'aes128gcm',
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': body.length,
+        TTL: ttl,
+        Urgency: urgency
+      },
+      timeout: 10000
+    }, (response) => {
+      let responseBody = '';
+      response.on('data', chunk => { responseBody += chunk; });
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve({ statusCode: response.statusCode });
+        } else {
+          const error = new Error(`Push service responded with ${response.statusCode}: ${responseBody}`);
+          error.statusCode = response.statusCode;
+          reject(error);
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error('Push service request timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+};
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  generateVapidKeys,
+  createVapidAuthorization,
+  encryptPayload,
+  sendPushMessage
+};